@@ -0,0 +1,11 @@
+-- Crawl mode: link-following jobs
+-- Description: A crawl is a parent scraping job; each crawled page is a child job linked by parent_job_id
+
+ALTER TABLE scraping_jobs
+    ADD COLUMN IF NOT EXISTS parent_job_id UUID REFERENCES scraping_jobs(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS depth INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_scraping_jobs_parent_job_id ON scraping_jobs(parent_job_id);
+
+COMMENT ON COLUMN scraping_jobs.parent_job_id IS 'Crawl job this page was discovered by (NULL for standalone and crawl parent jobs)';
+COMMENT ON COLUMN scraping_jobs.depth IS 'Link hops from the crawl seed URL';
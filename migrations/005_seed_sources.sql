@@ -0,0 +1,32 @@
+-- Seed sources: sitemaps and RSS/Atom feeds that feed URLs into template batches
+-- Description: seed_source_entries remembers every scheduled URL and its lastmod so reruns only pick up new or changed entries
+
+CREATE TABLE IF NOT EXISTS seed_sources (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+    template_id UUID REFERENCES scraper_templates(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL DEFAULT 'auto' CHECK (type IN ('sitemap', 'feed', 'auto')),
+    url TEXT NOT NULL,
+    filters JSONB DEFAULT '{}',
+    options JSONB DEFAULT '{}',
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_stats JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS seed_source_entries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    source_id UUID REFERENCES seed_sources(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    lastmod TIMESTAMP WITH TIME ZONE,
+    batch_id VARCHAR(255),
+    last_scheduled_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT unique_seed_entry_per_source UNIQUE(source_id, url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seed_sources_project_id ON seed_sources(project_id);
+CREATE INDEX IF NOT EXISTS idx_seed_source_entries_source_id ON seed_source_entries(source_id);
+
+COMMENT ON TABLE seed_source_entries IS 'URLs already scheduled from a seed source, with the lastmod seen at scheduling time';
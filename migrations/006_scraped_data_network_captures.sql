@@ -0,0 +1,7 @@
+-- Network capture: API responses recorded while a page loaded
+-- Description: Stores the XHR/fetch payloads a job captured (captureNetwork option) next to the extracted data
+
+ALTER TABLE scraped_data
+    ADD COLUMN IF NOT EXISTS network_captures JSONB;
+
+COMMENT ON COLUMN scraped_data.network_captures IS 'Captured responses {responses: [{url, method, status, contentType, body, page}], dropped} for debugging json extractors';
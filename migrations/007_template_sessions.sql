@@ -0,0 +1,14 @@
+-- Template login sessions: Playwright storage state captured after a template's login flow
+-- Description: storage_state holds an EncryptionService envelope (never plaintext cookies); NULL means the next job logs in again
+
+CREATE TABLE IF NOT EXISTS template_sessions (
+    template_id UUID PRIMARY KEY REFERENCES scraper_templates(id) ON DELETE CASCADE,
+    storage_state JSONB,
+    logged_in_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    invalidated_reason VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON COLUMN template_sessions.invalidated_reason IS 'Why the session was dropped: expired, ttl_expired, decrypt_failed or manual';
@@ -0,0 +1,15 @@
+-- Execution artifacts: Playwright trace, HAR, DOM snapshot and screenshot of a scraping execution
+-- Description: files live under ARTIFACT_STORAGE_PATH; storage_path is relative to that root
+
+CREATE TABLE IF NOT EXISTS execution_artifacts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    execution_id UUID REFERENCES scraping_executions(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('trace', 'har', 'dom', 'screenshot')),
+    file_name VARCHAR(255) NOT NULL,
+    storage_path TEXT NOT NULL,
+    content_type VARCHAR(100),
+    size_bytes BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_execution_artifacts_execution_id ON execution_artifacts(execution_id);
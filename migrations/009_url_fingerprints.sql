@@ -0,0 +1,23 @@
+-- URL fingerprints for delta scraping: the last stored version of each URL per extraction config
+-- Description: content_hash covers the normalized extracted data; etag/last_modified drive conditional requests
+
+CREATE TABLE IF NOT EXISTS url_fingerprints (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    url TEXT NOT NULL,
+    fingerprint_key VARCHAR(64) NOT NULL,
+    content_hash VARCHAR(64) NOT NULL,
+    data JSONB,
+    version INTEGER NOT NULL DEFAULT 1,
+    etag TEXT,
+    last_modified TEXT,
+    unchanged_runs INTEGER NOT NULL DEFAULT 0,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_checked_at TIMESTAMP WITH TIME ZONE,
+    last_changed_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT unique_fingerprint_per_url UNIQUE(url, fingerprint_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_url_fingerprints_url ON url_fingerprints(url);
+
+COMMENT ON COLUMN url_fingerprints.data IS 'Normalized extracted data of the stored version, the baseline for field-level diffs';
@@ -0,0 +1,44 @@
+-- Schedules: cron-driven template batches with timezone, jitter, blackout windows and concurrency limits
+-- Description: schedule_runs records every fire (started or skipped) with the batch's job ids
+
+CREATE TABLE IF NOT EXISTS schedules (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+    template_id UUID REFERENCES scraper_templates(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    urls JSONB NOT NULL DEFAULT '[]',
+    options JSONB DEFAULT '{}',
+    cron_expression VARCHAR(255) NOT NULL,
+    timezone VARCHAR(100) NOT NULL DEFAULT 'UTC',
+    jitter_seconds INTEGER NOT NULL DEFAULT 0 CHECK (jitter_seconds >= 0),
+    blackout_windows JSONB DEFAULT '[]',
+    max_concurrency INTEGER DEFAULT 1 CHECK (max_concurrency IS NULL OR max_concurrency >= 1),
+    missed_run_policy VARCHAR(20) NOT NULL DEFAULT 'skip' CHECK (missed_run_policy IN ('skip', 'run_once', 'run_all')),
+    enabled BOOLEAN DEFAULT true,
+    last_fire_at TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_batch_id VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS schedule_runs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    schedule_id UUID REFERENCES schedules(id) ON DELETE CASCADE,
+    scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+    fired_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('started', 'skipped', 'finished')),
+    reason TEXT,
+    batch_id VARCHAR(255),
+    queue_name VARCHAR(100),
+    job_ids JSONB DEFAULT '[]',
+    jitter_ms INTEGER,
+    stats JSONB,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedules_project_id ON schedules(project_id);
+CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule_id ON schedule_runs(schedule_id, scheduled_for DESC);
+CREATE INDEX IF NOT EXISTS idx_schedule_runs_started ON schedule_runs(schedule_id) WHERE status = 'started';
+
+COMMENT ON COLUMN schedules.last_fire_at IS 'Cron occurrence last handled (run or skipped); occurrences after it are missed runs after downtime';
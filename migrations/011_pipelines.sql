@@ -0,0 +1,48 @@
+-- Pipelines: DAGs of scrape, process and export stages run as BullMQ flows
+-- Description: pipeline_runs keeps a copy of the stage definitions; pipeline_stage_runs holds each stage's state and output records
+
+CREATE TABLE IF NOT EXISTS pipelines (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    stages JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS pipeline_runs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    pipeline_id UUID REFERENCES pipelines(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    stages JSONB NOT NULL,
+    input JSONB DEFAULT '{}',
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS pipeline_stage_runs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    run_id UUID REFERENCES pipeline_runs(id) ON DELETE CASCADE,
+    stage_id VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('scrape', 'process', 'export')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'skipped')),
+    job_id VARCHAR(255),
+    total_items INTEGER DEFAULT 0,
+    completed_items INTEGER DEFAULT 0,
+    failed_items INTEGER DEFAULT 0,
+    output JSONB,
+    output_count INTEGER DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT unique_stage_per_run UNIQUE(run_id, stage_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipelines_project_id ON pipelines(project_id);
+CREATE INDEX IF NOT EXISTS idx_pipeline_runs_pipeline_id ON pipeline_runs(pipeline_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pipeline_stage_runs_job_id ON pipeline_stage_runs(job_id);
+
+COMMENT ON COLUMN pipeline_stage_runs.output IS 'Stage result: {records: [{url, data}]} for scrape/process stages, {format, count, storage_path} for exports';
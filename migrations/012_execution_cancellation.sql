@@ -0,0 +1,8 @@
+-- Execution cancellation: batch lookups for POST /api/execution/batches/:batchId/cancel
+-- Description: status is free-form VARCHAR, so 'cancelled' needs no constraint change; the reason and time live in execution_metadata
+
+CREATE INDEX IF NOT EXISTS idx_scraping_executions_batch_id
+    ON scraping_executions ((execution_metadata->>'batchId'), status);
+
+COMMENT ON COLUMN scraping_executions.status IS 'queued, running, completed, failed or cancelled';
+COMMENT ON COLUMN scraping_jobs.status IS 'pending, running, completed, failed or cancelled';
@@ -0,0 +1,31 @@
+-- Dead-letter queue: scrape jobs that failed their last retry, kept with full error context for replay
+-- Description: error_signature groups failures by category plus a hash of the message with URLs and numbers masked
+
+CREATE TABLE IF NOT EXISTS dead_letter_jobs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    job_id TEXT NOT NULL,
+    queue_name VARCHAR(100) NOT NULL,
+    bull_job_id VARCHAR(255),
+    url TEXT,
+    config JSONB NOT NULL DEFAULT '{}',
+    config_edited_at TIMESTAMP WITH TIME ZONE,
+    error_message TEXT NOT NULL,
+    error_stack TEXT,
+    error_category VARCHAR(30) NOT NULL CHECK (error_category IN ('captcha', 'proxy', 'selector_missing', 'timeout', 'http', 'network', 'other')),
+    error_signature VARCHAR(64) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    attempt_history JSONB NOT NULL DEFAULT '[]',
+    context JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'dead' CHECK (status IN ('dead', 'replayed')),
+    replay_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    replayed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_dead_letter_jobs_signature ON dead_letter_jobs(error_signature, status);
+CREATE INDEX IF NOT EXISTS idx_dead_letter_jobs_status ON dead_letter_jobs(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dead_letter_jobs_job_id ON dead_letter_jobs(job_id);
+
+COMMENT ON COLUMN dead_letter_jobs.config IS 'Scraping config the job is replayed with; editable while the entry is dead';
+COMMENT ON COLUMN dead_letter_jobs.attempt_history IS 'Stack traces of the attempts before the last one';
+COMMENT ON COLUMN dead_letter_jobs.context IS 'engine, priority, crawl parentJobId/depth and artifactExecutionId of the last attempt';
@@ -0,0 +1,8 @@
+-- Execution progress: the latest structured progress event of each execution
+-- Description: written by ProgressTracker from BullMQ progress events; read by GET /api/executions/:id/progress and its stream
+
+ALTER TABLE scraping_executions
+    ADD COLUMN IF NOT EXISTS progress JSONB,
+    ADD COLUMN IF NOT EXISTS progress_updated_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN scraping_executions.progress IS 'stage, percent, navigations, actionsExecuted, pagesCrawled, recordsExtracted, startedAt, updatedAt';
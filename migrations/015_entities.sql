@@ -0,0 +1,39 @@
+-- Entities: scraped records that describe the same real-world item, merged into one row with provenance
+-- Description: ids are derived from the first matching key so re-resolving a record lands on the same entity; blocking_keys narrow fuzzy-match candidates
+
+CREATE TABLE IF NOT EXISTS entities (
+    id UUID PRIMARY KEY,
+    project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+    entity_type VARCHAR(100) NOT NULL DEFAULT 'record',
+    data JSONB NOT NULL DEFAULT '{}',
+    field_sources JSONB NOT NULL DEFAULT '{}',
+    blocking_keys TEXT[] NOT NULL DEFAULT '{}',
+    source_count INTEGER NOT NULL DEFAULT 0,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS entity_sources (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    entity_id UUID REFERENCES entities(id) ON DELETE CASCADE,
+    scraped_data_id UUID REFERENCES scraped_data(id) ON DELETE SET NULL,
+    url TEXT,
+    canonical_url TEXT,
+    data JSONB NOT NULL,
+    match_rule VARCHAR(100) NOT NULL,
+    match_score REAL NOT NULL DEFAULT 1,
+    observed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_entities_project_type ON entities(project_id, entity_type);
+CREATE INDEX IF NOT EXISTS idx_entities_blocking_keys ON entities USING GIN (blocking_keys);
+CREATE INDEX IF NOT EXISTS idx_entity_sources_entity_id ON entity_sources(entity_id, observed_at DESC);
+
+-- Pipelines gain a dedupe stage that resolves records into entities
+ALTER TABLE pipeline_stage_runs DROP CONSTRAINT IF EXISTS pipeline_stage_runs_type_check;
+ALTER TABLE pipeline_stage_runs ADD CONSTRAINT pipeline_stage_runs_type_check
+    CHECK (type IN ('scrape', 'process', 'dedupe', 'export'));
+
+COMMENT ON COLUMN entities.field_sources IS 'Per top-level field: {url, scraped_data_id, observed_at} of the record its merged value came from';
+COMMENT ON COLUMN entity_sources.match_rule IS 'new, key:<composite key>, url or fuzzy';
@@ -0,0 +1,12 @@
+-- URL fingerprints per project: two tenants monitoring the same URL with the same extractors must not share a baseline
+-- Description: NULLS NOT DISTINCT (PostgreSQL 15+) keeps one row per URL and key for jobs without a project.
+-- Rows stored before this migration have no project, so each project's next delta run records its page as new once.
+
+ALTER TABLE url_fingerprints
+    ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE CASCADE;
+
+ALTER TABLE url_fingerprints DROP CONSTRAINT IF EXISTS unique_fingerprint_per_url;
+ALTER TABLE url_fingerprints
+    ADD CONSTRAINT unique_fingerprint_per_url UNIQUE NULLS NOT DISTINCT (project_id, url, fingerprint_key);
+
+CREATE INDEX IF NOT EXISTS idx_url_fingerprints_project_id ON url_fingerprints(project_id);
@@ -0,0 +1,14 @@
+-- Template metrics: average_duration now averages successful runs only (used for completion estimates)
+-- Description: failed runs always added 0ms to the old all-runs average, so the stored value is the sum of
+-- successful durations over total_runs and converts exactly. Run it together with the deploy that changes the
+-- formula; rows already updated by the new code would otherwise be scaled twice.
+
+UPDATE template_metrics
+SET average_duration = average_duration * total_runs / successful_runs
+WHERE successful_runs > 0 AND total_runs > successful_runs;
+
+UPDATE template_metrics
+SET average_duration = 0
+WHERE successful_runs = 0;
+
+COMMENT ON COLUMN template_metrics.average_duration IS 'Mean duration in ms of successful runs';
@@ -0,0 +1,22 @@
+-- Entity candidates: fuzzy-match candidates ranked by how many blocking tokens they share with the record
+-- Description: an unordered `blocking_keys && tokens` with a LIMIT returns whichever entities share a common
+-- word first; ranking by shared tokens keeps the likely match in the list however many titles contain that word
+
+CREATE OR REPLACE FUNCTION entity_candidates(
+    p_project_id UUID,
+    p_entity_type TEXT,
+    p_tokens TEXT[],
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS SETOF entities
+LANGUAGE sql STABLE
+AS $$
+    SELECT e.*
+    FROM entities e
+    WHERE e.project_id = p_project_id
+      AND e.entity_type = p_entity_type
+      AND e.blocking_keys && p_tokens
+    ORDER BY (SELECT count(*) FROM unnest(e.blocking_keys) AS key WHERE key = ANY (p_tokens)) DESC,
+             e.last_seen_at DESC
+    LIMIT p_limit;
+$$;
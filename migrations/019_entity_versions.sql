@@ -0,0 +1,5 @@
+-- Entity versions: optimistic locking for entity merges
+-- Description: a merge is computed from the entity as read and written back only if the version is unchanged,
+-- so two workers merging records into the same entity cannot overwrite each other's fields and source counts
+
+ALTER TABLE entities ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
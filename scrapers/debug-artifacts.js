@@ -0,0 +1,159 @@
+// APL AI Scraper 2.0 - Trace, HAR, DOM and screenshot recording for debugging executions
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * @typedef {'on-failure'|'always'|'never'} ArtifactMode
+ */
+
+/**
+ * @typedef {Object} RecordedArtifact
+ * @property {'trace'|'har'|'dom'|'screenshot'} type
+ * @property {string} path - temporary file; ArtifactStore moves it into permanent storage
+ * @property {string} fileName
+ * @property {string} contentType
+ * @property {number} size
+ */
+
+const ARTIFACT_MODES = ['on-failure', 'always', 'never'];
+
+const ARTIFACT_FILES = {
+  trace: { fileName: 'trace.zip', contentType: 'application/zip' },
+  har: { fileName: 'network.har', contentType: 'application/json' },
+  dom: { fileName: 'dom.html', contentType: 'text/html' },
+  screenshot: { fileName: 'screenshot.png', contentType: 'image/png' }
+};
+
+/**
+ * Records one browser scrape. Trace and HAR have to be running from the start to be
+ * useful, so they are always recorded unless the mode is 'never'; with 'on-failure'
+ * a successful scrape discards them. That still costs every browser scrape the tracing
+ * screenshots and a temporary HAR, so DEBUG_ARTIFACTS=never turns recording off for jobs
+ * that do not ask for it.
+ */
+class DebugRecorder {
+  /**
+   * @param {ArtifactMode} [mode] - defaults to DEBUG_ARTIFACTS, then 'on-failure'
+   */
+  constructor(mode = /** @type {ArtifactMode} */ (process.env.DEBUG_ARTIFACTS || 'on-failure')) {
+    if (!ARTIFACT_MODES.includes(mode)) {
+      throw new Error(`Unknown debug artifact mode: ${mode}`);
+    }
+    this.mode = mode;
+    this.dir = null;
+    this.tracing = false;
+  }
+
+  get enabled() {
+    return this.mode !== 'never';
+  }
+
+  fileFor(type) {
+    return path.join(this.dir, ARTIFACT_FILES[type].fileName);
+  }
+
+  async prepare() {
+    if (!this.enabled) return;
+    this.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scrape-artifacts-'));
+  }
+
+  /**
+   * Options merged into newContext(); the HAR is written when the context closes.
+   * Response bodies are left out to keep the file small; the DOM snapshot covers content.
+   * @returns {{ recordHar?: { path: string, content: 'omit' } }}
+   */
+  contextOptions() {
+    if (!this.enabled) return {};
+    return { recordHar: { path: this.fileFor('har'), content: 'omit' } };
+  }
+
+  /**
+   * @param {any} context - Playwright BrowserContext
+   */
+  async start(context) {
+    if (!this.enabled) return;
+    try {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+      this.tracing = true;
+    } catch (error) {
+      console.warn('Could not start tracing:', error.message);
+    }
+  }
+
+  /**
+   * Snapshot the page and stop tracing. Call before the context is released.
+   * @param {any} page
+   * @param {any} context
+   * @param {boolean} failed
+   */
+  async capture(page, context, failed) {
+    if (!this.enabled) return;
+    const keep = failed || this.mode === 'always';
+
+    if (keep && page) {
+      try {
+        await page.screenshot({ path: this.fileFor('screenshot'), fullPage: true });
+      } catch (error) {
+        console.warn('Could not capture failure screenshot:', error.message);
+      }
+      try {
+        await fs.writeFile(this.fileFor('dom'), await page.content());
+      } catch (error) {
+        console.warn('Could not capture DOM snapshot:', error.message);
+      }
+    }
+
+    if (this.tracing) {
+      try {
+        await context.tracing.stop(keep ? { path: this.fileFor('trace') } : {});
+      } catch (error) {
+        console.warn('Could not stop tracing:', error.message);
+      }
+      this.tracing = false;
+    }
+  }
+
+  /**
+   * List what was recorded, once the context is closed and the HAR is on disk.
+   * Discards everything when the scrape succeeded in 'on-failure' mode.
+   * @param {boolean} failed
+   * @returns {Promise<RecordedArtifact[]>}
+   */
+  async collect(failed) {
+    if (!this.enabled || !this.dir) return [];
+
+    if (!failed && this.mode === 'on-failure') {
+      await this.discard();
+      return [];
+    }
+
+    /** @type {RecordedArtifact[]} */
+    const artifacts = [];
+    for (const [type, file] of Object.entries(ARTIFACT_FILES)) {
+      const filePath = this.fileFor(type);
+      try {
+        const stats = await fs.stat(filePath);
+        artifacts.push({
+          type: /** @type {RecordedArtifact['type']} */ (type),
+          path: filePath,
+          fileName: file.fileName,
+          contentType: file.contentType,
+          size: stats.size
+        });
+      } catch {
+        // Not recorded (e.g. the page never opened)
+      }
+    }
+    return artifacts;
+  }
+
+  async discard() {
+    if (this.dir) {
+      await fs.rm(this.dir, { recursive: true, force: true }).catch(() => {});
+      this.dir = null;
+    }
+  }
+}
+
+module.exports = { DebugRecorder, ARTIFACT_MODES, ARTIFACT_FILES };
@@ -0,0 +1,105 @@
+// APL AI Scraper 2.0 - Scrape engine selection
+const { HttpScraper, hasExtractorType } = require('./http-scraper');
+
+/**
+ * @typedef {'browser'|'http'|'auto'} ScrapeEngine
+ */
+
+/**
+ * @typedef {Object} EngineSelection
+ * @property {'browser'|'http'} engine
+ * @property {string} reason
+ * @property {import('./http-scraper').FetchedPage} [page] - probe response, reused by the HTTP engine
+ */
+
+const SCRAPE_ENGINES = ['browser', 'http', 'auto'];
+
+// Below this much visible body text a page without matching selectors is treated as a JS app shell
+const MIN_STATIC_TEXT_LENGTH = 200;
+
+/**
+ * Name the first job feature that only the browser engine can run, if any.
+ * @param {any} jobConfig
+ * @returns {string|null}
+ */
+function browserOnlyFeature(jobConfig) {
+  if (jobConfig.actions && jobConfig.actions.length > 0) return 'actions';
+  if (jobConfig.takeScreenshot) return 'screenshot';
+  if (jobConfig.captureNetwork) return 'network_capture';
+  if (hasExtractorType(jobConfig.extractors, 'json')) return 'extractor:json';
+  const paginationType = jobConfig.pagination && jobConfig.pagination.type;
+  if (paginationType === 'infiniteScroll' || paginationType === 'loadMore') return `pagination:${paginationType}`;
+  return null;
+}
+
+/**
+ * Fetch the page once over HTTP and decide whether its initial HTML already holds
+ * the content the job extracts: `waitFor` and every extractor selector must match.
+ * Without extractors the page needs a non-trivial amount of body text.
+ * @param {any} jobConfig
+ * @param {HttpScraper} httpScraper
+ * @returns {Promise<EngineSelection>}
+ */
+async function probeStaticContent(jobConfig, httpScraper) {
+  let page;
+  try {
+    page = await httpScraper.fetchPage(jobConfig.url, { timeout: jobConfig.timeout, headers: jobConfig.headers });
+  } catch (error) {
+    return { engine: 'browser', reason: `probe_failed: ${error.message}` };
+  }
+
+  if (page.contentType && !/html|xml/i.test(page.contentType)) {
+    return { engine: 'browser', reason: `probe_content_type: ${page.contentType}` };
+  }
+
+  const { root } = httpScraper.loadDocument(page);
+
+  if (jobConfig.waitFor && root.find(jobConfig.waitFor).length === 0) {
+    return { engine: 'browser', reason: `probe_missing: ${jobConfig.waitFor}` };
+  }
+
+  const extractors = jobConfig.extractors || [];
+  // `exists` may legitimately match nothing, so it says nothing about rendering
+  const missing = extractors.find(extractor => extractor.selector && extractor.type !== 'exists'
+    && root.find(extractor.selector).length === 0);
+  if (missing) {
+    return { engine: 'browser', reason: `probe_missing: ${missing.selector}` };
+  }
+
+  if (extractors.length === 0) {
+    const body = root.find('body').clone();
+    body.find('script, style, noscript, template').remove();
+    if (body.text().replace(/\s+/g, ' ').trim().length < MIN_STATIC_TEXT_LENGTH) {
+      return { engine: 'browser', reason: 'probe_app_shell' };
+    }
+  }
+
+  return { engine: 'http', reason: 'probe_static', page };
+}
+
+/**
+ * Pick the engine for a job from `jobConfig.engine` ('browser' | 'http' | 'auto').
+ * Jobs without an engine use SCRAPE_ENGINE_DEFAULT, falling back to 'browser'.
+ * @param {any} jobConfig
+ * @param {HttpScraper} [httpScraper]
+ * @returns {Promise<EngineSelection>}
+ */
+async function selectEngine(jobConfig, httpScraper = new HttpScraper()) {
+  const engine = jobConfig.engine || process.env.SCRAPE_ENGINE_DEFAULT || 'browser';
+
+  if (!SCRAPE_ENGINES.includes(engine)) {
+    throw new Error(`Unknown scrape engine: ${engine}`);
+  }
+  if (engine !== 'auto') {
+    return { engine, reason: 'configured' };
+  }
+
+  const feature = browserOnlyFeature(jobConfig);
+  if (feature) {
+    return { engine: 'browser', reason: `requires_browser: ${feature}` };
+  }
+
+  return probeStaticContent(jobConfig, httpScraper);
+}
+
+module.exports = { SCRAPE_ENGINES, selectEngine, probeStaticContent, browserOnlyFeature };
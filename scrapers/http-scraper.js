@@ -0,0 +1,468 @@
+// APL AI Scraper 2.0 - HTTP Scraper Engine (no browser)
+const cheerio = require('cheerio');
+const {
+  normalizePaginationConfig,
+  buildPageUrl,
+  fingerprintPageData,
+  repeatsSeenItems,
+  isEmptyPageData,
+  mergePageResults
+} = require('./pagination');
+const { applyTransform } = require('./transforms');
+
+/**
+ * @typedef {Object} FetchedPage
+ * @property {string} url - final URL after redirects
+ * @property {number} status
+ * @property {string} contentType
+ * @property {string} html - empty for a 304 answer to a conditional request
+ * @property {string|null} etag
+ * @property {string|null} lastModified
+ */
+
+/**
+ * @typedef {Object} DocumentScope
+ * @property {import('cheerio').CheerioAPI} $
+ * @property {any} root - cheerio selection queries are evaluated against
+ * @property {string} baseUrl - for resolving relative href/src values
+ */
+
+/**
+ * Abort when any of the signals does. Combined by hand: AbortSignal.any needs Node 20.3
+ * while engines allows 18.
+ * @param {AbortSignal[]} signals
+ * @returns {{ signal: AbortSignal, release: () => void }} release detaches from the inputs,
+ *   which matters for a job's cancellation signal that outlives every request
+ */
+function combineSignals(signals) {
+  const controller = new AbortController();
+  const detach = [];
+
+  for (const signal of signals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    detach.push(() => signal.removeEventListener('abort', onAbort));
+  }
+
+  return { signal: controller.signal, release: () => detach.forEach(fn => fn()) };
+}
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5'
+};
+
+/**
+ * Whether any extractor, including the fields of list extractors, has the given type.
+ * @param {any[]|undefined} extractors
+ * @param {string} type
+ * @returns {boolean}
+ */
+function hasExtractorType(extractors, type) {
+  return (extractors || []).some((extractor) => {
+    if (extractor.type === type) return true;
+    if (extractor.type !== 'list' || !extractor.fields) return false;
+    return hasExtractorType(Array.isArray(extractor.fields) ? extractor.fields : Object.values(extractor.fields), type);
+  });
+}
+
+/**
+ * Scrapes static pages with a plain HTTP request and a cheerio DOM. Supports the same
+ * `extractors` contract as PlaywrightScraper; anything that needs a live page
+ * (actions, screenshots, infinite scroll, json extractors) must run on the browser engine.
+ */
+class HttpScraper {
+  /**
+   * @param {{ signal?: AbortSignal, progress?: import('../services/progress-tracker').ProgressReporter }} [options]
+   *   - aborting the signal cancels in-flight requests; `progress` hears about fetches and extracted pages
+   */
+  constructor(options = {}) {
+    this.signal = options.signal || null;
+    this.progress = options.progress || null;
+  }
+
+  // Nothing to launch; kept so JobQueue can treat both engines alike
+  async init() {}
+
+  async close() {}
+
+  /**
+   * @param {string} url
+   * @param {{ timeout?: number, headers?: Object }} [options]
+   * @returns {Promise<FetchedPage>}
+   */
+  async fetchPage(url, options = {}) {
+    const { timeout = 30000, headers = {} } = options;
+    const { signal, release } = combineSignals([AbortSignal.timeout(timeout), this.signal].filter(Boolean));
+
+    try {
+      const response = await fetch(url, {
+        headers: { ...DEFAULT_HEADERS, ...headers },
+        redirect: 'follow',
+        signal
+      });
+
+      // 304 only comes back when the caller sent If-None-Match / If-Modified-Since
+      if (!response.ok && response.status !== 304) {
+        throw new Error(`HTTP ${response.status} fetching ${url}`);
+      }
+      this.progress?.add('navigations');
+
+      return {
+        url: response.url || url,
+        status: response.status,
+        contentType: response.headers.get('content-type') || '',
+        html: response.status === 304 ? '' : await response.text(),
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      };
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * @param {FetchedPage} page
+   * @returns {DocumentScope}
+   */
+  loadDocument(page) {
+    const $ = cheerio.load(page.html);
+    return { $, root: $.root(), baseUrl: page.url };
+  }
+
+  /**
+   * @param {any} jobConfig
+   * @param {FetchedPage} [preloaded] - page already fetched by the engine probe
+   */
+  async scrape(jobConfig, preloaded) {
+    const { url, waitFor, actions, extractors, pagination, timeout = 30000, headers } = jobConfig;
+
+    try {
+      console.log(`ðŸŒ Starting HTTP scrape for: ${url}`);
+
+      if (actions && actions.length > 0) {
+        throw new Error('Page actions require the browser engine');
+      }
+      if (jobConfig.captureNetwork) {
+        throw new Error('Network capture requires the browser engine');
+      }
+      if (hasExtractorType(extractors, 'json')) {
+        throw new Error('JSON extractors read captured network responses and require the browser engine');
+      }
+      if (jobConfig.takeScreenshot) {
+        console.warn('Screenshots are not available on the HTTP engine; skipping');
+      }
+
+      await this.progress?.stage('navigating');
+      const page = preloaded && preloaded.url ? preloaded : await this.fetchPage(url, { timeout, headers });
+      const scope = this.loadDocument(page);
+
+      if (waitFor && scope.root.find(waitFor).length === 0) {
+        throw new Error(`Selector not found in static HTML: ${waitFor}`);
+      }
+
+      await this.progress?.stage('extracting');
+      let data;
+      let paginationSummary = null;
+      if (pagination) {
+        const paginated = await this.scrapePaginated(scope, jobConfig);
+        data = paginated.data;
+        paginationSummary = paginated.summary;
+      } else {
+        data = this.extractPage(scope, extractors);
+        this.progress?.add('pagesCrawled');
+      }
+
+      const links = jobConfig.collectLinks ? this.collectLinks(scope) : null;
+
+      console.log(`âœ… HTTP scraping completed successfully for: ${url}`);
+      const result = { success: true, data, validators: { etag: page.etag, lastModified: page.lastModified } };
+      if (paginationSummary) {
+        result.pagination = paginationSummary;
+      }
+      if (links) {
+        result.links = links;
+      }
+      return result;
+
+    } catch (error) {
+      if (this.signal && this.signal.aborted) {
+        return { success: false, cancelled: true, error: this.signal.reason?.message || 'Cancelled' };
+      }
+      console.error(`HTTP scraping failed for ${url}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * @param {DocumentScope} scope
+   * @param {any[]} [extractors]
+   */
+  extractPage(scope, extractors) {
+    const data = {};
+    if (extractors && extractors.length > 0) {
+      for (const extractor of extractors) {
+        data[extractor.name] = this.extractData(scope, extractor);
+      }
+    } else {
+      const { $, root } = scope;
+      data.title = $('title').first().text().trim();
+      data.url = scope.baseUrl;
+      data.content = this.extractDefaultContent(scope);
+      data.links = root.find('a[href]').toArray()
+        .map(link => ({
+          text: $(link).text().trim(),
+          href: this.resolveUrl($(link).attr('href'), scope.baseUrl),
+          title: $(link).attr('title') || ''
+        }))
+        .filter(link => link.href && link.href.startsWith('http'))
+        .slice(0, 50);
+      data.images = root.find('img[src]').toArray()
+        .map(img => ({
+          src: this.resolveUrl($(img).attr('src'), scope.baseUrl),
+          alt: $(img).attr('alt') || '',
+          title: $(img).attr('title') || '',
+          width: Number($(img).attr('width')) || 0,
+          height: Number($(img).attr('height')) || 0
+        }))
+        .filter(img => img.src && img.src.startsWith('http'))
+        .slice(0, 20);
+    }
+    return data;
+  }
+
+  /**
+   * Follow `nextButton` links or `urlPattern` pages by fetching each page in turn.
+   * @param {DocumentScope} firstScope
+   * @param {any} jobConfig
+   * @returns {Promise<{ data: Object, summary: Object }>}
+   */
+  async scrapePaginated(firstScope, jobConfig) {
+    const { extractors, timeout = 30000, headers } = jobConfig;
+    const config = normalizePaginationConfig(jobConfig.pagination);
+
+    if (config.type === 'infiniteScroll' || config.type === 'loadMore') {
+      throw new Error(`Pagination type '${config.type}' requires the browser engine`);
+    }
+
+    const pages = [];
+    const pageUrls = [];
+    const fingerprints = new Set();
+    const seenItems = new Set();
+    let scope = firstScope;
+    let stopReason = 'max_pages';
+
+    for (let pageIndex = 0; pageIndex < config.maxPages; pageIndex++) {
+      if (pageIndex > 0) {
+        const nextUrl = config.type === 'urlPattern'
+          ? buildPageUrl(config.urlPattern, config.startPage + pageIndex, config)
+          : this.resolveUrl(scope.root.find(config.selector).first().attr('href'), scope.baseUrl);
+
+        if (!nextUrl) {
+          stopReason = 'no_next_page';
+          break;
+        }
+
+        try {
+          scope = this.loadDocument(await this.fetchPage(nextUrl, { timeout, headers }));
+        } catch (error) {
+          if (this.signal && this.signal.aborted) throw error;
+          console.warn(`Failed to fetch page ${pageIndex + 1}:`, error.message);
+          stopReason = 'no_next_page';
+          break;
+        }
+      }
+
+      const pageData = this.extractPage(scope, extractors);
+
+      // Items are recorded from the first page on, so a later page that only repeats them stops
+      const repeatedItems = config.stopOnNoNewItems && repeatsSeenItems(pageData, seenItems);
+      if (pageIndex > 0 && config.stopOnNoNewItems) {
+        const noItems = config.itemSelector
+          ? scope.root.find(config.itemSelector).length === 0
+          : isEmptyPageData(pageData);
+        if (noItems || repeatedItems) {
+          stopReason = 'no_new_items';
+          break;
+        }
+      }
+
+      if (config.stopOnDuplicatePage) {
+        const fingerprint = fingerprintPageData(pageData);
+        if (fingerprints.has(fingerprint)) {
+          stopReason = 'duplicate_page';
+          break;
+        }
+        fingerprints.add(fingerprint);
+      }
+
+      pages.push(pageData);
+      pageUrls.push(scope.baseUrl);
+      this.progress?.add('pagesCrawled');
+    }
+
+    return {
+      data: mergePageResults(pages),
+      summary: { type: config.type, pagesScraped: pages.length, pageUrls, stopReason }
+    };
+  }
+
+  /**
+   * Run one extractor against the document, or against a list container.
+   * Mirrors PlaywrightScraper.extractData: a single-value extractor that matches
+   * nothing yields null, a multiple one yields [].
+   * @param {DocumentScope} scope
+   * @param {any} extractor
+   */
+  extractData(scope, extractor) {
+    const { type, attribute, multiple = false, transform, selector } = extractor;
+    const { $, baseUrl } = scope;
+    // Child extractors of a list may omit the selector to target the container itself
+    const matches = selector ? scope.root.find(selector) : scope.root;
+    const first = () => {
+      if (matches.length === 0) throw new Error(`No element matches selector ${selector}`);
+      return matches.first();
+    };
+
+    try {
+      let result;
+
+      switch (type) {
+      case 'list':
+        return this.extractList(scope, extractor);
+
+      case 'html':
+        result = multiple
+          ? matches.toArray().map(el => $(el).html())
+          : first().html();
+        break;
+
+      case 'attribute':
+        result = multiple
+          ? matches.toArray().map(el => $(el).attr(attribute)).filter(val => val !== undefined)
+          : first().attr(attribute) ?? null;
+        break;
+
+      case 'href':
+      case 'src':
+        result = multiple
+          ? matches.toArray()
+            .map(el => this.resolveUrl($(el).attr(type), baseUrl))
+            .filter(value => value && value.startsWith('http'))
+          : this.resolveUrl(first().attr(type), baseUrl);
+        break;
+
+      case 'count':
+        result = matches.length;
+        break;
+
+      case 'exists':
+        result = matches.length > 0;
+        break;
+
+      case 'text':
+      default:
+        result = multiple
+          ? matches.toArray().map(el => $(el).text().trim()).filter(text => text.length > 0)
+          : first().text().trim();
+      }
+
+      return applyTransform(result, transform);
+
+    } catch (error) {
+      console.warn(`Extraction failed for selector ${selector}:`, error.message);
+      return multiple || type === 'list' ? [] : null;
+    }
+  }
+
+  /**
+   * Same record semantics as PlaywrightScraper.extractList.
+   * @param {DocumentScope} scope
+   * @param {{ selector: string, fields: Object|Array<Object>, limit?: number }} extractor
+   * @returns {Object[]}
+   */
+  extractList(scope, extractor) {
+    const { selector, fields, limit } = extractor;
+    if (!selector || !fields) {
+      throw new Error('List extractor requires a container selector and fields');
+    }
+
+    const childExtractors = Array.isArray(fields)
+      ? fields
+      : Object.entries(fields).map(([name, child]) => ({ ...child, name }));
+
+    let containers = scope.root.find(selector).toArray();
+    if (limit) {
+      containers = containers.slice(0, limit);
+    }
+
+    return containers.map((container) => {
+      const containerScope = { ...scope, root: scope.$(container) };
+      const record = {};
+      for (const child of childExtractors) {
+        record[child.name] = this.extractData(containerScope, child);
+      }
+      return record;
+    });
+  }
+
+  /**
+   * @param {DocumentScope} scope
+   * @returns {string}
+   */
+  extractDefaultContent(scope) {
+    const contentSelectors = [
+      'main',
+      '[role="main"]',
+      '.main-content',
+      '#main-content',
+      '.content',
+      '#content',
+      'article',
+      '.article',
+      '.post-content',
+      '.entry-content'
+    ];
+
+    for (const selector of contentSelectors) {
+      const content = scope.root.find(selector).first().text().trim();
+      if (content.length > 100) {
+        return content;
+      }
+    }
+
+    return scope.root.find('body').text().trim();
+  }
+
+  /**
+   * @param {DocumentScope} scope
+   * @returns {string[]}
+   */
+  collectLinks(scope) {
+    return scope.root.find('a[href]').toArray()
+      .map(anchor => this.resolveUrl(scope.$(anchor).attr('href'), scope.baseUrl))
+      .filter(Boolean);
+  }
+
+  /**
+   * Resolve an href/src attribute the way the browser's `element.href` does.
+   * @param {string|undefined} value
+   * @param {string} baseUrl
+   * @returns {string|null}
+   */
+  resolveUrl(value, baseUrl) {
+    if (!value) return null;
+    try {
+      return new URL(value.trim(), baseUrl).toString();
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = { HttpScraper, hasExtractorType };
@@ -0,0 +1,301 @@
+// APL AI Scraper 2.0 - Network response capture and JSONPath queries
+
+/**
+ * @typedef {Object} NetworkCaptureConfig
+ * @property {string[]} [urlPatterns] - substrings, globs (`*`, `**`) or `/regex/` sources; empty matches every URL
+ * @property {string[]} [contentTypes] - content-type substrings to keep (default: json)
+ * @property {string[]} [resourceTypes] - Playwright resource types to keep (default: xhr, fetch)
+ * @property {number} [maxResponses] - stop recording after this many responses
+ * @property {number} [maxBodyBytes] - larger bodies are recorded without their payload
+ */
+
+/**
+ * @typedef {Object} CapturedResponse
+ * @property {string} url
+ * @property {string} method
+ * @property {number} status
+ * @property {string} contentType
+ * @property {string} resourceType
+ * @property {number} size
+ * @property {any} body - parsed JSON, raw text, or null when truncated/unreadable
+ * @property {boolean} [truncated]
+ * @property {number} page - pagination page the response arrived on (0-based)
+ */
+
+/**
+ * @typedef {{ type: 'child'|'descend', key: string } | { type: 'index', index: number } | { type: 'wildcard' }} PathToken
+ */
+
+/**
+ * Fill in defaults for `jobConfig.captureNetwork` (which may simply be `true`).
+ * @param {NetworkCaptureConfig|boolean} config
+ * @returns {NetworkCaptureConfig}
+ */
+function normalizeCaptureConfig(config) {
+  const options = config === true ? {} : config;
+  return {
+    urlPatterns: [],
+    contentTypes: ['json'],
+    resourceTypes: ['xhr', 'fetch'],
+    maxResponses: 100,
+    maxBodyBytes: 1024 * 1024,
+    ...options
+  };
+}
+
+/**
+ * Compile a URL pattern: `/source/` is a regex, a pattern containing `*` is a glob
+ * (`**` crosses path segments, `*` does not), anything else is a substring.
+ * @param {string} pattern
+ * @returns {(url: string) => boolean}
+ */
+function compileUrlPattern(pattern) {
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    const regex = new RegExp(pattern.slice(1, -1));
+    return url => regex.test(url);
+  }
+  if (pattern.includes('*')) {
+    const source = pattern
+      .split('**')
+      .map(part => part.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+      .join('.*');
+    const regex = new RegExp(`^${source}$`);
+    return url => regex.test(url);
+  }
+  return url => url.includes(pattern);
+}
+
+/**
+ * Parse a JSONPath-style expression. Supported: `$`, `.key`, `['key']`, `[0]`, `[-1]`,
+ * `[*]`, `.*` and recursive descent `..key`. A leading `$` is optional.
+ * @param {string} path
+ * @returns {PathToken[]}
+ */
+function parseJsonPath(path) {
+  let rest = path.trim();
+  if (rest.startsWith('$')) rest = rest.slice(1);
+  else if (rest && !rest.startsWith('.') && !rest.startsWith('[')) rest = `.${rest}`;
+
+  /** @type {PathToken[]} */
+  const tokens = [];
+  const tokenPattern = /^(?:\.\.([^.[\]]+)|\.([^.[\]]+)|\[\s*(?:(-?\d+)|(\*)|'([^']*)'|"([^"]*)")\s*\])/;
+
+  while (rest.length > 0) {
+    const match = rest.match(tokenPattern);
+    if (!match) {
+      throw new Error(`Invalid JSON path near '${rest}' in ${path}`);
+    }
+    const [whole, descendKey, childKey, index, star, singleQuoted, doubleQuoted] = match;
+
+    if (descendKey !== undefined) {
+      tokens.push({ type: 'descend', key: descendKey });
+    } else if (childKey === '*' || star) {
+      tokens.push({ type: 'wildcard' });
+    } else if (index !== undefined) {
+      tokens.push({ type: 'index', index: Number(index) });
+    } else {
+      tokens.push({ type: 'child', key: childKey ?? singleQuoted ?? doubleQuoted });
+    }
+    rest = rest.slice(whole.length);
+  }
+
+  return tokens;
+}
+
+function collectDescendants(value, key, results) {
+  if (value === null || typeof value !== 'object') return;
+  if (key === '*') {
+    for (const child of Object.values(value)) {
+      results.push(child);
+      collectDescendants(child, key, results);
+    }
+    return;
+  }
+  if (!Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, key)) {
+    results.push(value[key]);
+  }
+  for (const child of Object.values(value)) {
+    collectDescendants(child, key, results);
+  }
+}
+
+/**
+ * Evaluate a JSONPath-style expression and return every match (possibly none).
+ * @param {any} data
+ * @param {string} path
+ * @returns {any[]}
+ */
+function queryJsonPath(data, path) {
+  let current = [data];
+
+  for (const token of parseJsonPath(path)) {
+    const next = [];
+    for (const value of current) {
+      if (value === null || typeof value !== 'object') continue;
+
+      switch (token.type) {
+      case 'child':
+        if (Object.prototype.hasOwnProperty.call(value, token.key)) next.push(value[token.key]);
+        break;
+      case 'index':
+        if (Array.isArray(value)) {
+          const index = token.index < 0 ? value.length + token.index : token.index;
+          if (index >= 0 && index < value.length) next.push(value[index]);
+        }
+        break;
+      case 'wildcard':
+        next.push(...Object.values(value));
+        break;
+      case 'descend':
+        collectDescendants(value, token.key, next);
+        break;
+      }
+    }
+    current = next;
+  }
+
+  return current;
+}
+
+/**
+ * Records responses a page receives while it loads, runs actions and paginates.
+ * Body reads are asynchronous, so call settle() before extracting from `responses`.
+ */
+class NetworkCapture {
+  /**
+   * @param {NetworkCaptureConfig|boolean} config
+   */
+  constructor(config) {
+    this.config = normalizeCaptureConfig(config);
+    this.matchers = (this.config.urlPatterns || []).map(compileUrlPattern);
+    /** @type {CapturedResponse[]} */
+    this.responses = [];
+    this.pending = new Set();
+    this.dropped = 0;
+    this.pageIndex = 0;
+    this.scopeToPage = false; // when paginating, queries only see the current page's responses
+    this.page = null;
+    this.listener = response => this.handleResponse(response);
+  }
+
+  attach(page) {
+    this.page = page;
+    page.on('response', this.listener);
+  }
+
+  detach() {
+    if (this.page) {
+      this.page.off('response', this.listener);
+      this.page = null;
+    }
+  }
+
+  // Responses arriving after this call are attributed to the next pagination page
+  nextPage() {
+    this.pageIndex++;
+  }
+
+  async settle() {
+    await Promise.all([...this.pending]);
+  }
+
+  /**
+   * @param {any} response - Playwright Response
+   * @returns {boolean}
+   */
+  matches(response) {
+    const url = response.url();
+    const contentType = response.headers()['content-type'] || '';
+    const resourceType = response.request().resourceType();
+    const { contentTypes, resourceTypes } = this.config;
+
+    if (resourceTypes && resourceTypes.length > 0 && !resourceTypes.includes(resourceType)) return false;
+    if (contentTypes && contentTypes.length > 0 && !contentTypes.some(type => contentType.includes(type))) return false;
+    return this.matchers.length === 0 || this.matchers.some(match => match(url));
+  }
+
+  handleResponse(response) {
+    try {
+      if (!this.matches(response)) return;
+    } catch {
+      return;
+    }
+
+    if (this.responses.length + this.pending.size >= this.config.maxResponses) {
+      this.dropped++;
+      return;
+    }
+
+    const read = this.readResponse(response)
+      .then((captured) => { this.responses.push(captured); })
+      .catch(() => { this.dropped++; })
+      .finally(() => { this.pending.delete(read); });
+    this.pending.add(read);
+  }
+
+  /**
+   * @param {any} response
+   * @returns {Promise<CapturedResponse>}
+   */
+  async readResponse(response) {
+    const contentType = response.headers()['content-type'] || '';
+    const page = this.pageIndex;
+    const buffer = await response.body();
+
+    /** @type {CapturedResponse} */
+    const captured = {
+      url: response.url(),
+      method: response.request().method(),
+      status: response.status(),
+      contentType,
+      resourceType: response.request().resourceType(),
+      size: buffer.length,
+      body: null,
+      page
+    };
+
+    if (buffer.length > this.config.maxBodyBytes) {
+      captured.truncated = true;
+      return captured;
+    }
+
+    const text = buffer.toString('utf8');
+    try {
+      captured.body = JSON.parse(text);
+    } catch {
+      captured.body = text;
+    }
+    return captured;
+  }
+
+  /**
+   * Values for a `json` extractor: `path` is evaluated against every captured JSON body,
+   * optionally only those whose URL matches `source`.
+   * @param {{ path: string, source?: string }} extractor
+   * @returns {any[]}
+   */
+  query(extractor) {
+    if (!extractor.path) {
+      throw new Error('JSON extractor requires a path');
+    }
+    const sourceMatches = extractor.source ? compileUrlPattern(extractor.source) : null;
+
+    return this.responses
+      .filter(response => !this.scopeToPage || response.page === this.pageIndex)
+      .filter(response => !sourceMatches || sourceMatches(response.url))
+      .filter(response => response.body !== null && typeof response.body === 'object')
+      .flatMap(response => queryJsonPath(response.body, extractor.path));
+  }
+
+  toJSON() {
+    return { responses: this.responses, dropped: this.dropped };
+  }
+}
+
+module.exports = {
+  NetworkCapture,
+  normalizeCaptureConfig,
+  compileUrlPattern,
+  parseJsonPath,
+  queryJsonPath
+};
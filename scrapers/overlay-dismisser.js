@@ -0,0 +1,323 @@
+// APL AI Scraper 2.0 - Cookie-consent and overlay auto-dismissal
+
+/**
+ * @typedef {Object} OverlayRules
+ * @property {string[]} [accept] - extra consent buttons to click, tried before the built-in library
+ * @property {string[]} [close] - extra close buttons for modals
+ * @property {string[]} [remove] - elements to delete outright (paywall curtains, sticky overlays)
+ * @property {string[]} [skip] - built-in provider ids to ignore ('generic' disables text matching)
+ */
+
+/**
+ * @typedef {Object} OverlayConfig
+ * @property {boolean} [enabled] - default true
+ * @property {number} [maxRounds] - passes over the page; a second pass catches modals revealed by the first
+ * @property {Object<string, OverlayRules>} [domains] - per-domain overrides, a domain also covers its subdomains
+ * @property {string[]} [accept]
+ * @property {string[]} [close]
+ * @property {string[]} [remove]
+ * @property {string[]} [skip]
+ */
+
+/**
+ * @typedef {Object} DismissalRecord
+ * @property {'consent'|'overlay'|'removed'} kind
+ * @property {string} provider - library id, 'custom' for template selectors, 'generic' for text matches
+ * @property {string} selector
+ * @property {string} [frameUrl] - set when the element lived in an iframe
+ */
+
+// Consent managers: `detect` marks the banner, `accept` lists buttons in order of preference
+const CONSENT_PROVIDERS = [
+  {
+    id: 'onetrust',
+    detect: '#onetrust-banner-sdk, #onetrust-consent-sdk',
+    accept: ['#onetrust-accept-btn-handler', '.onetrust-close-btn-handler']
+  },
+  {
+    id: 'cookiebot',
+    detect: '#CybotCookiebotDialog',
+    accept: [
+      '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+      '#CybotCookiebotDialogBodyButtonAccept',
+      '#CybotCookiebotDialogBodyLevelButtonAccept'
+    ]
+  },
+  {
+    id: 'didomi',
+    detect: '#didomi-host, #didomi-notice, #didomi-popup',
+    accept: ['#didomi-notice-agree-button', '.didomi-continue-without-agreeing']
+  },
+  {
+    id: 'quantcast',
+    detect: '.qc-cmp2-container, #qc-cmp2-ui',
+    accept: ['.qc-cmp2-summary-buttons button[mode="primary"]', '#qc-cmp2-ui button[mode="primary"]']
+  },
+  {
+    id: 'trustarc',
+    detect: '#truste-consent-track, #truste-consent-content',
+    accept: ['#truste-consent-button']
+  },
+  {
+    id: 'sourcepoint',
+    // The message renders in an iframe inside sp_message_container_*; its own markup has only generic class names
+    detect: '[id^="sp_message_container"], .sp_choice_type_11',
+    accept: ['button.sp_choice_type_11', 'button[title="Accept all"]', 'button[title="Accept"]']
+  }
+];
+
+// Text matching only runs when one of these is visible and only clicks inside it, so
+// "Got it" or "Agree" buttons in ordinary page content are left alone
+const OVERLAY_CONTAINERS = [
+  '[role="dialog"]',
+  '[role="alertdialog"]',
+  '[aria-modal="true"]',
+  '[id*="cookie" i]',
+  '[class*="cookie" i]',
+  '[id*="consent" i]',
+  '[class*="consent" i]',
+  '[class*="gdpr" i]'
+];
+const OVERLAY_SELECTOR = OVERLAY_CONTAINERS.join(', ');
+
+// Whole-label matches only, so "Accept" inside longer sentences or unrelated buttons is left alone
+const GENERIC_ACCEPT_PATTERN = '^\\s*(accept all( cookies)?|accept( cookies)?|allow all( cookies)?|i agree|agree( and close)?|got it|'
+  + 'alle akzeptieren|akzeptieren|tout accepter|accepter|aceptar( todo)?|accetta( tutto)?|alles accepteren)\\s*$';
+const GENERIC_ACCEPT_SELECTORS = OVERLAY_CONTAINERS
+  .flatMap(container => ['button', '[role="button"]'].map(element => `${container} ${element}:text-matches("${GENERIC_ACCEPT_PATTERN}", "i")`))
+  .join(', ');
+
+const CLOSE_SELECTORS = [
+  '[role="dialog"] [aria-label="Close"]',
+  '[role="dialog"] [aria-label="close"]',
+  '[aria-modal="true"] button[class*="close"]',
+  '.modal.show .close',
+  '.modal.is-open [class*="close"]',
+  '[class*="newsletter"] [class*="close"]',
+  '[class*="popup"] button[class*="close"]'
+];
+
+const RULE_FIELDS = ['accept', 'close', 'remove', 'skip'];
+
+/**
+ * @param {OverlayConfig|boolean|undefined} config - `false` disables dismissal
+ * @returns {OverlayConfig}
+ */
+function normalizeOverlayConfig(config) {
+  const options = config === false ? { enabled: false } : (config === true || !config ? {} : config);
+  return {
+    enabled: true,
+    maxRounds: 2,
+    domains: {},
+    accept: [],
+    close: [],
+    remove: [],
+    skip: [],
+    ...options
+  };
+}
+
+/**
+ * Combine overlay configs, later ones (job) extending earlier ones (template).
+ * Selector lists are appended, per-domain overrides merged domain by domain, and an
+ * explicit `enabled` or `maxRounds` from a later config wins.
+ * @param {...(OverlayConfig|boolean|null|undefined)} configs
+ * @returns {OverlayConfig}
+ */
+function mergeOverlayConfig(...configs) {
+  const merged = normalizeOverlayConfig(undefined);
+
+  for (const config of configs) {
+    if (config === undefined || config === null) continue;
+    const options = config === false ? { enabled: false } : (config === true ? { enabled: true } : config);
+
+    if (options.enabled !== undefined) merged.enabled = options.enabled;
+    if (options.maxRounds !== undefined) merged.maxRounds = options.maxRounds;
+    for (const field of RULE_FIELDS) {
+      merged[field].push(...(options[field] || []));
+    }
+    for (const [domain, override] of Object.entries(options.domains || {})) {
+      const current = merged.domains[domain] || {};
+      merged.domains[domain] = Object.fromEntries(RULE_FIELDS.map(field => [
+        field,
+        [...(current[field] || []), ...(override[field] || [])]
+      ]));
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Merge the global rules with every domain override that matches the page host.
+ * @param {OverlayConfig} config
+ * @param {string} url
+ * @returns {Required<OverlayRules>}
+ */
+function rulesForUrl(config, url) {
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    // about:blank and friends only get the global rules
+  }
+
+  const rules = {
+    accept: [...(config.accept || [])],
+    close: [...(config.close || [])],
+    remove: [...(config.remove || [])],
+    skip: [...(config.skip || [])]
+  };
+
+  for (const [domain, override] of Object.entries(config.domains || {})) {
+    const listed = domain.toLowerCase();
+    if (hostname !== listed && !hostname.endsWith(`.${listed}`)) continue;
+    for (const field of RULE_FIELDS) {
+      rules[field].push(...(override[field] || []));
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Clicks through consent dialogs and closes modals that sit on top of the content.
+ * Every action is best-effort: a selector that does not match or a click that fails
+ * is skipped, and the records say what was actually dismissed.
+ */
+class OverlayDismisser {
+  /**
+   * @param {OverlayConfig|boolean} [config]
+   */
+  constructor(config) {
+    this.config = normalizeOverlayConfig(config);
+  }
+
+  /**
+   * @param {any} page - Playwright Page
+   * @returns {Promise<DismissalRecord[]>}
+   */
+  async dismiss(page) {
+    if (!this.config.enabled) return [];
+
+    const rules = rulesForUrl(this.config, page.url());
+    /** @type {DismissalRecord[]} */
+    const records = [];
+
+    for (let round = 0; round < this.config.maxRounds; round++) {
+      const before = records.length;
+
+      for (const frame of page.frames()) {
+        const frameUrl = frame === page.mainFrame() ? undefined : frame.url();
+        await this.dismissConsent(frame, rules, records, frameUrl);
+      }
+      await this.closeOverlays(page, rules, records);
+
+      if (records.length === before) break;
+      await page.waitForTimeout(500);
+    }
+
+    const removed = await this.removeElements(page, rules.remove);
+    records.push(...removed);
+
+    if (records.length > 0) {
+      console.log(`ðŸ§¹ Dismissed ${records.length} overlay(s) on ${page.url()}`);
+    }
+    return records;
+  }
+
+  /**
+   * @param {any} frame
+   * @param {Required<OverlayRules>} rules
+   * @param {DismissalRecord[]} records
+   * @param {string} [frameUrl]
+   */
+  async dismissConsent(frame, rules, records, frameUrl) {
+    for (const selector of rules.accept) {
+      if (await this.clickVisible(frame, selector)) {
+        records.push({ kind: 'consent', provider: 'custom', selector, ...(frameUrl && { frameUrl }) });
+        return;
+      }
+    }
+
+    for (const provider of CONSENT_PROVIDERS) {
+      if (rules.skip.includes(provider.id)) continue;
+      if (!(await this.isVisible(frame, provider.detect))) continue;
+
+      for (const selector of provider.accept) {
+        if (await this.clickVisible(frame, selector)) {
+          records.push({ kind: 'consent', provider: provider.id, selector, ...(frameUrl && { frameUrl }) });
+          return;
+        }
+      }
+    }
+
+    if (rules.skip.includes('generic') || !(await this.isVisible(frame, OVERLAY_SELECTOR))) return;
+    if (await this.clickVisible(frame, GENERIC_ACCEPT_SELECTORS)) {
+      records.push({ kind: 'consent', provider: 'generic', selector: 'accept-text', ...(frameUrl && { frameUrl }) });
+    }
+  }
+
+  /**
+   * @param {any} page
+   * @param {Required<OverlayRules>} rules
+   * @param {DismissalRecord[]} records
+   */
+  async closeOverlays(page, rules, records) {
+    const custom = new Set(rules.close);
+    for (const selector of [...rules.close, ...CLOSE_SELECTORS]) {
+      if (await this.clickVisible(page, selector)) {
+        records.push({ kind: 'overlay', provider: custom.has(selector) ? 'custom' : 'generic', selector });
+      }
+    }
+  }
+
+  /**
+   * @param {any} page
+   * @param {string[]} selectors
+   * @returns {Promise<DismissalRecord[]>}
+   */
+  async removeElements(page, selectors) {
+    /** @type {DismissalRecord[]} */
+    const records = [];
+    for (const selector of selectors) {
+      try {
+        const count = await page.$$eval(selector, (elements) => {
+          elements.forEach(element => element.remove());
+          // Modals usually lock scrolling on the body
+          document.body.style.overflow = '';
+          document.documentElement.style.overflow = '';
+          return elements.length;
+        });
+        if (count > 0) {
+          records.push({ kind: 'removed', provider: 'custom', selector });
+        }
+      } catch {
+        // Invalid selector or navigation in progress
+      }
+    }
+    return records;
+  }
+
+  async isVisible(frame, selector) {
+    try {
+      const element = await frame.$(selector);
+      return Boolean(element) && await element.isVisible();
+    } catch {
+      return false;
+    }
+  }
+
+  async clickVisible(frame, selector) {
+    try {
+      const element = await frame.$(selector);
+      if (!element || !(await element.isVisible())) return false;
+      await element.click({ timeout: 2000 });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = { OverlayDismisser, CONSENT_PROVIDERS, normalizeOverlayConfig, mergeOverlayConfig, rulesForUrl };
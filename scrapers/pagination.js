@@ -0,0 +1,171 @@
+// APL AI Scraper 2.0 - Pagination helpers
+const crypto = require('crypto');
+
+/**
+ * @typedef {Object} PaginationConfig
+ * @property {'nextButton'|'urlPattern'|'infiniteScroll'|'loadMore'} [type]
+ * @property {string} [selector] - next button or "load more" button selector
+ * @property {string} [urlPattern] - e.g. https://example.com/list?page={page} or ?start={offset}
+ * @property {number} [startPage] - page number of the job URL itself
+ * @property {number} [pageSize] - items per page, used to compute {offset}
+ * @property {number} [maxPages]
+ * @property {string} [itemSelector] - listing item selector used for "no new items" detection
+ * @property {boolean} [stopOnNoNewItems]
+ * @property {boolean} [stopOnDuplicatePage]
+ * @property {number} [waitAfter] - ms to wait after advancing before extracting
+ */
+
+const PAGINATION_TYPES = ['nextButton', 'urlPattern', 'infiniteScroll', 'loadMore'];
+
+// Per-page fields that differ even when the page content does not
+const PAGE_METADATA_FIELDS = ['url', 'screenshot'];
+
+/**
+ * Fill in defaults and validate a pagination block from the job config.
+ * @param {PaginationConfig} pagination
+ * @returns {PaginationConfig}
+ */
+function normalizePaginationConfig(pagination) {
+  /** @type {PaginationConfig} */
+  const config = {
+    type: 'nextButton',
+    startPage: 1,
+    pageSize: 0,
+    maxPages: 10,
+    stopOnNoNewItems: true,
+    stopOnDuplicatePage: true,
+    waitAfter: 1000,
+    ...pagination
+  };
+
+  if (!PAGINATION_TYPES.includes(config.type)) {
+    throw new Error(`Unknown pagination type: ${config.type}`);
+  }
+  if ((config.type === 'nextButton' || config.type === 'loadMore') && !config.selector) {
+    throw new Error(`Pagination type '${config.type}' requires a selector`);
+  }
+  if (config.type === 'urlPattern' && !config.urlPattern) {
+    throw new Error('Pagination type \'urlPattern\' requires a urlPattern');
+  }
+
+  config.maxPages = Math.max(1, Number(config.maxPages) || 1);
+  return config;
+}
+
+/**
+ * Build the URL for a given page number from a pattern containing {page} and/or {offset}.
+ * @param {string} pattern
+ * @param {number} pageNumber
+ * @param {{ startPage?: number, pageSize?: number }} [options]
+ * @returns {string}
+ */
+function buildPageUrl(pattern, pageNumber, options = {}) {
+  const { startPage = 1, pageSize = 0 } = options;
+  const offset = (pageNumber - startPage) * pageSize;
+  return pattern
+    .replace(/\{page\}/g, String(pageNumber))
+    .replace(/\{offset\}/g, String(offset));
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function hash(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * @param {Object} pageData
+ * @returns {Object} the extracted values without PAGE_METADATA_FIELDS
+ */
+function pageContent(pageData) {
+  return Object.fromEntries(Object.entries(pageData || {}).filter(([key]) => !PAGE_METADATA_FIELDS.includes(key)));
+}
+
+/**
+ * Hash the extracted data of a page so a repeated page (e.g. a "next" link that
+ * loops back, or a page number past the end serving the last page again) can be
+ * detected. The page URL is excluded since it differs even when content does not.
+ * @param {Object} pageData
+ * @returns {string}
+ */
+function fingerprintPageData(pageData) {
+  return hash(pageContent(pageData));
+}
+
+/**
+ * One fingerprint per item a page listed. List values are read side by side, so item i
+ * is the i-th value of every array field (a list extractor's i-th record, or the i-th
+ * title with the i-th price); scalar fields are not items.
+ * @param {Object} pageData
+ * @returns {string[]}
+ */
+function fingerprintPageItems(pageData) {
+  const lists = Object.entries(pageContent(pageData)).filter(([, value]) => Array.isArray(value));
+  const length = Math.max(0, ...lists.map(([, value]) => value.length));
+  return Array.from({ length }, (_, index) => hash(lists.map(([key, value]) => [key, value[index] ?? null])));
+}
+
+/**
+ * Add a page's items to `seen` and tell whether every one of them was seen on an earlier
+ * page, as when a paginator keeps serving its last page with a changed page counter.
+ * A page without list values has nothing to compare and is never a repeat.
+ * @param {Object} pageData
+ * @param {Set<string>} seen - item fingerprints of the pages before
+ * @returns {boolean}
+ */
+function repeatsSeenItems(pageData, seen) {
+  const items = fingerprintPageItems(pageData);
+  const repeated = items.length > 0 && items.every(item => seen.has(item));
+  items.forEach(item => seen.add(item));
+  return repeated;
+}
+
+/**
+ * A page counts as empty when every extracted value is null, an empty string or an empty array.
+ * @param {Object} pageData
+ * @returns {boolean}
+ */
+function isEmptyPageData(pageData) {
+  return Object.values(pageData || {}).every((value) => (
+    value === null ||
+    value === undefined ||
+    value === '' ||
+    (Array.isArray(value) && value.length === 0)
+  ));
+}
+
+/**
+ * Merge per-page extraction results into one result set. Array values are
+ * concatenated in page order; scalar values are collected into an array.
+ * @param {Object[]} pages
+ * @returns {Object}
+ */
+function mergePageResults(pages) {
+  const merged = {};
+
+  for (const pageData of pages) {
+    for (const [key, value] of Object.entries(pageData)) {
+      if (!merged[key]) merged[key] = [];
+      if (Array.isArray(value)) {
+        merged[key].push(...value);
+      } else if (value !== null && value !== undefined) {
+        merged[key].push(value);
+      }
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  PAGINATION_TYPES,
+  normalizePaginationConfig,
+  buildPageUrl,
+  fingerprintPageData,
+  fingerprintPageItems,
+  repeatsSeenItems,
+  isEmptyPageData,
+  mergePageResults
+};
@@ -1,13 +1,53 @@
 ﻿// APL AI Scraper 2.0 - Playwright Scraper Engine
 const { chromium } = require('playwright');
+const {
+  normalizePaginationConfig,
+  buildPageUrl,
+  fingerprintPageData,
+  repeatsSeenItems,
+  isEmptyPageData,
+  mergePageResults
+} = require('./pagination');
+const { applyTransform } = require('./transforms');
+const { NetworkCapture } = require('./network-capture');
+const { RequestRuleSet } = require('./request-rules');
+const { OverlayDismisser } = require('./overlay-dismisser');
+const { DebugRecorder } = require('./debug-artifacts');
+
+/**
+ * @typedef {Object} ActionState
+ * @property {Object<string, any[]>} sequences - named action lists callable with `{ type: 'run', sequence }`
+ * @property {string|null} itemSelector - current element inside a forEach
+ * @property {number} depth - sub-sequence nesting, bounded by MAX_SEQUENCE_DEPTH
+ * @property {number} timeout
+ * @property {Object<string, Object[]>} collected - forEach records keyed by step name
+ * @property {Array<{ type: string, selector: string|null, error: string }>} skipped - optional steps that failed
+ */
+
+const MAX_SEQUENCE_DEPTH = 10;
 
 class PlaywrightScraper {
-  constructor() {
+  /**
+   * @param {{
+   *   browserPool?: import('../services/browser-pool').BrowserPool,
+   *   signal?: AbortSignal,
+   *   progress?: import('../services/progress-tracker').ProgressReporter
+   * }} [options] - with a pool, contexts come from its warm browsers and no browser is launched
+   *   or closed here; aborting `signal` closes the page of the running scrape; `progress` hears
+   *   about navigations, actions and extracted pages
+   */
+  constructor(options = {}) {
     this.browser = null;
+    this.browserPool = options.browserPool || null;
+    this.signal = options.signal || null;
+    this.progress = options.progress || null;
     this.contexts = new Map();
+    this.networkCapture = null; // Set for the duration of a scrape with `captureNetwork`
   }
 
   async init() {
+    if (this.browserPool) return;
+
     try {
       this.browser = await chromium.launch({
         headless: process.env.NODE_ENV === 'production',
@@ -31,15 +71,55 @@ class PlaywrightScraper {
   }
 
   async scrape(jobConfig) {
-    const { url, waitFor, actions, extractors, timeout = 30000 } = jobConfig;
+    const { url, waitFor, actions, extractors, pagination, captureNetwork, requestRules, overlays, timeout = 30000 } = jobConfig;
     
-    if (!this.browser) {
+    if (this.signal && this.signal.aborted) {
+      return this.cancelledResult();
+    }
+
+    if (!this.browser && !this.browserPool) {
       await this.init();
     }
 
-    const context = await this.createStealthContext();
+    // Trace and HAR must record from the start; 'on-failure' throws them away after a success
+    const recorder = new DebugRecorder(jobConfig.debugArtifacts);
+    await recorder.prepare();
+    const context = await this.createStealthContext(recorder.contextOptions());
+    await recorder.start(context);
+
+    // Blocking, header rewrites and cookies must be in place before the first request
+    const ruleSet = requestRules ? new RequestRuleSet(requestRules, url) : null;
+    if (ruleSet) {
+      try {
+        await ruleSet.apply(context);
+      } catch (error) {
+        await this.releaseContext(context);
+        await recorder.discard();
+        return { success: false, error: error.message };
+      }
+    }
+
     const page = await context.newPage();
 
+    // Main-frame navigations: the first load, pagination clicks, followed links
+    if (this.progress) {
+      page.on('framenavigated', (frame) => {
+        if (frame === page.mainFrame()) this.progress.add('navigations');
+      });
+    }
+
+    // Closing the page makes whatever Playwright call is pending reject, ending the scrape at once
+    const abortPage = () => { page.close().catch(() => {}); };
+    if (this.signal) {
+      this.signal.addEventListener('abort', abortPage, { once: true });
+    }
+
+    // Record API responses from the first request on, so page-load XHRs are included
+    this.networkCapture = captureNetwork ? new NetworkCapture(captureNetwork) : null;
+    if (this.networkCapture) {
+      this.networkCapture.attach(page);
+    }
+
     try {
       console.log(`ðŸŒ Starting scrape for: ${url}`);
 
@@ -47,19 +127,23 @@ class PlaywrightScraper {
       await page.setViewportSize({ width: 1920, height: 1080 });
 
       // Navigate with realistic delays and error handling
-      await page.goto(url, {
+      await this.progress?.stage('navigating');
+      const response = await page.goto(url, {
         waitUntil: 'networkidle',
         timeout: timeout
       });
 
       console.log(`ðŸ“„ Page loaded: ${url}`);
 
+      // Consent banners and modals would otherwise swallow clicks and hide content
+      const dismissedOverlays = await new OverlayDismisser(overlays).dismiss(page);
+
       // Execute pre-scraping actions if specified
+      const actionState = this.createActionState(jobConfig);
       if (actions && actions.length > 0) {
         console.log(`ðŸŽ¯ Executing ${actions.length} actions`);
-        for (const action of actions) {
-          await this.executeAction(page, action);
-        }
+        await this.progress?.stage('actions');
+        await this.runActions(page, actions, actionState);
       }
 
       // Wait for specified elements if needed
@@ -68,27 +152,25 @@ class PlaywrightScraper {
         await page.waitForSelector(waitFor, { timeout: 10000 });
       }
 
-      // Extract data based on extractors or default extraction
-      const data = {};
-      if (extractors && extractors.length > 0) {
-        console.log(`ðŸ“Š Extracting data using ${extractors.length} extractors`);
-        for (const extractor of extractors) {
-          try {
-            data[extractor.name] = await this.extractData(page, extractor);
-          } catch (extractError) {
-            console.warn(`âš ï¸ Extraction failed for ${extractor.name}:`, extractError.message);
-            data[extractor.name] = null;
-          }
-        }
+      // Extract data from the page, following pagination when configured
+      await this.progress?.stage('extracting');
+      let data;
+      let paginationSummary = null;
+      if (pagination) {
+        const paginated = await this.scrapePaginated(page, jobConfig);
+        data = paginated.data;
+        paginationSummary = paginated.summary;
       } else {
-        // Default extraction strategies
-        data.title = await page.title();
-        data.url = page.url();
-        data.content = await this.extractDefaultContent(page);
-        data.links = await this.extractLinks(page);
-        data.images = await this.extractImages(page);
+        data = await this.extractPage(page, extractors);
+        this.progress?.add('pagesCrawled');
       }
 
+      // Records gathered by named forEach steps sit next to the extractor output
+      Object.assign(data, actionState.collected);
+
+      // Collect every outgoing link when the job feeds a crawl frontier
+      const links = jobConfig.collectLinks ? await this.collectLinks(page) : null;
+
       // Take screenshot if requested
       if (jobConfig.takeScreenshot) {
         data.screenshot = await page.screenshot({ 
@@ -97,19 +179,281 @@ class PlaywrightScraper {
         });
       }
 
-      await context.close();
+      const network = this.finishNetworkCapture();
+      await recorder.capture(page, context, false);
+      await this.releaseContext(context);
+      const artifacts = await recorder.collect(false);
       console.log(`âœ… Scraping completed successfully for: ${url}`);
-      return { success: true, data };
+      // Cache validators of the document, for delta jobs' conditional requests
+      const headers = response ? response.headers() : {};
+      const result = {
+        success: true,
+        data,
+        validators: { etag: headers.etag || null, lastModified: headers['last-modified'] || null }
+      };
+      if (paginationSummary) {
+        result.pagination = paginationSummary;
+      }
+      if (links) {
+        result.links = links;
+      }
+      if (network) {
+        result.network = network;
+      }
+      if (ruleSet) {
+        result.requestStats = ruleSet.getStats();
+      }
+      if (actionState.skipped.length > 0) {
+        result.skippedActions = actionState.skipped;
+      }
+      if (dismissedOverlays.length > 0) {
+        result.dismissedOverlays = dismissedOverlays;
+      }
+      if (artifacts.length > 0) {
+        result.artifacts = artifacts;
+      }
+      return result;
 
     } catch (error) {
+      this.finishNetworkCapture();
+      if (this.signal && this.signal.aborted) {
+        console.log(`ðŸ›‘ Scrape cancelled for ${url}`);
+        await this.releaseContext(context);
+        await recorder.discard();
+        return this.cancelledResult();
+      }
+
       console.error(`âŒ Scraping failed for ${url}:`, error.message);
-      await context.close();
-      return { success: false, error: error.message };
+      await recorder.capture(page, context, true);
+      await this.releaseContext(context);
+      const artifacts = await recorder.collect(true);
+      return { success: false, error: error.message, ...(artifacts.length > 0 && { artifacts }) };
+    } finally {
+      if (this.signal) {
+        this.signal.removeEventListener('abort', abortPage);
+      }
+    }
+  }
+
+  cancelledResult() {
+    return { success: false, cancelled: true, error: this.signal?.reason?.message || 'Cancelled' };
+  }
+
+  /**
+   * Stop recording and return the captured responses, if capture was enabled.
+   * @returns {{ responses: import('./network-capture').CapturedResponse[], dropped: number }|null}
+   */
+  finishNetworkCapture() {
+    const capture = this.networkCapture;
+    this.networkCapture = null;
+    if (!capture) return null;
+
+    capture.detach();
+    return capture.toJSON();
+  }
+
+  async extractPage(page, extractors) {
+    // JSON extractors read captured responses; wait for in-flight bodies first
+    if (this.networkCapture) {
+      await this.networkCapture.settle();
+    }
+
+    const data = {};
+    if (extractors && extractors.length > 0) {
+      console.log(`ðŸ“Š Extracting data using ${extractors.length} extractors`);
+      for (const extractor of extractors) {
+        try {
+          data[extractor.name] = await this.extractData(page, extractor);
+        } catch (extractError) {
+          console.warn(`âš ï¸ Extraction failed for ${extractor.name}:`, extractError.message);
+          data[extractor.name] = null;
+        }
+      }
+    } else {
+      // Default extraction strategies
+      data.title = await page.title();
+      data.url = page.url();
+      data.content = await this.extractDefaultContent(page);
+      data.links = await this.extractLinks(page);
+      data.images = await this.extractImages(page);
+    }
+    return data;
+  }
+
+  /**
+   * Walk a paginated listing according to `jobConfig.pagination` and merge the
+   * per-page results into one result set.
+   * @param {any} page
+   * @param {any} jobConfig
+   * @returns {Promise<{ data: Object, summary: Object }>}
+   */
+  async scrapePaginated(page, jobConfig) {
+    const { extractors, waitFor, timeout = 30000 } = jobConfig;
+    const config = normalizePaginationConfig(jobConfig.pagination);
+
+    // Infinite scroll and "load more" grow the current page; extract once at the end
+    if (config.type === 'infiniteScroll' || config.type === 'loadMore') {
+      const { pagesLoaded, stopReason } = await this.expandInPlace(page, config, timeout);
+      this.progress?.add('pagesCrawled', pagesLoaded);
+      return {
+        data: await this.extractPage(page, extractors),
+        summary: { type: config.type, pagesScraped: pagesLoaded, pageUrls: [page.url()], stopReason }
+      };
+    }
+
+    const pages = [];
+    const pageUrls = [];
+    const fingerprints = new Set();
+    const seenItems = new Set();
+    let stopReason = 'max_pages';
+
+    // Each page's JSON extractors only see the responses loaded for that page
+    if (this.networkCapture) {
+      this.networkCapture.scopeToPage = true;
+    }
+
+    for (let pageIndex = 0; pageIndex < config.maxPages; pageIndex++) {
+      if (pageIndex > 0) {
+        if (this.networkCapture) {
+          this.networkCapture.nextPage();
+        }
+        const advanced = await this.advancePage(page, config, pageIndex, timeout);
+        if (!advanced) {
+          stopReason = 'no_next_page';
+          break;
+        }
+        if (waitFor) {
+          await page.waitForSelector(waitFor, { timeout: 10000 }).catch(() => {});
+        }
+      }
+
+      const pageData = await this.extractPage(page, extractors);
+
+      // Items are recorded from the first page on, so a later page that only repeats them stops
+      const repeatedItems = config.stopOnNoNewItems && repeatsSeenItems(pageData, seenItems);
+      if (pageIndex > 0 && config.stopOnNoNewItems) {
+        const noItems = config.itemSelector
+          ? await this.countElements(page, config.itemSelector) === 0
+          : isEmptyPageData(pageData);
+        if (noItems || repeatedItems) {
+          stopReason = 'no_new_items';
+          break;
+        }
+      }
+
+      if (config.stopOnDuplicatePage) {
+        const fingerprint = fingerprintPageData(pageData);
+        if (fingerprints.has(fingerprint)) {
+          stopReason = 'duplicate_page';
+          break;
+        }
+        fingerprints.add(fingerprint);
+      }
+
+      pages.push(pageData);
+      pageUrls.push(page.url());
+      this.progress?.add('pagesCrawled');
+      console.log(`ðŸ“„ Page ${pageIndex + 1} extracted: ${page.url()}`);
+    }
+
+    return {
+      data: mergePageResults(pages),
+      summary: { type: config.type, pagesScraped: pages.length, pageUrls, stopReason }
+    };
+  }
+
+  /**
+   * Move to the next page of a navigating paginator. Returns false when there is no next page.
+   * @param {any} page
+   * @param {import('./pagination').PaginationConfig} config
+   * @param {number} pageIndex
+   * @param {number} timeout
+   * @returns {Promise<boolean>}
+   */
+  async advancePage(page, config, pageIndex, timeout) {
+    try {
+      if (config.type === 'urlPattern') {
+        const nextUrl = buildPageUrl(config.urlPattern, config.startPage + pageIndex, config);
+        const response = await page.goto(nextUrl, { waitUntil: 'networkidle', timeout });
+        if (response && response.status() >= 400) return false;
+      } else {
+        const nextButton = await page.$(config.selector);
+        if (!nextButton || !(await nextButton.isVisible()) || !(await nextButton.isEnabled())) {
+          return false;
+        }
+        await nextButton.click();
+        await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+      }
+
+      if (config.waitAfter) {
+        await page.waitForTimeout(config.waitAfter);
+      }
+      return true;
+    } catch (error) {
+      console.warn(`âš ï¸ Failed to advance to page ${pageIndex + 1}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Scroll or click "load more" until no new items appear or maxPages rounds have loaded.
+   * @param {any} page
+   * @param {import('./pagination').PaginationConfig} config
+   * @param {number} timeout
+   * @returns {Promise<{ pagesLoaded: number, stopReason: string }>}
+   */
+  async expandInPlace(page, config, timeout) {
+    const measure = () => (config.itemSelector
+      ? this.countElements(page, config.itemSelector)
+      : page.evaluate(() => document.body.scrollHeight));
+
+    let lastCount = await measure();
+    let pagesLoaded = 1;
+    let stopReason = 'max_pages';
+
+    while (pagesLoaded < config.maxPages) {
+      if (config.type === 'loadMore') {
+        const button = await page.$(config.selector);
+        if (!button || !(await button.isVisible())) {
+          stopReason = 'no_next_page';
+          break;
+        }
+        await button.click();
+      } else {
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      }
+
+      await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+      if (config.waitAfter) {
+        await page.waitForTimeout(config.waitAfter);
+      }
+
+      const count = await measure();
+      if (config.stopOnNoNewItems && count <= lastCount) {
+        stopReason = 'no_new_items';
+        break;
+      }
+      lastCount = count;
+      pagesLoaded++;
     }
+
+    return { pagesLoaded, stopReason };
   }
 
-  async createStealthContext() {
-    const context = await this.browser.newContext({
+  async countElements(page, selector) {
+    try {
+      return await page.$$eval(selector, elements => elements.length);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * @param {Object} [extraOptions] - merged into the context options (e.g. recordHar)
+   */
+  async createStealthContext(extraOptions = {}) {
+    const contextOptions = {
+      ...extraOptions,
       userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
       viewport: { width: 1920, height: 1080 },
       locale: 'en-US',
@@ -124,7 +468,10 @@ class PlaywrightScraper {
         'Connection': 'keep-alive',
         'Upgrade-Insecure-Requests': '1'
       }
-    });
+    };
+    const context = this.browserPool
+      ? await this.browserPool.acquireContext(contextOptions)
+      : await this.browser.newContext(contextOptions);
 
     // Add stealth scripts to hide automation
     await context.addInitScript(() => {
@@ -162,6 +509,14 @@ class PlaywrightScraper {
     return context;
   }
 
+  async releaseContext(context) {
+    if (this.browserPool) {
+      await this.browserPool.releaseContext(context);
+    } else {
+      await context.close();
+    }
+  }
+
   async executeAction(page, action) {
     const { type, selector, value, delay = 0, waitTime = 1000 } = action;
 
@@ -190,7 +545,10 @@ class PlaywrightScraper {
         break;
 
       case 'scroll':
-        if (selector) {
+        if (selector && selector.includes('>>')) {
+          // forEach item selectors use Playwright chaining, which querySelector cannot parse
+          await page.locator(selector).scrollIntoViewIfNeeded();
+        } else if (selector) {
           await page.evaluate((sel) => {
             const element = document.querySelector(sel);
             if (element) {
@@ -251,13 +609,239 @@ class PlaywrightScraper {
     }
   }
 
+  /**
+   * Fresh state for one job's action run: named sub-sequences from `jobConfig.sequences`,
+   * records collected by named `forEach` steps, and optional steps that were skipped.
+   * @param {any} jobConfig
+   * @returns {ActionState}
+   */
+  createActionState(jobConfig) {
+    return {
+      sequences: jobConfig.sequences || {},
+      itemSelector: null,
+      depth: 0,
+      timeout: jobConfig.timeout || 30000,
+      collected: {},
+      skipped: []
+    };
+  }
+
+  /**
+   * Run a list of actions, including the control-flow steps (`if`, `repeat`, `forEach`,
+   * `run`). A step marked `optional: true` logs and continues instead of failing the job.
+   * @param {any} page
+   * @param {any[]} actions
+   * @param {ActionState} state
+   */
+  async runActions(page, actions, state) {
+    for (const action of actions) {
+      try {
+        await this.runAction(page, action, state);
+      } catch (error) {
+        if (!action.optional) throw error;
+        console.warn(`Optional ${action.type} action skipped: ${error.message}`);
+        state.skipped.push({ type: action.type, selector: action.selector || null, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * @param {any} page
+   * @param {any} action
+   * @param {ActionState} state
+   */
+  async runAction(page, action, state) {
+    switch (action.type) {
+    case 'if': {
+      const branch = await this.evaluateCondition(page, action.condition, state) ? action.then : action.else;
+      if (branch) {
+        await this.runActions(page, branch, state);
+      }
+      return;
+    }
+
+    case 'repeat':
+      return this.runRepeat(page, action, state);
+
+    case 'forEach':
+      return this.runForEach(page, action, state);
+
+    case 'run': {
+      const sequence = state.sequences[action.sequence];
+      if (!sequence) {
+        throw new Error(`Unknown action sequence: ${action.sequence}`);
+      }
+      if (state.depth >= MAX_SEQUENCE_DEPTH) {
+        throw new Error(`Action sequences nested deeper than ${MAX_SEQUENCE_DEPTH} (recursive '${action.sequence}'?)`);
+      }
+      return this.runActions(page, sequence, { ...state, depth: state.depth + 1 });
+    }
+
+    default:
+      await this.executeAction(page, {
+        ...action,
+        selector: this.scopeSelector(action.selector, state.itemSelector)
+      });
+      this.progress?.add('actionsExecuted');
+    }
+  }
+
+  /**
+   * Repeat `actions` a fixed number of `times`, or until the `until` condition holds
+   * (checked before each iteration, capped by `maxIterations`).
+   * @param {any} page
+   * @param {any} action
+   * @param {ActionState} state
+   */
+  async runRepeat(page, action, state) {
+    if (!action.times && !action.until) {
+      throw new Error('repeat requires times or until');
+    }
+
+    const iterations = action.times || action.maxIterations || 100;
+    for (let i = 0; i < iterations; i++) {
+      if (action.until && await this.evaluateCondition(page, action.until, state)) {
+        return;
+      }
+      await this.runActions(page, action.actions || [], state);
+    }
+  }
+
+  /**
+   * Run `actions` once per element matching `selector`. Inside the loop, `:item` in a
+   * selector refers to the current element. With `extract`, one record per element is
+   * collected under `name` in the scrape result: extracted from the element itself, or
+   * from the page when `goBack` is set (the actions opened a detail page).
+   * @param {any} page
+   * @param {any} action
+   * @param {ActionState} state
+   */
+  async runForEach(page, action, state) {
+    const selector = this.scopeSelector(action.selector, state.itemSelector);
+    if (!selector) {
+      throw new Error('forEach requires a selector');
+    }
+
+    const total = (await page.$$(selector)).length;
+    const count = action.limit ? Math.min(action.limit, total) : total;
+    const records = [];
+
+    for (let index = 0; index < count; index++) {
+      // Re-resolved by position each time so it survives navigation and re-rendering
+      const itemSelector = `${selector} >> nth=${index}`;
+      const itemState = { ...state, itemSelector };
+
+      await this.runActions(page, action.actions || [], itemState);
+
+      if (action.extract) {
+        if (action.goBack) {
+          records.push(await this.extractPage(page, action.extract));
+        } else {
+          const element = await page.$(itemSelector);
+          const record = {};
+          for (const extractor of action.extract) {
+            record[extractor.name] = element ? await this.extractData(element, extractor) : null;
+          }
+          records.push(record);
+        }
+      }
+
+      if (action.goBack) {
+        await page.goBack({ waitUntil: 'networkidle', timeout: state.timeout });
+        if (action.waitFor) {
+          await page.waitForSelector(action.waitFor, { timeout: 10000 });
+        }
+      }
+    }
+
+    if (action.name) {
+      state.collected[action.name] = records;
+    }
+  }
+
+  /**
+   * Conditions for `if` and `repeat.until`: `exists`, `notExists`, `visible`,
+   * `textMatches: { selector, pattern, flags }`, `urlMatches`, and `not` / `all` / `any`.
+   * @param {any} page
+   * @param {any} condition
+   * @param {ActionState} state
+   * @returns {Promise<boolean>}
+   */
+  async evaluateCondition(page, condition, state) {
+    if (!condition) {
+      throw new Error('Missing condition');
+    }
+    const scoped = selector => this.scopeSelector(selector, state.itemSelector);
+
+    if (condition.not) {
+      return !(await this.evaluateCondition(page, condition.not, state));
+    }
+    if (condition.all) {
+      for (const part of condition.all) {
+        if (!(await this.evaluateCondition(page, part, state))) return false;
+      }
+      return true;
+    }
+    if (condition.any) {
+      for (const part of condition.any) {
+        if (await this.evaluateCondition(page, part, state)) return true;
+      }
+      return false;
+    }
+    if (condition.exists) {
+      return (await page.$(scoped(condition.exists))) !== null;
+    }
+    if (condition.notExists) {
+      return (await page.$(scoped(condition.notExists))) === null;
+    }
+    if (condition.visible) {
+      const element = await page.$(scoped(condition.visible));
+      return Boolean(element) && await element.isVisible();
+    }
+    if (condition.textMatches) {
+      const { selector, pattern, flags = 'i' } = condition.textMatches;
+      const element = await page.$(scoped(selector || 'body'));
+      const text = element ? await element.textContent() : null;
+      return text !== null && new RegExp(pattern, flags).test(text);
+    }
+    if (condition.urlMatches) {
+      return new RegExp(condition.urlMatches).test(page.url());
+    }
+
+    throw new Error(`Unknown condition: ${JSON.stringify(condition)}`);
+  }
+
+  /**
+   * Resolve `:item` references against the current forEach element.
+   * @param {string|undefined} selector
+   * @param {string|null} itemSelector
+   * @returns {string|undefined}
+   */
+  scopeSelector(selector, itemSelector) {
+    if (!selector || !itemSelector) return selector;
+    if (selector === ':item') return itemSelector;
+    if (selector.startsWith(':item ')) return `${itemSelector} >> ${selector.slice(':item '.length)}`;
+    return selector;
+  }
+
+  /**
+   * Run one extractor against the page, or against an element handle when called
+   * for the children of a `list` extractor (ElementHandle exposes the same $/$eval/$$eval API).
+   * @param {any} page - Playwright Page or ElementHandle used as the query scope
+   * @param {any} extractor
+   */
   async extractData(page, extractor) {
-    const { type, selector, attribute, multiple = false, transform } = extractor;
+    const { type, attribute, multiple = false, transform } = extractor;
+    // Child extractors of a list may omit the selector to target the container itself
+    const selector = extractor.selector || ':scope';
 
     try {
       let result;
 
       switch (type) {
+      case 'list':
+        return await this.extractList(page, extractor);
+
       case 'text':
         if (multiple) {
           result = await page.$$eval(selector, (elements) => 
@@ -309,6 +893,15 @@ class PlaywrightScraper {
         }
         break;
 
+      case 'json': {
+        if (!this.networkCapture) {
+          throw new Error('JSON extractor requires the captureNetwork job option');
+        }
+        const values = this.networkCapture.query(extractor);
+        result = multiple ? values : (values.length > 0 ? values[0] : null);
+        break;
+      }
+
       case 'count':
         result = await page.$$eval(selector, elements => elements.length);
         break;
@@ -321,30 +914,49 @@ class PlaywrightScraper {
         result = await page.$eval(selector, el => el.textContent?.trim() || '');
       }
 
-      // Apply transformation if specified
-      if (transform && result) {
-        switch (transform) {
-        case 'lowercase':
-          result = Array.isArray(result) ? result.map(r => r.toLowerCase()) : result.toLowerCase();
-          break;
-        case 'uppercase':
-          result = Array.isArray(result) ? result.map(r => r.toUpperCase()) : result.toUpperCase();
-          break;
-        case 'trim':
-          result = Array.isArray(result) ? result.map(r => r.trim()) : result.trim();
-          break;
-        case 'number':
-          result = Array.isArray(result) ? result.map(r => parseFloat(r) || 0) : parseFloat(result) || 0;
-          break;
-        }
-      }
-
-      return result;
+      return applyTransform(result, transform);
 
     } catch (error) {
       console.warn(`âš ï¸ Extraction failed for selector ${selector}:`, error.message);
-      return multiple ? [] : null;
+      return multiple || type === 'list' ? [] : null;
+    }
+  }
+
+  /**
+   * Extract an array of records: one object per element matching `selector`, with
+   * each child extractor in `fields` evaluated relative to that element. Children
+   * may themselves be `list` extractors. A child that does not match yields null
+   * for that record instead of shifting values between records.
+   * @param {any} scope - Playwright Page or ElementHandle
+   * @param {{ selector: string, fields: Object|Array<Object>, limit?: number }} extractor
+   * @returns {Promise<Object[]>}
+   */
+  async extractList(scope, extractor) {
+    const { selector, fields, limit } = extractor;
+    if (!selector || !fields) {
+      throw new Error('List extractor requires a container selector and fields');
+    }
+
+    const childExtractors = Array.isArray(fields)
+      ? fields
+      : Object.entries(fields).map(([name, child]) => ({ ...child, name }));
+
+    let containers = await scope.$$(selector);
+    if (limit) {
+      containers = containers.slice(0, limit);
+    }
+
+    const records = [];
+    for (const container of containers) {
+      const record = {};
+      for (const child of childExtractors) {
+        record[child.name] = await this.extractData(container, child);
+      }
+      records.push(record);
     }
+
+    await Promise.all(containers.map(container => container.dispose().catch(() => {})));
+    return records;
   }
 
   async extractDefaultContent(page) {
@@ -398,6 +1010,14 @@ class PlaywrightScraper {
     }
   }
 
+  async collectLinks(page) {
+    try {
+      return await page.$$eval('a[href]', anchors => anchors.map(anchor => anchor.href));
+    } catch (error) {
+      return [];
+    }
+  }
+
   async extractImages(page) {
     try {
       return await page.$$eval('img[src]', images => 
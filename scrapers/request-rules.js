@@ -0,0 +1,264 @@
+// APL AI Scraper 2.0 - Request rules (blocking, header rewrites, cookies) applied via Playwright routing
+const { compileUrlPattern } = require('./network-capture');
+
+/**
+ * @typedef {Object} HeaderRule
+ * @property {string} [urlPattern] - limit the rewrite to matching request URLs (see compileUrlPattern)
+ * @property {Object<string, string>} [set]
+ * @property {string[]} [remove]
+ */
+
+/**
+ * @typedef {Object} RequestRules
+ * @property {string[]} [blockResourceTypes] - Playwright resource types, e.g. image, font, media, stylesheet
+ * @property {string[]} [blockDomains] - a domain also blocks its subdomains
+ * @property {string[]} [blockUrlPatterns] - substrings, globs or `/regex/` sources
+ * @property {string[]} [blockPresets] - named domain lists: ads, analytics, social
+ * @property {string[]} [allowResourceTypes] - exceptions that win over the block lists (e.g. a job re-enabling images)
+ * @property {string[]} [allowDomains]
+ * @property {HeaderRule[]|Object<string, string>} [headers] - a plain object sets headers on every request
+ * @property {Object[]} [cookies] - Playwright cookie objects; `url` defaults to the job URL
+ */
+
+const BLOCK_PRESETS = {
+  ads: [
+    'doubleclick.net',
+    'googlesyndication.com',
+    'googleadservices.com',
+    'adservice.google.com',
+    'amazon-adsystem.com',
+    'adnxs.com',
+    'criteo.com',
+    'taboola.com',
+    'outbrain.com',
+    'pubmatic.com',
+    'rubiconproject.com'
+  ],
+  analytics: [
+    'google-analytics.com',
+    'googletagmanager.com',
+    'segment.io',
+    'mixpanel.com',
+    'hotjar.com',
+    'fullstory.com',
+    'amplitude.com',
+    'clarity.ms',
+    'newrelic.com',
+    'nr-data.net'
+  ],
+  social: [
+    'connect.facebook.net',
+    'platform.twitter.com',
+    'platform.linkedin.com',
+    'snap.licdn.com'
+  ]
+};
+
+const ARRAY_FIELDS = ['blockResourceTypes', 'blockDomains', 'blockUrlPatterns', 'blockPresets', 'allowResourceTypes', 'allowDomains'];
+
+/**
+ * @param {RequestRules['headers']} headers
+ * @returns {HeaderRule[]}
+ */
+function normalizeHeaderRules(headers) {
+  if (!headers) return [];
+  return Array.isArray(headers) ? headers : [{ set: headers }];
+}
+
+/**
+ * What every orchestrated job blocks before template and job rules: heavy resources the job
+ * did not ask for, and the two trackers always blocked. Presets stay opt-in per template.
+ * @param {{ loadImages?: boolean, loadMedia?: boolean }} [options]
+ * @returns {RequestRules}
+ */
+function defaultRequestRules(options = {}) {
+  return {
+    blockResourceTypes: [...(options.loadImages ? [] : ['image']), ...(options.loadMedia ? [] : ['font', 'media'])],
+    blockUrlPatterns: ['google-analytics', 'facebook.com/tr']
+  };
+}
+
+/**
+ * Combine rule sets, later ones (job) extending earlier ones (template).
+ * List fields are unioned; header rules and cookies are appended in order.
+ * @param {...(RequestRules|null|undefined)} ruleSets
+ * @returns {RequestRules}
+ */
+function mergeRequestRules(...ruleSets) {
+  /** @type {RequestRules} */
+  const merged = { headers: [], cookies: [] };
+  for (const field of ARRAY_FIELDS) {
+    merged[field] = [];
+  }
+
+  for (const rules of ruleSets) {
+    if (!rules) continue;
+    for (const field of ARRAY_FIELDS) {
+      for (const value of rules[field] || []) {
+        if (!merged[field].includes(value)) merged[field].push(value);
+      }
+    }
+    /** @type {HeaderRule[]} */ (merged.headers).push(...normalizeHeaderRules(rules.headers));
+    merged.cookies.push(...(rules.cookies || []));
+  }
+
+  return merged;
+}
+
+/**
+ * @param {string} hostname
+ * @param {string[]} domains
+ * @returns {string|null} the listed domain that matched
+ */
+function matchDomain(hostname, domains) {
+  const host = hostname.toLowerCase();
+  return domains.find((domain) => {
+    const listed = domain.toLowerCase();
+    return host === listed || host.endsWith(`.${listed}`);
+  }) || null;
+}
+
+/**
+ * Applies a job's request rules to a browser context (or page) and counts what it did.
+ */
+class RequestRuleSet {
+  /**
+   * @param {RequestRules} rules
+   * @param {string} [jobUrl] - default `url` for cookies that give neither url nor domain
+   */
+  constructor(rules, jobUrl) {
+    this.rules = mergeRequestRules(rules);
+    this.jobUrl = jobUrl;
+    this.blockDomains = [
+      ...this.rules.blockDomains,
+      ...this.rules.blockPresets.flatMap((preset) => {
+        if (!BLOCK_PRESETS[preset]) throw new Error(`Unknown block preset: ${preset}`);
+        return BLOCK_PRESETS[preset];
+      })
+    ].map(domain => domain.toLowerCase());
+    this.blockUrlMatchers = this.rules.blockUrlPatterns.map(compileUrlPattern);
+    this.headerRules = /** @type {HeaderRule[]} */ (this.rules.headers).map(rule => ({
+      ...rule,
+      matches: rule.urlPattern ? compileUrlPattern(rule.urlPattern) : () => true
+    }));
+    this.stats = {
+      total: 0,
+      allowed: 0,
+      blocked: 0,
+      blockedByResourceType: {},
+      blockedByDomain: {},
+      blockedByPattern: 0,
+      headersRewritten: 0,
+      cookiesInjected: 0
+    };
+  }
+
+  /**
+   * Whether routing is needed at all; cookie-only rules skip the per-request overhead.
+   */
+  needsRouting() {
+    return this.rules.blockResourceTypes.length > 0
+      || this.blockDomains.length > 0
+      || this.blockUrlMatchers.length > 0
+      || this.headerRules.length > 0;
+  }
+
+  /**
+   * Install routing and cookies. Must run before the first navigation.
+   * @param {any} target - Playwright BrowserContext or Page
+   */
+  async apply(target) {
+    if (this.rules.cookies.length > 0) {
+      const context = typeof target.addCookies === 'function' ? target : target.context();
+      const cookies = this.rules.cookies.map(cookie => (cookie.url || cookie.domain
+        ? cookie
+        : { ...cookie, url: this.jobUrl }));
+      await context.addCookies(cookies);
+      this.stats.cookiesInjected = cookies.length;
+    }
+
+    if (this.needsRouting()) {
+      await target.route('**/*', route => this.handleRoute(route));
+    }
+  }
+
+  /**
+   * Decide why a request should be blocked, or null to let it through.
+   * @param {string} url
+   * @param {string} resourceType
+   * @returns {{ reason: 'resourceType'|'domain'|'pattern', key: string }|null}
+   */
+  classify(url, resourceType) {
+    let hostname = '';
+    try {
+      hostname = new URL(url).hostname;
+    } catch {
+      return null;
+    }
+
+    if (matchDomain(hostname, this.rules.allowDomains)) return null;
+
+    const domain = matchDomain(hostname, this.blockDomains);
+    if (domain) return { reason: 'domain', key: domain };
+
+    if (this.blockUrlMatchers.some(match => match(url))) return { reason: 'pattern', key: url };
+
+    if (this.rules.blockResourceTypes.includes(resourceType) && !this.rules.allowResourceTypes.includes(resourceType)) {
+      return { reason: 'resourceType', key: resourceType };
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {any} route - Playwright Route
+   */
+  async handleRoute(route) {
+    const request = route.request();
+    const url = request.url();
+    this.stats.total++;
+
+    const block = this.classify(url, request.resourceType());
+    if (block) {
+      this.stats.blocked++;
+      if (block.reason === 'resourceType') {
+        this.stats.blockedByResourceType[block.key] = (this.stats.blockedByResourceType[block.key] || 0) + 1;
+      } else if (block.reason === 'domain') {
+        this.stats.blockedByDomain[block.key] = (this.stats.blockedByDomain[block.key] || 0) + 1;
+      } else {
+        this.stats.blockedByPattern++;
+      }
+      await route.abort('blockedbyclient').catch(() => {});
+      return;
+    }
+
+    this.stats.allowed++;
+    const applicable = this.headerRules.filter(rule => rule.matches(url));
+    if (applicable.length === 0) {
+      await route.continue().catch(() => {});
+      return;
+    }
+
+    const headers = { ...request.headers() };
+    for (const rule of applicable) {
+      for (const name of rule.remove || []) {
+        delete headers[name.toLowerCase()];
+      }
+      for (const [name, value] of Object.entries(rule.set || {})) {
+        headers[name.toLowerCase()] = String(value);
+      }
+    }
+    this.stats.headersRewritten++;
+    await route.continue({ headers }).catch(() => {});
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      blockedByResourceType: { ...this.stats.blockedByResourceType },
+      blockedByDomain: { ...this.stats.blockedByDomain }
+    };
+  }
+}
+
+module.exports = { RequestRuleSet, mergeRequestRules, defaultRequestRules, BLOCK_PRESETS };
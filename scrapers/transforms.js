@@ -0,0 +1,27 @@
+// APL AI Scraper 2.0 - Extractor value transforms shared by the scraping engines
+
+/**
+ * Apply an extractor's `transform` to a single value or an array of values.
+ * Unknown transforms and empty results are returned unchanged.
+ * @param {any} result
+ * @param {'lowercase'|'uppercase'|'trim'|'number'|string} [transform]
+ * @returns {any}
+ */
+function applyTransform(result, transform) {
+  if (!transform || !result) return result;
+
+  switch (transform) {
+  case 'lowercase':
+    return Array.isArray(result) ? result.map(r => r.toLowerCase()) : result.toLowerCase();
+  case 'uppercase':
+    return Array.isArray(result) ? result.map(r => r.toUpperCase()) : result.toUpperCase();
+  case 'trim':
+    return Array.isArray(result) ? result.map(r => r.trim()) : result.trim();
+  case 'number':
+    return Array.isArray(result) ? result.map(r => parseFloat(r) || 0) : parseFloat(result) || 0;
+  default:
+    return result;
+  }
+}
+
+module.exports = { applyTransform };
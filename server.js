@@ -33,14 +33,33 @@ const { ScraperTemplate } = require('./models/scraper-template');
 const { DistributedOrchestrator } = require('./services/distributed-orchestrator');
 const { ProxyManager } = require('./services/proxy-manager');
 const { CaptchaHandler } = require('./services/captcha-handler');
-const { DataProcessor } = require('./services/data-processor');
+const { DataProcessor, BatchMetrics } = require('./services/data-processor');
+const { CrawlManager } = require('./services/crawl-manager');
+const { SeedSourceManager } = require('./services/seed-source-manager');
+const { ScheduleManager, previewNextRuns } = require('./services/schedule-manager');
+const { PipelineManager } = require('./services/pipeline-manager');
+const { BrowserPool } = require('./services/browser-pool');
+const { SessionManager } = require('./services/session-manager');
+const { ArtifactStore } = require('./services/artifact-store');
+const { DeltaTracker } = require('./services/delta-tracker');
+const { CancellationRegistry } = require('./services/cancellation');
+const { DeadLetterQueue } = require('./services/dead-letter-queue');
+const { DomainScheduler, validatePolicy } = require('./services/domain-scheduler');
+const { FairShareScheduler, validatePolicy: validateFairSharePolicy } = require('./services/fair-share-scheduler');
+const { ProgressTracker, isFinal, TERMINAL_STAGES } = require('./services/progress-tracker');
+const { CredentialManager } = require('./services/auth/credential-manager');
+const { readNdjson } = require('./utils/ndjson');
+const { isJsonSchema, validateSchemaDefinition } = require('./services/json-schema');
+const { SchemaInferrer, expandSamples } = require('./services/schema-inference');
+const { EntityResolver, validateEntityConfig } = require('./services/entity-resolver');
+const { CurrencyConverter } = require('./services/currency-converter');
 
 require('dotenv').config();
 
 const app = express();
 
 // Security middleware (helmet/CORS/rate-limiting provided by our middleware module)
-const { securityHeaders, corsMiddleware, createRateLimiter, authenticate } = require('./middleware/security-middleware');
+const { securityHeaders, corsMiddleware, createRateLimiter, authenticate, authorizeRole } = require('./middleware/security-middleware');
 const { AuthService } = require('./services/auth/auth-service');
 const { ComplianceManager } = require('./services/compliance-manager');
 const { PrivacyManager } = require('./services/privacy-manager');
@@ -91,12 +110,52 @@ const distributedOrchestrator = new DistributedOrchestrator();
 const proxyManager = new ProxyManager();
 const captchaHandler = new CaptchaHandler();
 const dataProcessor = new DataProcessor();
+// Exchange rates for price conversion, loaded from CURRENCY_RATES_PATH on startup
+const currencyConverter = new CurrencyConverter();
+dataProcessor.setCurrencyConverter(currencyConverter);
+const crawlManager = new CrawlManager(supabase, jobQueue);
+jobQueue.setCrawlManager(crawlManager);
+const deadLetterQueue = new DeadLetterQueue(supabase, jobQueue);
+jobQueue.setDeadLetterQueue(deadLetterQueue);
+const seedSourceManager = new SeedSourceManager(supabase, distributedOrchestrator, scraperTemplate);
+const scheduleManager = new ScheduleManager(supabase, distributedOrchestrator, scraperTemplate);
+const pipelineManager = new PipelineManager(supabase, distributedOrchestrator, scraperTemplate, dataProcessor);
+// One pool per process, shared by the job queue worker and the orchestrator workers
+const browserPool = new BrowserPool();
+jobQueue.setBrowserPool(browserPool);
+const artifactStore = new ArtifactStore(supabase);
+jobQueue.setArtifactStore(artifactStore);
+distributedOrchestrator.setArtifactStore(artifactStore);
+jobQueue.setDeltaTracker(new DeltaTracker(supabase));
+distributedOrchestrator.setBrowserPool(browserPool);
+// Login flows declared by templates keep their sessions encrypted with the credential key
+const credentialManager = new CredentialManager();
+const sessionManager = new SessionManager(supabase, credentialManager, credentialManager.encryptionService);
+distributedOrchestrator.setSessionManager(sessionManager);
+// Cancel requests reach whichever process runs the scrape through Redis pub/sub
+const cancellations = new CancellationRegistry(distributedOrchestrator.redis);
+jobQueue.setCancellationRegistry(cancellations);
+distributedOrchestrator.setCancellationRegistry(cancellations);
 
 // Security/Compliance services
 const authService = new AuthService();
 const complianceManager = new ComplianceManager();
 const privacyManager = new PrivacyManager();
 
+// Per-domain concurrency and crawl delay, shared by every worker through Redis
+const domainScheduler = new DomainScheduler(distributedOrchestrator.redis, complianceManager);
+jobQueue.setDomainScheduler(domainScheduler);
+distributedOrchestrator.setDomainScheduler(domainScheduler);
+// Projects share the orchestrator lanes by tier weight, up to their concurrency quota
+const fairShare = new FairShareScheduler(distributedOrchestrator.redis, supabase);
+distributedOrchestrator.setFairShareScheduler(fairShare);
+// Worker progress events, stored on executions and streamed to clients
+const progressTracker = new ProgressTracker(supabase);
+distributedOrchestrator.setProgressTracker(progressTracker);
+// Records of the same item across URLs and runs merge into entities (API and dedupe stages)
+const entityResolver = new EntityResolver(supabase);
+pipelineManager.setEntityResolver(entityResolver);
+
 // Health route (mounted from routes/health.js)
 app.use('/', require('./routes/health'));
 
@@ -112,8 +171,20 @@ app.use((req, res, next) => {
     proxyManager,
     captchaHandler,
     dataProcessor,
+    crawl: crawlManager,
+    deadLetters: deadLetterQueue,
+    seedSources: seedSourceManager,
+    schedules: scheduleManager,
+    pipelines: pipelineManager,
+    entities: entityResolver,
+    browserPool,
+    sessions: sessionManager,
+    artifacts: artifactStore,
     auth: authService,
     compliance: complianceManager,
+    domains: domainScheduler,
+    fairShare,
+    progress: progressTracker,
     privacy: privacyManager
   };
   next();
@@ -206,10 +277,68 @@ app.get('/api/projects/:id', authenticate, async (req, res) => {
   }
 });
 
+// Fair-share position of the project's next queued execution, its quota and expected start
+app.get('/api/projects/:id/queue', authenticate, async (req, res) => {
+  try {
+    res.json(await fairShare.status(`project:${req.params.id}`));
+  } catch (error) {
+    console.error('Error fetching project queue status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Overrides change a project's share of every other project's capacity, so only admins set them
+app.put('/api/projects/:id/quota', authenticate, authorizeRole('admin'), async (req, res) => {
+  try {
+    const { weight, maxConcurrent } = req.body || {};
+    const policy = { weight, maxConcurrent };
+    try {
+      validateFairSharePolicy(policy);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    await fairShare.setPolicy(`project:${req.params.id}`, policy);
+    res.json(await fairShare.status(`project:${req.params.id}`));
+  } catch (error) {
+    console.error('Error updating project quota:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Back to the weight and quota of the owner's tier
+app.delete('/api/projects/:id/quota', authenticate, authorizeRole('admin'), async (req, res) => {
+  try {
+    await fairShare.clearPolicy(`project:${req.params.id}`);
+    res.json(await fairShare.status(`project:${req.params.id}`));
+  } catch (error) {
+    console.error('Error resetting project quota:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Scraping jobs endpoints
 app.post('/api/jobs', async (req, res) => {
   try {
-    const { project_id, url, config } = req.body;
+    const { project_id, url, config, mode, crawl } = req.body;
+
+    // Crawl mode: start from seed URLs and follow links as child jobs
+    if (mode === 'crawl') {
+      const seeds = crawl?.seeds || (url ? [url] : []);
+      if (!project_id || seeds.length === 0) {
+        return res.status(400).json({ error: 'project_id and url or crawl.seeds are required' });
+      }
+
+      try {
+        const crawlJob = await crawlManager.startCrawl({ project_id, seeds, config: config || {}, crawl });
+        return res.json(crawlJob);
+      } catch (crawlError) {
+        if (crawlError instanceof SyntaxError || /seed URL/.test(crawlError.message)) {
+          return res.status(400).json({ error: crawlError.message });
+        }
+        throw crawlError;
+      }
+    }
     
     if (!project_id || !url) {
       return res.status(400).json({ error: 'project_id and url are required' });
@@ -253,6 +382,67 @@ app.get('/api/jobs/:id', async (req, res) => {
   }
 });
 
+// Crawl tracking and control
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    const result = await jobQueue.cancelJob(req.params.id, req.body?.reason);
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (result.status === 'completed' || result.status === 'failed') {
+      return res.status(409).json({ error: `Job already ${result.status}` });
+    }
+    res.status(result.status === 'cancelling' ? 202 : 200).json(result);
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:id/crawl', async (req, res) => {
+  try {
+    const status = await crawlManager.getCrawlStatus(req.params.id);
+    if (!status) {
+      return res.status(404).json({ error: 'Crawl not found' });
+    }
+    res.json(status);
+  } catch (error) {
+    console.error('Error fetching crawl status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/jobs/:id/crawl/pause', async (req, res) => {
+  try {
+    const status = await crawlManager.pauseCrawl(req.params.id);
+    res.json(status);
+  } catch (error) {
+    console.error('Error pausing crawl:', error);
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/jobs/:id/crawl/resume', async (req, res) => {
+  try {
+    const status = await crawlManager.resumeCrawl(req.params.id);
+    res.json(status);
+  } catch (error) {
+    console.error('Error resuming crawl:', error);
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:id/crawl/export', async (req, res) => {
+  try {
+    const pages = await crawlManager.exportCrawl(req.params.id);
+    res.setHeader('Content-Disposition', `attachment; filename="crawl-${req.params.id}.json"`);
+    res.json({ crawl_id: req.params.id, page_count: pages.length, pages });
+  } catch (error) {
+    console.error('Error exporting crawl:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/projects/:projectId/jobs', async (req, res) => {
   try {
     const { projectId } = req.params;
@@ -279,6 +469,89 @@ app.get('/api/projects/:projectId/jobs', async (req, res) => {
   }
 });
 
+// Dead-letter queue: jobs that failed their last retry, grouped by error signature
+app.get('/api/dead-letters', async (req, res) => {
+  try {
+    const { status, category, signature, limit, offset } = req.query;
+    const entries = await deadLetterQueue.list({
+      status: status ? String(status) : undefined,
+      category: category ? String(category) : undefined,
+      signature: signature ? String(signature) : undefined,
+      limit: Number(limit) || 50,
+      offset: Number(offset) || 0
+    });
+    res.json(entries);
+  } catch (error) {
+    console.error('Error listing dead-letter jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/dead-letters/groups', async (req, res) => {
+  try {
+    const groups = await deadLetterQueue.groups(req.query.status ? String(req.query.status) : undefined);
+    res.json(groups);
+  } catch (error) {
+    console.error('Error grouping dead-letter jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/dead-letters/groups/:signature/replay', async (req, res) => {
+  try {
+    const result = await deadLetterQueue.replayGroup(req.params.signature);
+    res.json(result);
+  } catch (error) {
+    console.error('Error replaying dead-letter group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/dead-letters/:id', async (req, res) => {
+  try {
+    const entry = await deadLetterQueue.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-letter job not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching dead-letter job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fix the config (selectors, timeouts, engine) before replaying
+app.put('/api/dead-letters/:id/config', async (req, res) => {
+  try {
+    const { config } = req.body;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return res.status(400).json({ error: 'config object is required' });
+    }
+
+    const entry = await deadLetterQueue.updateConfig(req.params.id, config);
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-letter job not found or already replayed' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Error updating dead-letter job config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const entry = await deadLetterQueue.replay(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-letter job not found or already replayed' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Error replaying dead-letter job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // AI endpoints
 app.post('/api/ai/discover-sites', async (req, res) => {
   try {
@@ -590,6 +863,14 @@ app.post('/api/templates', async (req, res) => {
       });
     }
 
+    if (config && config.login) {
+      try {
+        sessionManager.validateLoginFlow(config.login);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
+
     const template = await scraperTemplate.createTemplate(project_id, {
       name,
       description,
@@ -641,6 +922,14 @@ app.put('/api/templates/:id', async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
+    if (updates.config && updates.config.login) {
+      try {
+        sessionManager.validateLoginFlow(updates.config.login);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
+
     const updatedTemplate = await scraperTemplate.updateTemplate(id, updates);
     res.json(updatedTemplate);
   } catch (error) {
@@ -677,6 +966,28 @@ app.post('/api/templates/:id/clone', async (req, res) => {
   }
 });
 
+// Stored login session of a template (status only; the storage state never leaves the server)
+app.get('/api/templates/:id/session', async (req, res) => {
+  try {
+    const status = await sessionManager.getSessionStatus(req.params.id);
+    res.json(status);
+  } catch (error) {
+    console.error('Error fetching template session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Force the next job to log in again
+app.delete('/api/templates/:id/session', async (req, res) => {
+  try {
+    await sessionManager.invalidateSession(req.params.id, 'manual');
+    res.json({ message: 'Session cleared' });
+  } catch (error) {
+    console.error('Error clearing template session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Distributed Execution API
 app.post('/api/execution/schedule', async (req, res) => {
   try {
@@ -758,6 +1069,375 @@ app.post('/api/execution/queue/:name/resume', async (req, res) => {
   }
 });
 
+// Cancels every unfinished execution of a batch returned by /api/execution/schedule
+app.post('/api/execution/batches/:batchId/cancel', async (req, res) => {
+  try {
+    const result = await distributedOrchestrator.cancelBatch(req.params.batchId, req.body?.reason);
+    res.json(result);
+  } catch (error) {
+    console.error('Error cancelling batch:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Streams progress of every execution in a batch until all of them are finished
+app.get('/api/execution/batches/:batchId/progress/stream', async (req, res) => {
+  try {
+    const snapshot = await progressTracker.getBatchProgress(req.params.batchId);
+    if (snapshot.total === 0) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const unfinished = new Set(snapshot.executions
+      .filter(execution => !TERMINAL_STAGES.includes(execution.status))
+      .map(execution => execution.executionId));
+    streamProgress(req, res, { batchId: req.params.batchId }, snapshot, (progress) => {
+      if (progress && isFinal(progress)) unfinished.delete(progress.executionId);
+      return unfinished.size === 0;
+    });
+  } catch (error) {
+    console.error('Error streaming batch progress:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Seed Sources API (sitemaps and RSS/Atom feeds)
+app.post('/api/seed-sources', async (req, res) => {
+  try {
+    const { project_id, template_id, url } = req.body;
+
+    if (!project_id || !template_id || !url) {
+      return res.status(400).json({
+        error: 'project_id, template_id, and url are required'
+      });
+    }
+
+    const source = await seedSourceManager.createSource(req.body);
+    res.json(source);
+  } catch (error) {
+    if (/Unknown seed source type/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating seed source:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/seed-sources', async (req, res) => {
+  try {
+    const sources = await seedSourceManager.listSources(req.query.project_id);
+    res.json(sources);
+  } catch (error) {
+    console.error('Error listing seed sources:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/seed-sources/preview', async (req, res) => {
+  try {
+    const { url, type = 'auto', filters = {} } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const preview = await seedSourceManager.previewSource(url, type, filters);
+    res.json(preview);
+  } catch (error) {
+    console.error('Error previewing seed source:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/seed-sources/:id', async (req, res) => {
+  try {
+    const source = await seedSourceManager.getSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Seed source not found' });
+    }
+    res.json(source);
+  } catch (error) {
+    console.error('Error fetching seed source:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/seed-sources/:id/run', async (req, res) => {
+  try {
+    const stats = await seedSourceManager.runSource(req.params.id);
+    res.json({
+      message: `Scheduled ${stats.scheduled} new or changed URLs`,
+      ...stats
+    });
+  } catch (error) {
+    if (/not found/.test(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error running seed source:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedules API (cron-driven template batches)
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const { project_id, template_id, urls, cron_expression } = req.body;
+
+    if (!project_id || !template_id || !Array.isArray(urls) || !cron_expression) {
+      return res.status(400).json({
+        error: 'project_id, template_id, urls array and cron_expression are required'
+      });
+    }
+
+    try {
+      scheduleManager.validateSchedule(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const template = await scraperTemplate.getTemplate(template_id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const schedule = await scheduleManager.createSchedule(req.body);
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const schedules = await scheduleManager.listSchedules(req.query.project_id);
+    res.json(schedules);
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview a cron expression before saving it
+app.post('/api/schedules/preview', async (req, res) => {
+  try {
+    const { count = 10 } = req.body;
+
+    if (!req.body.cron_expression) {
+      return res.status(400).json({ error: 'cron_expression is required' });
+    }
+
+    try {
+      scheduleManager.validateSchedule(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    res.json({ runs: previewNextRuns(req.body, Number(count)) });
+  } catch (error) {
+    console.error('Error previewing schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await scheduleManager.getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/schedules/:id', async (req, res) => {
+  try {
+    try {
+      scheduleManager.validateSchedule(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const schedule = await scheduleManager.updateSchedule(req.params.id, req.body);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    await scheduleManager.deleteSchedule(req.params.id);
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/schedules/:id/next-runs', async (req, res) => {
+  try {
+    const schedule = await scheduleManager.getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({
+      enabled: schedule.enabled,
+      timezone: schedule.timezone,
+      runs: previewNextRuns(schedule, Number(req.query.count) || 10)
+    });
+  } catch (error) {
+    console.error('Error previewing schedule runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/schedules/:id/runs', async (req, res) => {
+  try {
+    const runs = await scheduleManager.listRuns(req.params.id, Number(req.query.limit) || 50);
+    res.json(runs);
+  } catch (error) {
+    console.error('Error listing schedule runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pipelines API (multi-stage scrape -> process -> export DAGs)
+app.post('/api/pipelines', async (req, res) => {
+  try {
+    const { project_id, name, stages } = req.body;
+
+    if (!project_id || !name || !Array.isArray(stages)) {
+      return res.status(400).json({ error: 'project_id, name and stages array are required' });
+    }
+
+    try {
+      pipelineManager.validatePipeline(stages);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const pipeline = await pipelineManager.createPipeline(req.body);
+    res.json(pipeline);
+  } catch (error) {
+    console.error('Error creating pipeline:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/pipelines', async (req, res) => {
+  try {
+    const pipelines = await pipelineManager.listPipelines(req.query.project_id);
+    res.json(pipelines);
+  } catch (error) {
+    console.error('Error listing pipelines:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/pipelines/:id', async (req, res) => {
+  try {
+    const pipeline = await pipelineManager.getPipeline(req.params.id);
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+    res.json(pipeline);
+  } catch (error) {
+    console.error('Error fetching pipeline:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/pipelines/:id', async (req, res) => {
+  try {
+    if (req.body.stages !== undefined) {
+      try {
+        pipelineManager.validatePipeline(req.body.stages);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
+
+    const pipeline = await pipelineManager.updatePipeline(req.params.id, req.body);
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+    res.json(pipeline);
+  } catch (error) {
+    console.error('Error updating pipeline:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/pipelines/:id', async (req, res) => {
+  try {
+    await pipelineManager.deletePipeline(req.params.id);
+    res.json({ message: 'Pipeline deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting pipeline:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/pipelines/:id/runs', async (req, res) => {
+  try {
+    const run = await pipelineManager.startRun(req.params.id, { urls: req.body.urls });
+    res.json(run);
+  } catch (error) {
+    if (/not found/.test(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (/has no URLs/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error starting pipeline run:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/pipelines/:id/runs', async (req, res) => {
+  try {
+    const runs = await pipelineManager.listRuns(req.params.id, Number(req.query.limit) || 20);
+    res.json(runs);
+  } catch (error) {
+    console.error('Error listing pipeline runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/pipeline-runs/:runId', async (req, res) => {
+  try {
+    const run = await pipelineManager.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Pipeline run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching pipeline run:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/pipeline-runs/:runId/stages/:stageId/export', async (req, res) => {
+  try {
+    const exported = await pipelineManager.getExport(req.params.runId, req.params.stageId);
+    if (!exported) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+    res.download(exported.filePath, `${req.params.stageId}.${exported.format}`);
+  } catch (error) {
+    console.error('Error downloading pipeline export:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Scraping Executions API
 app.get('/api/executions', async (req, res) => {
   try {
@@ -817,6 +1497,130 @@ app.get('/api/executions/:id', async (req, res) => {
   }
 });
 
+app.post('/api/executions/:id/cancel', async (req, res) => {
+  try {
+    const result = await distributedOrchestrator.cancelExecution(req.params.id, req.body?.reason);
+    if (!result) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+    if (!['cancelled', 'cancelling'].includes(result.status)) {
+      return res.status(409).json({ error: `Execution already ${result.status}` });
+    }
+    res.status(result.status === 'cancelling' ? 202 : 200).json(result);
+  } catch (error) {
+    console.error('Error cancelling execution:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/executions/:id/progress', async (req, res) => {
+  try {
+    const progress = await progressTracker.getExecutionProgress(req.params.id);
+    if (!progress) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+    res.json(progress);
+  } catch (error) {
+    console.error('Error fetching execution progress:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/executions/:id/progress/stream', async (req, res) => {
+  try {
+    const snapshot = await progressTracker.getExecutionProgress(req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    streamProgress(req, res, { executionId: req.params.id }, snapshot, (progress) => (
+      progress ? isFinal(progress) : TERMINAL_STAGES.includes(snapshot.status)
+    ));
+  } catch (error) {
+    console.error('Error streaming execution progress:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Debug artifacts (trace, HAR, DOM snapshot, screenshot) recorded for an execution
+app.get('/api/executions/:id/artifacts', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const artifacts = await artifactStore.listArtifacts(id);
+
+    res.json(artifacts.map(artifact => ({
+      ...artifact,
+      download_url: `/api/executions/${id}/artifacts/${artifact.id}`
+    })));
+  } catch (error) {
+    console.error('Error fetching execution artifacts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/executions/:id/artifacts/:artifactId', async (req, res) => {
+  try {
+    const { id, artifactId } = req.params;
+    const found = await artifactStore.getArtifact(id, artifactId);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    res.type(found.artifact.content_type);
+    res.download(found.filePath, found.artifact.file_name, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Artifact file is missing' });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading execution artifact:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Domain politeness: limits and current load per domain
+app.get('/api/domains/:domain/politeness', async (req, res) => {
+  try {
+    const domain = domainScheduler.domainOf(`https://${req.params.domain}`);
+    res.json(await domainScheduler.status(domain));
+  } catch (error) {
+    console.error('Error fetching domain politeness:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/domains/:domain/politeness', async (req, res) => {
+  try {
+    const { maxConcurrency, minDelayMs, respectRobots } = req.body || {};
+    const policy = { maxConcurrency, minDelayMs, respectRobots };
+    try {
+      validatePolicy(policy);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const domain = domainScheduler.domainOf(`https://${req.params.domain}`);
+    await domainScheduler.setPolicy(domain, policy);
+    res.json(await domainScheduler.status(domain));
+  } catch (error) {
+    console.error('Error updating domain politeness:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Back to the defaults from DOMAIN_MAX_CONCURRENCY / DOMAIN_MIN_DELAY_MS
+app.delete('/api/domains/:domain/politeness', async (req, res) => {
+  try {
+    const domain = domainScheduler.domainOf(`https://${req.params.domain}`);
+    await domainScheduler.clearPolicy(domain);
+    res.json(await domainScheduler.status(domain));
+  } catch (error) {
+    console.error('Error resetting domain politeness:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Proxy Management API
 app.get('/api/proxies', async (req, res) => {
   try {
@@ -909,6 +1713,14 @@ app.post('/api/schemas', async (req, res) => {
       });
     }
 
+    // JSON Schema definitions are checked up front; the { fields } form is taken as is
+    if (isJsonSchema(schema_def)) {
+      const problems = validateSchemaDefinition(schema_def, [...dataProcessor.normalizers.keys()]);
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid schema_def', details: problems });
+      }
+    }
+
     const { data, error } = await supabase
       .from('data_schemas')
       .insert([{
@@ -929,6 +1741,61 @@ app.post('/api/schemas', async (req, res) => {
   }
 });
 
+// Proposes a draft schema_def from a template's recent scraped_data; POST the draft to /api/schemas to keep it
+app.post('/api/schemas/infer', async (req, res) => {
+  try {
+    const { template_id, sample_size = 100 } = req.body;
+
+    if (!template_id) {
+      return res.status(400).json({ error: 'template_id is required' });
+    }
+    const limit = require('./utils/parse-number').parseNumber(sample_size);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'sample_size must be an integer between 1 and 1000' });
+    }
+
+    const { data: template, error: templateError } = await supabase
+      .from('scraper_templates')
+      .select('id, name, project_id')
+      .eq('id', template_id)
+      .single();
+
+    if (templateError && templateError.code !== 'PGRST116') throw templateError;
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { data: rows, error } = await supabase
+      .from('scraped_data')
+      .select('data, scraping_jobs!inner(template_id)')
+      .eq('scraping_jobs.template_id', template_id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const samples = expandSamples((rows || []).map(row => row.data));
+    if (samples.length === 0) {
+      return res.status(404).json({ error: 'No scraped data for this template yet' });
+    }
+
+    const inference = new SchemaInferrer(dataProcessor).infer(samples);
+    res.json({
+      draft: {
+        project_id: template.project_id,
+        name: `${template.name} (inferred)`,
+        schema_def: inference.schema
+      },
+      fields: inference.fields,
+      sample_count: inference.sampleCount,
+      rows_sampled: rows.length
+    });
+  } catch (error) {
+    console.error('Error inferring schema:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/schemas/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -952,16 +1819,19 @@ app.get('/api/schemas/:id', async (req, res) => {
   }
 });
 
-// Data Processing API
+// Data Processing API: one record as raw_data, or an array of them as records
 app.post('/api/data/process', async (req, res) => {
   try {
-    const { raw_data, schema_id, options = {} } = req.body;
+    const { raw_data, records, schema_id, options = {} } = req.body;
 
-    if (!raw_data || !schema_id) {
+    if ((!raw_data && !records) || !schema_id) {
       return res.status(400).json({ 
-        error: 'raw_data and schema_id are required' 
+        error: 'raw_data or records, and schema_id are required' 
       });
     }
+    if (records && !Array.isArray(records)) {
+      return res.status(400).json({ error: 'records must be an array' });
+    }
 
     // Get schema
     const { data: schema, error: schemaError } = await supabase
@@ -976,6 +1846,21 @@ app.post('/api/data/process', async (req, res) => {
       return res.status(404).json({ error: 'Schema not found' });
     }
 
+    if (records) {
+      const batch = await dataProcessor.processBatch(records, schema.schema_def, options);
+      return res.json({
+        results: batch.results.map(result => ({
+          index: result.index,
+          processed_data: result.data,
+          quality_metrics: result.qualityMetrics,
+          errors: result.errors,
+          warnings: result.warnings,
+          valid: result.valid
+        })),
+        summary: batch.summary
+      });
+    }
+
     // Process data
     const result = await dataProcessor.processScrapedData(raw_data, schema.schema_def, options);
 
@@ -995,6 +1880,154 @@ app.post('/api/data/process', async (req, res) => {
   }
 });
 
+// Streaming form for large runs: NDJSON records in, one NDJSON result per record out (in
+// input order), then a final {"summary": ...} line. Options go in the query string.
+app.post('/api/data/process/stream', async (req, res) => {
+  try {
+    const { schema_id, concurrency, strict_mode, deduplicate, locale, url } = req.query;
+
+    if (!schema_id) {
+      return res.status(400).json({ error: 'schema_id is required' });
+    }
+
+    const { data: schema, error: schemaError } = await supabase
+      .from('data_schemas')
+      .select('*')
+      .eq('id', schema_id)
+      .single();
+
+    if (schemaError) throw schemaError;
+
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+
+    const metrics = new BatchMetrics();
+    const options = {
+      concurrency: require('./utils/parse-number').parseNumber(concurrency),
+      strictMode: strict_mode === 'true',
+      deduplicate: deduplicate !== 'false',
+      ...(locale && { locale: String(locale) }),
+      ...(url && { url: String(url) }),
+      metrics
+    };
+
+    res.set('Content-Type', 'application/x-ndjson');
+    try {
+      for await (const result of dataProcessor.processStream(readNdjson(req), schema.schema_def, options)) {
+        if (res.destroyed) return;
+        if (!res.write(`${JSON.stringify(result)}\n`)) {
+          // A client that hangs up never drains; stop waiting when the socket goes away
+          await new Promise(resolve => {
+            const done = () => {
+              res.off('drain', done).off('close', done).off('error', done);
+              resolve();
+            };
+            res.on('drain', done).on('close', done).on('error', done);
+          });
+        }
+      }
+      if (res.destroyed) return;
+      res.end(`${JSON.stringify({ summary: metrics.summary() })}\n`);
+    } catch (error) {
+      // Results already went out with a 200, so the failure is the last line
+      console.error('Error streaming data processing:', error);
+      res.end(`${JSON.stringify({ error: error.message, summary: metrics.summary() })}\n`);
+    }
+  } catch (error) {
+    console.error('Error processing data stream:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Entities API: resolve records into entities, matched by the config inline or a data
+// schema's x-entity, and read them back with where each field came from
+app.post('/api/entities/resolve', async (req, res) => {
+  try {
+    const { project_id, schema_id, records } = req.body;
+    let config = req.body.config;
+
+    if (!project_id || !Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({ error: 'project_id and a non-empty records array are required' });
+    }
+    if (!config && !schema_id) {
+      return res.status(400).json({ error: 'config or schema_id is required' });
+    }
+
+    if (!config) {
+      const { data: schema, error } = await supabase
+        .from('data_schemas')
+        .select('schema_def')
+        .eq('id', schema_id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!schema) {
+        return res.status(404).json({ error: 'Schema not found' });
+      }
+      config = schema.schema_def?.['x-entity'];
+      if (!config) {
+        return res.status(400).json({ error: 'Schema has no x-entity config' });
+      }
+    }
+
+    try {
+      validateEntityConfig(config);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const result = await entityResolver.resolveBatch(records, { projectId: project_id, config });
+    res.json(result);
+  } catch (error) {
+    console.error('Error resolving entities:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/entities', async (req, res) => {
+  try {
+    const { project_id, entity_type, limit = 50, offset = 0 } = req.query;
+
+    if (!project_id) {
+      return res.status(400).json({ error: 'project_id is required' });
+    }
+
+    const entities = await entityResolver.listEntities(String(project_id), {
+      type: entity_type ? String(entity_type) : undefined,
+      limit: Math.min(require('./utils/parse-number').parseNumber(limit, 50) || 50, 500),
+      offset: require('./utils/parse-number').parseNumber(offset, 0) || 0
+    });
+    res.json(entities);
+  } catch (error) {
+    console.error('Error fetching entities:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/entities/:id', async (req, res) => {
+  try {
+    const entity = await entityResolver.getEntity(req.params.id);
+
+    if (!entity) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    res.json(entity);
+  } catch (error) {
+    console.error('Error fetching entity:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange rates used to convert prices (x-normalize toCurrency)
+app.get('/api/currency/rates', (req, res) => {
+  if (!currencyConverter.table) {
+    return res.status(404).json({ error: 'No exchange rates loaded; set CURRENCY_RATES_PATH' });
+  }
+  res.json({ ...currencyConverter.table, source: currencyConverter.source });
+});
+
 // CAPTCHA Analytics API
 app.get('/api/analytics/captcha', async (req, res) => {
   try {
@@ -1408,6 +2441,7 @@ app.get('/api/system/status', async (req, res) => {
       queues: queueStats,
       proxies: proxyStats,
       executions_24h: executionStats,
+      browser_pool: browserPool.getStats(),
       services: {
         orchestrator: distributedOrchestrator.isInitialized,
         proxy_manager: proxyManager.isInitialized,
@@ -1473,6 +2507,34 @@ async function analyzeTrainingSession(sessionId, recordingData) {
   }
 }
 
+// Server-sent progress events: the stored snapshot first, then every update until isDone or the client leaves
+function streamProgress(req, res, filter, snapshot, isDone) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let unsubscribe = () => {};
+  // Keeps proxies from closing a stream that is quiet between stages
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    if (!res.writableEnded) res.end();
+  };
+
+  send('snapshot', snapshot);
+  if (isDone(null)) return close();
+  unsubscribe = progressTracker.subscribe(filter, (progress) => {
+    send('progress', progress);
+    if (isDone(progress)) close();
+  });
+  req.on('close', close);
+}
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
@@ -1484,6 +2546,31 @@ if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`ðŸš€ APL AI Scraper 2.0 Server running on port ${PORT}`);
     console.log(`ðŸ“Š Health check: http://localhost:${PORT}/health`);
+
+    cancellations.subscribe().catch((error) => {
+      console.error('Failed to subscribe to cancellations:', error);
+    });
+
+    // The job queue worker is already running; launch its browsers before the first job needs one
+    browserPool.warmUp().catch((error) => {
+      console.error('Failed to warm up browser pool:', error);
+    });
+
+    pipelineManager.start().catch((error) => {
+      console.error('Failed to start pipeline worker:', error);
+    });
+
+    if (process.env.CURRENCY_RATES_PATH) {
+      currencyConverter.loadFile(process.env.CURRENCY_RATES_PATH).catch((error) => {
+        console.error('Failed to load exchange rates:', error);
+      });
+    }
+
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      scheduleManager.start().catch((error) => {
+        console.error('Failed to start scheduler:', error);
+      });
+    }
   });
 }
 
@@ -4,6 +4,8 @@ const rateLimit = require('express-rate-limit');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { parseNumber } = require('../../utils/parse-number');
+const { getTierLimits } = require('../core/tier-limits');
+const { STAGE_PERCENT } = require('../progress-tracker');
 
 /**
  * @typedef {Object} ScrapeRequestBody
@@ -34,9 +36,9 @@ class ApiGateway {
     this.supabase = null; // Will be injected
     this.jobQueue = null; // Will be injected
     this.webhookManager = null; // Will be injected
+    this.progressTracker = null; // Injected via setProgressTracker; without it completion estimates assume 30s per job
     // Ensure methods referenced by router are present for TypeScript/JSDoc inference
     // (Minimal no-op placeholders; real implementations exist later in file.)
-    this.cancelJob = this.cancelJob || (async (req, res) => { res.status(501).json({ error: 'Not implemented' }); });
     this.getExportStatus = this.getExportStatus || (async (req, res) => { res.status(501).json({ error: 'Not implemented' }); });
     this.listTemplates = this.listTemplates || (async (req, res) => { res.status(501).json({ error: 'Not implemented' }); });
     this.getTemplate = this.getTemplate || (async (req, res) => { res.status(501).json({ error: 'Not implemented' }); });
@@ -60,6 +62,13 @@ class ApiGateway {
     this.webhookManager = webhookManager;
   }
 
+  /**
+   * @param {import('../progress-tracker').ProgressTracker} progressTracker
+   */
+  setProgressTracker(progressTracker) {
+    this.progressTracker = progressTracker;
+  }
+
   setupMiddleware() {
     // Rate limiting with different tiers
     const createRateLimiter = (windowMs, max, message) => rateLimit({
@@ -372,7 +381,7 @@ class ApiGateway {
           status: job.status,
           created_at: job.created_at
         })),
-        estimated_completion: this.estimateCompletionTime(jobs.length),
+        estimated_completion: await this.estimateCompletionTime(template_id, jobs.length),
         documentation: '/docs/job-status'
       });
 
@@ -422,7 +431,7 @@ class ApiGateway {
         records_scraped: job.records_scraped,
         error_message: job.error_message,
         data: job.scraped_data?.data,
-        progress: this.calculateJobProgress(job)
+        progress: await this.calculateJobProgress(job)
       });
 
     } catch (error) {
@@ -434,6 +443,54 @@ class ApiGateway {
     }
   }
 
+  async cancelJob(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { data: job, error } = await this.supabase
+        .from('scraping_jobs')
+        .select('id, status')
+        .eq('id', id)
+        .eq('api_key_id', req.apiKey.id)
+        .single();
+
+      if (error || !job) {
+        return res.status(404).json({ 
+          error: 'Job not found',
+          job_id: id
+        });
+      }
+
+      if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+        return res.status(409).json({
+          error: `Job already ${job.status}`,
+          job_id: id
+        });
+      }
+
+      const result = await this.jobQueue.cancelJob(id, req.body?.reason);
+      if (!result) {
+        return res.status(404).json({ 
+          error: 'Job not found',
+          job_id: id
+        });
+      }
+
+      // A running job stops asynchronously; its status turns 'cancelled' once the worker has let go
+      res.status(result.status === 'cancelling' ? 202 : 200).json({
+        job_id: id,
+        status: result.status
+      });
+
+    } catch (error) {
+      console.error('Cancel job error:', error);
+      res.status(500).json({ 
+        error: 'Internal server error',
+        request_id: req.requestId
+      });
+    }
+  }
+
   async listJobs(req, res) {
     try {
       const { 
@@ -726,24 +783,32 @@ class ApiGateway {
   }
 
   getUserLimits(tier) {
-    const limits = {
-      free: { requests_per_hour: 100, scrapes_per_month: 1000 },
-      basic: { requests_per_hour: 500, scrapes_per_month: 10000 },
-      premium: { requests_per_hour: 2000, scrapes_per_month: 100000 }
-    };
-
-    return limits[tier] || limits.free;
+    return getTierLimits(tier);
   }
 
-  calculateJobProgress(job) {
-    if (job.status === 'completed') return 100;
-    if (job.status === 'failed') return 0;
-    if (job.status === 'running') return 50;
-    return 0;
+  /**
+   * Structured progress as reported by the worker running the job.
+   * @returns {Promise<{ stage: string, percent: number } & Object>}
+   */
+  async calculateJobProgress(job) {
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+      return { stage: job.status, percent: STAGE_PERCENT[job.status] };
+    }
+
+    const reported = this.jobQueue ? await this.jobQueue.getJobProgress(job.id) : null;
+    if (reported) return reported;
+    const stage = job.status === 'running' ? 'starting' : 'queued';
+    return { stage, percent: STAGE_PERCENT[stage] };
   }
 
-  estimateCompletionTime(jobCount) {
-    // Rough estimate: 30 seconds per job
+  async estimateCompletionTime(templateId, jobCount) {
+    if (this.progressTracker) {
+      const parallelism = this.jobQueue?.worker?.opts?.concurrency || 1;
+      const estimate = await this.progressTracker.estimateBatch(templateId, jobCount, parallelism);
+      if (estimate.estimatedCompletionAt) return estimate.estimatedCompletionAt;
+    }
+
+    // No history for the template yet: roughly 30 seconds per job
     const seconds = jobCount * 30;
     return new Date(Date.now() + seconds * 1000).toISOString();
   }
@@ -0,0 +1,148 @@
+// APL AI Scraper 2.0 - Debug artifacts stored against scraping executions
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * @typedef {Object} ExecutionArtifact
+ * @property {string} id
+ * @property {string} execution_id
+ * @property {'trace'|'har'|'dom'|'screenshot'} type
+ * @property {string} file_name
+ * @property {string} storage_path - relative to the artifact root
+ * @property {string} content_type
+ * @property {number} size_bytes
+ */
+
+/**
+ * Keeps the files DebugRecorder produced under ARTIFACT_STORAGE_PATH/<executionId>/
+ * and indexes them in `execution_artifacts`.
+ */
+class ArtifactStore {
+  /**
+   * @param {any} supabase
+   * @param {{ root?: string }} [options]
+   */
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.root = path.resolve(options.root || process.env.ARTIFACT_STORAGE_PATH || './artifacts');
+  }
+
+  /**
+   * Record a JobQueue attempt as a scraping execution so artifacts have a row to hang off.
+   * @param {{ jobId: string|number, url: string, status: string, startedAt: number, error?: string, metadata?: Object }} attempt
+   * @returns {Promise<string>} execution id
+   */
+  async createExecution(attempt) {
+    const { data, error } = await this.supabase
+      .from('scraping_executions')
+      .insert([{
+        job_id: attempt.jobId,
+        url: attempt.url,
+        status: attempt.status,
+        execution_duration_ms: Date.now() - attempt.startedAt,
+        started_at: new Date(attempt.startedAt).toISOString(),
+        completed_at: new Date().toISOString(),
+        execution_metadata: {
+          ...attempt.metadata,
+          ...(attempt.error && { errorMessage: attempt.error })
+        }
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data.id;
+  }
+
+  /**
+   * Move recorded files into permanent storage and index them.
+   * @param {string} executionId
+   * @param {import('../scrapers/debug-artifacts').RecordedArtifact[]} recorded
+   * @returns {Promise<ExecutionArtifact[]>}
+   */
+  async saveArtifacts(executionId, recorded) {
+    const targetDir = path.join(this.root, String(executionId));
+    await fs.mkdir(targetDir, { recursive: true });
+
+    const rows = [];
+    for (const artifact of recorded) {
+      const target = path.join(targetDir, artifact.fileName);
+      await this.moveFile(artifact.path, target);
+      rows.push({
+        execution_id: executionId,
+        type: artifact.type,
+        file_name: artifact.fileName,
+        storage_path: path.relative(this.root, target),
+        content_type: artifact.contentType,
+        size_bytes: artifact.size
+      });
+    }
+
+    // The recorder's temp directory is empty now
+    const sourceDirs = new Set(recorded.map(artifact => path.dirname(artifact.path)));
+    for (const dir of sourceDirs) {
+      await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+
+    if (rows.length === 0) return [];
+
+    const { data, error } = await this.supabase
+      .from('execution_artifacts')
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // rename() fails across filesystems (tmpfs to disk), so fall back to copying
+  async moveFile(source, target) {
+    try {
+      await fs.rename(source, target);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      await fs.copyFile(source, target);
+      await fs.unlink(source);
+    }
+  }
+
+  /**
+   * @param {string} executionId
+   * @returns {Promise<ExecutionArtifact[]>}
+   */
+  async listArtifacts(executionId) {
+    const { data, error } = await this.supabase
+      .from('execution_artifacts')
+      .select('*')
+      .eq('execution_id', executionId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * @param {string} executionId
+   * @param {string} artifactId
+   * @returns {Promise<{ artifact: ExecutionArtifact, filePath: string }|null>}
+   */
+  async getArtifact(executionId, artifactId) {
+    const { data, error } = await this.supabase
+      .from('execution_artifacts')
+      .select('*')
+      .eq('id', artifactId)
+      .eq('execution_id', executionId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data) return null;
+
+    const filePath = path.resolve(this.root, data.storage_path);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Artifact path escapes the storage root');
+    }
+    return { artifact: data, filePath };
+  }
+}
+
+module.exports = { ArtifactStore };
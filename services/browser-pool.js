@@ -0,0 +1,337 @@
+// APL AI Scraper 2.0 - Shared browser pool
+const fs = require('fs');
+const { chromium } = require('playwright');
+const { parseNumber } = require('../utils/parse-number');
+
+/**
+ * @typedef {Object} BrowserPoolOptions
+ * @property {number} [size] - browsers kept warm (BROWSER_POOL_SIZE, default 2)
+ * @property {number} [contextsPerBrowser] - concurrent contexts per browser (BROWSER_POOL_CONTEXTS_PER_BROWSER, default 4)
+ * @property {number} [maxPagesPerBrowser] - contexts served before a browser is recycled (BROWSER_POOL_MAX_PAGES, default 200)
+ * @property {number} [maxMemoryMb] - resident memory that triggers a recycle (BROWSER_POOL_MAX_MEMORY_MB, default 1536)
+ * @property {number} [memoryCheckInterval] - measure memory every N released contexts (default 10)
+ * @property {number} [acquireTimeout] - ms to wait for a free context slot (default 60000)
+ * @property {Object} [launchOptions] - passed to chromium.launch
+ * @property {{ launch: Function }} [launcher] - defaults to Playwright's chromium
+ * @property {(browser: any) => Promise<number|null>} [memoryProbe] - defaults to measureBrowserMemoryMb
+ */
+
+/**
+ * @typedef {Object} PooledBrowser
+ * @property {number} id
+ * @property {any} browser
+ * @property {number} activeContexts
+ * @property {number} pagesServed
+ * @property {number|null} memoryMb - last measurement
+ * @property {number} launchedAt
+ * @property {boolean} retiring - no new contexts; closed once the active ones are released
+ */
+
+const DEFAULT_LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-blink-features=AutomationControlled',
+  '--no-first-run',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding'
+];
+
+/**
+ * Sum the resident memory of every process belonging to a Chromium instance.
+ * Process ids come from the DevTools SystemInfo domain and RSS from /proc, so this
+ * returns null on platforms without procfs or when the browser is not Chromium.
+ * @param {any} browser
+ * @returns {Promise<number|null>}
+ */
+async function measureBrowserMemoryMb(browser) {
+  let session;
+  try {
+    session = await browser.newBrowserCDPSession();
+    const { processInfo } = await session.send('SystemInfo.getProcessInfo');
+    let totalKb = 0;
+    for (const info of processInfo) {
+      try {
+        const status = fs.readFileSync(`/proc/${info.id}/status`, 'utf8');
+        const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+        if (match) totalKb += Number(match[1]);
+      } catch {
+        // Process exited between listing and reading
+      }
+    }
+    return totalKb > 0 ? Math.round(totalKb / 1024) : null;
+  } catch {
+    return null;
+  } finally {
+    if (session) await session.detach().catch(() => {});
+  }
+}
+
+/**
+ * Keeps a few Chromium instances running for the lifetime of the worker and hands
+ * out isolated browser contexts, so jobs pay for a context instead of a browser launch.
+ * Browsers are recycled after serving maxPagesPerBrowser contexts or growing past
+ * maxMemoryMb, once their in-flight contexts have been released.
+ */
+class BrowserPool {
+  /**
+   * @param {BrowserPoolOptions} [options]
+   */
+  constructor(options = {}) {
+    this.size = options.size ?? (parseNumber(process.env.BROWSER_POOL_SIZE, 2) || 2);
+    this.contextsPerBrowser = options.contextsPerBrowser ?? (parseNumber(process.env.BROWSER_POOL_CONTEXTS_PER_BROWSER, 4) || 4);
+    this.maxPagesPerBrowser = options.maxPagesPerBrowser ?? (parseNumber(process.env.BROWSER_POOL_MAX_PAGES, 200) || 200);
+    this.maxMemoryMb = options.maxMemoryMb ?? (parseNumber(process.env.BROWSER_POOL_MAX_MEMORY_MB, 1536) || 1536);
+    this.memoryCheckInterval = options.memoryCheckInterval ?? 10;
+    this.acquireTimeout = options.acquireTimeout ?? 60000;
+    this.launchOptions = {
+      headless: process.env.BROWSER_HEADLESS !== 'false',
+      args: DEFAULT_LAUNCH_ARGS,
+      ...options.launchOptions
+    };
+    this.launcher = options.launcher || chromium;
+    this.memoryProbe = options.memoryProbe || measureBrowserMemoryMb;
+
+    /** @type {PooledBrowser[]} */
+    this.browsers = [];
+    this.leases = new Map(); // BrowserContext -> PooledBrowser
+    this.waiters = [];
+    this.launching = 0;
+    this.nextId = 1;
+    this.closed = false;
+    this.totals = { launched: 0, recycled: 0, contextsServed: 0, acquireTimeouts: 0 };
+  }
+
+  /**
+   * Launch browsers up to the pool size ahead of the first job.
+   */
+  async warmUp() {
+    const missing = this.size - this.browsers.length - this.launching;
+    const launches = [];
+    for (let i = 0; i < missing; i++) {
+      launches.push(this.launchBrowser());
+    }
+    await Promise.all(launches);
+    console.log(`ðŸš€ Browser pool warmed up with ${this.browsers.length} browsers`);
+  }
+
+  /**
+   * Get a fresh, isolated context on a pooled browser. Must be handed back with releaseContext.
+   * @param {Object} [contextOptions] - passed to browser.newContext
+   */
+  async acquireContext(contextOptions = {}) {
+    const entry = await this.acquireSlot();
+    try {
+      const context = await entry.browser.newContext(contextOptions);
+      this.leases.set(context, entry);
+      return context;
+    } catch (error) {
+      entry.activeContexts--;
+      this.dispatch();
+      throw error;
+    }
+  }
+
+  /**
+   * Close a context obtained from acquireContext and recycle its browser if it is due.
+   * @param {any} context
+   */
+  async releaseContext(context) {
+    const entry = this.leases.get(context);
+    await context.close().catch(() => {});
+    if (!entry) return;
+
+    this.leases.delete(context);
+    entry.activeContexts--;
+    entry.pagesServed++;
+    this.totals.contextsServed++;
+
+    if (!entry.retiring) {
+      if (entry.pagesServed >= this.maxPagesPerBrowser) {
+        entry.retiring = true;
+        console.log(`ðŸ”„ Recycling browser ${entry.id} after ${entry.pagesServed} pages`);
+      } else if (entry.pagesServed % this.memoryCheckInterval === 0) {
+        entry.memoryMb = await this.memoryProbe(entry.browser);
+        if (entry.memoryMb !== null && entry.memoryMb >= this.maxMemoryMb) {
+          entry.retiring = true;
+          console.log(`ðŸ”„ Recycling browser ${entry.id} at ${entry.memoryMb}MB`);
+        }
+      }
+    }
+
+    if (entry.retiring && entry.activeContexts === 0) {
+      await this.retireBrowser(entry);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * @returns {Promise<PooledBrowser>}
+   */
+  async acquireSlot() {
+    if (this.closed) throw new Error('Browser pool is closed');
+
+    const entry = this.pickBrowser();
+    if (entry) {
+      entry.activeContexts++;
+      return entry;
+    }
+
+    if (this.canLaunch()) {
+      const launched = await this.launchBrowser();
+      launched.activeContexts++;
+      this.dispatch();
+      return launched;
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        this.totals.acquireTimeouts++;
+        reject(new Error(`Timed out after ${this.acquireTimeout}ms waiting for a pooled browser`));
+      }, this.acquireTimeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Least-loaded browser that still has a free context slot.
+   * @returns {PooledBrowser|null}
+   */
+  pickBrowser() {
+    let best = null;
+    for (const entry of this.browsers) {
+      if (entry.retiring || entry.activeContexts >= this.contextsPerBrowser) continue;
+      if (!best || entry.activeContexts < best.activeContexts) best = entry;
+    }
+    return best;
+  }
+
+  canLaunch() {
+    return !this.closed && this.browsers.length + this.launching < this.size;
+  }
+
+  // Hand free slots to queued acquirers, launching browsers while below the pool size
+  dispatch() {
+    while (this.waiters.length > 0) {
+      const entry = this.pickBrowser();
+      if (entry) {
+        const waiter = this.waiters.shift();
+        clearTimeout(waiter.timer);
+        entry.activeContexts++;
+        waiter.resolve(entry);
+      } else if (this.canLaunch()) {
+        const waiter = this.waiters.shift();
+        clearTimeout(waiter.timer);
+        this.launchBrowser().then((launched) => {
+          launched.activeContexts++;
+          waiter.resolve(launched);
+          this.dispatch();
+        }, waiter.reject);
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise<PooledBrowser>}
+   */
+  async launchBrowser() {
+    this.launching++;
+    try {
+      const browser = await this.launcher.launch(this.launchOptions);
+      /** @type {PooledBrowser} */
+      const entry = {
+        id: this.nextId++,
+        browser,
+        activeContexts: 0,
+        pagesServed: 0,
+        memoryMb: null,
+        launchedAt: Date.now(),
+        retiring: false
+      };
+
+      // A crashed browser leaves the pool; its leases fail on their own
+      browser.on('disconnected', () => {
+        this.browsers = this.browsers.filter(e => e !== entry);
+        if (!entry.retiring && !this.closed) {
+          console.warn(`Browser ${entry.id} disconnected unexpectedly`);
+          this.dispatch();
+        }
+      });
+
+      this.browsers.push(entry);
+      this.totals.launched++;
+      return entry;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  /**
+   * @param {PooledBrowser} entry
+   */
+  async retireBrowser(entry) {
+    entry.retiring = true;
+    this.browsers = this.browsers.filter(e => e !== entry);
+    await entry.browser.close().catch((error) => {
+      console.warn(`Failed to close browser ${entry.id}:`, error.message);
+    });
+    this.totals.recycled++;
+
+    // Keep the pool warm so the next job does not pay for the launch
+    if (this.canLaunch()) {
+      this.launchBrowser()
+        .then(() => this.dispatch())
+        .catch(error => console.warn('Failed to relaunch pooled browser:', error.message));
+    }
+  }
+
+  /**
+   * Utilization snapshot for /api/system/status.
+   */
+  getStats() {
+    const activeContexts = this.browsers.reduce((sum, entry) => sum + entry.activeContexts, 0);
+    const capacity = this.browsers.filter(entry => !entry.retiring).length * this.contextsPerBrowser;
+
+    return {
+      size: this.size,
+      contextsPerBrowser: this.contextsPerBrowser,
+      running: this.browsers.length,
+      launching: this.launching,
+      activeContexts,
+      capacity,
+      utilization: capacity > 0 ? Math.round((activeContexts / capacity) * 100) / 100 : 0,
+      waiting: this.waiters.length,
+      browsers: this.browsers.map(entry => ({
+        id: entry.id,
+        activeContexts: entry.activeContexts,
+        pagesServed: entry.pagesServed,
+        memoryMb: entry.memoryMb,
+        uptimeMs: Date.now() - entry.launchedAt,
+        retiring: entry.retiring
+      })),
+      totals: { ...this.totals },
+      limits: { maxPagesPerBrowser: this.maxPagesPerBrowser, maxMemoryMb: this.maxMemoryMb }
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    for (const waiter of this.waiters) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is closed'));
+    }
+    this.waiters = [];
+
+    const browsers = this.browsers;
+    this.browsers = [];
+    await Promise.all(browsers.map(entry => entry.browser.close().catch(() => {})));
+    console.log('ðŸ”’ Browser pool closed');
+  }
+}
+
+module.exports = { BrowserPool, measureBrowserMemoryMb };
@@ -0,0 +1,125 @@
+// APL AI Scraper 2.0 - Cooperative cancellation of running scrapes across worker processes
+
+const CANCEL_CHANNEL = 'scrape-cancellations';
+const CANCEL_KEY_PREFIX = 'cancel:';
+
+/**
+ * Abort reason of a cancelled scrape. Workers check `signal.aborted` rather than the
+ * error type, since Playwright surfaces a closed page as its own error.
+ */
+class CancelledError extends Error {
+  /**
+   * @param {string} id
+   * @param {string} [reason]
+   */
+  constructor(id, reason = 'Cancelled') {
+    super(reason);
+    this.name = 'CancelledError';
+    this.id = id;
+  }
+}
+
+/**
+ * Hands every scrape running in this process an AbortSignal and aborts it when a
+ * cancel for its id is published from any process. The cancel is also stored as a
+ * Redis flag so a job that is picked up after the publish (still queued, between
+ * retries) starts out aborted.
+ *
+ * Ids are opaque; callers namespace them (`execution:<id>`, `job:<id>`).
+ */
+class CancellationRegistry {
+  /**
+   * @param {any} redis - IORedis connection; subscribing uses a duplicate of it
+   * @param {{ channel?: string, ttlSeconds?: number }} [options]
+   */
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.channel = options.channel || CANCEL_CHANNEL;
+    this.ttlSeconds = options.ttlSeconds || 24 * 3600;
+    /** @type {Map<string, AbortController>} */
+    this.controllers = new Map();
+    this.subscriber = null;
+  }
+
+  async subscribe() {
+    if (this.subscriber) return;
+    this.subscriber = this.redis.duplicate();
+    this.subscriber.on('message', (channel, message) => {
+      if (channel === this.channel) this.handleMessage(message);
+    });
+    await this.subscriber.subscribe(this.channel);
+    console.log(`ðŸ›‘ Listening for cancellations on ${this.channel}`);
+  }
+
+  /**
+   * @param {string} message
+   */
+  handleMessage(message) {
+    try {
+      const { id, reason } = JSON.parse(message);
+      this.abortLocal(id, reason);
+    } catch (error) {
+      console.warn('Ignoring malformed cancellation message:', error.message);
+    }
+  }
+
+  /**
+   * Register a scrape that is about to run in this process. `release` must be called
+   * once it has finished, whatever the outcome.
+   * @param {string} id
+   * @returns {Promise<{ signal: AbortSignal, release: () => void }>}
+   */
+  async track(id) {
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+    const release = () => {
+      if (this.controllers.get(id) === controller) this.controllers.delete(id);
+    };
+
+    const reason = await this.cancelledReason(id);
+    if (reason !== null) {
+      controller.abort(new CancelledError(id, reason));
+    }
+    return { signal: controller.signal, release };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<string|null>} reason of the cancel, or null when not cancelled
+   */
+  async cancelledReason(id) {
+    return this.redis.get(`${CANCEL_KEY_PREFIX}${id}`);
+  }
+
+  /**
+   * Flag `id` as cancelled and abort it wherever it is running.
+   * @param {string} id
+   * @param {string} [reason]
+   */
+  async cancel(id, reason = 'Cancelled by user') {
+    await this.redis.set(`${CANCEL_KEY_PREFIX}${id}`, reason, 'EX', this.ttlSeconds);
+    await this.redis.publish(this.channel, JSON.stringify({ id, reason }));
+    // Covers a process that never subscribed; a subscribed one ignores its own echo
+    this.abortLocal(id, reason);
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} reason
+   * @returns {boolean} whether a scrape running here was aborted
+   */
+  abortLocal(id, reason) {
+    const controller = this.controllers.get(id);
+    if (!controller || controller.signal.aborted) return false;
+    controller.abort(new CancelledError(id, reason));
+    return true;
+  }
+
+  async close() {
+    if (!this.subscriber) return;
+    await this.subscriber.quit();
+    this.subscriber = null;
+  }
+}
+
+module.exports = { CancellationRegistry, CancelledError, CANCEL_CHANNEL };
@@ -19,6 +19,7 @@ class DatabaseAdapter {
     // Map the fields to our expected schema
     return {
       id: data.id,
+      project_id: data.project_id || null, // Scopes per-project state such as delta fingerprints
       url: data.apartment_url, // Map apartment_url to url
       status: data.status,
       attempts: data.attempt_count, // Map attempt_count to attempts
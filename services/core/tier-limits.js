@@ -0,0 +1,27 @@
+// services/core/tier-limits.js
+// Subscription tier limits shared by the API gateway (usage) and the scrape schedulers (fair share)
+
+/**
+ * @typedef {Object} TierLimits
+ * @property {number} requests_per_hour
+ * @property {number} scrapes_per_month
+ * @property {number} fair_share_weight - relative share of queue throughput while several tenants wait
+ * @property {number} concurrent_executions - scrapes of one tenant running at once
+ */
+
+/** @type {Record<string, TierLimits>} */
+const TIER_LIMITS = {
+  free: { requests_per_hour: 100, scrapes_per_month: 1000, fair_share_weight: 1, concurrent_executions: 2 },
+  basic: { requests_per_hour: 500, scrapes_per_month: 10000, fair_share_weight: 2, concurrent_executions: 5 },
+  premium: { requests_per_hour: 2000, scrapes_per_month: 100000, fair_share_weight: 4, concurrent_executions: 20 }
+};
+
+/**
+ * @param {string} [tier]
+ * @returns {TierLimits} the free tier for unknown tiers
+ */
+function getTierLimits(tier) {
+  return TIER_LIMITS[tier] || TIER_LIMITS.free;
+}
+
+module.exports = { TIER_LIMITS, getTierLimits };
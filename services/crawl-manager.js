@@ -0,0 +1,460 @@
+// APL AI Scraper 2.0 - Link-following crawl mode
+const { normalizeUrl, isWithinScope } = require('../utils/url-normalizer');
+const { parseNumber } = require('../utils/parse-number');
+
+/**
+ * @typedef {Object} CrawlSettings
+ * @property {string[]} seeds - normalized seed URLs
+ * @property {string[]} [scopeSeeds] - seeds as given, for scope checks: normalizing drops the
+ *   trailing slash that makes `/docs/` a directory rather than a page named docs
+ * @property {string[]} include - regex sources; a discovered link must match one (when non-empty)
+ * @property {string[]} exclude - regex sources; a discovered link matching any is dropped
+ * @property {number} maxDepth - link hops from a seed (seeds are depth 0)
+ * @property {number} maxPages - total page budget for the crawl, seeds included
+ * @property {'host'|'domain'|'path'|'any'} scope
+ * @property {Object} config - scraping config applied to every page of the crawl
+ * @property {string} projectId
+ */
+
+/**
+ * @typedef {Object} FrontierEntry
+ * @property {string} url
+ * @property {number} depth
+ */
+
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 100;
+// How long a finished crawl's state stays readable through getCrawlStatus
+const FINISHED_CRAWL_TTL_SECONDS = 24 * 3600;
+
+/**
+ * Coordinates crawl jobs: a parent row in `scraping_jobs` tracks the crawl, every
+ * crawled page is a child job (parent_job_id) processed by JobQueue. Frontier
+ * state lives in Redis so it is shared by all workers:
+ *   crawl:{id}:settings   CrawlSettings JSON
+ *   crawl:{id}:status     running | paused | completed | cancelled
+ *   crawl:{id}:seen       set of normalized URLs already discovered
+ *   crawl:{id}:scheduled  number of pages enqueued (bounded by maxPages)
+ *   crawl:{id}:finished   number of pages finished (succeeded or permanently failed)
+ *   crawl:{id}:frontier   list of FrontierEntry JSON held back while the crawl is paused
+ *   crawl:{id}:held       list of JobDescriptor JSON taken out of the queue while paused
+ * Once a crawl completes or is cancelled its keys expire after FINISHED_CRAWL_TTL_SECONDS.
+ */
+class CrawlManager {
+  constructor(supabase, jobQueue) {
+    this.supabase = supabase;
+    this.jobQueue = jobQueue;
+    this.redis = jobQueue.connection;
+  }
+
+  keys(crawlId) {
+    const prefix = `crawl:${crawlId}`;
+    return {
+      settings: `${prefix}:settings`,
+      status: `${prefix}:status`,
+      seen: `${prefix}:seen`,
+      scheduled: `${prefix}:scheduled`,
+      finished: `${prefix}:finished`,
+      frontier: `${prefix}:frontier`,
+      held: `${prefix}:held`
+    };
+  }
+
+  /**
+   * @param {string[]} seeds
+   * @param {Object} [crawl]
+   * @param {Object} [config]
+   * @param {string} [projectId]
+   * @returns {CrawlSettings}
+   */
+  buildSettings(seeds, crawl = {}, config = {}, projectId = null) {
+    const validSeeds = seeds.filter(seed => normalizeUrl(seed));
+    const normalizedSeeds = [...new Set(validSeeds.map(seed => normalizeUrl(seed)))];
+    if (normalizedSeeds.length === 0) {
+      throw new Error('At least one valid http(s) seed URL is required');
+    }
+
+    const include = crawl.include || [];
+    const exclude = crawl.exclude || [];
+    // Compile once up front so an invalid pattern is rejected when the crawl is created
+    [...include, ...exclude].forEach(pattern => new RegExp(pattern));
+
+    return {
+      seeds: normalizedSeeds,
+      scopeSeeds: [...new Set(validSeeds.map(seed => seed.trim()))],
+      include,
+      exclude,
+      maxDepth: Math.max(0, parseNumber(crawl.maxDepth, DEFAULT_MAX_DEPTH)),
+      maxPages: Math.max(1, parseNumber(crawl.maxPages, DEFAULT_MAX_PAGES)),
+      scope: crawl.scope || 'domain',
+      config,
+      projectId
+    };
+  }
+
+  /**
+   * Create the parent crawl job and enqueue the seed pages.
+   * @param {{ project_id: string, seeds: string[], config?: Object, crawl?: Object }} params
+   */
+  async startCrawl({ project_id, seeds, config = {}, crawl = {} }) {
+    const settings = this.buildSettings(seeds, crawl, config, project_id);
+
+    const { data: parent, error } = await this.supabase
+      .from('scraping_jobs')
+      .insert([{
+        project_id,
+        url: settings.seeds[0],
+        status: 'running',
+        depth: 0,
+        config: { ...config, mode: 'crawl', crawl: settings }
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const keys = this.keys(parent.id);
+    await this.redis.set(keys.settings, JSON.stringify(settings));
+    await this.redis.set(keys.status, 'running');
+
+    const scheduled = await this.scheduleUrls(parent.id, settings.seeds.map(url => ({ url, depth: 0 })), settings);
+    console.log(`ðŸš€ Crawl ${parent.id} started with ${scheduled.length} seed pages`);
+
+    return { ...parent, crawl: { seeds: scheduled.length, maxPages: settings.maxPages, maxDepth: settings.maxDepth } };
+  }
+
+  /**
+   * @param {string} crawlId
+   * @returns {Promise<CrawlSettings|null>}
+   */
+  async getSettings(crawlId) {
+    const raw = await this.redis.get(this.keys(crawlId).settings);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Normalize, scope-check and pattern-filter links discovered on a page.
+   * @param {string[]} links
+   * @param {string} pageUrl
+   * @param {CrawlSettings} settings
+   * @returns {string[]}
+   */
+  filterLinks(links, pageUrl, settings) {
+    const include = settings.include.map(pattern => new RegExp(pattern));
+    const exclude = settings.exclude.map(pattern => new RegExp(pattern));
+    const accepted = new Set();
+
+    for (const link of links || []) {
+      const url = normalizeUrl(link, pageUrl);
+      if (!url || accepted.has(url)) continue;
+      // Crawls started before scopeSeeds existed only have the normalized seeds
+      if (!(settings.scopeSeeds || settings.seeds).some(seed => isWithinScope(url, seed, settings.scope))) continue;
+      if (include.length > 0 && !include.some(pattern => pattern.test(url))) continue;
+      if (exclude.some(pattern => pattern.test(url))) continue;
+      accepted.add(url);
+    }
+
+    return [...accepted];
+  }
+
+  /**
+   * Record newly discovered URLs and enqueue them, or hold them in the frontier while paused.
+   * @param {string} crawlId
+   * @param {FrontierEntry[]} entries
+   * @param {CrawlSettings} settings
+   */
+  async scheduleUrls(crawlId, entries, settings) {
+    const keys = this.keys(crawlId);
+    const status = await this.redis.get(keys.status);
+    if (status !== 'running' && status !== 'paused') return [];
+
+    const fresh = [];
+
+    for (const entry of entries) {
+      // SADD returns 1 only for URLs not seen before, which dedupes across workers
+      if (await this.redis.sadd(keys.seen, entry.url)) {
+        fresh.push(entry);
+      }
+    }
+
+    if (fresh.length === 0) return [];
+
+    if (status === 'paused') {
+      await this.redis.rpush(keys.frontier, ...fresh.map(entry => JSON.stringify(entry)));
+      return [];
+    }
+
+    return this.enqueueEntries(crawlId, fresh, settings);
+  }
+
+  /**
+   * Create child job rows within the page budget and hand them to the job queue.
+   * @param {string} crawlId
+   * @param {FrontierEntry[]} entries
+   * @param {CrawlSettings} settings
+   */
+  async enqueueEntries(crawlId, entries, settings) {
+    const keys = this.keys(crawlId);
+    const accepted = [];
+
+    for (const entry of entries) {
+      const count = await this.redis.incr(keys.scheduled);
+      if (count > settings.maxPages) {
+        await this.redis.decr(keys.scheduled);
+        break;
+      }
+      accepted.push(entry);
+    }
+
+    if (accepted.length === 0) return [];
+
+    const { data: children, error } = await this.supabase
+      .from('scraping_jobs')
+      .insert(accepted.map(entry => ({
+        project_id: settings.projectId,
+        parent_job_id: crawlId,
+        depth: entry.depth,
+        url: entry.url,
+        config: {
+          ...settings.config,
+          // Only pages that may still lead somewhere need their links collected
+          collectLinks: entry.depth < settings.maxDepth,
+          crawl: { parentJobId: crawlId, depth: entry.depth }
+        }
+      })))
+      .select();
+
+    if (error) {
+      await this.redis.decrby(keys.scheduled, accepted.length);
+      throw error;
+    }
+
+    await this.jobQueue.addBulkJobs(children.map(child => ({
+      id: child.id,
+      parentJobId: crawlId,
+      depth: child.depth
+    })));
+
+    return children;
+  }
+
+  /**
+   * Called by JobQueue after a crawl page has been scraped successfully.
+   * @param {string} crawlId
+   * @param {FrontierEntry} page
+   * @param {{ success: boolean, links?: string[] }} result - PlaywrightScraper.scrape result
+   */
+  async handlePageResult(crawlId, page, result) {
+    try {
+      const settings = await this.getSettings(crawlId);
+      if (!settings) return;
+
+      if (page.depth < settings.maxDepth && result.links && result.links.length > 0) {
+        const links = this.filterLinks(result.links, page.url, settings);
+        const entries = links.map(url => ({ url, depth: page.depth + 1 }));
+        await this.scheduleUrls(crawlId, entries, settings);
+      }
+
+      await this.markPageFinished(crawlId);
+    } catch (error) {
+      console.error(`Crawl ${crawlId}: failed to process page ${page.url}:`, error.message);
+    }
+  }
+
+  /**
+   * Called by JobQueue when a crawl page has exhausted its retries.
+   * @param {string} crawlId
+   */
+  async handlePageFailure(crawlId) {
+    try {
+      await this.markPageFinished(crawlId);
+    } catch (error) {
+      console.error(`Crawl ${crawlId}: failed to record page failure:`, error.message);
+    }
+  }
+
+  async markPageFinished(crawlId) {
+    const keys = this.keys(crawlId);
+    // Pages that finish after the crawl ended would recreate its expiring keys
+    const status = await this.redis.get(keys.status);
+    if (status !== 'running' && status !== 'paused') return;
+
+    await this.redis.incr(keys.finished);
+    await this.completeIfDone(crawlId);
+  }
+
+  async completeIfDone(crawlId) {
+    const keys = this.keys(crawlId);
+    const [status, scheduled, finished, pending, held] = await Promise.all([
+      this.redis.get(keys.status),
+      this.redis.get(keys.scheduled),
+      this.redis.get(keys.finished),
+      this.redis.llen(keys.frontier),
+      this.redis.llen(keys.held)
+    ]);
+
+    if (status !== 'running' || pending > 0 || held > 0) return false;
+    if ((parseNumber(finished, 0) || 0) < (parseNumber(scheduled, 0) || 0)) return false;
+
+    await this.redis.set(keys.status, 'completed');
+    await this.expireKeys(crawlId);
+    await this.supabase
+      .from('scraping_jobs')
+      .update({
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        result: { pages_crawled: parseNumber(finished, 0) || 0 }
+      })
+      .eq('id', crawlId);
+
+    console.log(`âœ… Crawl ${crawlId} completed (${finished} pages)`);
+    return true;
+  }
+
+  async expireKeys(crawlId) {
+    await Promise.all(Object.values(this.keys(crawlId)).map(key => this.redis.expire(key, FINISHED_CRAWL_TTL_SECONDS)));
+  }
+
+  /**
+   * Stop a crawl: nothing new is scheduled, queued pages are dropped and running
+   * ones are aborted.
+   * @param {string} crawlId
+   * @param {string} [reason]
+   * @returns {Promise<{ jobId: string, status: string }>}
+   */
+  async cancelCrawl(crawlId, reason = 'Cancelled by user') {
+    const keys = this.keys(crawlId);
+    const status = await this.redis.get(keys.status);
+    if (status !== 'running' && status !== 'paused') {
+      return { jobId: crawlId, status };
+    }
+
+    await this.redis.set(keys.status, 'cancelled');
+    await this.redis.del(keys.frontier, keys.held);
+
+    const removed = await this.jobQueue.removeQueuedChildren(crawlId);
+    const completedAt = new Date().toISOString();
+    if (removed.length > 0) {
+      await this.supabase
+        .from('scraping_jobs')
+        .update({ status: 'cancelled', completed_at: completedAt, error_message: reason })
+        .in('id', removed.map(job => job.id));
+    }
+    const active = await this.jobQueue.cancelActiveChildren(crawlId, reason);
+
+    await this.supabase
+      .from('scraping_jobs')
+      .update({ status: 'cancelled', completed_at: completedAt, error_message: reason })
+      .eq('id', crawlId);
+    await this.expireKeys(crawlId);
+
+    console.log(`ðŸ›‘ Crawl ${crawlId} cancelled (${removed.length} queued pages dropped, ${active} running pages aborted)`);
+    return { jobId: crawlId, status: active > 0 ? 'cancelling' : 'cancelled' };
+  }
+
+  async pauseCrawl(crawlId) {
+    const keys = this.keys(crawlId);
+    if ((await this.redis.get(keys.status)) !== 'running') {
+      throw new Error('Only running crawls can be paused');
+    }
+
+    await this.redis.set(keys.status, 'paused');
+    // Pages already queued would otherwise keep running; pages being scraped finish normally
+    const queued = await this.jobQueue.removeQueuedChildren(crawlId);
+    if (queued.length > 0) {
+      await this.redis.rpush(keys.held, ...queued.map(job => JSON.stringify(job)));
+    }
+    await this.supabase.from('scraping_jobs').update({ status: 'paused' }).eq('id', crawlId);
+    return this.getCrawlStatus(crawlId);
+  }
+
+  async resumeCrawl(crawlId) {
+    const keys = this.keys(crawlId);
+    if ((await this.redis.get(keys.status)) !== 'paused') {
+      throw new Error('Only paused crawls can be resumed');
+    }
+
+    const settings = await this.getSettings(crawlId);
+    await this.redis.set(keys.status, 'running');
+    await this.supabase.from('scraping_jobs').update({ status: 'running' }).eq('id', crawlId);
+
+    // Held pages were already counted against the budget when first enqueued
+    const held = await this.redis.lrange(keys.held, 0, -1);
+    await this.redis.del(keys.held);
+    if (held.length > 0) {
+      await this.jobQueue.addBulkJobs(held.map(job => JSON.parse(job)));
+    }
+
+    const frontier = await this.redis.lrange(keys.frontier, 0, -1);
+    await this.redis.del(keys.frontier);
+    if (frontier.length > 0) {
+      await this.enqueueEntries(crawlId, frontier.map(entry => JSON.parse(entry)), settings);
+    }
+
+    await this.completeIfDone(crawlId);
+    return this.getCrawlStatus(crawlId);
+  }
+
+  async getCrawlStatus(crawlId) {
+    const keys = this.keys(crawlId);
+    const [settings, status, discovered, scheduled, finished, pending] = await Promise.all([
+      this.getSettings(crawlId),
+      this.redis.get(keys.status),
+      this.redis.scard(keys.seen),
+      this.redis.get(keys.scheduled),
+      this.redis.get(keys.finished),
+      this.redis.llen(keys.frontier)
+    ]);
+
+    if (!settings) return null;
+
+    return {
+      crawlId,
+      status,
+      seeds: settings.seeds,
+      maxDepth: settings.maxDepth,
+      maxPages: settings.maxPages,
+      scope: settings.scope,
+      pages: {
+        discovered,
+        scheduled: parseNumber(scheduled, 0) || 0,
+        finished: parseNumber(finished, 0) || 0,
+        pending
+      }
+    };
+  }
+
+  /**
+   * Collect the scraped data of every page of a crawl.
+   * @param {string} crawlId
+   */
+  async exportCrawl(crawlId) {
+    const { data: pages, error } = await this.supabase
+      .from('scraping_jobs')
+      .select('id, url, depth, status')
+      .eq('parent_job_id', crawlId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    if (!pages || pages.length === 0) return [];
+
+    const { data: rows, error: dataError } = await this.supabase
+      .from('scraped_data')
+      .select('job_id, data, created_at')
+      .in('job_id', pages.map(page => page.id));
+
+    if (dataError) throw dataError;
+
+    const dataByJob = new Map((rows || []).map(row => [row.job_id, row]));
+    return pages.map(page => ({
+      job_id: page.id,
+      url: page.url,
+      depth: page.depth,
+      status: page.status,
+      data: dataByJob.get(page.id)?.data ?? null,
+      scraped_at: dataByJob.get(page.id)?.created_at ?? null
+    }));
+  }
+}
+
+module.exports = { CrawlManager };
@@ -0,0 +1,185 @@
+// Currency detection from price text and conversion with a rate table loaded from a local
+// JSON file (CURRENCY_RATES_PATH), so processing never calls out to a rates API
+const fs = require('fs/promises');
+
+/**
+ * @typedef {Object} RateTable
+ * @property {string} base - ISO 4217 code the rates are quoted against
+ * @property {Record<string, number>} rates - units of each currency per one unit of base
+ * @property {string} [date] - when the rates were taken, kept with converted amounts
+ */
+
+/**
+ * @typedef {Object} Conversion
+ * @property {number} amount - rounded to the target currency's minor units
+ * @property {number} rate
+ * @property {string|null} date
+ */
+
+// Symbols that name one currency wherever they appear, longest first so "CA$" wins over "A$"
+const SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['AU$', 'AUD'], ['NZ$', 'NZD'], ['HK$', 'HKD'],
+  ['R$', 'BRL'], ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'], ['zł', 'PLN'], ['Kč', 'CZK'],
+  ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['₽', 'RUB'], ['₩', 'KRW'], ['₺', 'TRY'],
+  ['₴', 'UAH'], ['₪', 'ILS'], ['₫', 'VND'], ['฿', 'THB'], ['₱', 'PHP']
+];
+
+// Symbols several currencies share; the locale's region picks one
+const SHARED_SYMBOLS = {
+  $: { default: 'USD', AR: 'ARS', AU: 'AUD', CA: 'CAD', CL: 'CLP', CO: 'COP', HK: 'HKD', MX: 'MXN', NZ: 'NZD', SG: 'SGD' },
+  '¥': { default: 'JPY', CN: 'CNY' },
+  kr: { default: 'SEK', DK: 'DKK', IS: 'ISK', NO: 'NOK' }
+};
+
+const REGION_CURRENCIES = {
+  AR: 'ARS', AT: 'EUR', AU: 'AUD', BE: 'EUR', BR: 'BRL', CA: 'CAD', CH: 'CHF', CL: 'CLP', CN: 'CNY',
+  CO: 'COP', CZ: 'CZK', DE: 'EUR', DK: 'DKK', ES: 'EUR', FI: 'EUR', FR: 'EUR', GB: 'GBP', GR: 'EUR',
+  HK: 'HKD', IE: 'EUR', IL: 'ILS', IN: 'INR', IS: 'ISK', IT: 'EUR', JP: 'JPY', KR: 'KRW', MX: 'MXN',
+  NL: 'EUR', NO: 'NOK', NZ: 'NZD', PH: 'PHP', PL: 'PLN', PT: 'EUR', RU: 'RUB', SE: 'SEK', SG: 'SGD',
+  TH: 'THB', TR: 'TRY', UA: 'UAH', US: 'USD', VN: 'VND', ZA: 'ZAR'
+};
+
+// ISO codes recognised in text; three capitals alone are too common ("NEW", "XXL") to trust
+const ISO_CODES = new Set([
+  ...Object.values(REGION_CURRENCIES),
+  ...SYMBOLS.map(([, code]) => code),
+  'AED', 'BGN', 'EGP', 'HUF', 'IDR', 'KES', 'MYR', 'NGN', 'PKR', 'RON', 'SAR', 'TWD'
+]);
+
+/**
+ * @param {string|null} [locale]
+ * @returns {string|null} region of the locale, inferring the likely one for bare languages ("de" -> DE)
+ */
+function regionOf(locale) {
+  if (!locale) return null;
+  try {
+    return new Intl.Locale(locale).maximize().region || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string|null} [locale]
+ * @returns {string|null}
+ */
+function currencyForLocale(locale) {
+  return REGION_CURRENCIES[regionOf(locale)] || null;
+}
+
+/**
+ * Currency named in price text by ISO code or symbol; "$", "¥" and "kr" are read in the
+ * locale's region.
+ * @param {string} text
+ * @param {string|null} [locale]
+ * @returns {string|null}
+ */
+function detectCurrency(text, locale = null) {
+  const value = String(text);
+  for (const [code] of value.matchAll(/(?<![A-Za-z])[A-Z]{3}(?![A-Za-z])/g)) {
+    if (ISO_CODES.has(code)) return code;
+  }
+  for (const [symbol, code] of SYMBOLS) {
+    if (value.includes(symbol)) return code;
+  }
+
+  const region = regionOf(locale);
+  for (const [symbol, codes] of Object.entries(SHARED_SYMBOLS)) {
+    const found = symbol === 'kr' ? /(?<![A-Za-z])kr\.?(?![A-Za-z])/i.test(value) : value.includes(symbol);
+    if (found) return codes[region] || codes.default;
+  }
+  return null;
+}
+
+/**
+ * @param {string} currency
+ */
+function minorUnits(currency) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+/**
+ * @param {any} table
+ * @returns {RateTable}
+ */
+function validateRateTable(table) {
+  if (!table || typeof table !== 'object') throw new Error('Rate table must be an object');
+  if (typeof table.base !== 'string' || !/^[A-Z]{3}$/.test(table.base)) throw new Error('Rate table base must be an ISO 4217 code');
+  if (!table.rates || typeof table.rates !== 'object') throw new Error('Rate table requires rates');
+  for (const [code, rate] of Object.entries(table.rates)) {
+    if (!/^[A-Z]{3}$/.test(code)) throw new Error(`Invalid currency code in rates: ${code}`);
+    if (typeof rate !== 'number' || !(rate > 0)) throw new Error(`Rate for ${code} must be a positive number`);
+  }
+  return table;
+}
+
+class CurrencyConverter {
+  /**
+   * @param {RateTable} [table]
+   */
+  constructor(table = null) {
+    /** @type {RateTable|null} */
+    this.table = null;
+    this.source = null;
+    if (table) this.setRates(table);
+  }
+
+  /**
+   * @param {RateTable} table
+   */
+  setRates(table) {
+    validateRateTable(table);
+    this.table = { base: table.base, date: table.date || null, rates: { ...table.rates, [table.base]: 1 } };
+    return this.table;
+  }
+
+  /**
+   * @param {string} filePath - JSON file holding a RateTable
+   */
+  async loadFile(filePath) {
+    const table = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    this.setRates(table);
+    this.source = filePath;
+    console.log(`ðŸ’± Loaded ${Object.keys(this.table.rates).length} exchange rates (base ${this.table.base}) from ${filePath}`);
+    return this.table;
+  }
+
+  /**
+   * Cross rate through the table's base.
+   * @param {string} from
+   * @param {string} to
+   * @returns {number|null}
+   */
+  rate(from, to) {
+    if (from === to) return 1;
+    const fromRate = this.table?.rates[from];
+    const toRate = this.table?.rates[to];
+    return fromRate && toRate ? toRate / fromRate : null;
+  }
+
+  /**
+   * @param {number} amount
+   * @param {string} from
+   * @param {string} to
+   * @returns {Conversion|null} null when the table has no rate for either currency
+   */
+  convert(amount, from, to) {
+    const rate = this.rate(from, to);
+    if (rate === null) return null;
+    const precision = 10 ** minorUnits(to);
+    return { amount: Math.round(amount * rate * precision) / precision, rate, date: this.table?.date || null };
+  }
+}
+
+module.exports = {
+  CurrencyConverter,
+  detectCurrency,
+  currencyForLocale,
+  minorUnits,
+  validateRateTable,
+  ISO_CODES
+};
@@ -1,4 +1,11 @@
 ﻿const { createClient } = require('@supabase/supabase-js');
+const { parseNumber } = require('../utils/parse-number');
+const { SchemaProcessor, isJsonSchema } = require('./json-schema');
+const { detectCurrency, currencyForLocale } = require('./currency-converter');
+const { resolveLocale, parseLocaleNumber } = require('../utils/locale-number');
+
+// Records in flight at once, whatever a request asks for
+const MAX_CONCURRENCY = 64;
 
 /**
  * @typedef {Object} GeocodeOptions
@@ -22,9 +29,111 @@
  * @property {string} [type]
  * @property {TransformConfig[]} [transforms]
  */
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [concurrency] - records processed at once; DATA_PROCESSING_CONCURRENCY by default, at most MAX_CONCURRENCY
+ * @property {BatchMetrics} [metrics] - filled in as results are yielded, for callers of processStream
+ * @property {boolean} [strictMode]
+ * @property {boolean} [deduplicate] - false skips both the database and the in-batch duplicate checks
+ * @property {string} [locale] - how numbers and prices are written, unless a field sets its own
+ * @property {string} [lang] - the page's <html lang>, used when no locale is set
+ * @property {string} [url] - the page URL; its country domain is the last locale hint
+ */
+/**
+ * @typedef {Object} PriceConfig
+ * @property {string} [locale] - BCP 47 tag; the record's locale, lang or url otherwise
+ * @property {string} [fromCurrency] - currency of amounts whose text names none
+ * @property {string} [toCurrency] - convert into this currency
+ * @property {Record<string, number>} [exchangeRates] - inline rates keyed FROM_TO, ahead of the rate table
+ * @property {'integer'} [format]
+ * @property {number} [decimalPlaces]
+ */
+/**
+ * @typedef {Object} Money
+ * @property {number} amount
+ * @property {string|null} currency
+ * @property {{ amount: number, currency: string }} [original] - as scraped, when converted
+ * @property {number} [rate]
+ * @property {string} [rate_date]
+ */
+/**
+ * @typedef {Object} BatchRecordResult
+ * @property {number} index - position of the record in the input
+ * @property {Object|null} data - null when the record could not be processed at all
+ * @property {boolean} valid
+ * @property {Array<Object>} errors
+ * @property {Array<Object>} warnings
+ * @property {Object|null} qualityMetrics
+ */
 
 // normalizationCache intentionally omitted; keep file free of unused bindings
 
+const QUALITY_DIMENSIONS = ['completeness', 'accuracy', 'consistency', 'validation', 'overall'];
+
+/**
+ * Aggregate quality metrics and error counts over the records of a batch or stream.
+ */
+class BatchMetrics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.total = 0;
+    this.valid = 0;
+    this.invalid = 0;
+    // Records that could not be processed at all (not an object, unparseable line)
+    this.failed = 0;
+    this.duplicates = 0;
+    this.scored = 0;
+    this.qualitySums = Object.fromEntries(QUALITY_DIMENSIONS.map(dimension => [dimension, 0]));
+    /** @type {Record<string, number>} */
+    this.errorsByField = {};
+    /** @type {Record<string, number>} */
+    this.errorsByType = {};
+  }
+
+  /**
+   * @param {BatchRecordResult} result
+   */
+  add(result) {
+    this.total++;
+    if (result.valid) this.valid++;
+    else this.invalid++;
+    if (!result.qualityMetrics) this.failed++;
+
+    for (const error of result.errors) {
+      this.errorsByType[error.type] = (this.errorsByType[error.type] || 0) + 1;
+      if (error.field) this.errorsByField[error.field] = (this.errorsByField[error.field] || 0) + 1;
+    }
+    if (result.errors.some(error => error.type === 'duplicate_error')) this.duplicates++;
+
+    if (result.qualityMetrics) {
+      this.scored++;
+      for (const dimension of QUALITY_DIMENSIONS) {
+        this.qualitySums[dimension] += result.qualityMetrics[dimension] || 0;
+      }
+    }
+  }
+
+  summary() {
+    const processingTime = Date.now() - this.startedAt;
+    return {
+      total: this.total,
+      valid: this.valid,
+      invalid: this.invalid,
+      failed: this.failed,
+      duplicates: this.duplicates,
+      // Mean over the records that could be scored
+      quality: Object.fromEntries(QUALITY_DIMENSIONS.map(dimension => [
+        dimension,
+        this.scored > 0 ? Math.round(this.qualitySums[dimension] / this.scored * 100) / 100 : 0
+      ])),
+      errorsByField: this.errorsByField,
+      errorsByType: this.errorsByType,
+      processingTime,
+      recordsPerSecond: processingTime > 0 ? Math.round(this.total / processingTime * 1000 * 10) / 10 : this.total
+    };
+  }
+}
+
 class DataProcessor {
   constructor() {
     try {
@@ -47,14 +156,26 @@ class DataProcessor {
     this.normalizers = new Map();
     this.transformers = new Map();
     this.geocodeCache = new Map();
+    this.currencyConverter = null; // Injected via setCurrencyConverter; without it only inline exchangeRates convert
     
     this.setupDefaultProcessors();
   }
 
+  /**
+   * @param {import('./currency-converter').CurrencyConverter} currencyConverter
+   */
+  setCurrencyConverter(currencyConverter) {
+    this.currencyConverter = currencyConverter;
+  }
+
   setupDefaultProcessors() {
     // Price normalization and validation
     this.normalizers.set('price', this.normalizePrice.bind(this));
     this.validators.set('price', this.validatePrice.bind(this));
+
+    // Amount with its currency, keeping the scraped amount next to a converted one
+    this.normalizers.set('money', this.normalizeMoney.bind(this));
+    this.validators.set('money', this.validateMoney.bind(this));
     
     // Date normalization and validation
     this.normalizers.set('date', this.normalizeDate.bind(this));
@@ -88,133 +209,316 @@ class DataProcessor {
   }
 
   async processScrapedData(rawData, schema, options = {}) {
-    const startTime = Date.now();
-    
     try {
       console.log('ðŸ”„ Processing scraped data with schema validation...');
+      const result = await this.processRecord(rawData, schema, options);
+      console.log(`âœ… Data processing completed in ${result.processingTime}ms (Quality: ${(result.qualityMetrics.overall * 100).toFixed(1)}%)`);
+      return result;
 
-      const processed = {};
-      const errors = [];
-      const warnings = [];
-      const transformations = [];
+    } catch (error) {
+      console.error('âŒ Data processing failed:', error);
+      throw error;
+    }
+  }
 
-      // Process each field according to schema
-      for (const [field, value] of Object.entries(rawData)) {
-        try {
-          const fieldConfig = schema.fields?.[field] || {};
-          void fieldConfig; // acknowledged for linter; used dynamically in processing
-          
-          // Skip processing if field not in schema and strictMode is enabled
-          if (options.strictMode && !fieldConfig.type) {
-            warnings.push({
+  /**
+   * Process one record without logging; shared by the single-record and batch paths.
+   * A JSON Schema definition handles nested records, the { fields } form flat ones.
+   */
+  async processRecord(rawData, schema, options = {}) {
+    if (isJsonSchema(schema)) {
+      return this.processJsonSchemaRecord(rawData, schema, options);
+    }
+
+    const startTime = Date.now();
+    const processed = {};
+    const errors = [];
+    const warnings = [];
+    const transformations = [];
+    const page = this.pageContext(options);
+
+    // Process each field according to schema
+    for (const [field, value] of Object.entries(rawData)) {
+      try {
+        const fieldConfig = schema.fields?.[field] || {};
+        void fieldConfig; // acknowledged for linter; used dynamically in processing
+        
+        // Skip processing if field not in schema and strictMode is enabled
+        if (options.strictMode && !fieldConfig.type) {
+          warnings.push({
+            field: field,
+            warning: 'Field not defined in schema (skipped in strict mode)'
+          });
+          continue;
+        }
+
+        // Clean the value first
+        let cleanedValue = this.cleanValue(value, fieldConfig);
+        
+        // Apply transformations
+        if (fieldConfig.transforms) {
+          for (const transform of fieldConfig.transforms) {
+            cleanedValue = await this.applyTransform(cleanedValue, transform, fieldConfig);
+            transformations.push({
               field: field,
-              warning: 'Field not defined in schema (skipped in strict mode)'
+              transform: transform.type,
+              original: value,
+              result: cleanedValue
             });
-            continue;
           }
+        }
 
-          // Clean the value first
-          let cleanedValue = this.cleanValue(value, fieldConfig);
+        // Validate if validator exists
+        if (fieldConfig.type && this.validators.has(fieldConfig.type)) {
+          const validator = this.validators.get(fieldConfig.type);
+          const isValid = validator(cleanedValue, fieldConfig);
           
-          // Apply transformations
-          if (fieldConfig.transforms) {
-            for (const transform of fieldConfig.transforms) {
-              cleanedValue = await this.applyTransform(cleanedValue, transform, fieldConfig);
-              transformations.push({
-                field: field,
-                transform: transform.type,
-                original: value,
-                result: cleanedValue
-              });
-            }
-          }
-
-          // Validate if validator exists
-          if (fieldConfig.type && this.validators.has(fieldConfig.type)) {
-            const validator = this.validators.get(fieldConfig.type);
-            const isValid = validator(cleanedValue, fieldConfig);
-            
-            if (!isValid) {
-              throw new Error(`Validation failed for field '${field}' of type '${fieldConfig.type}'`);
-            }
+          if (!isValid) {
+            throw new Error(`Validation failed for field '${field}' of type '${fieldConfig.type}'`);
           }
+        }
 
-          // Normalize if normalizer exists
-          if (fieldConfig.type && this.normalizers.has(fieldConfig.type)) {
-            const normalizer = this.normalizers.get(fieldConfig.type);
-            cleanedValue = await normalizer(cleanedValue, fieldConfig);
-          }
+        // Normalize if normalizer exists
+        if (fieldConfig.type && this.normalizers.has(fieldConfig.type)) {
+          const normalizer = this.normalizers.get(fieldConfig.type);
+          cleanedValue = await normalizer(cleanedValue, { ...page, ...fieldConfig });
+        }
 
-          processed[field] = cleanedValue;
+        processed[field] = cleanedValue;
 
-        } catch (error) {
-          errors.push({
+      } catch (error) {
+        errors.push({
+          field: field,
+          value: this.sanitizeValue(value),
+          error: error.message,
+          type: 'processing_error'
+        });
+        
+        // Apply fallback if specified
+        if (schema.fields?.[field]?.fallback !== undefined) {
+          processed[field] = schema.fields[field].fallback;
+          warnings.push({
             field: field,
-            value: this.sanitizeValue(value),
-            error: error.message,
-            type: 'processing_error'
+            warning: `Using fallback value due to error: ${error.message}`
           });
-          
-          // Apply fallback if specified
-          if (schema.fields?.[field]?.fallback !== undefined) {
-            processed[field] = schema.fields[field].fallback;
-            warnings.push({
-              field: field,
-              warning: `Using fallback value due to error: ${error.message}`
-            });
-          }
-        }
-      }
-
-      // Check for required fields
-      if (schema.required) {
-        for (const requiredField of schema.required) {
-          if (!(requiredField in processed) || processed[requiredField] === null || processed[requiredField] === undefined) {
-            errors.push({
-              field: requiredField,
-              error: 'Required field is missing or null',
-              type: 'required_field_error'
-            });
-          }
         }
       }
+    }
 
-      // Remove duplicates if needed
-      if (schema.deduplicate && options.deduplicate !== false) {
-        const duplicateCheck = await this.checkForDuplicates(processed, schema.deduplicate);
-        if (duplicateCheck.isDuplicate) {
+    // Check for required fields
+    if (schema.required) {
+      for (const requiredField of schema.required) {
+        if (!(requiredField in processed) || processed[requiredField] === null || processed[requiredField] === undefined) {
           errors.push({
-            field: schema.deduplicate.key,
-            error: `Duplicate record found: ${duplicateCheck.duplicateValue}`,
-            type: 'duplicate_error',
-            existingId: duplicateCheck.existingId
+            field: requiredField,
+            error: 'Required field is missing or null',
+            type: 'required_field_error'
           });
         }
       }
+    }
 
-      // Calculate quality scores
-      const qualityMetrics = this.calculateQualityMetrics(processed, rawData, schema, errors, warnings);
-
-      const processingTime = Date.now() - startTime;
-
-      const result = {
-        data: processed,
-        originalData: rawData,
-        errors: errors,
-        warnings: warnings,
-        transformations: transformations,
-        qualityMetrics: qualityMetrics,
-        valid: errors.filter(e => e.type !== 'duplicate_error').length === 0,
-        processingTime: processingTime,
-        processedAt: new Date().toISOString()
-      };
+    // Remove duplicates if needed
+    const duplicateError = await this.findDuplicate(processed, schema, options);
+    if (duplicateError) errors.push(duplicateError);
+
+    // Calculate quality scores
+    const qualityMetrics = this.calculateQualityMetrics(processed, rawData, schema, errors, warnings);
 
-      console.log(`âœ… Data processing completed in ${processingTime}ms (Quality: ${(qualityMetrics.overall * 100).toFixed(1)}%)`);
+    const processingTime = Date.now() - startTime;
+
+    return {
+      data: processed,
+      originalData: rawData,
+      errors: errors,
+      warnings: warnings,
+      transformations: transformations,
+      qualityMetrics: qualityMetrics,
+      valid: errors.filter(e => e.type !== 'duplicate_error').length === 0,
+      processingTime: processingTime,
+      processedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * @param {any} rawData
+   * @param {Object} schema - draft 2020-12 JSON Schema; x-deduplicate at the root works like deduplicate
+   * @param {Object} [options]
+   */
+  async processJsonSchemaRecord(rawData, schema, options = {}) {
+    const startTime = Date.now();
+    const page = this.pageContext(options);
+    const processor = new SchemaProcessor(schema, {
+      clean: (value, config) => this.cleanValue(value, config),
+      normalize: (type, value, config) => {
+        if (!this.normalizers.has(type)) throw new Error(`Unknown normalizer '${type}'`);
+        return this.normalizers.get(type)(value, { ...page, ...config });
+      },
+      validate: (type, value, config) => !this.validators.has(type) || this.validators.get(type)(value, config)
+    }, options);
+
+    const { value: processed, errors: schemaErrors, warnings } = await processor.process(rawData);
+    /** @type {Array<Object>} */
+    const errors = [...schemaErrors];
+
+    const duplicateError = await this.findDuplicate(processed, schema, options);
+    if (duplicateError) errors.push(duplicateError);
+
+    const qualityMetrics = this.calculateQualityMetrics(processed, rawData, schema, errors, warnings);
+    return {
+      data: processed,
+      originalData: rawData,
+      errors,
+      warnings,
+      transformations: [],
+      qualityMetrics,
+      valid: schemaErrors.length === 0,
+      processingTime: Date.now() - startTime,
+      processedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Locale hints of the page a record came from; field configs override them.
+   * @param {BatchOptions} options
+   */
+  pageContext(options) {
+    return Object.fromEntries(['locale', 'lang', 'url']
+      .filter(key => typeof options[key] === 'string' && options[key] !== '')
+      .map(key => [key, options[key]]));
+  }
+
+  /**
+   * @returns {{ key: string, table?: string, scope?: Object }|null}
+   */
+  deduplicationConfig(schema) {
+    return schema.deduplicate || schema['x-deduplicate'] || null;
+  }
+
+  async findDuplicate(processed, schema, options) {
+    const config = this.deduplicationConfig(schema);
+    if (!config || options.deduplicate === false || !processed || typeof processed !== 'object') return null;
+
+    const duplicateCheck = await this.checkForDuplicates(processed, config);
+    if (!duplicateCheck.isDuplicate) return null;
+    return {
+      field: config.key,
+      error: `Duplicate record found: ${duplicateCheck.duplicateValue}`,
+      type: 'duplicate_error',
+      existingId: duplicateCheck.existingId
+    };
+  }
+
+  /**
+   * Process an array of records with bounded concurrency. A record that fails is reported
+   * in its result; the rest of the batch goes on.
+   * @param {Array<Object>} records
+   * @param {Object} schema
+   * @param {BatchOptions} [options]
+   * @returns {Promise<{ results: BatchRecordResult[], summary: ReturnType<BatchMetrics['summary']> }>}
+   */
+  async processBatch(records, schema, options = {}) {
+    if (!Array.isArray(records)) {
+      throw new Error('records must be an array');
+    }
+
+    console.log(`ðŸ”„ Processing batch of ${records.length} records with schema validation...`);
+    const metrics = new BatchMetrics();
+    const results = [];
+    for await (const result of this.processStream(records, schema, { ...options, metrics })) {
+      results.push(result);
+    }
+
+    const summary = metrics.summary();
+    console.log(`âœ… Batch processing completed in ${summary.processingTime}ms (${summary.valid}/${summary.total} valid, Quality: ${(summary.quality.overall * 100).toFixed(1)}%)`);
+    return { results, summary };
+  }
+
+  /**
+   * Streaming form of processBatch: records in from any (async) iterable, results out in
+   * input order, with at most `concurrency` records in flight. Pass options.metrics to get
+   * the aggregate once the stream is drained.
+   * @param {AsyncIterable<any>|Iterable<any>} source
+   * @param {Object} schema
+   * @param {BatchOptions} [options]
+   * @returns {AsyncGenerator<BatchRecordResult>}
+   */
+  async *processStream(source, schema, options = {}) {
+    const concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, Math.floor(options.concurrency ||
+      parseNumber(process.env.DATA_PROCESSING_CONCURRENCY, 8) || 8)));
+    const metrics = options.metrics || new BatchMetrics();
+    // First index seen for each deduplication key value in this batch
+    const seen = new Map();
+    const inFlight = [];
+
+    const settle = async () => {
+      const result = await inFlight.shift();
+      this.markBatchDuplicate(result, schema, options, seen);
+      metrics.add(result);
       return result;
+    };
+
+    let index = 0;
+    for await (const record of source) {
+      inFlight.push(this.processBatchRecord(record, index++, schema, options));
+      if (inFlight.length >= concurrency) {
+        yield await settle();
+      }
+    }
+    while (inFlight.length > 0) {
+      yield await settle();
+    }
+  }
+
+  /**
+   * @returns {Promise<BatchRecordResult>} never rejects
+   */
+  async processBatchRecord(record, index, schema, options) {
+    try {
+      if (record instanceof Error) throw record;
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error('Record must be an object');
+      }
 
+      const result = await this.processRecord(record, schema, options);
+      return {
+        index,
+        data: result.data,
+        valid: result.valid,
+        errors: result.errors,
+        warnings: result.warnings,
+        qualityMetrics: result.qualityMetrics
+      };
     } catch (error) {
-      console.error('âŒ Data processing failed:', error);
-      throw error;
+      return {
+        index,
+        data: null,
+        valid: false,
+        errors: [{ error: error.message, type: 'record_error' }],
+        warnings: [],
+        qualityMetrics: null
+      };
+    }
+  }
+
+  // The database check cannot see records of the same batch that are not stored yet
+  markBatchDuplicate(result, schema, options, seen) {
+    const key = this.deduplicationConfig(schema)?.key;
+    if (!key || options.deduplicate === false || !result.data) return;
+
+    const value = result.data[key];
+    if (value === null || value === undefined || value === '') return;
+    if (!seen.has(value)) {
+      seen.set(value, result.index);
+      return;
+    }
+    if (!result.errors.some(error => error.type === 'duplicate_error')) {
+      result.errors.push({
+        field: key,
+        error: `Duplicate of record ${seen.get(value)} in this batch: ${value}`,
+        type: 'duplicate_error',
+        duplicateOf: seen.get(value)
+      });
     }
   }
 
@@ -265,23 +569,56 @@ class DataProcessor {
   }
 
   // Price processing
-  normalizePrice(price, config = {}) {
-    if (!price || price === '') return null;
+  /**
+   * Amount and currency of a scraped price, read in the field's or page's locale.
+   * @param {any} price
+   * @param {PriceConfig & import('../utils/locale-number').LocaleHints} [config]
+   * @returns {{ amount: number, currency: string|null }|null}
+   */
+  parseMoney(price, config = {}) {
+    if (price === null || price === undefined || price === '') return null;
 
-    // Extract numeric value from price strings
-    const priceString = String(price).replace(/,/g, '.');
-    const match = priceString.match(/([0-9]+[.]?[0-9]*)/);
-    
-    if (!match) return null;
+    const locale = resolveLocale(config);
+    const amount = typeof price === 'number' ? price : parseLocaleNumber(String(price), locale);
+    if (amount === null || isNaN(amount)) return null;
 
-    let value = parseFloat(match[1]);
-    
-    // Handle currency conversion if needed
-    if (config.fromCurrency && config.toCurrency && config.exchangeRates) {
-      const rate = config.exchangeRates[`${config.fromCurrency}_${config.toCurrency}`];
-      if (rate) {
-        value = value * rate;
-      }
+    const currency = (typeof price === 'string' && detectCurrency(price, locale)) ||
+      config.fromCurrency ||
+      currencyForLocale(locale);
+    return { amount, currency: currency || null };
+  }
+
+  /**
+   * @param {number} amount
+   * @param {string|null} from
+   * @param {string} to
+   * @param {PriceConfig} config
+   * @returns {{ amount: number, rate: number, date: string|null }}
+   */
+  convertCurrency(amount, from, to, config = {}) {
+    if (!from) throw new Error(`Currency not detected; set fromCurrency to convert to ${to}`);
+    if (from === to) return { amount, rate: 1, date: null };
+
+    const inline = config.exchangeRates?.[`${from}_${to}`];
+    if (inline) return { amount: amount * inline, rate: inline, date: null };
+
+    const converted = this.currencyConverter?.convert(amount, from, to);
+    if (!converted) throw new Error(`No exchange rate from ${from} to ${to}`);
+    return converted;
+  }
+
+  /**
+   * @param {any} price
+   * @param {PriceConfig} [config]
+   * @returns {number|null} the amount, in toCurrency when set
+   */
+  normalizePrice(price, config = {}) {
+    const money = this.parseMoney(price, config);
+    if (!money) return null;
+
+    let value = money.amount;
+    if (config.toCurrency) {
+      value = this.convertCurrency(value, money.currency, config.toCurrency, config).amount;
     }
 
     // Apply formatting
@@ -294,6 +631,33 @@ class DataProcessor {
     return value;
   }
 
+  /**
+   * @param {any} price
+   * @param {PriceConfig} [config]
+   * @returns {Money|null}
+   */
+  normalizeMoney(price, config = {}) {
+    const money = this.parseMoney(price, config);
+    if (!money) return null;
+    if (!config.toCurrency || config.toCurrency === money.currency) return money;
+
+    const converted = this.convertCurrency(money.amount, money.currency, config.toCurrency, config);
+    return {
+      amount: converted.amount,
+      currency: config.toCurrency,
+      original: { amount: money.amount, currency: money.currency },
+      rate: converted.rate,
+      ...(converted.date && { rate_date: converted.date })
+    };
+  }
+
+  validateMoney(money, config = {}) {
+    if (money === null && !config.required) return true;
+    if (!money || typeof money !== 'object' || !Number.isFinite(money.amount)) return false;
+    if (money.currency !== null && !/^[A-Z]{3}$/.test(money.currency)) return false;
+    return this.validatePrice(money.amount, config);
+  }
+
   validatePrice(price, config = {}) {
     if (price === null && !config.required) return true;
     if (typeof price !== 'number' || isNaN(price)) return false;
@@ -525,9 +889,9 @@ class DataProcessor {
   normalizeNumber(number, config = {}) {
     if (number === null || number === undefined || number === '') return null;
     
-    const num = parseFloat(String(number).replace(/[^\d.-]/g, ''));
+    const num = typeof number === 'number' ? number : parseLocaleNumber(String(number), resolveLocale(config));
     
-    if (isNaN(num)) return null;
+    if (num === null || isNaN(num)) return null;
     
     if (config.round) {
       return Math.round(num);
@@ -819,4 +1183,4 @@ class DataProcessor {
   }
 }
 
-module.exports = { DataProcessor };
\ No newline at end of file
+module.exports = { DataProcessor, BatchMetrics };
\ No newline at end of file
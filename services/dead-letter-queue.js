@@ -0,0 +1,303 @@
+// APL AI Scraper 2.0 - Dead-letter queue for jobs that exhausted their retries
+const crypto = require('crypto');
+const { DatabaseAdapter } = require('./core/database-adapter');
+
+/**
+ * @typedef {'captcha'|'proxy'|'selector_missing'|'timeout'|'http'|'network'|'other'} ErrorCategory
+ */
+
+/**
+ * @typedef {Object} ErrorSignature
+ * @property {ErrorCategory} category
+ * @property {string} signature - `<category>:<hash>`; messages that differ only in URLs,
+ *   numbers and quoted values share one
+ * @property {string} normalized - the message the hash was computed from
+ */
+
+/**
+ * @typedef {Object} DeadLetterEntry
+ * @property {string|number} jobId - scrape_jobs id
+ * @property {string} queueName
+ * @property {string} [bullJobId]
+ * @property {string} url
+ * @property {Object} config - scraping config of the last attempt
+ * @property {Error} error
+ * @property {number} attempts
+ * @property {string[]} [history] - stack traces of the earlier attempts
+ * @property {Object} [context] - engine, crawl parent, priority, artifact execution
+ */
+
+/**
+ * @typedef {Object} DeadLetterGroup
+ * @property {string} signature
+ * @property {ErrorCategory} category
+ * @property {number} count
+ * @property {string} sample_error
+ * @property {string} first_seen
+ * @property {string} last_seen
+ */
+
+// First match wins: "proxy connection timed out" is a proxy problem before it is a timeout
+/** @type {Array<[ErrorCategory, RegExp]>} */
+const ERROR_CATEGORIES = [
+  ['captcha', /captcha|hcaptcha|turnstile|challenge page|are you a robot/i],
+  ['proxy', /proxy|ERR_TUNNEL_CONNECTION_FAILED|\b407\b/i],
+  ['selector_missing', /selector|no element matches|waiting for locator|element not found/i],
+  ['timeout', /timeout|timed out|ETIMEDOUT/i],
+  ['http', /\bHTTP [45]\d\d\b|status code [45]\d\d/i],
+  ['network', /ENOTFOUND|ECONNREFUSED|ECONNRESET|EAI_AGAIN|net::ERR_|fetch failed/i]
+];
+
+const MAX_REPLAY_BATCH = 500;
+// PostgREST returns at most 1000 rows per request, so grouping reads the table in pages
+const GROUP_PAGE_SIZE = 1000;
+
+/**
+ * Group errors by what went wrong rather than by their exact text.
+ * @param {string} message
+ * @returns {ErrorSignature}
+ */
+function classifyError(message) {
+  const text = String(message || 'Unknown error');
+  const match = ERROR_CATEGORIES.find(([, pattern]) => pattern.test(text));
+  const category = match ? match[0] : 'other';
+  const normalized = text
+    .split('\n')[0]
+    .replace(/\b[a-z][a-z0-9+.-]*:\/\/\S+/gi, '<url>')
+    .replace(/(["'`]).*?\1/g, '<value>')
+    .replace(/\d+(\.\d+)?/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 200);
+  const hash = crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 12);
+  return { category, signature: `${category}:${hash}`, normalized };
+}
+
+/**
+ * Keeps jobs that failed for good in the dead_letter_jobs table instead of BullMQ's
+ * trimmed failed set, so they can be inspected, fixed up and replayed.
+ */
+class DeadLetterQueue {
+  /**
+   * @param {any} supabase
+   * @param {import('./job-queue').JobQueue} jobQueue - replays go back through it
+   */
+  constructor(supabase, jobQueue) {
+    this.supabase = supabase;
+    this.jobQueue = jobQueue;
+    this.dbAdapter = new DatabaseAdapter(supabase);
+  }
+
+  /**
+   * @param {DeadLetterEntry} entry
+   */
+  async record(entry) {
+    const { category, signature } = classifyError(entry.error.message);
+    const { data, error } = await this.supabase
+      .from('dead_letter_jobs')
+      .insert([{
+        job_id: entry.jobId,
+        queue_name: entry.queueName,
+        bull_job_id: entry.bullJobId || null,
+        url: entry.url,
+        config: entry.config || {},
+        error_message: entry.error.message,
+        error_stack: entry.error.stack || null,
+        error_category: category,
+        error_signature: signature,
+        attempts: entry.attempts,
+        attempt_history: entry.history || [],
+        context: entry.context || {},
+        status: 'dead'
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    console.log(`ðŸ’€ Job ${entry.jobId} moved to the dead-letter queue (${signature})`);
+    return data;
+  }
+
+  /**
+   * @param {{ status?: string, category?: string, signature?: string, limit?: number, offset?: number }} [filters]
+   */
+  async list(filters = {}) {
+    const { status = 'dead', category, signature, limit = 50, offset = 0 } = filters;
+    let query = this.supabase
+      .from('dead_letter_jobs')
+      .select('id, job_id, url, error_message, error_category, error_signature, attempts, status, replay_count, created_at, replayed_at')
+      .eq('status', status)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (category) query = query.eq('error_category', category);
+    if (signature) query = query.eq('error_signature', signature);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * @param {string} id
+   */
+  async get(id) {
+    const { data, error } = await this.supabase
+      .from('dead_letter_jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * The dead entry of a job, if it has one.
+   * @param {string|number} jobId
+   */
+  async findDead(jobId) {
+    const { data, error } = await this.supabase
+      .from('dead_letter_jobs')
+      .select('*')
+      .eq('job_id', String(jobId))
+      .eq('status', 'dead')
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Dead jobs per error signature, largest group first.
+   * @param {string} [status]
+   * @returns {Promise<DeadLetterGroup[]>}
+   */
+  async groups(status = 'dead') {
+    const rows = [];
+    for (let offset = 0; ; offset += GROUP_PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from('dead_letter_jobs')
+        .select('id, error_signature, error_category, error_message, created_at')
+        .eq('status', status)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + GROUP_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < GROUP_PAGE_SIZE) break;
+    }
+
+    /** @type {Map<string, DeadLetterGroup>} */
+    const groups = new Map();
+    for (const row of rows) {
+      const group = groups.get(row.error_signature);
+      if (!group) {
+        groups.set(row.error_signature, {
+          signature: row.error_signature,
+          category: row.error_category,
+          count: 1,
+          sample_error: row.error_message,
+          first_seen: row.created_at,
+          last_seen: row.created_at
+        });
+        continue;
+      }
+      group.count++;
+      if (row.created_at < group.first_seen) group.first_seen = row.created_at;
+      if (row.created_at > group.last_seen) {
+        group.last_seen = row.created_at;
+        group.sample_error = row.error_message;
+      }
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Replace the scraping config a dead job will be replayed with.
+   * @param {string} id
+   * @param {Object} config
+   */
+  async updateConfig(id, config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('config must be an object');
+    }
+    const { data, error } = await this.supabase
+      .from('dead_letter_jobs')
+      .update({ config, config_edited_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'dead')
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Queue a dead job again with its (possibly edited) config and a fresh set of attempts.
+   * @param {string} id
+   * @returns {Promise<Object|null>} the updated entry, or null when there is no dead entry with that id
+   */
+  async replay(id) {
+    const entry = await this.get(id);
+    if (!entry || entry.status !== 'dead') return null;
+    return this.replayEntry(entry);
+  }
+
+  /**
+   * @param {string} signature
+   */
+  async replayGroup(signature) {
+    const { data, error } = await this.supabase
+      .from('dead_letter_jobs')
+      .select('*')
+      .eq('error_signature', signature)
+      .eq('status', 'dead')
+      .limit(MAX_REPLAY_BATCH);
+
+    if (error) throw error;
+
+    const replayed = [];
+    const failed = [];
+    for (const entry of data || []) {
+      try {
+        replayed.push((await this.replayEntry(entry)).id);
+      } catch (replayError) {
+        console.error(`Failed to replay dead-letter entry ${entry.id}:`, replayError.message);
+        failed.push({ id: entry.id, error: replayError.message });
+      }
+    }
+
+    console.log(`ðŸ”„ Replayed ${replayed.length} dead jobs with signature ${signature}`);
+    return { signature, replayed: replayed.length, failed };
+  }
+
+  async replayEntry(entry) {
+    await this.dbAdapter.updateScrapingJob(entry.job_id, {
+      status: 'pending',
+      attempts: 0,
+      config: entry.config
+    });
+    // Replays run standalone: the crawl already counted this page as finished
+    await this.jobQueue.requeueJob(entry.job_id, entry.context?.priority || 0);
+
+    const { data, error } = await this.supabase
+      .from('dead_letter_jobs')
+      .update({
+        status: 'replayed',
+        replay_count: (entry.replay_count || 0) + 1,
+        replayed_at: new Date().toISOString()
+      })
+      .eq('id', entry.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+module.exports = { DeadLetterQueue, classifyError, ERROR_CATEGORIES };
@@ -0,0 +1,328 @@
+// APL AI Scraper 2.0 - Delta scraping: per-URL content fingerprints and field-level diffs
+const crypto = require('crypto');
+const { HttpScraper } = require('../scrapers/http-scraper');
+const { normalizeUrl } = require('../utils/url-normalizer');
+
+/**
+ * @typedef {Object} DeltaOptions
+ * @property {'changes-only'|'annotate'} mode - 'changes-only' skips storing unchanged pages,
+ *   'annotate' stores every run but tags it with its delta status
+ * @property {string[]} ignoreFields - top-level extracted fields left out of the fingerprint (timestamps, counters)
+ * @property {boolean} conditional - send If-None-Match / If-Modified-Since before scraping; defaults to on
+ *   for the http engine only, since a rendered page can change while its HTML document does not
+ * @property {string} [key] - fingerprint scope; defaults to a hash of the extraction config
+ */
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} path - e.g. `price`, `items[2].title`
+ * @property {'added'|'removed'|'changed'} type
+ * @property {any} [before]
+ * @property {any} [after]
+ */
+
+/**
+ * @typedef {Object} DeltaRun
+ * @property {string} url - canonical URL the fingerprint is stored under
+ * @property {string} key
+ * @property {string|null} projectId - fingerprints are kept per project
+ * @property {DeltaOptions} options
+ * @property {Object|null} previous - url_fingerprints row from the last stored version
+ * @property {boolean} notModified - the conditional request came back 304
+ * @property {import('../scrapers/http-scraper').FetchedPage|null} page - 200 response of the conditional request
+ */
+
+/**
+ * @typedef {Object} DeltaComparison
+ * @property {'new'|'changed'|'unchanged'} status
+ * @property {string} contentHash
+ * @property {number} version
+ * @property {FieldChange[]} diff
+ * @property {boolean} [diffTruncated]
+ * @property {Object} data - normalized data the hash was computed from
+ */
+
+const DELTA_MODES = ['changes-only', 'annotate'];
+const MAX_DIFF_ENTRIES = 500;
+
+/**
+ * @param {boolean|Partial<DeltaOptions>} delta - `jobConfig.delta`
+ * @param {any} jobConfig
+ * @returns {DeltaOptions}
+ */
+function normalizeDeltaConfig(delta, jobConfig = {}) {
+  /** @type {Partial<DeltaOptions>} */
+  const options = delta === true || !delta ? {} : delta;
+  const mode = options.mode || 'changes-only';
+  if (!DELTA_MODES.includes(mode)) {
+    throw new Error(`Unknown delta mode: ${mode}`);
+  }
+  return {
+    mode,
+    ignoreFields: options.ignoreFields || [],
+    conditional: options.conditional ?? jobConfig.engine === 'http',
+    ...(options.key && { key: options.key })
+  };
+}
+
+function collapseWhitespace(value) {
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize extracted data so cosmetic differences (key order, whitespace) do not count
+ * as changes. The page URL and screenshots are dropped, as are ignored top-level fields.
+ * @param {any} data
+ * @param {string[]} [ignoreFields]
+ * @returns {any}
+ */
+function normalizeData(data, ignoreFields = []) {
+  const normalize = (value) => {
+    if (typeof value === 'string') return collapseWhitespace(value);
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+      if (Buffer.isBuffer(value)) return undefined;
+      return Object.fromEntries(Object.keys(value).sort()
+        .map(key => [key, normalize(value[key])])
+        .filter(([, child]) => child !== undefined));
+    }
+    return value;
+  };
+
+  const { url, screenshot, ...content } = data || {};
+  void url;
+  void screenshot;
+  for (const field of ignoreFields) {
+    delete content[field];
+  }
+  return normalize(content);
+}
+
+/**
+ * @param {any} normalized - output of normalizeData (keys already sorted)
+ * @returns {string}
+ */
+function hashData(normalized) {
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Field-level differences between two normalized versions. Objects are compared key
+ * by key and arrays index by index; anything else is compared as a whole value.
+ * @param {any} before
+ * @param {any} after
+ * @param {string} [path]
+ * @param {FieldChange[]} [changes]
+ * @returns {FieldChange[]}
+ */
+function diffData(before, after, path = '', changes = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    for (const key of keys) {
+      diffData(before[key], after[key], path ? `${path}.${key}` : key, changes);
+    }
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+      diffData(before[index], after[index], `${path}[${index}]`, changes);
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return changes;
+
+  if (before === undefined) {
+    changes.push({ path, type: 'added', after });
+  } else if (after === undefined) {
+    changes.push({ path, type: 'removed', before });
+  } else {
+    changes.push({ path, type: 'changed', before, after });
+  }
+  return changes;
+}
+
+/**
+ * Fingerprint scope for a job: the same URL scraped with different extractors is tracked separately.
+ * @param {any} jobConfig
+ * @returns {string}
+ */
+function configKey(jobConfig) {
+  const { extractors, pagination, actions } = jobConfig;
+  return hashData(normalizeData({ extractors, pagination, actions })).slice(0, 16);
+}
+
+// Jobs without a project share the NULL scope
+function whereProject(query, projectId) {
+  return projectId ? query.eq('project_id', projectId) : query.is('project_id', null);
+}
+
+/**
+ * Remembers the last stored version of every URL a delta job scrapes, so recurring
+ * monitoring jobs only write new or changed content.
+ */
+class DeltaTracker {
+  /**
+   * @param {any} supabase
+   * @param {HttpScraper} [httpScraper] - used for conditional requests
+   */
+  constructor(supabase, httpScraper = new HttpScraper()) {
+    this.supabase = supabase;
+    this.httpScraper = httpScraper;
+  }
+
+  /**
+   * Load the previous fingerprint and, when enabled, ask the server whether the page changed.
+   * @param {any} jobConfig
+   * @param {string|null} [projectId] - project the job belongs to
+   * @returns {Promise<DeltaRun>}
+   */
+  async begin(jobConfig, projectId = null) {
+    const options = normalizeDeltaConfig(jobConfig.delta, jobConfig);
+    const url = normalizeUrl(jobConfig.url) || jobConfig.url;
+    const key = options.key || configKey(jobConfig);
+    const previous = await this.getFingerprint(projectId, url, key);
+
+    /** @type {DeltaRun} */
+    const run = { url, key, projectId, options, previous, notModified: false, page: null };
+
+    const conditionalHeaders = previous ? this.conditionalHeaders(previous) : null;
+    if (options.conditional && conditionalHeaders) {
+      try {
+        const page = await this.httpScraper.fetchPage(jobConfig.url, {
+          timeout: jobConfig.timeout,
+          headers: { ...jobConfig.headers, ...conditionalHeaders }
+        });
+        if (page.status === 304) {
+          run.notModified = true;
+        } else {
+          run.page = page;
+        }
+      } catch (error) {
+        // The scrape itself will surface real fetch problems
+        console.warn(`Conditional request failed for ${jobConfig.url}:`, error.message);
+      }
+    }
+
+    return run;
+  }
+
+  /**
+   * @param {Object} fingerprint
+   * @returns {Object<string, string>|null}
+   */
+  conditionalHeaders(fingerprint) {
+    /** @type {Object<string, string>} */
+    const headers = {};
+    if (fingerprint.etag) headers['If-None-Match'] = fingerprint.etag;
+    if (fingerprint.last_modified) headers['If-Modified-Since'] = fingerprint.last_modified;
+    return Object.keys(headers).length > 0 ? headers : null;
+  }
+
+  /**
+   * @param {DeltaRun} run
+   * @param {any} data - extracted data of this run
+   * @returns {DeltaComparison}
+   */
+  compare(run, data) {
+    const normalized = normalizeData(data, run.options.ignoreFields);
+    const contentHash = hashData(normalized);
+    const { previous } = run;
+
+    if (!previous) {
+      return { status: 'new', contentHash, version: 1, diff: [], data: normalized };
+    }
+    if (previous.content_hash === contentHash) {
+      return { status: 'unchanged', contentHash, version: previous.version, diff: [], data: normalized };
+    }
+
+    const diff = diffData(previous.data, normalized);
+    return {
+      status: 'changed',
+      contentHash,
+      version: previous.version + 1,
+      diff: diff.slice(0, MAX_DIFF_ENTRIES),
+      ...(diff.length > MAX_DIFF_ENTRIES && { diffTruncated: true }),
+      data: normalized
+    };
+  }
+
+  /**
+   * @param {string|null} projectId
+   * @param {string} url
+   * @param {string} key
+   */
+  async getFingerprint(projectId, url, key) {
+    const query = this.supabase
+      .from('url_fingerprints')
+      .select('*')
+      .eq('url', url)
+      .eq('fingerprint_key', key);
+    const { data, error } = await whereProject(query, projectId).single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Store a new or changed version as the baseline for the next run.
+   * @param {DeltaRun} run
+   * @param {DeltaComparison} comparison
+   * @param {{ etag?: string|null, lastModified?: string|null }} [validators]
+   */
+  async recordVersion(run, comparison, validators = {}) {
+    const now = new Date().toISOString();
+    const { error } = await this.supabase
+      .from('url_fingerprints')
+      .upsert([{
+        project_id: run.projectId,
+        url: run.url,
+        fingerprint_key: run.key,
+        content_hash: comparison.contentHash,
+        data: comparison.data,
+        version: comparison.version,
+        etag: validators.etag || null,
+        last_modified: validators.lastModified || null,
+        last_checked_at: now,
+        last_changed_at: now,
+        unchanged_runs: 0
+      }], { onConflict: 'project_id,url,fingerprint_key' });
+
+    if (error) throw error;
+  }
+
+  /**
+   * @param {DeltaRun} run
+   * @param {{ etag?: string|null, lastModified?: string|null }} [validators] - refreshed when the server sent new ones
+   */
+  async recordUnchanged(run, validators = {}) {
+    const query = this.supabase
+      .from('url_fingerprints')
+      .update({
+        last_checked_at: new Date().toISOString(),
+        unchanged_runs: (run.previous?.unchanged_runs || 0) + 1,
+        ...(validators.etag && { etag: validators.etag }),
+        ...(validators.lastModified && { last_modified: validators.lastModified })
+      })
+      .eq('url', run.url)
+      .eq('fingerprint_key', run.key);
+    const { error } = await whereProject(query, run.projectId);
+
+    if (error) throw error;
+  }
+}
+
+module.exports = {
+  DeltaTracker,
+  DELTA_MODES,
+  normalizeDeltaConfig,
+  normalizeData,
+  hashData,
+  diffData,
+  configKey
+};
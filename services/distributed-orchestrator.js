@@ -1,14 +1,19 @@
-﻿const { Worker, Queue, QueueEvents } = require('bullmq');
+﻿const { Worker, Queue, QueueEvents, DelayedError } = require('bullmq');
 const IORedis = require('ioredis');
 const { createClient } = require('@supabase/supabase-js');
 const { chromium } = require('playwright');
 const vm = require('vm');
+const { RequestRuleSet, mergeRequestRules, defaultRequestRules } = require('../scrapers/request-rules');
+const { OverlayDismisser, mergeOverlayConfig } = require('../scrapers/overlay-dismisser');
+const { DebugRecorder } = require('../scrapers/debug-artifacts');
+const { ProgressReporter, countRecords } = require('./progress-tracker');
 
 /**
  * @typedef {Object} Template
  * @property {string} id
  * @property {string} code
  * @property {Object} [config]
+ * @property {string} [project_id] - fair share is charged to the project
  */
 
 /**
@@ -23,6 +28,10 @@ const vm = require('vm');
  * @property {number} [delay]
  * @property {number} [stagger]
  * @property {'high'|'low'|'normal'} [priority]
+ * @property {import('../scrapers/request-rules').RequestRules} [requestRules] - merged over the template's config.requestRules
+ * @property {import('../scrapers/overlay-dismisser').OverlayConfig|boolean} [overlays] - merged over the template's config.overlays
+ * @property {{ apiKeyId?: string, userId?: string }} [tenant] - who queued the batch, for templates without a project
+ * @property {import('../scrapers/debug-artifacts').ArtifactMode} [debugArtifacts] - trace/HAR/DOM/screenshot recording
  */
 
 /**
@@ -56,10 +65,66 @@ class DistributedOrchestrator {
     this.workers = new Map();
     this.queueEvents = new Map();
     this.isInitialized = false;
+    this.browserPool = null; // Injected via setBrowserPool; without it each job launches its own browser
+    this.sessionManager = null; // Injected via setSessionManager; templates with a login flow need it
+    this.cancellations = null; // Injected via setCancellationRegistry; without it only queued executions can be cancelled
+    this.domainScheduler = null; // Injected via setDomainScheduler; without it only the worker limiter paces requests
+    this.fairShare = null; // Injected via setFairShareScheduler; without it each lane runs in priority, then FIFO order
+    this.progressTracker = null; // Injected via setProgressTracker; without it progress only lives on the BullMQ job
+    this.artifactStore = null; // Injected via setArtifactStore; without it debug artifacts are discarded
     
     this.setupQueues();
   }
 
+  /**
+   * @param {import('./browser-pool').BrowserPool} browserPool
+   */
+  setBrowserPool(browserPool) {
+    this.browserPool = browserPool;
+  }
+
+  /**
+   * @param {import('./session-manager').SessionManager} sessionManager
+   */
+  setSessionManager(sessionManager) {
+    this.sessionManager = sessionManager;
+  }
+
+  /**
+   * @param {import('./cancellation').CancellationRegistry} cancellations
+   */
+  setCancellationRegistry(cancellations) {
+    this.cancellations = cancellations;
+  }
+
+  /**
+   * @param {import('./domain-scheduler').DomainScheduler} domainScheduler
+   */
+  setDomainScheduler(domainScheduler) {
+    this.domainScheduler = domainScheduler;
+  }
+
+  /**
+   * @param {import('./fair-share-scheduler').FairShareScheduler} fairShare
+   */
+  setFairShareScheduler(fairShare) {
+    this.fairShare = fairShare;
+  }
+
+  /**
+   * @param {import('./progress-tracker').ProgressTracker} progressTracker
+   */
+  setProgressTracker(progressTracker) {
+    this.progressTracker = progressTracker;
+  }
+
+  /**
+   * @param {import('./artifact-store').ArtifactStore} artifactStore
+   */
+  setArtifactStore(artifactStore) {
+    this.artifactStore = artifactStore;
+  }
+
   async initialize() {
     if (this.isInitialized) return;
     
@@ -141,7 +206,11 @@ class DistributedOrchestrator {
       });
 
       queueEvents.on('progress', ({ jobId, data }) => {
-        console.log(`ðŸ“ˆ Job ${jobId} progress: ${data}%`);
+        const progress = /** @type {any} */ (data);
+        console.log(`ðŸ“ˆ Job ${jobId} progress: ${typeof progress === 'object' ? `${progress.stage} ${progress.percent}` : progress}%`);
+        if (this.progressTracker && typeof progress === 'object') {
+          this.progressTracker.record(progress).catch(error => console.error('Error recording job progress:', error));
+        }
       });
 
       this.queueEvents.set(queueName, queueEvents);
@@ -159,7 +228,7 @@ class DistributedOrchestrator {
         urls = [urls];
       }
 
-      const queueName = options.priority === 'high' ? 'priority-scraping' : 'scraping';
+      const queueName = this.queueNameFor(options);
       const queue = this.queues.get(queueName);
 
       if (!queue) {
@@ -172,54 +241,11 @@ class DistributedOrchestrator {
       const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
       for (const [index, url] of urls.entries()) {
-        const jobData = {
-          templateId: template.id,
-          templateCode: template.code,
-          templateConfig: template.config || {},
-          url: url,
-          batchId: batchId,
-          batchIndex: index,
-          batchTotal: urls.length,
-          options: {
-            timeout: options.timeout || 30000,
-            retries: options.retries || 3,
-            proxy: options.proxy,
-            userAgent: options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            headless: options.headless !== false,
-            captchaSolving: options.captchaSolving !== false,
-            dataValidation: options.dataValidation !== false
-          }
-        };
-
-        const jobOptions = {
-          jobId: `${template.id}_${Date.now()}_${index}_${Math.random().toString(36).substr(2, 9)}`,
-          delay: options.delay ? options.delay + (index * (options.stagger || 0)) : 0,
-          priority: options.priority === 'high' ? 1 : (options.priority === 'low' ? 10 : 5)
-        };
-
-        // Create execution record in database
-        const { data: execution } = await this.supabase
-          .from('scraping_executions')
-          .insert([{
-            template_id: template.id,
-            url: url,
-            status: 'queued',
-            execution_metadata: {
-              batchId: batchId,
-              queueName: queueName,
-              jobId: jobOptions.jobId,
-              scheduledAt: new Date().toISOString()
-            }
-          }])
-          .select()
-          .single();
-
-        jobData.executionId = execution.id;
-
-        const job = await queue.add('scrape-url', jobData, jobOptions);
+        const prepared = await this.prepareJob(template, url, { batchId, index, total: urls.length, queueName }, options);
+        const job = await queue.add(prepared.name, prepared.data, prepared.opts);
         jobs.push({
           jobId: job.id,
-          executionId: execution.id,
+          executionId: prepared.data.executionId,
           url: url,
           status: 'queued'
         });
@@ -238,6 +264,83 @@ class DistributedOrchestrator {
     }
   }
 
+  /**
+   * Queue a batch's URLs get added to.
+   * @param {JobOptions} [options]
+   */
+  queueNameFor(options = {}) {
+    return options.priority === 'high' ? 'priority-scraping' : 'scraping';
+  }
+
+  /**
+   * Build the `scrape-url` job for one URL of a batch and create its execution record.
+   * scheduleJob adds it to the queue directly; pipeline stages add it as a flow child.
+   * @param {Template} template
+   * @param {string} url
+   * @param {{ batchId: string, index: number, total: number, queueName: string }} batch
+   * @param {JobOptions} [options]
+   * @param {Object} [jobOverrides] - extra BullMQ job options (attempts, backoff, parent handling)
+   * @returns {Promise<{ name: string, queueName: string, data: any, opts: any }>}
+   */
+  async prepareJob(template, url, batch, options = {}, jobOverrides = {}) {
+    const { batchId, index, total, queueName } = batch;
+    const jobData = {
+      templateId: template.id,
+      templateCode: template.code,
+      templateConfig: template.config || {},
+      url: url,
+      batchId: batchId,
+      batchIndex: index,
+      batchTotal: total,
+      options: {
+        timeout: options.timeout || 30000,
+        retries: options.retries || 3,
+        proxy: options.proxy,
+        userAgent: options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        headless: options.headless !== false,
+        captchaSolving: options.captchaSolving !== false,
+        dataValidation: options.dataValidation !== false,
+        ...(options.requestRules && { requestRules: options.requestRules }),
+        ...(options.overlays !== undefined && { overlays: options.overlays })
+      }
+    };
+
+    const jobOptions = {
+      jobId: `${template.id}_${Date.now()}_${index}_${Math.random().toString(36).substr(2, 9)}`,
+      delay: options.delay ? options.delay + (index * (options.stagger || 0)) : 0,
+      priority: options.priority === 'high' ? 1 : (options.priority === 'low' ? 10 : 5),
+      ...jobOverrides
+    };
+
+    // The lane's fair-share order replaces the fixed priorities
+    if (this.fairShare) {
+      const tenant = await this.fairShare.resolveTenant(template, options.tenant);
+      jobData.tenant = tenant;
+      jobOptions.priority = await this.fairShare.enqueue(queueName, tenant, jobOptions.jobId, options.priority);
+    }
+
+    // Create execution record in database
+    const { data: execution } = await this.supabase
+      .from('scraping_executions')
+      .insert([{
+        template_id: template.id,
+        url: url,
+        status: 'queued',
+        execution_metadata: {
+          batchId: batchId,
+          queueName: queueName,
+          jobId: jobOptions.jobId,
+          scheduledAt: new Date().toISOString()
+        }
+      }])
+      .select()
+      .single();
+
+    jobData.executionId = execution.id;
+
+    return { name: 'scrape-url', queueName, data: jobData, opts: jobOptions };
+  }
+
   /**
    * @param {WorkerConfig[]} workerConfigs
    */
@@ -273,8 +376,8 @@ class DistributedOrchestrator {
       for (const queueName of queues) {
         const workerName = `${name}-${queueName}`;
         
-        const worker = new Worker(queueName, async (job) => {
-          return await this.processScrapingJob(job);
+        const worker = new Worker(queueName, async (job, token) => {
+          return await this.processScrapingJob(job, token);
         }, {
           connection: this.redis,
           concurrency: concurrency,
@@ -293,7 +396,8 @@ class DistributedOrchestrator {
         });
 
         worker.on('progress', (job, progress) => {
-          console.log(`ðŸ“Š Job ${job.id} progress: ${progress}%`);
+          const report = /** @type {any} */ (progress);
+          console.log(`ðŸ“Š Job ${job.id} progress: ${typeof report === 'object' ? `${report.stage} ${report.percent}` : report}%`);
         });
 
         worker.on('error', (error) => {
@@ -311,31 +415,80 @@ class DistributedOrchestrator {
 
   /**
    * @param {any} job
+   * @param {string} [token] - worker lock token; needed to move the job back to the delayed set
    */
-  async processScrapingJob(job) {
+  async processScrapingJob(job, token) {
     const startTime = Date.now();
-    const { templateCode, templateConfig, url, options, executionId } = job.data;
+    const { templateId, templateCode, templateConfig, url, options, executionId } = job.data;
+    // Status updates replace execution_metadata, so the lookup keys go into every one of them
+    const tracking = { batchId: job.data.batchId, queueName: job.queueName, jobId: job.id };
+    const cancellation = this.cancellations ? await this.cancellations.track(`execution:${executionId}`) : null;
+    const signal = cancellation ? cancellation.signal : undefined;
+    let releaseTenantSlot = null;
+    let releaseDomainSlot = null;
+    let recorder = null;
+    const progress = new ProgressReporter(job, {
+      executionId,
+      batchId: job.data.batchId,
+      attempt: (job.attemptsMade || 0) + 1,
+      maxAttempts: job.opts?.attempts || 1
+    });
     
     try {
       console.log(`ðŸ”„ Processing job ${job.id} for URL: ${url}`);
+      signal?.throwIfAborted();
+
+      // Both wait for a free slot (tenant quota, then the URL's domain) in the delayed set, not in this worker
+      if (this.fairShare) {
+        releaseTenantSlot = await this.fairShare.admit(job, token);
+      }
+      if (this.domainScheduler) {
+        releaseDomainSlot = await this.domainScheduler.admit(job, token, url);
+      }
+      if (this.fairShare) {
+        await this.fairShare.started(job);
+      }
 
       // Update execution status
       await this.updateExecutionStatus(executionId, 'running', {
+        ...tracking,
         startedAt: new Date().toISOString(),
         workerId: job.name
       });
 
-      // Update job progress
-      await job.updateProgress(10);
+      await progress.stage('starting');
 
       // Create scraper instance and execute
       const scraper = this.createScraperInstance(templateCode, options);
+      // Trace and HAR must record from the start; 'on-failure' throws them away after a success
+      recorder = new DebugRecorder(options.debugArtifacts);
       
-      await job.updateProgress(20);
-      
-      const result = await scraper.execute(url, options, job);
+      // Template rules first, job rules extend them
+      const requestRules = mergeRequestRules(
+        defaultRequestRules(options),
+        templateConfig?.requestRules,
+        options.requestRules
+      );
+
+      // Per-domain consent/overlay overrides live with the template
+      const overlays = mergeOverlayConfig(templateConfig?.overlays, options.overlays);
+
+      const result = await scraper.execute(url, {
+        ...options,
+        requestRules,
+        overlays,
+        templateId,
+        login: templateConfig?.login
+      }, progress, signal, recorder);
+
+      // Templates may catch the error of the closed page and return normally
+      signal?.throwIfAborted();
       
-      await job.updateProgress(80);
+      // Templates that do not count their records get the size of what they returned
+      if (!progress.state.recordsExtracted) {
+        progress.set({ recordsExtracted: countRecords(result.data) });
+      }
+      await progress.stage('saving');
       
       // Validate result structure if configured
       if (options.dataValidation && templateConfig.expectedFields) {
@@ -343,14 +496,18 @@ class DistributedOrchestrator {
       }
 
       const duration = Date.now() - startTime;
+
+      // 'always' mode keeps artifacts for successful runs too
+      await this.storeArtifacts(executionId, await recorder.collect(false));
       
       // Update execution with results
       await this.updateExecutionStatus(executionId, 'completed', {
+        ...tracking,
         completedAt: new Date().toISOString(),
         duration: duration
       }, result.data, result.metadata);
 
-      await job.updateProgress(100);
+      await progress.stage('completed');
 
       console.log(`âœ… Job ${job.id} completed successfully in ${duration}ms`);
 
@@ -367,9 +524,32 @@ class DistributedOrchestrator {
       };
 
     } catch (error) {
+      if (error instanceof DelayedError) throw error;
       const duration = Date.now() - startTime;
+
+      // Returned rather than thrown so BullMQ does not retry it; no executionId, so no template metrics
+      if (signal?.aborted) {
+        const reason = signal.reason?.message || 'Cancelled';
+        await this.updateExecutionStatus(executionId, 'cancelled', {
+          ...tracking,
+          cancelledAt: new Date().toISOString(),
+          duration: duration,
+          cancelReason: reason
+        });
+        await this.fairShare?.forget(job);
+        if (progress.started) {
+          await progress.stage('cancelled', reason);
+        }
+        console.log(`ðŸ›‘ Job ${job.id} cancelled after ${duration}ms`);
+        return { success: false, cancelled: true, error: reason, metadata: { url, duration } };
+      }
       
+      await progress.stage('failed', error.message);
+      if (recorder) {
+        await this.storeArtifacts(executionId, await recorder.collect(true));
+      }
       await this.updateExecutionStatus(executionId, 'failed', {
+        ...tracking,
         failedAt: new Date().toISOString(),
         duration: duration,
         errorMessage: error.message
@@ -377,58 +557,269 @@ class DistributedOrchestrator {
 
       console.error(`âŒ Job ${job.id} failed after ${duration}ms:`, error.message);
       throw error;
+    } finally {
+      // Whatever was not stored (cancelled runs, no artifact store) is temporary
+      await recorder?.discard();
+      progress.close();
+      cancellation?.release();
+      await releaseTenantSlot?.();
+      await releaseDomainSlot?.();
+    }
+  }
+
+  /**
+   * Attach debug artifacts to the execution. Never throws: losing artifacts must not
+   * change the job outcome.
+   * @param {string} executionId
+   * @param {import('../scrapers/debug-artifacts').RecordedArtifact[]} artifacts
+   */
+  async storeArtifacts(executionId, artifacts) {
+    if (!this.artifactStore || artifacts.length === 0) return;
+
+    try {
+      await this.artifactStore.saveArtifacts(executionId, artifacts);
+      console.log(`ðŸ“¦ Stored ${artifacts.length} debug artifacts for execution ${executionId}`);
+    } catch (error) {
+      console.error(`Failed to store debug artifacts for execution ${executionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Cancel one execution. A queued or delayed job is removed from its queue; a running
+   * one is aborted through the cancellation registry, which closes its page and
+   * releases its browser context (and with it the proxy connection).
+   * @param {string} executionId
+   * @param {string} [reason]
+   * @returns {Promise<{ executionId: string, status: string }|null>} null when there is no such execution
+   */
+  async cancelExecution(executionId, reason = 'Cancelled by user') {
+    const { data: execution, error } = await this.supabase
+      .from('scraping_executions')
+      .select('id, status, execution_metadata')
+      .eq('id', executionId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!execution) return null;
+    return this.cancelExecutionRecord(execution, reason);
+  }
+
+  /**
+   * Cancel every execution of a `scheduleJob` batch that has not finished yet.
+   * @param {string} batchId
+   * @param {string} [reason]
+   */
+  async cancelBatch(batchId, reason = 'Batch cancelled by user') {
+    const { data: executions, error } = await this.supabase
+      .from('scraping_executions')
+      .select('id, status, execution_metadata')
+      .eq('execution_metadata->>batchId', batchId)
+      .in('status', ['queued', 'running']);
+
+    if (error) throw error;
+
+    const results = [];
+    for (const execution of executions || []) {
+      results.push(await this.cancelExecutionRecord(execution, reason));
     }
+
+    console.log(`ðŸ›‘ Cancelled batch ${batchId} (${results.length} unfinished executions)`);
+    return {
+      batchId,
+      cancelled: results.filter(result => result.status === 'cancelled').length,
+      cancelling: results.filter(result => result.status === 'cancelling').length,
+      executions: results
+    };
+  }
+
+  /**
+   * @param {{ id: string, status: string, execution_metadata?: any }} execution
+   * @param {string} reason
+   * @returns {Promise<{ executionId: string, status: string }>}
+   */
+  async cancelExecutionRecord(execution, reason) {
+    if (!['queued', 'running'].includes(execution.status)) {
+      return { executionId: execution.id, status: execution.status };
+    }
+
+    const metadata = execution.execution_metadata || {};
+    const queue = this.queues.get(metadata.queueName);
+    const job = queue && metadata.jobId ? await queue.getJob(metadata.jobId) : null;
+    const state = job ? await job.getState() : null;
+
+    // The flag also stops a job that becomes active between here and job.remove()
+    if (this.cancellations) {
+      await this.cancellations.cancel(`execution:${execution.id}`, reason);
+    }
+
+    if (state === 'active') {
+      if (!this.cancellations) {
+        throw new Error('Running executions cannot be cancelled without a cancellation registry');
+      }
+      return { executionId: execution.id, status: 'cancelling' };
+    }
+
+    if (job) {
+      try {
+        await job.remove();
+      } catch (error) {
+        // Picked up by a worker meanwhile; the flag set above stops it
+        console.warn(`Job ${metadata.jobId} could not be removed from ${metadata.queueName}:`, error.message);
+        return { executionId: execution.id, status: 'cancelling' };
+      }
+      await this.fairShare?.forget(job);
+    }
+
+    await this.updateExecutionStatus(execution.id, 'cancelled', {
+      ...metadata,
+      cancelledAt: new Date().toISOString(),
+      cancelReason: reason
+    });
+    // Never reached a worker, so nobody else reports the end of it
+    await this.progressTracker?.record({
+      executionId: execution.id,
+      batchId: metadata.batchId,
+      stage: 'cancelled',
+      percent: 100,
+      navigations: 0,
+      actionsExecuted: 0,
+      pagesCrawled: 0,
+      recordsExtracted: 0,
+      message: reason,
+      updatedAt: new Date().toISOString()
+    });
+    return { executionId: execution.id, status: 'cancelled' };
   }
 
   createScraperInstance(templateCode, options) {
     void options; // acknowledged for linter; used in nested ScraperExecutionContext methods
+    const browserPool = this.browserPool;
+    const sessionManager = this.sessionManager;
     class ScraperExecutionContext {
       constructor() {
         this.browser = null;
+        this.context = null;
         this.page = null;
+        this.ruleSet = null;
+        this.dismissedOverlays = [];
+        this.pendingDismissal = Promise.resolve();
+      }
+
+      // Templates navigate on their own, so dismissal runs on every main-frame load
+      watchOverlays(page, dismisser) {
+        page.on('load', () => {
+          this.pendingDismissal = this.pendingDismissal
+            .then(() => dismisser.dismiss(page))
+            .then((records) => { this.dismissedOverlays.push(...records); })
+            .catch(error => console.warn('Overlay dismissal failed:', error.message));
+        });
+      }
+
+      // Reuse the template's stored session, logging in only when there is none
+      async prepareSession(options) {
+        const state = await sessionManager.loadSession(options.templateId);
+        if (state) {
+          await sessionManager.applySession(this.page.context(), state);
+          return { reused: true, logins: 0, relogged: false };
+        }
+        await sessionManager.login(this.page, options.templateId, options.login);
+        return { reused: false, logins: 1, relogged: false };
       }
 
-      async execute(url, options, job) {
+      /**
+       * @param {string} url
+       * @param {any} options
+       * @param {ProgressReporter} [progress]
+       * @param {AbortSignal} [signal]
+       * @param {DebugRecorder} [recorder] - collected by the caller once the context is closed
+       */
+      async execute(url, options, progress, signal, recorder) {
         const startTime = Date.now();
+        // Launch-level settings (headful mode, custom browserOptions) need a dedicated browser
+        const usePool = Boolean(browserPool) && !options.browserOptions && options.headless !== false;
+        // Closing the page rejects whatever the template is awaiting; `finally` then frees the browser
+        const abortPage = () => { this.page?.close().catch(() => {}); };
+        signal?.addEventListener('abort', abortPage, { once: true });
+        let succeeded = false;
         
         try {
-          // Launch browser with stealth options
-          this.browser = await chromium.launch({ 
-            headless: options.headless,
-            args: [
-              '--no-sandbox',
-              '--disable-setuid-sandbox',
-              '--disable-dev-shm-usage',
-              '--disable-accelerated-2d-canvas',
-              '--no-first-run',
-              '--no-zygote',
-              '--disable-gpu'
-            ],
-            ...options.browserOptions
-          });
+          await recorder?.prepare();
+          const contextOptions = {
+            ...(options.userAgent && { userAgent: options.userAgent }),
+            ...recorder?.contextOptions()
+          };
 
-          await job?.updateProgress(30);
+          if (usePool) {
+            // The browser itself stays with the pool; other jobs have contexts open in it
+            this.context = await browserPool.acquireContext(contextOptions);
+          } else {
+            // Launch browser with stealth options
+            this.browser = await chromium.launch({ 
+              headless: options.headless,
+              args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-accelerated-2d-canvas',
+                '--no-first-run',
+                '--no-zygote',
+                '--disable-gpu'
+              ],
+              ...options.browserOptions
+            });
+          }
 
-          this.page = await this.browser.newPage();
+          this.page = this.context ? await this.context.newPage() : await this.browser.newPage(contextOptions);
+          await recorder?.start(this.page.context());
+          signal?.throwIfAborted();
           
+          // Request rules go in before stealth setup so they see every request the template makes
+          if (options.requestRules) {
+            this.ruleSet = new RequestRuleSet(options.requestRules, url);
+            await this.ruleSet.apply(this.page);
+          }
+
+          const dismisser = new OverlayDismisser(options.overlays);
+          if (dismisser.config.enabled) {
+            this.watchOverlays(this.page, dismisser);
+          }
+
           // Apply stealth and configuration options
           await this.applyStealthOptions(this.page, options);
           
-          await job?.updateProgress(40);
-
           // Set up proxy if provided
           if (options.proxy) {
             await this.setupProxy(this.page, options.proxy);
           }
 
-          await job?.updateProgress(50);
+          // The session has to be in place before the template's first navigation
+          let session = null;
+          if (options.login) {
+            if (!sessionManager) throw new Error('Template declares a login flow but no session manager is configured');
+            session = await this.prepareSession(options);
+          }
 
           // Execute the template code in VM context
           const context = vm.createContext({
             page: this.page,
             browser: this.browser,
+            context: this.context,
             url: url,
+            // Explicit pass for overlays that appear after an in-page interaction
+            dismissOverlays: async () => {
+              const records = await dismisser.dismiss(this.page);
+              this.dismissedOverlays.push(...records);
+              return records;
+            },
             options: options,
+            // Long-running templates can check signal.aborted between steps
+            signal: signal,
+            // Templates report their own work here; navigations are counted for them
+            progress: {
+              actions: (n = 1) => progress?.add('actionsExecuted', n),
+              pages: (n = 1) => progress?.add('pagesCrawled', n),
+              records: (n = 1) => progress?.add('recordsExtracted', n)
+            },
             console: console,
             setTimeout: setTimeout,
             setInterval: setInterval,
@@ -441,30 +832,84 @@ class DistributedOrchestrator {
             require: require // Controlled require for specific modules
           });
 
-          await job?.updateProgress(60);
+          // Navigation, actions and extraction are all up to the template from here
+          if (progress) {
+            this.page.on('framenavigated', (frame) => {
+              if (frame === this.page.mainFrame()) progress.add('navigations');
+            });
+          }
+          await progress?.stage('navigating');
 
           const script = new vm.Script(templateCode);
-          const result = await script.runInContext(context, {
+          const runTemplate = () => script.runInContext(context, {
             timeout: options.timeout || 30000
           });
+
+          let result;
+          let failure = null;
+          try {
+            result = await runTemplate();
+          } catch (error) {
+            // Templates usually fail on the login page rather than return from it
+            if (!session || signal?.aborted) throw error;
+            failure = error;
+          }
+
+          // A stored session the site no longer accepts: log in again and rerun once
+          const expired = session && await sessionManager.isSessionExpired(this.page, options.login)
+            .catch((error) => {
+              if (failure) return false;
+              throw error;
+            });
+          if (expired) {
+            console.log(`ðŸ”‘ Session expired for template ${options.templateId}, logging in again`);
+            await sessionManager.invalidateSession(options.templateId, 'expired');
+            await sessionManager.login(this.page, options.templateId, options.login);
+            session.logins++;
+            session.relogged = true;
+
+            result = await runTemplate();
+            if (await sessionManager.isSessionExpired(this.page, options.login)) {
+              throw new Error('Session expired again right after logging in');
+            }
+          } else if (failure) {
+            throw failure;
+          }
           
-          await job?.updateProgress(70);
+          await progress?.stage('extracting');
+
+          await this.pendingDismissal;
 
           const duration = Date.now() - startTime;
           
-          return {
+          const outcome = {
             data: result,
             duration: duration,
             metadata: {
               browserUsed: 'chromium',
+              pooledBrowser: usePool,
+              requests: this.ruleSet ? this.ruleSet.getStats() : null,
+              overlaysDismissed: this.dismissedOverlays,
+              session,
               headless: options.headless,
               proxyUsed: !!options.proxy,
+              // Locale hint for reading the page's prices and numbers
+              lang: this.page ? await this.page.evaluate(() => document.documentElement.lang || null) : null,
               pageLoadTime: this.page ? await this.page.evaluate(() => window.performance.timing.loadEventEnd - window.performance.timing.navigationStart) : null
             }
           };
+          succeeded = true;
+          return outcome;
 
         } finally {
-          if (this.browser) {
+          signal?.removeEventListener('abort', abortPage);
+          // Snapshot and trace need the page and context still open; the HAR is written when the context closes
+          if (this.page) {
+            await recorder?.capture(this.page, this.page.context(), !succeeded);
+          }
+          if (this.context) {
+            await browserPool.releaseContext(this.context);
+          } else if (this.browser) {
             await this.browser.close();
           }
         }
@@ -488,23 +933,6 @@ class DistributedOrchestrator {
             });
           });
 
-          // Block unnecessary resources for performance
-          await page.route('**/*', (route) => {
-            const resourceType = route.request().resourceType();
-            const url = route.request().url();
-            
-            // Block ads, analytics, and heavy media
-            if (resourceType === 'image' && !options.loadImages) {
-              route.abort();
-            } else if (['font', 'media'].includes(resourceType) && !options.loadMedia) {
-              route.abort();
-            } else if (url.includes('google-analytics') || url.includes('facebook.com/tr')) {
-              route.abort();
-            } else {
-              route.continue();
-            }
-          });
-
           // Set extra headers
           await page.setExtraHTTPHeaders({
             'Accept-Language': 'en-US,en;q=0.9',
@@ -658,7 +1086,8 @@ class DistributedOrchestrator {
             successful_runs: success ? 1 : 0,
             failed_runs: success ? 0 : 1,
             success_rate: success ? 1.0 : 0.0,
-            average_duration: duration || 0,
+            // Successful runs only, like the running average below
+            average_duration: success ? (duration || 0) : 0,
             last_run: new Date().toISOString()
           }])
           .select()
@@ -674,9 +1103,11 @@ class DistributedOrchestrator {
       const newFailedRuns = metrics.failed_runs + (success ? 0 : 1);
       const newSuccessRate = newSuccessfulRuns / newTotalRuns;
       
-      // Calculate new average duration
-      const currentTotalDuration = metrics.average_duration * metrics.total_runs;
-      const newAverageDuration = (currentTotalDuration + (duration || 0)) / newTotalRuns;
+      // Average over successful runs only: failures report no duration and would drag the
+      // completion estimates down
+      const newAverageDuration = success
+        ? ((metrics.average_duration || 0) * metrics.successful_runs + (duration || 0)) / newSuccessfulRuns
+        : metrics.average_duration;
 
       const { data: updatedMetrics, error } = await this.supabase
         .from('template_metrics')
@@ -0,0 +1,293 @@
+// APL AI Scraper 2.0 - Per-domain concurrency and politeness for scrape workers
+const { DelayedError } = require('bullmq');
+const { parseNumber } = require('../utils/parse-number');
+
+/**
+ * @typedef {Object} DomainPolicy
+ * @property {number} maxConcurrency - scrapes of one domain running at once, across all workers
+ * @property {number} minDelayMs - minimum gap between two scrape starts on the domain
+ * @property {boolean} respectRobots - stretch minDelayMs to the robots.txt Crawl-delay
+ */
+
+/**
+ * @typedef {Object} DomainSchedulerOptions
+ * @property {number} [maxConcurrency] - default policy (DOMAIN_MAX_CONCURRENCY, default 2)
+ * @property {number} [minDelayMs] - default policy (DOMAIN_MIN_DELAY_MS, default 1000)
+ * @property {boolean} [respectRobots] - default policy (DOMAIN_RESPECT_CRAWL_DELAY, default true)
+ * @property {number} [leaseMs] - a slot held longer than this is presumed lost with its worker (default 10 minutes)
+ * @property {number} [busyRetryMs] - recheck interval for a job whose domain is at max concurrency (default 2000)
+ * @property {number} [robotsCacheMs] - how long a Crawl-delay lookup is reused (default 1 hour)
+ */
+
+/**
+ * @typedef {Object} SlotDecision
+ * @property {boolean} granted
+ * @property {string} domain
+ * @property {number} [delayMs] - not granted: wait this long before asking again
+ * @property {'concurrency'|'delay'} [reason]
+ * @property {number} [reservedAt] - start time reserved for the job; pass it back on the next acquire
+ */
+
+// Atomic check-and-take of a domain slot.
+// KEYS[1] zset of slot holders scored by lease expiry, KEYS[2] earliest next start (ms)
+// ARGV now, holder, maxConcurrency, minDelayMs, leaseMs, reservedAt (0 = none)
+// Returns {0, now} granted, {1, at} start time reserved in the future, {-1, 0} domain busy
+const ACQUIRE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local minDelay = tonumber(ARGV[4])
+local leaseMs = tonumber(ARGV[5])
+local reservedAt = tonumber(ARGV[6])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[3]) then
+  return {-1, 0}
+end
+local nextStart = tonumber(redis.call('GET', KEYS[2]) or '0')
+if reservedAt == 0 and nextStart > now then
+  redis.call('SET', KEYS[2], nextStart + minDelay, 'PX', nextStart + minDelay - now + 60000)
+  return {1, nextStart}
+end
+redis.call('ZADD', KEYS[1], now + leaseMs, ARGV[2])
+redis.call('PEXPIRE', KEYS[1], leaseMs)
+local following = math.max(nextStart, now + minDelay)
+redis.call('SET', KEYS[2], following, 'PX', following - now + 60000)
+return {0, now}
+`;
+
+const POLICY_FIELDS = ['maxConcurrency', 'minDelayMs', 'respectRobots'];
+
+/**
+ * Spreads scrapes over domains: at most maxConcurrency jobs per domain run at once and
+ * starts are at least minDelayMs (or the robots.txt Crawl-delay) apart. State lives in
+ * Redis so the limits hold across worker processes.
+ *
+ * A job that has to wait is not slept on: `admit` moves it back to BullMQ's delayed set
+ * for exactly as long as needed, so the worker picks up another domain's job meanwhile.
+ * Waits caused by the delay reserve a start time, so a burst of jobs for one domain is
+ * spaced out in a single pass instead of waking up and colliding again.
+ */
+class DomainScheduler {
+  /**
+   * @param {any} redis - IORedis connection
+   * @param {{ checkCompliance: (url: string, userAgent: string) => Promise<{ crawlDelay?: number }> }|null} [complianceManager]
+   *   - source of robots.txt Crawl-delay
+   * @param {DomainSchedulerOptions} [options]
+   */
+  constructor(redis, complianceManager = null, options = {}) {
+    this.redis = redis;
+    this.complianceManager = complianceManager;
+    /** @type {DomainPolicy} */
+    this.defaults = {
+      maxConcurrency: options.maxConcurrency ?? (parseNumber(process.env.DOMAIN_MAX_CONCURRENCY, 2) || 2),
+      minDelayMs: options.minDelayMs ?? (parseNumber(process.env.DOMAIN_MIN_DELAY_MS, 1000) ?? 1000),
+      respectRobots: options.respectRobots ?? process.env.DOMAIN_RESPECT_CRAWL_DELAY !== 'false'
+    };
+    this.leaseMs = options.leaseMs ?? 10 * 60 * 1000;
+    this.busyRetryMs = options.busyRetryMs ?? 2000;
+    this.robotsCacheMs = options.robotsCacheMs ?? 60 * 60 * 1000;
+    /** @type {Map<string, { delayMs: number, expiresAt: number }>} */
+    this.crawlDelays = new Map();
+  }
+
+  /**
+   * @param {string} url
+   * @returns {string} lowercased host without a leading www.
+   */
+  domainOf(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return 'invalid-url';
+    }
+  }
+
+  keys(domain) {
+    return {
+      active: `domain:${domain}:active`,
+      next: `domain:${domain}:next`,
+      policy: `domain:${domain}:policy`
+    };
+  }
+
+  /**
+   * Policy of a domain: the defaults, overridden per domain through setPolicy.
+   * @param {string} domain
+   * @returns {Promise<DomainPolicy>}
+   */
+  async getPolicy(domain) {
+    const stored = await this.redis.hgetall(this.keys(domain).policy);
+    return {
+      maxConcurrency: parseNumber(stored?.maxConcurrency, this.defaults.maxConcurrency),
+      minDelayMs: parseNumber(stored?.minDelayMs, this.defaults.minDelayMs),
+      respectRobots: stored?.respectRobots === undefined ? this.defaults.respectRobots : stored.respectRobots === 'true'
+    };
+  }
+
+  /**
+   * Override the defaults for one domain; fields left out keep their current value.
+   * @param {string} domain
+   * @param {Partial<DomainPolicy>} policy
+   */
+  async setPolicy(domain, policy) {
+    validatePolicy(policy);
+    const fields = Object.fromEntries(POLICY_FIELDS
+      .filter(field => policy[field] !== undefined)
+      .map(field => [field, String(policy[field])]));
+    if (Object.keys(fields).length > 0) {
+      await this.redis.hset(this.keys(domain).policy, fields);
+    }
+    return this.getPolicy(domain);
+  }
+
+  /**
+   * @param {string} domain
+   */
+  async clearPolicy(domain) {
+    await this.redis.del(this.keys(domain).policy);
+    return this.getPolicy(domain);
+  }
+
+  /**
+   * Crawl-delay robots.txt asks of us, in ms; 0 when there is none or it cannot be read.
+   * @param {string} url
+   * @param {string} domain
+   */
+  async robotsDelayMs(url, domain) {
+    if (!this.complianceManager) return 0;
+    const cached = this.crawlDelays.get(domain);
+    if (cached && cached.expiresAt > Date.now()) return cached.delayMs;
+
+    let delayMs = 0;
+    try {
+      const { crawlDelay } = await this.complianceManager.checkCompliance(url, '*');
+      delayMs = Number(crawlDelay) > 0 ? Number(crawlDelay) * 1000 : 0;
+    } catch (error) {
+      console.warn(`Crawl-delay lookup failed for ${domain}:`, error.message);
+    }
+    this.crawlDelays.set(domain, { delayMs, expiresAt: Date.now() + this.robotsCacheMs });
+    return delayMs;
+  }
+
+  /**
+   * Gap to keep between starts on the domain of `url`.
+   * @param {string} url
+   * @param {string} domain
+   * @param {DomainPolicy} policy
+   */
+  async effectiveDelayMs(url, domain, policy) {
+    const robotsDelay = policy.respectRobots ? await this.robotsDelayMs(url, domain) : 0;
+    return Math.max(policy.minDelayMs, robotsDelay);
+  }
+
+  /**
+   * Try to take a slot on the domain of `url`.
+   * @param {string} url
+   * @param {string} holder - unique per running job; used to release the slot
+   * @param {number} [reservedAt] - start time reserved by an earlier acquire
+   * @returns {Promise<SlotDecision>}
+   */
+  async acquire(url, holder, reservedAt = 0) {
+    const domain = this.domainOf(url);
+    const policy = await this.getPolicy(domain);
+    const delayMs = await this.effectiveDelayMs(url, domain, policy);
+    const keys = this.keys(domain);
+    const now = Date.now();
+
+    const [code, at] = await this.redis.eval(
+      ACQUIRE_SCRIPT, 2, keys.active, keys.next,
+      now, holder, policy.maxConcurrency, delayMs, this.leaseMs, reservedAt || 0
+    );
+
+    if (Number(code) === 0) {
+      return { granted: true, domain };
+    }
+    if (Number(code) === 1) {
+      return { granted: false, domain, reason: 'delay', delayMs: Math.max(Number(at) - now, 0), reservedAt: Number(at) };
+    }
+    // Nobody knows when a running scrape ends; spread the rechecks out a little
+    const jitter = Math.floor(Math.random() * this.busyRetryMs / 2);
+    return { granted: false, domain, reason: 'concurrency', delayMs: Math.max(this.busyRetryMs, delayMs) + jitter };
+  }
+
+  /**
+   * @param {string} domain
+   * @param {string} holder
+   */
+  async release(domain, holder) {
+    try {
+      await this.redis.zrem(this.keys(domain).active, holder);
+    } catch (error) {
+      // The lease expires on its own
+      console.warn(`Failed to release ${domain} slot of ${holder}:`, error.message);
+    }
+  }
+
+  /**
+   * Gate for BullMQ workers. Resolves with a release function once the job holds a slot
+   * on its domain; otherwise moves the job back to the delayed set and throws BullMQ's
+   * DelayedError, which the processor must rethrow untouched.
+   * @param {any} job
+   * @param {string} token - lock token the worker passed to the processor
+   * @param {string} url
+   * @returns {Promise<() => Promise<void>>}
+   */
+  async admit(job, token, url) {
+    const holder = `${job.queueName}:${job.id}`;
+    // A reservation only counts for the attempt it was made in
+    const slot = job.data.domainSlot;
+    const reservedAt = slot && slot.attempt === job.attemptsMade ? slot.at : 0;
+
+    const decision = await this.acquire(url, holder, reservedAt);
+    if (decision.granted) {
+      return () => this.release(decision.domain, holder);
+    }
+
+    if (decision.reservedAt) {
+      await job.updateData({ ...job.data, domainSlot: { at: decision.reservedAt, attempt: job.attemptsMade } });
+    }
+    await job.moveToDelayed(Date.now() + decision.delayMs, token);
+    throw new DelayedError();
+  }
+
+  /**
+   * Current limits and load of a domain.
+   * @param {string} domain
+   */
+  async status(domain) {
+    const keys = this.keys(domain);
+    const now = Date.now();
+    const [policy, active, nextStart] = await Promise.all([
+      this.getPolicy(domain),
+      this.redis.zcount(keys.active, now, '+inf'),
+      this.redis.get(keys.next)
+    ]);
+    const cached = this.crawlDelays.get(domain);
+    return {
+      domain,
+      policy,
+      robotsCrawlDelayMs: cached ? cached.delayMs : null,
+      running: Number(active) || 0,
+      nextStartAt: nextStart && Number(nextStart) > now ? new Date(Number(nextStart)).toISOString() : null
+    };
+  }
+}
+
+/**
+ * @param {Partial<DomainPolicy>} policy
+ */
+function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    throw new Error('policy must be an object');
+  }
+  const { maxConcurrency, minDelayMs, respectRobots } = policy;
+  if (maxConcurrency !== undefined && (!Number.isInteger(maxConcurrency) || maxConcurrency < 1)) {
+    throw new Error('maxConcurrency must be a positive integer');
+  }
+  if (minDelayMs !== undefined && (typeof minDelayMs !== 'number' || !Number.isFinite(minDelayMs) || minDelayMs < 0)) {
+    throw new Error('minDelayMs must be a non-negative number');
+  }
+  if (respectRobots !== undefined && typeof respectRobots !== 'boolean') {
+    throw new Error('respectRobots must be a boolean');
+  }
+}
+
+module.exports = { DomainScheduler, validatePolicy, ACQUIRE_SCRIPT };
@@ -0,0 +1,553 @@
+// APL AI Scraper 2.0 - Entity resolution: records of the same item scraped from many URLs and
+// runs collapse into one entity, matched by composite keys, canonical URL or fuzzy fields
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const { normalizeUrl } = require('../utils/url-normalizer');
+
+/**
+ * @typedef {'latest'|'first'|'longest'|'max'|'min'|'union'} MergeRule
+ */
+
+/**
+ * @typedef {Object} FuzzyField
+ * @property {'text'|'url'|'exact'|'number'} [match] - how two values compare (default text)
+ * @property {number} [weight] - default 1
+ */
+
+/**
+ * @typedef {Object} EntityConfig
+ * @property {string} [type] - entity namespace within the project (default 'record')
+ * @property {string[][]} [keys] - composite keys (dotted field paths); agreeing on every field of one key means the same entity
+ * @property {string} [urlField] - field holding the item's own URL; the scraped URL otherwise
+ * @property {boolean} [matchUrl] - false to never match on URL (default true)
+ * @property {{ fields: Record<string, FuzzyField>, threshold?: number }} [fuzzy] - weighted similarity, 0..1
+ * @property {{ strategy?: 'latest'|'most_complete', fields?: Record<string, MergeRule> }} [merge]
+ */
+
+/**
+ * @typedef {Object} ObservedRecord
+ * @property {Object} data
+ * @property {string|null} [url]
+ * @property {string|null} [scraped_data_id]
+ * @property {string} [observed_at] - ISO time; now by default, so backfills can pass the scrape time
+ */
+
+/**
+ * @typedef {Object} Resolution
+ * @property {string} entityId
+ * @property {boolean} created
+ * @property {string} rule - 'new', 'key:<fields>', 'url' or 'fuzzy'
+ * @property {number} score
+ */
+
+// Namespace for the name-based (v5) entity ids
+const ENTITY_NAMESPACE = '8b3a4f52-6d1e-4c57-9a8e-2f0c7d9e5b13';
+const MERGE_RULES = ['latest', 'first', 'longest', 'max', 'min', 'union'];
+const MATCH_TYPES = ['text', 'url', 'exact', 'number'];
+const DEFAULT_THRESHOLD = 0.85;
+const MAX_CANDIDATES = 50;
+// Tries before giving up on a record whose entity keeps changing under it
+const MAX_RESOLVE_ATTEMPTS = 3;
+// Words too common to say anything about which item a title names; left out of blocking tokens
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'from', 'new', 'all', 'set', 'pack',
+  'und', 'der', 'die', 'das', 'mit', 'fur', 'von', 'ein', 'eine',
+  'les', 'des', 'une', 'pour', 'avec', 'sur',
+  'los', 'las', 'del', 'con', 'para', 'una', 'por',
+  'per', 'gli', 'della', 'het', 'een', 'van', 'voor', 'met'
+]);
+const MAX_BLOCKING_KEYS = 200;
+// Edit distance is quadratic; titles beyond this are compared on their prefix
+const MAX_COMPARE_LENGTH = 200;
+
+/**
+ * @param {any} config
+ * @returns {EntityConfig}
+ */
+function validateEntityConfig(config) {
+  if (!config || typeof config !== 'object') throw new Error('entity config must be an object');
+
+  const keys = config.keys || [];
+  if (!Array.isArray(keys) || keys.some(key => !Array.isArray(key) || key.length === 0 || key.some(field => typeof field !== 'string'))) {
+    throw new Error('keys must be an array of non-empty field name arrays');
+  }
+  const fuzzyFields = config.fuzzy?.fields || {};
+  for (const [field, options] of Object.entries(fuzzyFields)) {
+    if (options.match !== undefined && !MATCH_TYPES.includes(options.match)) {
+      throw new Error(`fuzzy.fields.${field}.match must be one of ${MATCH_TYPES.join(', ')}`);
+    }
+    if (options.weight !== undefined && !(typeof options.weight === 'number' && options.weight > 0)) {
+      throw new Error(`fuzzy.fields.${field}.weight must be a positive number`);
+    }
+  }
+  const threshold = config.fuzzy?.threshold;
+  if (threshold !== undefined && !(typeof threshold === 'number' && threshold > 0 && threshold <= 1)) {
+    throw new Error('fuzzy.threshold must be a number in (0, 1]');
+  }
+  if (keys.length === 0 && Object.keys(fuzzyFields).length === 0 && !config.urlField && config.matchUrl === false) {
+    throw new Error('entity config needs keys, fuzzy fields or URL matching');
+  }
+  if (config.merge?.strategy !== undefined && !['latest', 'most_complete'].includes(config.merge.strategy)) {
+    throw new Error('merge.strategy must be latest or most_complete');
+  }
+  for (const [field, rule] of Object.entries(config.merge?.fields || {})) {
+    if (!MERGE_RULES.includes(rule)) throw new Error(`merge.fields.${field} must be one of ${MERGE_RULES.join(', ')}`);
+  }
+  return config;
+}
+
+function getPath(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Case, accents, punctuation and spacing removed: "Café  Table – Oak!" and "cafe table oak" agree.
+ * @param {any} value
+ */
+function normalizeText(value) {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two values in 0..1.
+ * @param {any} a
+ * @param {any} b
+ * @param {FuzzyField['match']} match
+ */
+function similarity(a, b, match = 'text') {
+  switch (match) {
+  case 'url': {
+    const left = normalizeUrl(String(a));
+    return left !== null && left === normalizeUrl(String(b)) ? 1 : 0;
+  }
+  case 'exact':
+    return normalizeText(a) === normalizeText(b) ? 1 : 0;
+  case 'number': {
+    const left = Number(a);
+    const right = Number(b);
+    if (!Number.isFinite(left) || !Number.isFinite(right)) return 0;
+    const scale = Math.max(Math.abs(left), Math.abs(right));
+    return scale === 0 ? 1 : Math.max(0, 1 - Math.abs(left - right) / scale);
+  }
+  default: {
+    // Word order does not matter ("Oak Table, Large" vs "Large Oak Table")
+    const left = normalizeText(a).split(' ').sort().join(' ').slice(0, MAX_COMPARE_LENGTH);
+    const right = normalizeText(b).split(' ').sort().join(' ').slice(0, MAX_COMPARE_LENGTH);
+    const longest = Math.max(left.length, right.length);
+    return longest === 0 ? 1 : 1 - levenshtein(left, right) / longest;
+  }
+  }
+}
+
+function sizeOf(value) {
+  if (typeof value === 'string') return value.trim().length;
+  if (Array.isArray(value)) return value.length;
+  if (value && typeof value === 'object') return Object.keys(value).length;
+  return 1;
+}
+
+function filledFields(data) {
+  return Object.values(data || {}).filter(value => !isEmpty(value)).length;
+}
+
+/**
+ * Finds, creates and merges entities in the entities and entity_sources tables.
+ */
+class EntityResolver {
+  /**
+   * @param {any} supabase
+   */
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Composite key values, canonical URL and blocking keys of a record. Blocking keys are
+   * what candidates are looked up by: keys and the URL for exact matches, word tokens of
+   * text fuzzy fields so similar titles meet.
+   * @param {ObservedRecord} record
+   * @param {EntityConfig} config
+   */
+  describe(record, config) {
+    const keys = [];
+    for (const fields of config.keys || []) {
+      const values = fields.map(field => getPath(record.data, field));
+      if (values.some(isEmpty)) continue;
+      keys.push(`key:${fields.join('+')}=${values.map(normalizeText).join('|')}`);
+    }
+
+    const rawUrl = config.urlField ? getPath(record.data, config.urlField) : record.url;
+    const canonicalUrl = config.matchUrl === false || !rawUrl ? null : normalizeUrl(String(rawUrl));
+
+    const tokens = [];
+    for (const [field, options] of Object.entries(config.fuzzy?.fields || {})) {
+      const value = getPath(record.data, field);
+      if (isEmpty(value) || (options.match || 'text') !== 'text') continue;
+      for (const token of new Set(normalizeText(value).split(' '))) {
+        if (token.length >= 3 && !STOP_WORDS.has(token)) tokens.push(`tok:${field}:${token}`);
+      }
+    }
+
+    return {
+      keys,
+      canonicalUrl,
+      tokens,
+      blockingKeys: [...keys, ...(canonicalUrl ? [`url:${canonicalUrl}`] : []), ...tokens]
+    };
+  }
+
+  /**
+   * Name-based id from the strongest identifier available, so the same item gets the same
+   * id however many times (and in whichever order) it is resolved.
+   */
+  stableId(projectId, config, description, record) {
+    const type = config.type || 'record';
+    const identity = description.keys[0] ||
+      (description.canonicalUrl && `url:${description.canonicalUrl}`) ||
+      Object.keys(config.fuzzy?.fields || {})
+        .map(field => getPath(record.data, field))
+        .filter(value => !isEmpty(value))
+        .map(normalizeText)
+        .join('|');
+    return identity ? uuidv5(`${projectId}/${type}/${identity}`, ENTITY_NAMESPACE) : uuidv4();
+  }
+
+  /**
+   * Weighted similarity over the fuzzy fields both sides have; null when they share none.
+   * @param {Object} a
+   * @param {Object} b
+   * @param {EntityConfig} config
+   */
+  fuzzyScore(a, b, config) {
+    let total = 0;
+    let weights = 0;
+    for (const [field, options] of Object.entries(config.fuzzy?.fields || {})) {
+      const left = getPath(a, field);
+      const right = getPath(b, field);
+      if (isEmpty(left) || isEmpty(right)) continue;
+      const weight = options.weight || 1;
+      total += similarity(left, right, options.match) * weight;
+      weights += weight;
+    }
+    return weights > 0 ? total / weights : null;
+  }
+
+  /**
+   * Exact keys first, each looked up on its own in priority order, so the entity holding a
+   * key is found however many others share the record's title words; word tokens only
+   * gather candidates for fuzzy matching.
+   * @param {string} projectId
+   * @param {string} type
+   * @param {ObservedRecord} record
+   * @param {ReturnType<EntityResolver['describe']>} description
+   * @param {EntityConfig} config
+   * @returns {Promise<{ entity: any, rule: string, score: number }|null>}
+   */
+  async findMatch(projectId, type, record, description, config) {
+    const exact = [
+      ...description.keys.map(key => [key, key.slice(0, key.indexOf('='))]),
+      ...(description.canonicalUrl ? [[`url:${description.canonicalUrl}`, 'url']] : [])
+    ];
+    for (const [key, rule] of exact) {
+      const [entity] = await this.findCandidates(projectId, type, key);
+      if (entity) return { entity, rule, score: 1 };
+    }
+
+    if (description.tokens.length === 0) return null;
+    const candidates = await this.findCandidates(projectId, type, description.tokens);
+    const threshold = config.fuzzy?.threshold ?? DEFAULT_THRESHOLD;
+    let best = null;
+    for (const entity of candidates) {
+      const score = this.fuzzyScore(record.data, entity.data, config);
+      if (score !== null && score >= threshold && (!best || score > best.score)) {
+        best = { entity, rule: 'fuzzy', score: Math.round(score * 1000) / 1000 };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Merge an incoming record into an entity's data. Fields without a rule follow the
+   * strategy: 'latest' takes the newer non-empty value, 'most_complete' keeps whichever
+   * record has more fields filled and only fills gaps from the other.
+   * @param {{ data: Object, field_sources: Object }} entity
+   * @param {ObservedRecord} record
+   * @param {EntityConfig} config
+   */
+  merge(entity, record, config) {
+    const strategy = config.merge?.strategy || 'latest';
+    const rules = config.merge?.fields || {};
+    const existing = entity.data || {};
+    const data = { ...existing };
+    const fieldSources = { ...(entity.field_sources || {}) };
+    const source = { url: record.url || null, scraped_data_id: record.scraped_data_id || null, observed_at: record.observed_at };
+
+    const newer = (field) => !fieldSources[field] || record.observed_at >= fieldSources[field].observed_at;
+    const incomingMoreComplete = filledFields(record.data) > filledFields(existing);
+
+    for (const [field, value] of Object.entries(record.data || {})) {
+      if (isEmpty(value)) continue;
+      const current = existing[field];
+      let take = isEmpty(current);
+
+      if (!take) {
+        const rule = rules[field] || (strategy === 'most_complete' ? null : 'latest');
+        switch (rule) {
+        case 'latest': take = newer(field); break;
+        case 'first': take = false; break;
+        case 'longest': take = sizeOf(value) > sizeOf(current); break;
+        case 'max': take = Number(value) > Number(current); break;
+        case 'min': take = Number(value) < Number(current); break;
+        case 'union': {
+          const seen = new Set();
+          data[field] = [].concat(current, value).filter(item => {
+            const key = JSON.stringify(item);
+            return seen.has(key) ? false : seen.add(key);
+          });
+          fieldSources[field] = source;
+          continue;
+        }
+        default: take = incomingMoreComplete;
+        }
+      }
+
+      if (take) {
+        data[field] = value;
+        fieldSources[field] = source;
+      }
+    }
+    return { data, fieldSources };
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} type
+   * @param {string|string[]} keys - one exact key (at most one entity holds it) or word tokens
+   */
+  async findCandidates(projectId, type, keys) {
+    // Entities sharing the most tokens first (entity_candidates, migration 018), so words
+    // common to many titles cannot push the likely match out of the candidate list
+    const { data, error } = typeof keys === 'string'
+      ? await this.supabase
+        .from('entities')
+        .select('*')
+        .eq('project_id', projectId)
+        .eq('entity_type', type)
+        .contains('blocking_keys', [keys])
+        .limit(1)
+      : await this.supabase.rpc('entity_candidates', {
+        p_project_id: projectId,
+        p_entity_type: type,
+        p_tokens: keys,
+        p_limit: MAX_CANDIDATES
+      });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Resolve one record: merge it into the entity it matches or create a new entity, and
+   * keep the record as a source of that entity. The merge only lands on the version it was
+   * computed from; if another worker changed the entity meanwhile, the record is matched and
+   * merged again against the fresh row.
+   * @param {ObservedRecord} record
+   * @param {{ projectId: string, config: EntityConfig }} context
+   * @param {number} [attempt]
+   * @returns {Promise<Resolution>}
+   */
+  async resolve(record, context, attempt = 1) {
+    const { projectId, config } = context;
+    const type = config.type || 'record';
+    const observed = { ...record, observed_at: record.observed_at || new Date().toISOString() };
+    const description = this.describe(observed, config);
+    const match = await this.findMatch(projectId, type, observed, description, config);
+
+    let resolution;
+    if (match) {
+      const { data, fieldSources } = this.merge(match.entity, observed, config);
+      const { version } = match.entity;
+      const { data: updated, error } = await this.supabase
+        .from('entities')
+        .update({
+          data,
+          field_sources: fieldSources,
+          blocking_keys: this.mergeBlockingKeys(match.entity.blocking_keys, description.blockingKeys),
+          source_count: (match.entity.source_count || 0) + 1,
+          last_seen_at: observed.observed_at > match.entity.last_seen_at ? observed.observed_at : match.entity.last_seen_at,
+          version: version + 1,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', match.entity.id)
+        .eq('version', version)
+        .select('id');
+
+      if (error) throw error;
+      if (!updated || updated.length === 0) {
+        if (attempt >= MAX_RESOLVE_ATTEMPTS) {
+          throw new Error(`Entity ${match.entity.id} kept changing while merging; gave up after ${attempt} attempts`);
+        }
+        return this.resolve(record, context, attempt + 1);
+      }
+      resolution = { entityId: match.entity.id, created: false, rule: match.rule, score: match.score };
+    } else {
+      const id = this.stableId(projectId, config, description, observed);
+      const { data, fieldSources } = this.merge({ data: {}, field_sources: {} }, observed, config);
+      const { error } = await this.supabase
+        .from('entities')
+        .insert([{
+          id,
+          project_id: projectId,
+          entity_type: type,
+          data,
+          field_sources: fieldSources,
+          blocking_keys: this.mergeBlockingKeys([], description.blockingKeys),
+          source_count: 1,
+          version: 1,
+          first_seen_at: observed.observed_at,
+          last_seen_at: observed.observed_at
+        }]);
+
+      // Another worker created the same entity meanwhile; it is a candidate now
+      if (error && error.code === '23505' && attempt < MAX_RESOLVE_ATTEMPTS) {
+        return this.resolve(record, context, attempt + 1);
+      }
+      if (error) throw error;
+      resolution = { entityId: id, created: true, rule: 'new', score: 1 };
+    }
+
+    const { error: sourceError } = await this.supabase
+      .from('entity_sources')
+      .insert([{
+        entity_id: resolution.entityId,
+        scraped_data_id: observed.scraped_data_id || null,
+        url: observed.url || null,
+        canonical_url: description.canonicalUrl,
+        data: observed.data,
+        match_rule: resolution.rule,
+        match_score: resolution.score,
+        observed_at: observed.observed_at
+      }]);
+
+    if (sourceError) throw sourceError;
+    return resolution;
+  }
+
+  /**
+   * Resolve records one after another, so duplicates within the batch merge as well. A
+   * record that fails is reported in its result and the rest go on.
+   * @param {ObservedRecord[]} records
+   * @param {{ projectId: string, config: EntityConfig }} context
+   */
+  async resolveBatch(records, context) {
+    /** @type {Array<{ index: number, error?: string } & Partial<Resolution>>} */
+    const results = [];
+    for (const [index, record] of records.entries()) {
+      try {
+        if (!record || !record.data || typeof record.data !== 'object') throw new Error('Record data must be an object');
+        results.push({ index, ...(await this.resolve(record, context)) });
+      } catch (error) {
+        results.push({ index, error: error.message });
+      }
+    }
+
+    const resolved = results.filter(result => !result.error);
+    return {
+      results,
+      summary: {
+        total: records.length,
+        created: resolved.filter(result => result.created).length,
+        merged: resolved.filter(result => !result.created).length,
+        failed: results.length - resolved.length,
+        entities: new Set(resolved.map(result => result.entityId)).size
+      }
+    };
+  }
+
+  // Exact-match keys always survive the cap; word tokens fill what is left
+  mergeBlockingKeys(existing, incoming) {
+    const all = [...new Set([...(existing || []), ...incoming])];
+    if (all.length <= MAX_BLOCKING_KEYS) return all;
+    const exact = all.filter(key => !key.startsWith('tok:'));
+    return [...exact, ...all.filter(key => key.startsWith('tok:'))].slice(0, Math.max(MAX_BLOCKING_KEYS, exact.length));
+  }
+
+  /**
+   * @param {string} entityId
+   * @returns {Promise<Object|null>} the entity with its sources, newest first
+   */
+  async getEntity(entityId) {
+    const { data: entity, error } = await this.supabase
+      .from('entities')
+      .select('*')
+      .eq('id', entityId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!entity) return null;
+
+    const { data: sources, error: sourcesError } = await this.supabase
+      .from('entity_sources')
+      .select('*')
+      .eq('entity_id', entityId)
+      .order('observed_at', { ascending: false });
+
+    if (sourcesError) throw sourcesError;
+    return { ...entity, sources: sources || [] };
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {{ type?: string, limit?: number, offset?: number }} [options]
+   */
+  async listEntities(projectId, options = {}) {
+    const limit = options.limit || 50;
+    const offset = options.offset || 0;
+    let query = this.supabase
+      .from('entities')
+      .select('id, entity_type, data, source_count, first_seen_at, last_seen_at')
+      .eq('project_id', projectId)
+      .order('last_seen_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (options.type) query = query.eq('entity_type', options.type);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+module.exports = { EntityResolver, validateEntityConfig, similarity, normalizeText };
@@ -0,0 +1,368 @@
+// APL AI Scraper 2.0 - Fair-share scheduling of scrape jobs across projects, users and API keys
+const { DelayedError } = require('bullmq');
+const { getTierLimits } = require('./core/tier-limits');
+const { parseNumber } = require('../utils/parse-number');
+
+/**
+ * @typedef {Object} Tenant
+ * @property {string} key - `project:<id>`, `apikey:<id>`, `user:<id>` or `default`
+ * @property {string} tier - subscription tier of the owner
+ */
+
+/**
+ * @typedef {Object} TenantPolicy
+ * @property {number} weight - relative share of each lane while several tenants wait
+ * @property {number} maxConcurrent - executions of the tenant running at once
+ * @property {string} tier
+ * @property {boolean} overridden - weight or maxConcurrent set through setPolicy
+ */
+
+/**
+ * @typedef {Object} FairShareOptions
+ * @property {string[]} [lanes] - queue names in the order workers drain them (default priority-scraping, scraping)
+ * @property {number} [leaseMs] - a slot held longer than this is presumed lost with its worker (default 10 minutes)
+ * @property {number} [quotaRetryMs] - recheck interval for a job whose tenant is at its quota (default 5000)
+ * @property {number} [rateWindowMs] - window of recent starts the expected start time is extrapolated from (default 10 minutes)
+ * @property {number} [tenantCacheMs] - how long a project's tier lookup is reused (default 5 minutes)
+ */
+
+// Each job costs its tenant STRIDE / weight of virtual time; lower pass runs first
+const STRIDE = 12;
+// BullMQ rejects priorities above 2^21
+const MAX_PRIORITY = 2097152;
+// Recent job starts across all workers, for expected start times
+const STARTS_KEY = 'fairshare:starts';
+
+// KEYS[1] lane pending zset (jobId -> pass), KEYS[2] tenant pending zset, KEYS[3] tenant passes hash, KEYS[4] lane clock
+// ARGV tenant, jobId, stride. Returns the job's pass.
+const ENQUEUE_SCRIPT = `
+if redis.call('ZCARD', KEYS[1]) == 0 then
+  redis.call('DEL', KEYS[3])
+  redis.call('SET', KEYS[4], 0)
+end
+local clock = tonumber(redis.call('GET', KEYS[4]) or '0')
+local last = tonumber(redis.call('HGET', KEYS[3], ARGV[1]) or '0')
+local pass = math.max(clock, last) + tonumber(ARGV[3])
+redis.call('HSET', KEYS[3], ARGV[1], pass)
+redis.call('ZADD', KEYS[1], pass, ARGV[2])
+redis.call('ZADD', KEYS[2], pass, ARGV[2])
+return pass
+`;
+
+// KEYS[1] lane pending zset, KEYS[2] tenant pending zset, KEYS[3] lane clock; ARGV jobId, advance clock (1/0)
+const DEQUEUE_SCRIPT = `
+local pass = redis.call('ZSCORE', KEYS[1], ARGV[1])
+redis.call('ZREM', KEYS[1], ARGV[1])
+redis.call('ZREM', KEYS[2], ARGV[1])
+if pass and ARGV[2] == '1' and tonumber(pass) > tonumber(redis.call('GET', KEYS[3]) or '0') then
+  redis.call('SET', KEYS[3], pass)
+end
+return pass
+`;
+
+// KEYS[1] tenant slot holders scored by lease expiry; ARGV now, holder, maxConcurrent, leaseMs
+const ACQUIRE_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if redis.call('ZSCORE', KEYS[1], ARGV[2]) == false and redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[3]) then
+  return 0
+end
+redis.call('ZADD', KEYS[1], tonumber(ARGV[1]) + tonumber(ARGV[4]), ARGV[2])
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return 1
+`;
+
+/**
+ * Orders scrape jobs so that tenants share each queue lane in proportion to their tier's
+ * weight, no matter how many jobs one of them queues, and caps how many executions of
+ * one tenant run at once.
+ *
+ * Ordering uses stride scheduling on BullMQ priorities: each tenant has a pass that
+ * grows by STRIDE / weight per queued job, and a job's priority is its pass. A tenant
+ * that queues 5,000 URLs therefore interleaves with one that queues 5, instead of
+ * running first. Passes start over whenever a lane has nothing waiting; on a lane that
+ * never drains they eventually hit BullMQ's priority ceiling and the lane degrades to FIFO.
+ *
+ * `priority: 'high'` still picks the priority-scraping lane; within a lane `low` jobs
+ * cost twice their tenant's stride.
+ */
+class FairShareScheduler {
+  /**
+   * @param {any} redis - IORedis connection
+   * @param {any} supabase - projects/users lookup of the owner's subscription tier
+   * @param {FairShareOptions} [options]
+   */
+  constructor(redis, supabase, options = {}) {
+    this.redis = redis;
+    this.supabase = supabase;
+    this.lanes = options.lanes || ['priority-scraping', 'scraping'];
+    this.leaseMs = options.leaseMs ?? 10 * 60 * 1000;
+    this.quotaRetryMs = options.quotaRetryMs ?? (parseNumber(process.env.FAIR_SHARE_QUOTA_RETRY_MS, 5000) || 5000);
+    this.rateWindowMs = options.rateWindowMs ?? 10 * 60 * 1000;
+    this.tenantCacheMs = options.tenantCacheMs ?? 5 * 60 * 1000;
+    /** @type {Map<string, { tier: string, expiresAt: number }>} */
+    this.projectTiers = new Map();
+  }
+
+  laneKeys(lane, tenantKey) {
+    return {
+      lanePending: `fairshare:lane:${lane}:pending`,
+      tenantPending: `fairshare:lane:${lane}:tenant:${tenantKey}`,
+      passes: `fairshare:lane:${lane}:passes`,
+      clock: `fairshare:lane:${lane}:clock`
+    };
+  }
+
+  tenantKeys(tenantKey) {
+    return {
+      active: `fairshare:tenant:${tenantKey}:active`,
+      policy: `fairshare:tenant:${tenantKey}:policy`
+    };
+  }
+
+  /**
+   * Who a batch is charged to: the template's project, else the API key or user that
+   * queued it. Only projects carry a tier (their owner's); the rest share as free.
+   * The tier is never taken from job options, which come from request bodies.
+   * @param {{ project_id?: string }} template
+   * @param {{ apiKeyId?: string, userId?: string }} [context]
+   * @returns {Promise<Tenant>}
+   */
+  async resolveTenant(template, context = {}) {
+    if (template.project_id) {
+      return { key: `project:${template.project_id}`, tier: await this.projectTier(template.project_id) };
+    }
+    if (context.apiKeyId) return { key: `apikey:${context.apiKeyId}`, tier: 'free' };
+    if (context.userId) return { key: `user:${context.userId}`, tier: 'free' };
+    return { key: 'default', tier: 'free' };
+  }
+
+  /**
+   * @param {string} projectId
+   */
+  async projectTier(projectId) {
+    const cached = this.projectTiers.get(projectId);
+    if (cached && cached.expiresAt > Date.now()) return cached.tier;
+
+    let tier = 'free';
+    try {
+      const { data, error } = await this.supabase
+        .from('projects')
+        .select('id, users (subscription_tier)')
+        .eq('id', projectId)
+        .single();
+      if (error && error.code !== 'PGRST116') throw error;
+      tier = data?.users?.subscription_tier || 'free';
+    } catch (error) {
+      console.warn(`Tier lookup failed for project ${projectId}:`, error.message);
+    }
+    this.projectTiers.set(projectId, { tier, expiresAt: Date.now() + this.tenantCacheMs });
+    return tier;
+  }
+
+  /**
+   * Weight and quota of a tenant: its tier's, overridden per tenant through setPolicy.
+   * @param {string} tenantKey
+   * @param {string} [tier]
+   * @returns {Promise<TenantPolicy>}
+   */
+  async getPolicy(tenantKey, tier) {
+    const stored = await this.redis.hgetall(this.tenantKeys(tenantKey).policy) || {};
+    const effectiveTier = tier || stored.tier || 'free';
+    const limits = getTierLimits(effectiveTier);
+    return {
+      weight: parseNumber(stored.weight, limits.fair_share_weight),
+      maxConcurrent: parseNumber(stored.maxConcurrent, limits.concurrent_executions),
+      tier: effectiveTier,
+      overridden: stored.weight !== undefined || stored.maxConcurrent !== undefined
+    };
+  }
+
+  /**
+   * @param {string} tenantKey
+   * @param {{ weight?: number, maxConcurrent?: number }} policy
+   */
+  async setPolicy(tenantKey, policy) {
+    validatePolicy(policy);
+    const fields = Object.fromEntries(['weight', 'maxConcurrent']
+      .filter(field => policy[field] !== undefined)
+      .map(field => [field, String(policy[field])]));
+    if (Object.keys(fields).length > 0) {
+      await this.redis.hset(this.tenantKeys(tenantKey).policy, fields);
+    }
+    return this.getPolicy(tenantKey);
+  }
+
+  /**
+   * @param {string} tenantKey
+   */
+  async clearPolicy(tenantKey) {
+    await this.redis.hdel(this.tenantKeys(tenantKey).policy, 'weight', 'maxConcurrent');
+    return this.getPolicy(tenantKey);
+  }
+
+  /**
+   * Register a job about to be added to `lane` and get its BullMQ priority.
+   * @param {string} lane - queue name
+   * @param {Tenant} tenant
+   * @param {string} jobId
+   * @param {'high'|'low'|'normal'} [priority]
+   * @returns {Promise<number>}
+   */
+  async enqueue(lane, tenant, jobId, priority) {
+    // The tier travels with the policy so quotas can be checked without the template
+    await this.redis.hset(this.tenantKeys(tenant.key).policy, { tier: tenant.tier });
+    const { weight } = await this.getPolicy(tenant.key, tenant.tier);
+    const stride = Math.max(1, Math.round(STRIDE / weight)) * (priority === 'low' ? 2 : 1);
+    const keys = this.laneKeys(lane, tenant.key);
+
+    const pass = await this.redis.eval(
+      ENQUEUE_SCRIPT, 4, keys.lanePending, keys.tenantPending, keys.passes, keys.clock,
+      tenant.key, jobId, stride
+    );
+    return Math.min(Number(pass), MAX_PRIORITY);
+  }
+
+  /**
+   * Gate for BullMQ workers, run before the job starts. Resolves with a release function
+   * once the tenant is under its concurrency quota; otherwise moves the job back to the
+   * delayed set and throws BullMQ's DelayedError, which the processor must rethrow untouched.
+   * @param {any} job - carries data.tenant from prepareJob
+   * @param {string} token - lock token the worker passed to the processor
+   * @returns {Promise<(() => Promise<void>)|null>} null for jobs queued without a tenant
+   */
+  async admit(job, token) {
+    const tenant = job.data.tenant;
+    if (!tenant) return null;
+
+    const { maxConcurrent } = await this.getPolicy(tenant.key, tenant.tier);
+    const holder = `${job.queueName}:${job.id}`;
+    const active = this.tenantKeys(tenant.key).active;
+    const granted = await this.redis.eval(ACQUIRE_SCRIPT, 1, active, Date.now(), holder, maxConcurrent, this.leaseMs);
+
+    if (Number(granted) === 1) {
+      return async () => {
+        try {
+          await this.redis.zrem(active, holder);
+        } catch (error) {
+          // The lease expires on its own
+          console.warn(`Failed to release ${tenant.key} slot of ${holder}:`, error.message);
+        }
+      };
+    }
+
+    const jitter = Math.floor(Math.random() * this.quotaRetryMs / 2);
+    await job.moveToDelayed(Date.now() + this.quotaRetryMs + jitter, token);
+    throw new DelayedError();
+  }
+
+  /**
+   * The job is running: it leaves the waiting line and the lane's clock moves up to it.
+   * @param {any} job
+   */
+  async started(job) {
+    await this.dequeue(job, true);
+    const now = Date.now();
+    await this.redis.zadd(STARTS_KEY, now, `${job.queueName}:${job.id}:${now}`);
+    await this.redis.zremrangebyscore(STARTS_KEY, '-inf', now - this.rateWindowMs);
+  }
+
+  /**
+   * The job left its queue without running (cancelled or removed).
+   * @param {any} job
+   */
+  async forget(job) {
+    await this.dequeue(job, false);
+  }
+
+  async dequeue(job, advanceClock) {
+    const tenant = job.data.tenant;
+    if (!tenant) return;
+    const keys = this.laneKeys(job.queueName, tenant.key);
+    try {
+      await this.redis.eval(DEQUEUE_SCRIPT, 3, keys.lanePending, keys.tenantPending, keys.clock, job.id, advanceClock ? 1 : 0);
+    } catch (error) {
+      // Only costs accuracy of positions and expected start times
+      console.warn(`Failed to dequeue job ${job.id} of ${tenant.key}:`, error.message);
+    }
+  }
+
+  /**
+   * Starts per ms over the recent window, across all workers; null before any start.
+   */
+  async startRate() {
+    const now = Date.now();
+    const [count, oldest] = await Promise.all([
+      this.redis.zcount(STARTS_KEY, now - this.rateWindowMs, '+inf'),
+      this.redis.zrangebyscore(STARTS_KEY, now - this.rateWindowMs, '+inf', 'WITHSCORES', 'LIMIT', 0, 1)
+    ]);
+    if (!Number(count) || !oldest || oldest.length < 2) return null;
+    // A single burst says little about sustained throughput; assume at least a minute
+    const span = Math.max(now - Number(oldest[1]), 60 * 1000);
+    return Number(count) / span;
+  }
+
+  /**
+   * Quota, load and place in line of a tenant. The position of its next job counts
+   * every job with a lower pass in the lanes drained before it; the expected start time
+   * extrapolates from recent throughput and ignores the tenant's own quota.
+   * @param {string} tenantKey
+   */
+  async status(tenantKey) {
+    const now = Date.now();
+    const policy = await this.getPolicy(tenantKey);
+    const running = await this.redis.zcount(this.tenantKeys(tenantKey).active, now, '+inf');
+
+    const lanes = [];
+    let jobsAhead = 0;
+    let next = null;
+    for (const lane of this.lanes) {
+      const keys = this.laneKeys(lane, tenantKey);
+      const [queued, first, laneTotal] = await Promise.all([
+        this.redis.zcard(keys.tenantPending),
+        this.redis.zrange(keys.tenantPending, 0, 0, 'WITHSCORES'),
+        this.redis.zcard(keys.lanePending)
+      ]);
+      lanes.push({ lane, queued: Number(queued) || 0 });
+
+      if (!next && first && first.length === 2) {
+        const ahead = await this.redis.zcount(keys.lanePending, '-inf', `(${first[1]}`);
+        next = { lane, jobId: first[0], position: jobsAhead + Number(ahead) + 1 };
+      }
+      jobsAhead += Number(laneTotal) || 0;
+    }
+
+    let expectedStartAt = null;
+    if (next) {
+      const rate = await this.startRate();
+      expectedStartAt = rate ? new Date(now + (next.position - 1) / rate).toISOString() : null;
+    }
+
+    return {
+      tenant: tenantKey,
+      policy,
+      running: Number(running) || 0,
+      queued: lanes.reduce((sum, lane) => sum + lane.queued, 0),
+      lanes,
+      nextJob: next,
+      expectedStartAt
+    };
+  }
+}
+
+/**
+ * @param {{ weight?: number, maxConcurrent?: number }} policy
+ */
+function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    throw new Error('policy must be an object');
+  }
+  const { weight, maxConcurrent } = policy;
+  if (weight !== undefined && (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0 || weight > STRIDE)) {
+    throw new Error(`weight must be a number between 0 and ${STRIDE}`);
+  }
+  if (maxConcurrent !== undefined && (!Number.isInteger(maxConcurrent) || maxConcurrent < 1)) {
+    throw new Error('maxConcurrent must be a positive integer');
+  }
+}
+
+module.exports = { FairShareScheduler, validatePolicy, STRIDE, MAX_PRIORITY };
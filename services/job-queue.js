@@ -1,14 +1,21 @@
 ﻿// APL AI Scraper 2.0 - Job Queue System
-const { Queue, Worker } = require('bullmq');
+const { Queue, Worker, DelayedError } = require('bullmq');
 const IORedis = require('ioredis');
 const { PlaywrightScraper } = require('../scrapers/playwright-scraper');
+const { HttpScraper } = require('../scrapers/http-scraper');
+const { selectEngine } = require('../scrapers/engine-selector');
 const { parseNumber } = require('../utils/parse-number');
 const { DatabaseAdapter } = require('./core/database-adapter');
+const { ProgressReporter, countRecords } = require('./progress-tracker');
+const fs = require('fs/promises');
+const path = require('path');
 
 /**
  * @typedef {Object} JobDescriptor
  * @property {string|number} id
  * @property {number} [priority]
+ * @property {string|number} [parentJobId] - crawl job this page belongs to
+ * @property {number} [depth] - link depth within the crawl
  */
 
 /**
@@ -17,6 +24,8 @@ const { DatabaseAdapter } = require('./core/database-adapter');
  * @property {string|number} [jobId]
  * @property {number} [processingTime]
  * @property {any} [data]
+ * @property {boolean} [unchanged] - delta job whose page had not changed; nothing was stored
+ * @property {boolean} [cancelled] - stopped by cancelJob; not retried
  */
 
 class JobQueue {
@@ -43,10 +52,67 @@ class JobQueue {
       }
     });
 
+    this.crawlManager = null; // Injected via setCrawlManager
+    this.browserPool = null; // Injected via setBrowserPool; without it each job launches its own browser
+    this.artifactStore = null; // Injected via setArtifactStore; without it debug artifacts are discarded
+    this.deltaTracker = null; // Injected via setDeltaTracker; without it `delta` jobs store every run
+    this.cancellations = null; // Injected via setCancellationRegistry; without it only queued jobs can be cancelled
+    this.deadLetterQueue = null; // Injected via setDeadLetterQueue; without it jobs out of retries only stay in BullMQ's trimmed failed set
+    this.domainScheduler = null; // Injected via setDomainScheduler; without it a batch on one domain runs at full worker concurrency
+
     this.startWorker();
     console.log('ðŸš€ Job Queue initialized');
   }
 
+  /**
+   * @param {import('./crawl-manager').CrawlManager} crawlManager
+   */
+  setCrawlManager(crawlManager) {
+    this.crawlManager = crawlManager;
+  }
+
+  /**
+   * @param {import('./browser-pool').BrowserPool} browserPool
+   */
+  setBrowserPool(browserPool) {
+    this.browserPool = browserPool;
+  }
+
+  /**
+   * @param {import('./artifact-store').ArtifactStore} artifactStore
+   */
+  setArtifactStore(artifactStore) {
+    this.artifactStore = artifactStore;
+  }
+
+  /**
+   * @param {import('./delta-tracker').DeltaTracker} deltaTracker
+   */
+  setDeltaTracker(deltaTracker) {
+    this.deltaTracker = deltaTracker;
+  }
+
+  /**
+   * @param {import('./cancellation').CancellationRegistry} cancellations
+   */
+  setCancellationRegistry(cancellations) {
+    this.cancellations = cancellations;
+  }
+
+  /**
+   * @param {import('./dead-letter-queue').DeadLetterQueue} deadLetterQueue
+   */
+  setDeadLetterQueue(deadLetterQueue) {
+    this.deadLetterQueue = deadLetterQueue;
+  }
+
+  /**
+   * @param {import('./domain-scheduler').DomainScheduler} domainScheduler
+   */
+  setDomainScheduler(domainScheduler) {
+    this.domainScheduler = domainScheduler;
+  }
+
   /**
    * @param {string|number} jobId
    * @param {number} [priority]
@@ -69,6 +135,20 @@ class JobQueue {
     }
   }
 
+  /**
+   * Queue a job that already ran once. Its old BullMQ entry is dropped first, since
+   * an add with the id of an existing job is silently ignored.
+   * @param {string|number} jobId
+   * @param {number} [priority]
+   */
+  async requeueJob(jobId, priority = 0) {
+    const previous = await this.scrapingQueue.getJob(`job-${jobId}`);
+    if (previous) {
+      await previous.remove();
+    }
+    await this.addJob(jobId, priority);
+  }
+
   /**
    * @param {JobDescriptor[]} jobs
    */
@@ -76,7 +156,9 @@ class JobQueue {
     try {
       const jobData = jobs.map((job, index) => ({
         name: 'scrape-job',
-        data: { jobId: job.id },
+        data: job.parentJobId
+          ? { jobId: job.id, parentJobId: job.parentJobId, depth: job.depth || 0 }
+          : { jobId: job.id },
         opts: {
           priority: job.priority || 0,
           jobId: `job-${job.id}`,
@@ -93,18 +175,22 @@ class JobQueue {
   }
 
   startWorker() {
+    const rateLimit = parseNumber(process.env.WORKER_RATE_LIMIT_PER_MINUTE, 0);
     this.worker = new Worker(
       'scraping-queue',
-      async (job) => {
-        return await this.processJob(job);
+      async (job, token) => {
+        return await this.processJob(job, token);
       },
       {
         connection: this.connection,
         concurrency: parseNumber(process.env.WORKER_CONCURRENCY, 3) || 3,
-        limiter: {
-          max: 10,
-          duration: 60000 // 10 requests per minute
-        }
+        // Politeness is per domain (DomainScheduler); a global cap only when explicitly asked for
+        ...(rateLimit && {
+          limiter: {
+            max: rateLimit,
+            duration: 60000
+          }
+        })
       }
     );
 
@@ -128,31 +214,50 @@ class JobQueue {
 
   /**
    * @param {any} job
+   * @param {string} [token] - worker lock token; needed to move the job back to the delayed set
    * @returns {Promise<JobResult>}
    */
-  async processJob(job) {
+  async processJob(job, token) {
     const { jobId } = job.data;
     const startTime = Date.now();
     
     console.log(`ðŸ”„ Processing job ${jobId}`);
 
-    // Update job status to running
-    await this.updateJobStatus(jobId, 'running', {
-      started_at: new Date().toISOString(),
-      attempts: job.attemptsMade + 1
-    });
+    const cancellation = this.cancellations ? await this.cancellations.track(`job:${jobId}`) : null;
+    const signal = cancellation ? cancellation.signal : null;
+    if (signal && signal.aborted) {
+      cancellation.release();
+      return await this.finishCancelled(job, jobId, startTime, signal);
+    }
 
     let scraper = null;
+    let jobData = null;
+    let result = null;
+    let selection = null;
+    let releaseDomainSlot = null;
+    const progress = new ProgressReporter(job, {
+      jobId,
+      attempt: job.attemptsMade + 1,
+      maxAttempts: job.opts?.attempts || 1
+    });
 
     try {
       // Get job details from database using adapter
-      const jobData = await this.dbAdapter.getScrapingJob(jobId);
+      jobData = await this.dbAdapter.getScrapingJob(jobId);
 
-      console.log(`ðŸ“Š Job details: ${jobData.url}`);
+      // Waits for a free slot on the URL's domain in the delayed set, not in this worker
+      if (this.domainScheduler) {
+        releaseDomainSlot = await this.domainScheduler.admit(job, token, jobData.url);
+      }
+
+      // Update job status to running
+      await this.updateJobStatus(jobId, 'running', {
+        started_at: new Date().toISOString(),
+        attempts: job.attemptsMade + 1
+      });
+      await progress.stage('starting');
 
-      // Initialize scraper
-      scraper = new PlaywrightScraper();
-      await scraper.init();
+      console.log(`ðŸ“Š Job details: ${jobData.url}`);
 
       // Build scraping configuration
       const scrapingConfig = {
@@ -160,11 +265,49 @@ class JobQueue {
         ...jobData.config
       };
 
+      // Recurring `delta` jobs compare against the last stored version; a 304 skips the scrape entirely
+      const delta = scrapingConfig.delta && this.deltaTracker
+        ? await this.deltaTracker.begin(scrapingConfig, jobData.project_id)
+        : null;
+      if (delta && delta.notModified) {
+        await this.deltaTracker.recordUnchanged(delta);
+        await progress.stage('completed', 'not_modified');
+        return await this.completeUnchanged(job, jobId, jobData, startTime, 'not_modified');
+      }
+
+      // Static pages skip the browser entirely; 'auto' probes the initial HTML first
+      const httpScraper = new HttpScraper({ signal, progress });
+      selection = await selectEngine(scrapingConfig, httpScraper);
+      console.log(`ðŸ”§ Using ${selection.engine} engine for job ${jobId} (${selection.reason})`);
+
       // Execute scraping
-      const result = await scraper.scrape(scrapingConfig);
+      if (selection.engine === 'http') {
+        scraper = httpScraper;
+        result = await httpScraper.scrape(scrapingConfig, selection.page || (delta && delta.page));
+      } else {
+        const browserScraper = new PlaywrightScraper({ browserPool: this.browserPool, signal, progress });
+        scraper = browserScraper;
+        await browserScraper.init();
+        result = await browserScraper.scrape(scrapingConfig);
+      }
       await scraper.close();
 
+      if (signal && signal.aborted) {
+        await progress.stage('cancelled');
+        return await this.finishCancelled(job, jobId, startTime, signal);
+      }
+
       if (result.success) {
+        progress.set({ recordsExtracted: countRecords(result.data) });
+        const change = delta ? this.deltaTracker.compare(delta, result.data) : null;
+        if (change && change.status === 'unchanged' && delta.options.mode === 'changes-only') {
+          await this.deltaTracker.recordUnchanged(delta, result.validators);
+          await progress.stage('completed', 'content_unchanged');
+          return await this.completeUnchanged(job, jobId, jobData, startTime, 'content_unchanged', result);
+        }
+
+        await progress.stage('saving');
+
         // Store scraped data
         const { error: insertError } = await this.supabase
           .from('scraped_data')
@@ -172,11 +315,30 @@ class JobQueue {
             job_id: jobId,
             data: result.data,
             url: jobData.url,
+            ...(result.network && { network_captures: result.network }),
             metadata: {
               scraped_at: new Date().toISOString(),
               processing_time: Date.now() - startTime,
               scraper_version: '2.0',
-              config: scrapingConfig
+              config: scrapingConfig,
+              engine: selection.engine,
+              engine_reason: selection.reason,
+              ...(result.pagination && { pagination: result.pagination }),
+              ...(result.network && {
+                network: { responses: result.network.responses.length, dropped: result.network.dropped }
+              }),
+              ...(result.requestStats && { requests: result.requestStats }),
+              ...(result.skippedActions && { skipped_actions: result.skippedActions }),
+              ...(result.dismissedOverlays && { overlays_dismissed: result.dismissedOverlays }),
+              ...(change && {
+                delta: {
+                  status: change.status,
+                  version: change.version,
+                  content_hash: change.contentHash,
+                  diff: change.diff,
+                  ...(change.diffTruncated && { diff_truncated: true })
+                }
+              })
             }
           }]);
 
@@ -184,16 +346,41 @@ class JobQueue {
           throw new Error(`Failed to store scraped data: ${insertError.message}`);
         }
 
+        if (change && change.status !== 'unchanged') {
+          await this.deltaTracker.recordVersion(delta, change, result.validators);
+        } else if (change) {
+          await this.deltaTracker.recordUnchanged(delta, result.validators);
+        }
+
         // Update job as completed
         await this.updateJobStatus(jobId, 'completed', {
           completed_at: new Date().toISOString(),
           result: {
             success: true,
             data_size: JSON.stringify(result.data).length,
-            processing_time: Date.now() - startTime
+            processing_time: Date.now() - startTime,
+            engine: selection.engine,
+            ...(change && { delta_status: change.status, changed_fields: change.diff.length }),
+            ...(result.requestStats && { requests_blocked: result.requestStats.blocked }),
+            ...(result.pagination && { pages_scraped: result.pagination.pagesScraped })
           }
         });
 
+        // 'always' mode keeps artifacts for successful runs too
+        if (result.artifacts) {
+          await this.storeArtifacts(jobId, jobData.url, 'completed', startTime, result.artifacts);
+        }
+
+        // Feed discovered links back into the crawl frontier
+        if (job.data.parentJobId && this.crawlManager) {
+          await this.crawlManager.handlePageResult(
+            job.data.parentJobId,
+            { url: jobData.url, depth: job.data.depth || 0 },
+            result
+          );
+        }
+
+        await progress.stage('completed');
         console.log(`âœ… Job ${jobId} completed in ${Date.now() - startTime}ms`);
         return { success: true, jobId, processingTime: Date.now() - startTime };
 
@@ -202,6 +389,7 @@ class JobQueue {
       }
 
     } catch (error) {
+      if (error instanceof DelayedError) throw error;
       console.error(`âŒ Job ${jobId} failed:`, error.message);
 
       // Close scraper if it was initialized
@@ -209,20 +397,281 @@ class JobQueue {
         await scraper.close();
       }
 
+      if (signal && signal.aborted) {
+        await progress.stage('cancelled');
+        return await this.finishCancelled(job, jobId, startTime, signal);
+      }
+
+      // Keep the trace, HAR, DOM and screenshot of the failed attempt
+      const artifactExecutionId = result && result.artifacts
+        ? await this.storeArtifacts(jobId, jobData.url, 'failed', startTime, result.artifacts, error.message)
+        : null;
+
+      await progress.stage('failed', error.message);
+
       // Update job as failed
       await this.updateJobStatus(jobId, 'failed', {
         error_message: error.message,
         attempts: job.attemptsMade + 1
       });
 
-      // Determine if we should retry
-      const shouldRetry = job.attemptsMade < (job.opts.attempts || 3);
+      // attemptsMade only counts the attempts before this one
+      const shouldRetry = job.attemptsMade + 1 < (job.opts.attempts || 3);
       
       if (!shouldRetry) {
         console.log(`ðŸ’€ Job ${jobId} exceeded max attempts`);
+
+        if (this.deadLetterQueue) {
+          await this.moveToDeadLetter(job, jobId, jobData, error, {
+            engine: selection ? selection.engine : null,
+            artifactExecutionId
+          });
+        }
+
+        if (job.data.parentJobId && this.crawlManager) {
+          await this.crawlManager.handlePageFailure(job.data.parentJobId);
+        }
       }
 
       throw error;
+    } finally {
+      progress.close();
+      if (cancellation) {
+        cancellation.release();
+      }
+      if (releaseDomainSlot) {
+        await releaseDomainSlot();
+      }
+    }
+  }
+
+  /**
+   * Hand a job that failed its last attempt to the dead-letter queue. Never throws:
+   * the job has failed either way.
+   * @param {any} job
+   * @param {string|number} jobId
+   * @param {any} jobData - scrape job record; null when loading it was what failed
+   * @param {Error} error
+   * @param {{ engine: string|null, artifactExecutionId: string|null }} details
+   */
+  async moveToDeadLetter(job, jobId, jobData, error, details) {
+    try {
+      await this.deadLetterQueue.record({
+        jobId,
+        queueName: this.scrapingQueue.name,
+        bullJobId: job.id,
+        url: jobData ? jobData.url : null,
+        config: jobData ? jobData.config : {},
+        error,
+        attempts: job.attemptsMade + 1,
+        history: job.stacktrace || [],
+        context: {
+          engine: details.engine,
+          priority: job.opts.priority || 0,
+          ...(job.data.parentJobId && { parentJobId: job.data.parentJobId, depth: job.data.depth || 0 }),
+          ...(details.artifactExecutionId && { artifactExecutionId: details.artifactExecutionId })
+        }
+      });
+    } catch (recordError) {
+      console.error(`Failed to dead-letter job ${jobId}:`, recordError.message);
+    }
+  }
+
+  /**
+   * End a cancelled job without retrying it. A crawl still counts the page as
+   * finished so the crawl can complete.
+   * @param {any} job
+   * @param {string|number} jobId
+   * @param {number} startTime
+   * @param {AbortSignal} signal
+   * @returns {Promise<JobResult>}
+   */
+  async finishCancelled(job, jobId, startTime, signal) {
+    await this.updateJobStatus(jobId, 'cancelled', {
+      completed_at: new Date().toISOString(),
+      error_message: signal.reason?.message || 'Cancelled'
+    });
+
+    if (job.data.parentJobId && this.crawlManager) {
+      await this.crawlManager.handlePageFailure(job.data.parentJobId);
+    }
+
+    console.log(`ðŸ›‘ Job ${jobId} cancelled`);
+    return { success: false, jobId, processingTime: Date.now() - startTime, cancelled: true };
+  }
+
+  /**
+   * Cancel one job. A queued or delayed job is removed from the queue; a running one
+   * is aborted through the cancellation registry, which closes its page and browser
+   * context, and marks itself cancelled once the worker has stopped. Cancelling a crawl's
+   * parent job cancels the whole crawl.
+   * @param {string|number} jobId
+   * @param {string} [reason]
+   * @returns {Promise<{ jobId: string|number, status: string }|null>} `cancelled`, `cancelling`,
+   *   or the terminal state the job had already reached; null when there is no such job
+   */
+  async cancelJob(jobId, reason = 'Cancelled by user') {
+    // A crawl has no queue entry of its own; cancelling it stops its pages
+    if (this.crawlManager && await this.crawlManager.getSettings(String(jobId))) {
+      return this.crawlManager.cancelCrawl(String(jobId), reason);
+    }
+
+    const job = await this.scrapingQueue.getJob(`job-${jobId}`);
+    const state = job ? await job.getState() : null;
+    if (state === 'completed' || state === 'failed') {
+      return { jobId, status: state };
+    }
+
+    if (!job) {
+      // Finished jobs are trimmed from the queue (removeOnComplete/removeOnFail), so the stored status decides
+      const record = await this.dbAdapter.getScrapingJob(jobId).catch(() => null);
+      if (!record) return null;
+      if (['completed', 'failed', 'cancelled'].includes(record.status)) {
+        return { jobId, status: record.status };
+      }
+    }
+
+    // The flag also stops a job that becomes active between here and job.remove()
+    if (this.cancellations) {
+      await this.cancellations.cancel(`job:${jobId}`, reason);
+    }
+
+    if (state === 'active') {
+      if (!this.cancellations) {
+        throw new Error('Running jobs cannot be cancelled without a cancellation registry');
+      }
+      return { jobId, status: 'cancelling' };
+    }
+
+    if (job) {
+      try {
+        await job.remove();
+      } catch (error) {
+        // Picked up by a worker meanwhile; the flag set above stops it
+        console.warn(`Job ${jobId} could not be removed from the queue:`, error.message);
+        return { jobId, status: 'cancelling' };
+      }
+      if (job.data.parentJobId && this.crawlManager) {
+        await this.crawlManager.handlePageFailure(job.data.parentJobId);
+      }
+    }
+
+    await this.updateJobStatus(jobId, 'cancelled', {
+      completed_at: new Date().toISOString(),
+      error_message: reason
+    });
+    console.log(`ðŸ›‘ Job ${jobId} removed from the queue`);
+    return { jobId, status: 'cancelled' };
+  }
+
+  /**
+   * Take the pages of a crawl that have not started yet out of the queue.
+   * @param {string|number} parentJobId
+   * @returns {Promise<JobDescriptor[]>} the removed pages, for addBulkJobs to queue them again
+   */
+  async removeQueuedChildren(parentJobId) {
+    const jobs = await this.scrapingQueue.getJobs(['waiting', 'prioritized', 'delayed']);
+    const removed = [];
+
+    for (const job of jobs) {
+      if (!job || String(job.data.parentJobId) !== String(parentJobId)) continue;
+      try {
+        await job.remove();
+      } catch (error) {
+        // Picked up by a worker meanwhile; it runs to completion
+        continue;
+      }
+      removed.push({ id: job.data.jobId, parentJobId, depth: job.data.depth, priority: job.opts.priority });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Abort the pages of a crawl that workers are scraping right now.
+   * @param {string|number} parentJobId
+   * @param {string} [reason]
+   */
+  async cancelActiveChildren(parentJobId, reason) {
+    const jobs = await this.scrapingQueue.getJobs(['active']);
+    const children = jobs.filter(job => job && String(job.data.parentJobId) === String(parentJobId));
+    for (const job of children) {
+      await this.cancelJob(job.data.jobId, reason);
+    }
+    return children.length;
+  }
+
+  /**
+   * Finish a delta job whose page had not changed: nothing goes into scraped_data.
+   * @param {any} job
+   * @param {string|number} jobId
+   * @param {any} jobData
+   * @param {number} startTime
+   * @param {'not_modified'|'content_unchanged'} reason
+   * @param {any} [result] - scrape result when the page was scraped before comparing
+   * @returns {Promise<JobResult>}
+   */
+  async completeUnchanged(job, jobId, jobData, startTime, reason, result = null) {
+    await this.updateJobStatus(jobId, 'completed', {
+      completed_at: new Date().toISOString(),
+      result: {
+        success: true,
+        unchanged: true,
+        reason,
+        processing_time: Date.now() - startTime
+      }
+    });
+
+    if (result && result.artifacts) {
+      await this.storeArtifacts(jobId, jobData.url, 'completed', startTime, result.artifacts);
+    }
+
+    // A crawl page still has to be counted; links are only known when the page was scraped
+    if (job.data.parentJobId && this.crawlManager) {
+      await this.crawlManager.handlePageResult(
+        job.data.parentJobId,
+        { url: jobData.url, depth: job.data.depth || 0 },
+        result || { success: true, links: [] }
+      );
+    }
+
+    console.log(`ðŸ’¤ Job ${jobId} unchanged (${reason}), nothing stored`);
+    return { success: true, jobId, processingTime: Date.now() - startTime, unchanged: true };
+  }
+
+  /**
+   * Record the attempt as a scraping execution and attach its debug artifacts.
+   * Never throws: losing artifacts must not change the job outcome.
+   * @param {string|number} jobId
+   * @param {string} url
+   * @param {'completed'|'failed'} status
+   * @param {number} startTime
+   * @param {import('../scrapers/debug-artifacts').RecordedArtifact[]} artifacts
+   * @param {string} [errorMessage]
+   * @returns {Promise<string|null>} id of the execution the artifacts were attached to
+   */
+  async storeArtifacts(jobId, url, status, startTime, artifacts, errorMessage) {
+    if (!this.artifactStore) {
+      await Promise.all([...new Set(artifacts.map(artifact => path.dirname(artifact.path)))]
+        .map(dir => fs.rm(dir, { recursive: true, force: true }).catch(() => {})));
+      return null;
+    }
+
+    try {
+      const executionId = await this.artifactStore.createExecution({
+        jobId,
+        url,
+        status,
+        startedAt: startTime,
+        error: errorMessage,
+        metadata: { source: 'job_queue', artifacts: artifacts.map(artifact => artifact.type) }
+      });
+      await this.artifactStore.saveArtifacts(executionId, artifacts);
+      console.log(`ðŸ“¦ Stored ${artifacts.length} debug artifacts for job ${jobId} (execution ${executionId})`);
+      return executionId;
+    } catch (error) {
+      console.error(`Failed to store debug artifacts for job ${jobId}:`, error.message);
+      return null;
     }
   }
 
@@ -243,6 +692,17 @@ class JobQueue {
     }
   }
 
+  /**
+   * Latest progress the worker reported for a job; null once BullMQ has dropped the job
+   * or before its first report.
+   * @param {string|number} jobId
+   * @returns {Promise<import('./progress-tracker').JobProgress|null>}
+   */
+  async getJobProgress(jobId) {
+    const job = await this.scrapingQueue.getJob(`job-${jobId}`);
+    return job && job.progress && typeof job.progress === 'object' ? /** @type {any} */ (job.progress) : null;
+  }
+
   async getQueueStats() {
     try {
       const waiting = await this.scrapingQueue.getWaiting();
@@ -307,7 +767,13 @@ class JobQueue {
 
       for (const job of failedJobs) {
         try {
-          await job.retry();
+          // Dead-lettered jobs go through their entry, so it is marked replayed and not run twice
+          const entry = this.deadLetterQueue ? await this.deadLetterQueue.findDead(job.data.jobId) : null;
+          if (entry) {
+            await this.deadLetterQueue.replayEntry(entry);
+          } else {
+            await job.retry();
+          }
           retriedCount++;
         } catch (retryError) {
           console.warn(`Failed to retry job ${job.id}:`, retryError.message);
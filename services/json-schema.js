@@ -0,0 +1,488 @@
+// JSON Schema (draft 2020-12) support for data_schemas.schema_def: nested records are
+// validated against the schema, errors point at the offending value with a JSON Pointer,
+// and formats and the x-normalize keyword run the DataProcessor normalizers on the way
+const { isEqual, cloneDeep } = require('lodash');
+
+const DRAFT_2020_12 = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path - JSON Pointer to the offending value ('' for the record itself)
+ * @property {string|null} field - top-level property the error belongs to, for per-field metrics
+ * @property {string} keyword - schema keyword that failed
+ * @property {string} error
+ * @property {'validation_error'|'required_field_error'|'processing_error'} type
+ */
+
+/**
+ * @typedef {Object} SchemaHooks
+ * @property {(value: string, config: Object) => string} clean - applied to every string, with x-clean as config
+ * @property {(type: string, value: any, config: Object) => any} normalize
+ * @property {(type: string, value: any, config: Object) => boolean} validate
+ */
+
+// Formats that have a DataProcessor normalizer; other formats are annotations only
+const FORMAT_NORMALIZERS = {
+  email: { type: 'email', config: {} },
+  uri: { type: 'url', config: {} },
+  iri: { type: 'url', config: {} },
+  url: { type: 'url', config: {} },
+  date: { type: 'date', config: { outputFormat: 'YYYY-MM-DD' } },
+  'date-time': { type: 'date', config: {} },
+  phone: { type: 'phone', config: {} }
+};
+
+const JSON_TYPES = ['null', 'boolean', 'object', 'array', 'number', 'integer', 'string'];
+const SUBSCHEMA_LISTS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const SUBSCHEMA_MAPS = ['properties', 'patternProperties', '$defs'];
+const SUBSCHEMAS = ['items', 'additionalProperties', 'not'];
+
+/**
+ * Tell a JSON Schema from the older { fields, required, deduplicate } definition.
+ * @param {any} definition
+ */
+function isJsonSchema(definition) {
+  if (!definition || typeof definition !== 'object' || definition.fields) return false;
+  return ['$schema', '$ref', '$defs', 'type', 'properties', 'items', 'oneOf', 'anyOf', 'allOf']
+    .some(keyword => keyword in definition);
+}
+
+/**
+ * @param {string|number} segment
+ */
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * @param {string} pointer
+ */
+function unescapePointer(pointer) {
+  return pointer.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Resolve a local reference ('#', '#/$defs/price', ...) against the root schema.
+ * @param {Object} root
+ * @param {string} ref
+ */
+function resolveRef(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    throw new Error(`Only local $ref values are supported: ${ref}`);
+  }
+  let node = root;
+  for (const segment of ref.slice(1).split('/').slice(1)) {
+    // A $ref is a URI fragment, so it may also be percent-encoded
+    node = node && typeof node === 'object' ? node[unescapePointer(decodeURIComponent(segment))] : undefined;
+  }
+  if (node === undefined) throw new Error(`Unresolvable $ref: ${ref}`);
+  return node;
+}
+
+/**
+ * Normalizer for a schema node: x-normalize ('price' or { type: 'price', ...config }),
+ * otherwise the format.
+ * @param {any} node
+ * @returns {{ type: string, config: Object, keyword: string }|null}
+ */
+function normalizerOf(node) {
+  if (!node || typeof node !== 'object') return null;
+  const custom = node['x-normalize'];
+  if (typeof custom === 'string') return { type: custom, config: {}, keyword: 'x-normalize' };
+  if (custom && typeof custom === 'object') return { type: custom.type, config: custom, keyword: 'x-normalize' };
+  const format = FORMAT_NORMALIZERS[node.format];
+  return format ? { ...format, keyword: 'format' } : null;
+}
+
+function jsonTypeMatches(value, type) {
+  switch (type) {
+  case 'null': return value === null;
+  case 'boolean': return typeof value === 'boolean';
+  case 'object': return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  case 'array': return Array.isArray(value);
+  case 'number': return typeof value === 'number' && Number.isFinite(value);
+  case 'integer': return Number.isInteger(value);
+  case 'string': return typeof value === 'string';
+  default: return false;
+  }
+}
+
+// Scraped values arrive as text: "42" satisfies a number, "true" a boolean, 42 a string
+function coerce(value, types) {
+  if (types.some(type => jsonTypeMatches(value, type))) return value;
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value.trim());
+    if (types.includes('integer') && Number.isInteger(number)) return number;
+    if (types.includes('number') && Number.isFinite(number)) return number;
+    if (types.includes('boolean') && /^(true|false)$/i.test(value.trim())) return value.trim().toLowerCase() === 'true';
+  }
+  if (types.includes('string') && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+  return value;
+}
+
+/**
+ * Applies one schema to one record. Supported: type, enum, const, string and number bounds,
+ * pattern, properties, patternProperties, additionalProperties, required, default,
+ * items, prefixItems, min/maxItems, uniqueItems, allOf, anyOf, oneOf, not and local $ref.
+ * Other keywords are annotations and ignored.
+ */
+class SchemaProcessor {
+  /**
+   * @param {Object} root - the schema_def
+   * @param {SchemaHooks} hooks
+   * @param {{ strictMode?: boolean }} [options] - strictMode drops properties the schema does not declare
+   */
+  constructor(root, hooks, options = {}) {
+    this.root = root;
+    this.hooks = hooks;
+    this.strictMode = Boolean(options.strictMode);
+    // `path|$ref` pairs being applied; meeting one again means the refs loop without reading data
+    this.activeRefs = new Set();
+  }
+
+  /**
+   * @param {any} value
+   * @returns {Promise<{ value: any, errors: SchemaError[], warnings: Object[] }>}
+   */
+  async process(value) {
+    const errors = [];
+    const warnings = [];
+    const result = await this.visit(value, this.root, '', errors, warnings);
+    return { value: result, errors, warnings };
+  }
+
+  fail(errors, path, keyword, message, type = 'validation_error') {
+    const [, top] = path.split('/');
+    errors.push({
+      path,
+      field: top === undefined ? null : unescapePointer(top),
+      keyword,
+      error: `${path || '/'} ${message}`,
+      type
+    });
+  }
+
+  // Empty scrape results count as missing, so `required` rather than `type` reports them
+  isAbsent(raw, node) {
+    if (raw === undefined) return true;
+    const target = node && typeof node === 'object' && node.$ref ? { ...resolveRef(this.root, node.$ref), ...node } : node;
+    const types = target && typeof target === 'object' && target.type !== undefined ? [].concat(target.type) : null;
+    if (raw === null) return types !== null && !types.includes('null');
+    if (typeof raw !== 'string' || raw.trim() !== '') return false;
+    return Boolean(normalizerOf(target)) || (types !== null && !types.includes('string'));
+  }
+
+  async visit(value, node, path, errors, warnings) {
+    if (node === true || node === undefined) return value;
+    if (node === false) {
+      this.fail(errors, path, 'false', 'is not allowed');
+      return value;
+    }
+    if (node.$ref) {
+      const key = `${path}|${node.$ref}`;
+      if (this.activeRefs.has(key)) {
+        this.fail(errors, path, '$ref', `${node.$ref} refers back to itself without reading any data`);
+        return value;
+      }
+      // Siblings of $ref apply as well in 2020-12
+      this.activeRefs.add(key);
+      try {
+        value = await this.visit(value, resolveRef(this.root, node.$ref), path, errors, warnings);
+      } finally {
+        this.activeRefs.delete(key);
+      }
+    }
+
+    if (typeof value === 'string') {
+      value = this.hooks.clean(value, node['x-clean'] || {});
+    }
+
+    const normalizer = normalizerOf(node);
+    if (normalizer && value !== null && typeof value !== 'object') {
+      try {
+        const normalized = await this.hooks.normalize(normalizer.type, value, normalizer.config);
+        if (normalized === null || normalized === undefined) {
+          this.fail(errors, path, normalizer.keyword, `could not be normalized as ${normalizer.type}`);
+          return value;
+        }
+        value = normalized;
+      } catch (error) {
+        this.fail(errors, path, normalizer.keyword, error.message, 'processing_error');
+        return value;
+      }
+      if (!this.hooks.validate(normalizer.type, value, normalizer.config)) {
+        this.fail(errors, path, normalizer.keyword, `is not a valid ${normalizer.type}`);
+      }
+    }
+
+    if (node.type !== undefined) {
+      const types = [].concat(node.type);
+      value = coerce(value, types);
+      if (!types.some(type => jsonTypeMatches(value, type))) {
+        this.fail(errors, path, 'type', `must be ${types.join(' or ')}`);
+        return value;
+      }
+    }
+
+    if (node.enum && !node.enum.some(option => isEqual(option, value))) {
+      this.fail(errors, path, 'enum', `must be one of ${JSON.stringify(node.enum)}`);
+    }
+    if ('const' in node && !isEqual(node.const, value)) {
+      this.fail(errors, path, 'const', `must be ${JSON.stringify(node.const)}`);
+    }
+
+    if (typeof value === 'string') this.checkString(value, node, path, errors);
+    if (typeof value === 'number') this.checkNumber(value, node, path, errors);
+    if (jsonTypeMatches(value, 'object')) value = await this.visitObject(value, node, path, errors, warnings);
+    if (Array.isArray(value)) value = await this.visitArray(value, node, path, errors, warnings);
+
+    return this.visitCombinators(value, node, path, errors, warnings);
+  }
+
+  checkString(value, node, path, errors) {
+    const length = [...value].length;
+    if (node.minLength !== undefined && length < node.minLength) {
+      this.fail(errors, path, 'minLength', `must have at least ${node.minLength} characters`);
+    }
+    if (node.maxLength !== undefined && length > node.maxLength) {
+      this.fail(errors, path, 'maxLength', `must have at most ${node.maxLength} characters`);
+    }
+    if (node.pattern !== undefined && !new RegExp(node.pattern, 'u').test(value)) {
+      this.fail(errors, path, 'pattern', `must match ${node.pattern}`);
+    }
+  }
+
+  checkNumber(value, node, path, errors) {
+    if (node.minimum !== undefined && value < node.minimum) {
+      this.fail(errors, path, 'minimum', `must be >= ${node.minimum}`);
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      this.fail(errors, path, 'maximum', `must be <= ${node.maximum}`);
+    }
+    if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) {
+      this.fail(errors, path, 'exclusiveMinimum', `must be > ${node.exclusiveMinimum}`);
+    }
+    if (node.exclusiveMaximum !== undefined && value >= node.exclusiveMaximum) {
+      this.fail(errors, path, 'exclusiveMaximum', `must be < ${node.exclusiveMaximum}`);
+    }
+    if (node.multipleOf !== undefined && Math.abs(value / node.multipleOf - Math.round(value / node.multipleOf)) > 1e-9) {
+      this.fail(errors, path, 'multipleOf', `must be a multiple of ${node.multipleOf}`);
+    }
+  }
+
+  async visitObject(value, node, path, errors, warnings) {
+    const properties = node.properties || {};
+    const result = {};
+
+    for (const [key, raw] of Object.entries(value)) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      let child = properties[key];
+      if (child === undefined && node.patternProperties) {
+        const pattern = Object.keys(node.patternProperties).find(source => new RegExp(source, 'u').test(key));
+        if (pattern !== undefined) child = node.patternProperties[pattern];
+      }
+      if (child === undefined) {
+        if (node.additionalProperties === false) {
+          this.fail(errors, childPath, 'additionalProperties', 'is not defined in the schema');
+          continue;
+        }
+        if (this.strictMode && node.additionalProperties === undefined) {
+          warnings.push({ path: childPath, field: childPath.split('/')[1], warning: 'Property not defined in schema (skipped in strict mode)' });
+          continue;
+        }
+        child = node.additionalProperties;
+      }
+
+      if (this.isAbsent(raw, child)) continue;
+      result[key] = await this.visit(raw, child, childPath, errors, warnings);
+    }
+
+    for (const [key, child] of Object.entries(properties)) {
+      if (!(key in result) && child && typeof child === 'object' && child.default !== undefined) {
+        result[key] = cloneDeep(child.default);
+      }
+    }
+    for (const key of node.required || []) {
+      if (!(key in result)) {
+        this.fail(errors, `${path}/${escapePointer(key)}`, 'required', 'is required', 'required_field_error');
+      }
+    }
+    return result;
+  }
+
+  async visitArray(value, node, path, errors, warnings) {
+    const prefix = node.prefixItems || [];
+    const result = [];
+
+    for (let index = 0; index < value.length; index++) {
+      const child = index < prefix.length ? prefix[index] : node.items;
+      result.push(await this.visit(value[index], child, `${path}/${index}`, errors, warnings));
+    }
+
+    if (node.minItems !== undefined && result.length < node.minItems) {
+      this.fail(errors, path, 'minItems', `must have at least ${node.minItems} items`);
+    }
+    if (node.maxItems !== undefined && result.length > node.maxItems) {
+      this.fail(errors, path, 'maxItems', `must have at most ${node.maxItems} items`);
+    }
+    if (node.uniqueItems) {
+      const duplicate = result.findIndex((item, index) => result.slice(0, index).some(other => isEqual(other, item)));
+      if (duplicate !== -1) this.fail(errors, `${path}/${duplicate}`, 'uniqueItems', 'duplicates an earlier item');
+    }
+    return result;
+  }
+
+  // Each branch works on its own copy; the branch that matches supplies the normalized value
+  async tryBranch(value, branch, path) {
+    const errors = [];
+    const warnings = [];
+    const result = await this.visit(cloneDeep(value), branch, path, errors, warnings);
+    return { value: result, errors, warnings, ok: errors.length === 0 };
+  }
+
+  async visitCombinators(value, node, path, errors, warnings) {
+    for (const branch of node.allOf || []) {
+      value = await this.visit(value, branch, path, errors, warnings);
+    }
+
+    if (node.anyOf) {
+      const attempts = [];
+      for (const branch of node.anyOf) {
+        const attempt = await this.tryBranch(value, branch, path);
+        attempts.push(attempt);
+        if (attempt.ok) break;
+      }
+      const match = attempts.find(attempt => attempt.ok);
+      if (match) {
+        value = match.value;
+        warnings.push(...match.warnings);
+      } else {
+        this.fail(errors, path, 'anyOf', 'must match at least one schema in anyOf');
+      }
+    }
+
+    if (node.oneOf) {
+      const attempts = [];
+      for (const branch of node.oneOf) attempts.push(await this.tryBranch(value, branch, path));
+      const matches = attempts.filter(attempt => attempt.ok);
+      if (matches.length === 1) {
+        value = matches[0].value;
+        warnings.push(...matches[0].warnings);
+      } else if (matches.length === 0) {
+        // The branch that got furthest usually explains the problem best
+        const closest = attempts.reduce((best, attempt) => (attempt.errors.length < best.errors.length ? attempt : best));
+        this.fail(errors, path, 'oneOf', 'must match exactly one schema in oneOf');
+        errors.push(...closest.errors);
+      } else {
+        this.fail(errors, path, 'oneOf', `matches ${matches.length} schemas in oneOf, expected exactly one`);
+      }
+    }
+
+    if (node.not !== undefined && (await this.tryBranch(value, node.not, path)).ok) {
+      this.fail(errors, path, 'not', 'must not match the schema in not');
+    }
+    return value;
+  }
+}
+
+/**
+ * Whether applying a node can come back to it through $ref and the in-place applicators
+ * (allOf, anyOf, oneOf, not) alone, which would recurse forever on any value.
+ * @param {Object} root
+ * @param {Object} start
+ */
+function loopsWithoutData(root, start) {
+  const visiting = new Set();
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return false;
+    if (visiting.has(node)) return node === start;
+    visiting.add(node);
+    let target = null;
+    try {
+      target = node.$ref !== undefined ? resolveRef(root, node.$ref) : null;
+    } catch {
+      // Reported as unresolvable on its own
+    }
+    const next = [target, node.not, ...['allOf', 'anyOf', 'oneOf'].flatMap(keyword => (Array.isArray(node[keyword]) ? node[keyword] : []))];
+    const loops = next.some(child => walk(child));
+    visiting.delete(node);
+    return loops;
+  };
+  return walk(start);
+}
+
+/**
+ * Check a schema_def before it is stored: known $schema, resolvable refs, valid types,
+ * compilable patterns and normalizers that exist.
+ * @param {Object} definition
+ * @param {string[]} normalizerTypes - types registered on the DataProcessor
+ * @returns {string[]} problems, each prefixed with the JSON Pointer of the schema node
+ */
+function validateSchemaDefinition(definition, normalizerTypes) {
+  const problems = [];
+  if (definition.$schema !== undefined && String(definition.$schema).replace(/#$/, '') !== DRAFT_2020_12) {
+    problems.push(`/$schema: only ${DRAFT_2020_12} is supported`);
+  }
+
+  const check = (node, path) => {
+    if (typeof node === 'boolean') return;
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      problems.push(`${path || '/'}: a schema must be an object or a boolean`);
+      return;
+    }
+
+    if (node.$ref !== undefined) {
+      try {
+        resolveRef(definition, node.$ref);
+        if (loopsWithoutData(definition, node)) {
+          problems.push(`${path}/$ref: ${node.$ref} refers back to itself without reading any data`);
+        }
+      } catch (error) {
+        problems.push(`${path}/$ref: ${error.message}`);
+      }
+    }
+    for (const type of node.type === undefined ? [] : [].concat(node.type)) {
+      if (!JSON_TYPES.includes(type)) problems.push(`${path}/type: unknown type ${JSON.stringify(type)}`);
+    }
+    const patterns = [
+      ...(node.pattern !== undefined ? [[`${path}/pattern`, node.pattern]] : []),
+      ...Object.keys(node.patternProperties || {}).map(source => [`${path}/patternProperties`, source])
+    ];
+    for (const [patternPath, source] of patterns) {
+      try {
+        new RegExp(source, 'u');
+      } catch (error) {
+        problems.push(`${patternPath}: ${error.message}`);
+      }
+    }
+    const normalizer = normalizerOf(node);
+    if (normalizer && normalizer.keyword === 'x-normalize' && !normalizerTypes.includes(normalizer.type)) {
+      problems.push(`${path}/x-normalize: unknown normalizer ${JSON.stringify(normalizer.type)}`);
+    }
+
+    for (const keyword of SUBSCHEMAS) {
+      if (node[keyword] !== undefined) check(node[keyword], `${path}/${keyword}`);
+    }
+    for (const keyword of SUBSCHEMA_LISTS) {
+      if (node[keyword] === undefined) continue;
+      if (!Array.isArray(node[keyword])) {
+        problems.push(`${path}/${keyword}: must be an array of schemas`);
+        continue;
+      }
+      node[keyword].forEach((child, index) => check(child, `${path}/${keyword}/${index}`));
+    }
+    for (const keyword of SUBSCHEMA_MAPS) {
+      for (const [key, child] of Object.entries(node[keyword] || {})) {
+        check(child, `${path}/${keyword}/${escapePointer(key)}`);
+      }
+    }
+  };
+
+  check(definition, '');
+  return problems;
+}
+
+module.exports = { SchemaProcessor, isJsonSchema, validateSchemaDefinition, resolveRef, escapePointer, DRAFT_2020_12 };
@@ -0,0 +1,836 @@
+// APL AI Scraper 2.0 - Multi-stage pipelines (DAG of stages) run as BullMQ flows
+const fs = require('fs/promises');
+const path = require('path');
+const { FlowProducer, Worker, Queue, QueueEvents, UnrecoverableError } = require('bullmq');
+const { Parser } = require('json2csv');
+const { validateEntityConfig } = require('./entity-resolver');
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [attempts] - per scraped URL for scrape stages, per stage job otherwise
+ * @property {{ type: 'fixed'|'exponential', delay: number }} [backoff]
+ */
+
+/**
+ * @typedef {Object} StageDefinition
+ * @property {string} id
+ * @property {'scrape'|'process'|'dedupe'|'export'} type
+ * @property {string[]} [dependsOn] - stages whose output this stage consumes (fan-in when several)
+ * @property {string} [template_id] - scrape: template run against every input URL
+ * @property {string[]} [urls] - scrape: fixed URLs; root scrape stages can also take them from the run
+ * @property {{ field: string }} [input] - scrape: dotted path to the URL(s) in each upstream record's data
+ * @property {number} [maxItems] - scrape: cap on URLs fanned out
+ * @property {Object} [options] - scrape: JobOptions; process: DataProcessor options
+ * @property {string} [schema_id] - process: data_schemas row to validate against
+ * @property {Object} [schema] - process: inline schema definition
+ * @property {boolean} [dropInvalid] - process: leave records that failed validation out of the output
+ * @property {import('./entity-resolver').EntityConfig} [entity] - dedupe: how records match and merge into entities
+ * @property {'json'|'csv'} [format] - export
+ * @property {RetryPolicy} [retry]
+ * @property {boolean} [continueOnFailure] - scrape: finish with the URLs that succeeded (default) instead of failing the stage
+ */
+
+/**
+ * @typedef {Object} StageRecord
+ * @property {string|null} url
+ * @property {any} data
+ * @property {string} [lang] - the page's <html lang>, a locale hint for process stages
+ * @property {boolean} [valid]
+ * @property {Object[]} [errors]
+ * @property {string} [entity_id] - dedupe: the entity the record was merged into
+ */
+
+const STAGE_TYPES = ['scrape', 'process', 'dedupe', 'export'];
+const EXPORT_FORMATS = ['json', 'csv'];
+const STAGE_QUEUE = 'pipeline-stages';
+const DEFAULT_MAX_ITEMS = 1000;
+// Stage ids name export files, so they stay plain path segments
+const STAGE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Check stage types, references and that the stages form a DAG.
+ * @param {StageDefinition[]} stages
+ * @returns {string[]} stage ids in topological order
+ */
+function validatePipeline(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw new Error('Pipeline requires at least one stage');
+  }
+
+  const ids = new Set();
+  for (const stage of stages) {
+    if (!stage.id) throw new Error('Every stage requires an id');
+    if (!STAGE_ID_PATTERN.test(stage.id)) {
+      throw new Error(`Stage id ${JSON.stringify(stage.id)} may only contain letters, digits, _ and -`);
+    }
+    if (ids.has(stage.id)) throw new Error(`Duplicate stage id: ${stage.id}`);
+    ids.add(stage.id);
+    if (!STAGE_TYPES.includes(stage.type)) throw new Error(`Unknown stage type: ${stage.type}`);
+  }
+
+  for (const stage of stages) {
+    const dependsOn = stage.dependsOn || [];
+    for (const dependency of dependsOn) {
+      if (!ids.has(dependency)) throw new Error(`Stage ${stage.id} depends on unknown stage ${dependency}`);
+    }
+    if (stage.type === 'scrape') {
+      if (!stage.template_id) throw new Error(`Scrape stage ${stage.id} requires template_id`);
+      if (dependsOn.length > 0 && !stage.urls && !stage.input?.field) {
+        throw new Error(`Scrape stage ${stage.id} requires input.field to read URLs from ${dependsOn.join(', ')}`);
+      }
+    } else if (dependsOn.length === 0) {
+      throw new Error(`${stage.type} stage ${stage.id} requires dependsOn`);
+    }
+    if (stage.type === 'process' && !stage.schema_id && !stage.schema) {
+      throw new Error(`Process stage ${stage.id} requires schema_id or schema`);
+    }
+    if (stage.type === 'dedupe') {
+      try {
+        validateEntityConfig(stage.entity);
+      } catch (error) {
+        throw new Error(`Dedupe stage ${stage.id}: ${error.message}`);
+      }
+    }
+    if (stage.type === 'export' && stage.format && !EXPORT_FORMATS.includes(stage.format)) {
+      throw new Error(`Unknown export format: ${stage.format}`);
+    }
+  }
+
+  // Kahn's algorithm; anything left over sits on a cycle
+  const order = [];
+  const remaining = new Map(stages.map(stage => [stage.id, new Set(stage.dependsOn || [])]));
+  while (remaining.size > 0) {
+    const ready = [...remaining.keys()].filter(id => remaining.get(id).size === 0);
+    if (ready.length === 0) {
+      throw new Error(`Pipeline has a dependency cycle between ${[...remaining.keys()].join(', ')}`);
+    }
+    for (const id of ready) {
+      order.push(id);
+      remaining.delete(id);
+      remaining.forEach(dependencies => dependencies.delete(id));
+    }
+  }
+  return order;
+}
+
+/**
+ * Values at a dotted path; arrays along the way are flattened (`items.url`).
+ * @param {any} value
+ * @param {string} fieldPath
+ * @returns {any[]}
+ */
+function valuesAtPath(value, fieldPath) {
+  let current = [value];
+  for (const key of fieldPath.split('.')) {
+    current = current
+      .flatMap(item => (Array.isArray(item) ? item : [item]))
+      .filter(item => item && typeof item === 'object')
+      .map(item => item[key])
+      .filter(item => item !== undefined && item !== null);
+  }
+  return current.flatMap(item => (Array.isArray(item) ? item : [item]));
+}
+
+/**
+ * URLs a scrape stage fans out to, resolved against the page they were found on.
+ * @param {StageRecord[]} records
+ * @param {string} field
+ * @returns {string[]}
+ */
+function extractUrls(records, field) {
+  const urls = new Set();
+  for (const record of records) {
+    for (const value of valuesAtPath(record.data, field)) {
+      try {
+        urls.add(new URL(String(value), record.url || undefined).toString());
+      } catch {
+        // Not a URL
+      }
+    }
+  }
+  return [...urls];
+}
+
+/**
+ * Runs pipelines of scrape, process, dedupe and export stages. Each stage is a job on the
+ * `pipeline-stages` queue; a scrape stage is added as a BullMQ flow whose children are
+ * the `scrape-url` jobs of its URLs, so the stage job only runs (and collects their
+ * results) once every child has finished. When a stage completes, the stages that
+ * depend on it are started as soon as all of their dependencies have completed.
+ * Stage state and output live in `pipeline_stage_runs`.
+ */
+class PipelineManager {
+  constructor(supabase, orchestrator, scraperTemplate, dataProcessor, options = {}) {
+    this.supabase = supabase;
+    this.orchestrator = orchestrator;
+    this.scraperTemplate = scraperTemplate;
+    this.dataProcessor = dataProcessor;
+    this.entityResolver = null; // Injected via setEntityResolver; without it dedupe stages fail
+    this.exportRoot = path.resolve(options.exportRoot || process.env.EXPORT_STORAGE_PATH || './exports');
+    this.flowProducer = null; // Created on first use so constructing the manager does not touch Redis
+    this.stageQueue = null;
+    this.worker = null;
+    this.stageEvents = null;
+  }
+
+  /**
+   * @param {import('./entity-resolver').EntityResolver} entityResolver
+   */
+  setEntityResolver(entityResolver) {
+    this.entityResolver = entityResolver;
+  }
+
+  getFlowProducer() {
+    if (!this.flowProducer) {
+      this.flowProducer = new FlowProducer({ connection: this.orchestrator.redis });
+    }
+    return this.flowProducer;
+  }
+
+  getStageQueue() {
+    if (!this.stageQueue) {
+      this.stageQueue = new Queue(STAGE_QUEUE, { connection: this.orchestrator.redis });
+    }
+    return this.stageQueue;
+  }
+
+  /**
+   * Start the worker that runs stage jobs. Scraping itself happens on the orchestrator workers.
+   */
+  async start() {
+    if (this.worker) return;
+
+    if (!this.orchestrator.isInitialized) {
+      await this.orchestrator.initialize();
+    }
+
+    this.worker = new Worker(STAGE_QUEUE, async (job) => {
+      return await this.processStageJob(job);
+    }, { connection: this.orchestrator.redis, concurrency: 2 });
+
+    // A stage job can also fail without being processed, when a child set failParentOnFailure,
+    // so stage failures are handled from the queue's events rather than in the processor
+    this.stageEvents = new QueueEvents(STAGE_QUEUE, { connection: this.orchestrator.redis });
+    this.stageEvents.on('failed', ({ jobId, failedReason }) => {
+      this.handleStageFailure(jobId, failedReason).catch((error) => {
+        console.error(`Error handling failure of pipeline stage job ${jobId}:`, error);
+      });
+    });
+
+    console.log('ðŸ”„ Pipeline stage worker started');
+  }
+
+  async stop() {
+    for (const closable of [this.worker, this.stageEvents, this.flowProducer, this.stageQueue]) {
+      if (closable) await closable.close();
+    }
+    this.worker = null;
+    this.stageEvents = null;
+    this.flowProducer = null;
+    this.stageQueue = null;
+  }
+
+  validatePipeline(stages) {
+    return validatePipeline(stages);
+  }
+
+  /**
+   * @param {{ project_id: string, name: string, description?: string, stages: StageDefinition[] }} pipeline
+   */
+  async createPipeline(pipeline) {
+    validatePipeline(pipeline.stages);
+
+    const { data, error } = await this.supabase
+      .from('pipelines')
+      .insert([{
+        project_id: pipeline.project_id,
+        name: pipeline.name,
+        description: pipeline.description || null,
+        stages: pipeline.stages
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getPipeline(pipelineId) {
+    const { data, error } = await this.supabase
+      .from('pipelines')
+      .select('*')
+      .eq('id', pipelineId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async listPipelines(projectId) {
+    let query = this.supabase
+      .from('pipelines')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (projectId) {
+      query = query.eq('project_id', projectId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async updatePipeline(pipelineId, updates) {
+    const changes = {};
+    for (const field of ['name', 'description', 'stages']) {
+      if (updates[field] !== undefined) changes[field] = updates[field];
+    }
+    if (changes.stages) validatePipeline(changes.stages);
+
+    const { data, error } = await this.supabase
+      .from('pipelines')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', pipelineId)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async deletePipeline(pipelineId) {
+    const { error } = await this.supabase
+      .from('pipelines')
+      .delete()
+      .eq('id', pipelineId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Start a run. The stage definitions are copied onto the run so later edits do not affect it.
+   * @param {string} pipelineId
+   * @param {{ urls?: string[] }} [input] - URLs for root scrape stages that do not define their own
+   */
+  async startRun(pipelineId, input = {}) {
+    const pipeline = await this.getPipeline(pipelineId);
+    if (!pipeline) throw new Error('Pipeline not found');
+    validatePipeline(pipeline.stages);
+
+    for (const stage of pipeline.stages) {
+      if (stage.type === 'scrape' && !(stage.dependsOn || []).length && !stage.urls && !input.urls?.length) {
+        throw new Error(`Root stage ${stage.id} has no URLs; pass urls when starting the run`);
+      }
+    }
+
+    if (!this.orchestrator.isInitialized) {
+      await this.orchestrator.initialize();
+    }
+
+    const { data: run, error } = await this.supabase
+      .from('pipeline_runs')
+      .insert([{
+        pipeline_id: pipeline.id,
+        status: 'running',
+        stages: pipeline.stages,
+        input,
+        started_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: stageError } = await this.supabase
+      .from('pipeline_stage_runs')
+      .insert(pipeline.stages.map(stage => ({
+        run_id: run.id,
+        stage_id: stage.id,
+        type: stage.type,
+        status: 'pending'
+      })));
+
+    if (stageError) throw stageError;
+
+    await this.launchReadyStages(run.id);
+    console.log(`ðŸ”„ Pipeline ${pipeline.id} run ${run.id} started`);
+    return this.getRun(run.id);
+  }
+
+  async getRunRow(runId) {
+    const { data, error } = await this.supabase
+      .from('pipeline_runs')
+      .select('*')
+      .eq('id', runId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async getStageRows(runId) {
+    const { data, error } = await this.supabase
+      .from('pipeline_stage_runs')
+      .select('*')
+      .eq('run_id', runId);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Run view: the run with per-stage status and item progress. Scrape stages that are
+   * still waiting on their URLs report live counts from the flow.
+   * @param {string} runId
+   */
+  async getRun(runId) {
+    const run = await this.getRunRow(runId);
+    if (!run) return null;
+
+    const rows = new Map((await this.getStageRows(runId)).map(row => [row.stage_id, row]));
+    const stages = [];
+    for (const definition of run.stages) {
+      const row = rows.get(definition.id) || { status: 'pending' };
+      const stage = {
+        id: definition.id,
+        type: definition.type,
+        dependsOn: definition.dependsOn || [],
+        status: row.status,
+        total_items: row.total_items || 0,
+        completed_items: row.completed_items || 0,
+        failed_items: row.failed_items || 0,
+        output_count: row.output_count || 0,
+        error: row.error || null,
+        started_at: row.started_at || null,
+        finished_at: row.finished_at || null
+      };
+
+      if (row.status === 'running' && definition.type === 'scrape' && row.job_id) {
+        const job = await this.getStageQueue().getJob(row.job_id);
+        if (job) {
+          const counts = await job.getDependenciesCount();
+          stage.completed_items = counts.processed;
+        }
+      }
+
+      stage.progress = stage.total_items > 0
+        ? Math.round(((stage.completed_items + stage.failed_items) / stage.total_items) * 100)
+        : (['completed', 'skipped'].includes(stage.status) ? 100 : 0);
+      stages.push(stage);
+    }
+
+    const { stages: definitions, ...summary } = run;
+    void definitions;
+    return {
+      ...summary,
+      progress: Math.round(stages.reduce((sum, stage) => sum + stage.progress, 0) / stages.length),
+      stages
+    };
+  }
+
+  async listRuns(pipelineId, limit = 20) {
+    const { data, error } = await this.supabase
+      .from('pipeline_runs')
+      .select('id, pipeline_id, status, started_at, finished_at, error')
+      .eq('pipeline_id', pipelineId)
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Start every pending stage whose dependencies have all completed; finish the run when
+   * nothing is left.
+   * @param {string} runId
+   */
+  async launchReadyStages(runId) {
+    const run = await this.getRunRow(runId);
+    if (!run || run.status !== 'running') return;
+
+    const rows = await this.getStageRows(runId);
+    const status = new Map(rows.map(row => [row.stage_id, row.status]));
+
+    if ([...status.values()].every(value => value === 'completed')) {
+      await this.finishRun(runId, 'completed');
+      return;
+    }
+
+    for (const stage of run.stages) {
+      if (status.get(stage.id) !== 'pending') continue;
+      if ((stage.dependsOn || []).every(dependency => status.get(dependency) === 'completed')) {
+        try {
+          await this.launchStage(run, stage);
+        } catch (error) {
+          await this.failStage(runId, stage.id, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Claim a pending stage and add its flow. Two dependencies finishing at the same time both
+   * try to launch a fan-in stage; only the one that flips it out of 'pending' proceeds.
+   * @param {any} run
+   * @param {StageDefinition} stage
+   */
+  async launchStage(run, stage) {
+    const { data: claimed, error } = await this.supabase
+      .from('pipeline_stage_runs')
+      .update({ status: 'running', started_at: new Date().toISOString() })
+      .eq('run_id', run.id)
+      .eq('stage_id', stage.id)
+      .eq('status', 'pending')
+      .select();
+
+    if (error) throw error;
+    if (!claimed || claimed.length === 0) return;
+
+    const jobId = `pipeline_${run.id}_${stage.id}`;
+    const retry = stage.retry || {};
+    const stageJob = {
+      name: `stage-${stage.type}`,
+      queueName: STAGE_QUEUE,
+      data: { runId: run.id, stageId: stage.id },
+      opts: {
+        jobId,
+        // Retries of a scrape stage happen per URL; re-running the collector would not help
+        attempts: stage.type === 'scrape' ? 1 : (retry.attempts || 1),
+        ...(stage.type !== 'scrape' && retry.backoff && { backoff: retry.backoff }),
+        removeOnComplete: 100,
+        removeOnFail: 100
+      }
+    };
+
+    let children = [];
+    if (stage.type === 'scrape') {
+      children = await this.buildScrapeChildren(run, stage);
+    }
+
+    await this.updateStage(run.id, stage.id, { job_id: jobId, total_items: children.length });
+    await this.getFlowProducer().add({ ...stageJob, children });
+    console.log(`ðŸ”„ Pipeline run ${run.id}: stage ${stage.id} started${children.length ? ` with ${children.length} URLs` : ''}`);
+  }
+
+  /**
+   * One `scrape-url` child per input URL, with the stage's retry policy.
+   * @param {any} run
+   * @param {StageDefinition} stage
+   */
+  async buildScrapeChildren(run, stage) {
+    const dependsOn = stage.dependsOn || [];
+    let urls = stage.urls || [];
+    if (!stage.urls) {
+      urls = dependsOn.length > 0
+        ? extractUrls(await this.upstreamRecords(run.id, dependsOn), stage.input.field)
+        : run.input?.urls || [];
+    }
+    urls = urls.slice(0, stage.maxItems || DEFAULT_MAX_ITEMS);
+
+    const template = await this.scraperTemplate.getTemplate(stage.template_id);
+    if (!template) throw new Error(`Template ${stage.template_id} not found`);
+
+    const options = stage.options || {};
+    const retry = stage.retry || {};
+    const queueName = this.orchestrator.queueNameFor(options);
+    const batchId = `pipeline_${run.id}_${stage.id}`;
+    const children = [];
+    for (const [index, url] of urls.entries()) {
+      children.push(await this.orchestrator.prepareJob(template, url, { batchId, index, total: urls.length, queueName }, options, {
+        ...(retry.attempts && { attempts: retry.attempts }),
+        ...(retry.backoff && { backoff: retry.backoff }),
+        ...(stage.continueOnFailure === false ? { failParentOnFailure: true } : { removeDependencyOnFailure: true })
+      }));
+    }
+    return children;
+  }
+
+  /**
+   * @param {string} runId
+   * @param {string[]} stageIds
+   * @returns {Promise<StageRecord[]>}
+   */
+  async upstreamRecords(runId, stageIds) {
+    const rows = await this.getStageRows(runId);
+    return stageIds.flatMap(stageId => rows.find(row => row.stage_id === stageId)?.output?.records || []);
+  }
+
+  /**
+   * Worker entry point for a stage job.
+   * @param {any} job
+   */
+  async processStageJob(job) {
+    const { runId, stageId } = job.data;
+    const run = await this.getRunRow(runId);
+    const stage = run?.stages.find(entry => entry.id === stageId);
+    if (!stage) throw new UnrecoverableError(`Pipeline run ${runId} has no stage ${stageId}`);
+
+    let result;
+    if (stage.type === 'scrape') {
+      result = await this.collectScrapeStage(job, runId, stage);
+    } else if (stage.type === 'process') {
+      result = await this.runProcessStage(runId, stage);
+    } else if (stage.type === 'dedupe') {
+      result = await this.runDedupeStage(run, stage);
+    } else {
+      result = await this.runExportStage(runId, stage);
+    }
+
+    await this.updateStage(runId, stageId, {
+      status: 'completed',
+      output: result.output,
+      output_count: result.output.records?.length ?? result.output.count ?? 0,
+      ...result.counts,
+      finished_at: new Date().toISOString()
+    });
+    await this.launchReadyStages(runId);
+    return { stageId, ...result.counts };
+  }
+
+  /**
+   * A stage job failed for good (retries exhausted, unrecoverable, or a required child failed).
+   * @param {string} jobId
+   * @param {string} reason
+   */
+  async handleStageFailure(jobId, reason) {
+    const { data: rows, error } = await this.supabase
+      .from('pipeline_stage_runs')
+      .select('run_id, stage_id')
+      .eq('job_id', jobId)
+      .eq('status', 'running');
+
+    if (error) throw error;
+    for (const row of rows || []) {
+      await this.failStage(row.run_id, row.stage_id, new Error(reason));
+    }
+  }
+
+  /**
+   * Fan-in: gather what the `scrape-url` children returned. Failed children were dropped
+   * from the flow (removeDependencyOnFailure), so they are the ones without a value.
+   * @param {any} job
+   * @param {string} runId
+   * @param {StageDefinition} stage
+   */
+  async collectScrapeStage(job, runId, stage) {
+    const values = Object.values(await job.getChildrenValues() || {});
+    const records = values
+      .filter(value => value && value.success !== false)
+      .map(value => ({ url: value.metadata?.url || null, ...(value.metadata?.lang && { lang: value.metadata.lang }), data: value.data }));
+
+    const [row] = (await this.getStageRows(runId)).filter(entry => entry.stage_id === stage.id);
+    const failed = Math.max((row?.total_items || 0) - records.length, 0);
+    if (failed > 0 && stage.continueOnFailure === false) {
+      throw new UnrecoverableError(`${failed} URLs failed in stage ${stage.id}`);
+    }
+
+    return { output: { records }, counts: { completed_items: records.length, failed_items: failed } };
+  }
+
+  /**
+   * @param {string} runId
+   * @param {StageDefinition} stage
+   */
+  async runProcessStage(runId, stage) {
+    const schema = stage.schema || await this.getSchemaDefinition(stage.schema_id);
+    const input = await this.upstreamRecords(runId, stage.dependsOn);
+    /** @type {StageRecord[]} */
+    const records = [];
+    let failed = 0;
+
+    for (const record of input) {
+      const result = await this.dataProcessor.processScrapedData(record.data || {}, schema, {
+        ...(record.url && { url: record.url }),
+        ...(record.lang && { lang: record.lang }),
+        ...stage.options
+      });
+      if (!result.valid) failed++;
+      if (result.valid || !stage.dropInvalid) {
+        records.push({
+          url: record.url,
+          data: result.data,
+          valid: result.valid,
+          ...(result.errors?.length && { errors: result.errors })
+        });
+      }
+    }
+
+    return {
+      output: { records },
+      counts: { total_items: input.length, completed_items: input.length - failed, failed_items: failed }
+    };
+  }
+
+  /**
+   * Resolve upstream records into the project's entities; the output has one merged
+   * record per entity, in the order entities were first seen.
+   * @param {{ id: string, pipeline_id: string }} run
+   * @param {StageDefinition} stage
+   */
+  async runDedupeStage(run, stage) {
+    if (!this.entityResolver) throw new UnrecoverableError('Entity resolution is not configured');
+
+    const pipeline = await this.getPipeline(run.pipeline_id);
+    if (!pipeline) throw new UnrecoverableError(`Pipeline ${run.pipeline_id} not found`);
+
+    const input = await this.upstreamRecords(run.id, stage.dependsOn);
+    const { results, summary } = await this.entityResolver.resolveBatch(
+      input.map(record => ({ data: record.data, url: record.url })),
+      { projectId: pipeline.project_id, config: stage.entity }
+    );
+
+    /** @type {Map<string, StageRecord>} */
+    const entities = new Map();
+    for (const result of results) {
+      if (!result.error && !entities.has(result.entityId)) {
+        entities.set(result.entityId, { url: input[result.index].url, data: null, entity_id: result.entityId });
+      }
+    }
+    if (entities.size > 0) {
+      const { data: rows, error } = await this.supabase
+        .from('entities')
+        .select('id, data')
+        .in('id', [...entities.keys()]);
+
+      if (error) throw error;
+      for (const row of rows || []) entities.get(row.id).data = row.data;
+    }
+
+    return {
+      output: { records: [...entities.values()], summary },
+      counts: { total_items: input.length, completed_items: input.length - summary.failed, failed_items: summary.failed }
+    };
+  }
+
+  /**
+   * Write upstream records to EXPORT_STORAGE_PATH/pipelines/<runId>/<stageId>.<format>.
+   * @param {string} runId
+   * @param {StageDefinition} stage
+   */
+  async runExportStage(runId, stage) {
+    const format = stage.format || 'json';
+    const records = await this.upstreamRecords(runId, stage.dependsOn);
+    const dir = path.resolve(this.exportRoot, 'pipelines', String(runId));
+    const filePath = path.resolve(dir, `${stage.id}.${format}`);
+    if (!filePath.startsWith(this.exportRoot + path.sep)) {
+      throw new UnrecoverableError('Export path escapes the storage root');
+    }
+
+    const rows = records.map(record => ({ url: record.url, ...record.data }));
+    const body = format === 'csv'
+      ? (rows.length ? new Parser({}).parse(rows) : '')
+      : JSON.stringify(rows, null, 2);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(filePath, body);
+
+    return {
+      output: { format, count: rows.length, storage_path: path.relative(this.exportRoot, filePath) },
+      counts: { total_items: rows.length, completed_items: rows.length, failed_items: 0 }
+    };
+  }
+
+  /**
+   * @param {string} runId
+   * @param {string} stageId
+   * @returns {Promise<{ filePath: string, format: string }|null>}
+   */
+  async getExport(runId, stageId) {
+    const [row] = (await this.getStageRows(runId)).filter(entry => entry.stage_id === stageId);
+    if (!row || row.type !== 'export' || !row.output?.storage_path) return null;
+
+    const filePath = path.resolve(this.exportRoot, row.output.storage_path);
+    if (!filePath.startsWith(this.exportRoot + path.sep)) {
+      throw new Error('Export path escapes the storage root');
+    }
+    return { filePath, format: row.output.format };
+  }
+
+  async getSchemaDefinition(schemaId) {
+    const { data, error } = await this.supabase
+      .from('data_schemas')
+      .select('schema_def')
+      .eq('id', schemaId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data) throw new UnrecoverableError(`Schema ${schemaId} not found`);
+    return data.schema_def;
+  }
+
+  /**
+   * Fail a stage and the run; stages downstream of it are marked skipped.
+   * @param {string} runId
+   * @param {string} stageId
+   * @param {Error} error
+   */
+  async failStage(runId, stageId, error) {
+    await this.updateStage(runId, stageId, {
+      status: 'failed',
+      error: error.message,
+      finished_at: new Date().toISOString()
+    });
+
+    const run = await this.getRunRow(runId);
+    if (run) {
+      const downstream = new Set([stageId]);
+      let grew = true;
+      while (grew) {
+        grew = false;
+        for (const stage of run.stages) {
+          if (!downstream.has(stage.id) && (stage.dependsOn || []).some(dependency => downstream.has(dependency))) {
+            downstream.add(stage.id);
+            grew = true;
+          }
+        }
+      }
+      downstream.delete(stageId);
+
+      for (const skipped of downstream) {
+        await this.supabase
+          .from('pipeline_stage_runs')
+          .update({ status: 'skipped' })
+          .eq('run_id', runId)
+          .eq('stage_id', skipped)
+          .eq('status', 'pending');
+      }
+    }
+
+    await this.finishRun(runId, 'failed', `Stage ${stageId} failed: ${error.message}`);
+  }
+
+  async finishRun(runId, status, errorMessage = null) {
+    const { error } = await this.supabase
+      .from('pipeline_runs')
+      .update({
+        status,
+        finished_at: new Date().toISOString(),
+        ...(errorMessage && { error: errorMessage })
+      })
+      .eq('id', runId)
+      .eq('status', 'running');
+
+    if (error) throw error;
+    console.log(`ðŸ”„ Pipeline run ${runId} ${status}`);
+  }
+
+  async updateStage(runId, stageId, values) {
+    const { error } = await this.supabase
+      .from('pipeline_stage_runs')
+      .update(values)
+      .eq('run_id', runId)
+      .eq('stage_id', stageId);
+
+    if (error) throw error;
+  }
+}
+
+module.exports = {
+  PipelineManager,
+  STAGE_TYPES,
+  validatePipeline,
+  valuesAtPath,
+  extractUrls
+};
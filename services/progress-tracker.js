@@ -0,0 +1,360 @@
+// APL AI Scraper 2.0 - Structured job progress: reported by workers, stored on executions, streamed to clients
+const { EventEmitter } = require('events');
+
+/**
+ * @typedef {'queued'|'starting'|'navigating'|'actions'|'extracting'|'saving'|'completed'|'failed'|'cancelled'} ProgressStage
+ */
+
+/**
+ * @typedef {Object} JobProgress
+ * @property {ProgressStage} stage
+ * @property {number} percent - never goes down within one attempt
+ * @property {number} navigations - main-frame navigations (page loads, link follows)
+ * @property {number} actionsExecuted - clicks, fills, scrolls and other configured or template actions
+ * @property {number} pagesCrawled - listing pages extracted so far
+ * @property {number} recordsExtracted
+ * @property {string} [message]
+ * @property {number} [attempt]
+ * @property {number} [maxAttempts] - a failed attempt below this is retried
+ * @property {string} [startedAt]
+ * @property {string} updatedAt
+ * @property {string} [executionId] - orchestrator jobs
+ * @property {string} [batchId]
+ * @property {string|number} [jobId] - job queue jobs
+ */
+
+/**
+ * @typedef {Object} ProgressEstimate
+ * @property {number|null} remainingMs
+ * @property {string|null} estimatedCompletionAt
+ * @property {'template_metrics'|'progress'|null} basis - average duration of the template's past runs,
+ *   or extrapolation from the percentage when the run is already slower than average
+ */
+
+/** @type {Record<ProgressStage, number>} */
+const STAGE_PERCENT = {
+  queued: 0,
+  starting: 5,
+  navigating: 15,
+  actions: 35,
+  extracting: 60,
+  saving: 90,
+  completed: 100,
+  failed: 100,
+  cancelled: 100
+};
+
+const TERMINAL_STAGES = ['completed', 'failed', 'cancelled'];
+const COUNTERS = ['navigations', 'actionsExecuted', 'pagesCrawled', 'recordsExtracted'];
+
+/**
+ * Worker side: keeps the progress of one attempt and publishes it as the BullMQ job's
+ * progress. Stage changes go out at once; counter bumps at most every minIntervalMs, so
+ * a 500-page crawl does not turn into 500 Redis writes and database updates.
+ */
+class ProgressReporter {
+  /**
+   * @param {any} job - BullMQ job
+   * @param {Object} [context] - ids copied into every snapshot (executionId, batchId, jobId)
+   * @param {{ minIntervalMs?: number }} [options]
+   */
+  constructor(job, context = {}, options = {}) {
+    this.job = job;
+    this.context = context;
+    this.minIntervalMs = options.minIntervalMs ?? 1000;
+    /** @type {Omit<JobProgress, 'updatedAt'>} */
+    this.state = {
+      stage: 'queued',
+      percent: 0,
+      navigations: 0,
+      actionsExecuted: 0,
+      pagesCrawled: 0,
+      recordsExtracted: 0
+    };
+    this.lastSentAt = 0;
+    this.timer = null;
+  }
+
+  get started() {
+    return this.state.stage !== 'queued';
+  }
+
+  /**
+   * @param {ProgressStage} stage
+   * @param {string} [message]
+   */
+  stage(stage, message) {
+    this.state.stage = stage;
+    this.state.percent = Math.max(this.state.percent, STAGE_PERCENT[stage] ?? 0);
+    this.state.message = message;
+    if (stage === 'starting' && !this.state.startedAt) {
+      this.state.startedAt = new Date().toISOString();
+    }
+    return this.send(true);
+  }
+
+  /**
+   * @param {'navigations'|'actionsExecuted'|'pagesCrawled'|'recordsExtracted'} counter
+   * @param {number} [amount]
+   */
+  add(counter, amount = 1) {
+    this.state[counter] += amount;
+    return this.send(false);
+  }
+
+  /**
+   * Set counters to known totals, e.g. records counted after extraction.
+   * @param {Partial<Record<'navigations'|'actionsExecuted'|'pagesCrawled'|'recordsExtracted', number>>} totals
+   */
+  set(totals) {
+    for (const counter of COUNTERS) {
+      if (typeof totals[counter] === 'number') this.state[counter] = totals[counter];
+    }
+    return this.send(false);
+  }
+
+  /**
+   * @returns {JobProgress}
+   */
+  snapshot() {
+    return { ...this.context, ...this.state, updatedAt: new Date().toISOString() };
+  }
+
+  async send(force) {
+    const wait = this.lastSentAt + this.minIntervalMs - Date.now();
+    if (!force && wait > 0) {
+      // The latest counters go out with the trailing update
+      if (!this.timer) {
+        this.timer = setTimeout(() => { this.timer = null; this.send(true); }, wait);
+        this.timer.unref?.();
+      }
+      return;
+    }
+
+    this.close();
+    this.lastSentAt = Date.now();
+    try {
+      await this.job.updateProgress(this.snapshot());
+    } catch (error) {
+      // Progress is informational; the scrape goes on without it
+      console.warn(`Failed to report progress of job ${this.job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Drop a pending trailing update; call once the attempt is over.
+   */
+  close() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Whether nothing more will be reported for the job: completed, cancelled, or failed on its
+ * last attempt.
+ * @param {JobProgress} progress
+ */
+function isFinal(progress) {
+  if (progress.stage === 'failed') return (progress.attempt || 1) >= (progress.maxAttempts || 1);
+  return TERMINAL_STAGES.includes(progress.stage);
+}
+
+/**
+ * Count the records in scraped data: the longest array at the top level, or one record
+ * for a non-empty object.
+ * @param {any} data
+ */
+function countRecords(data) {
+  if (Array.isArray(data)) return data.length;
+  if (!data || typeof data !== 'object') return data === null || data === undefined ? 0 : 1;
+  const arrays = Object.values(data).filter(Array.isArray);
+  if (arrays.length > 0) return Math.max(...arrays.map(list => list.length));
+  return Object.keys(data).length > 0 ? 1 : 0;
+}
+
+/**
+ * API side: stores progress events on scraping_executions, fans them out to stream
+ * subscribers in this process and estimates completion from template_metrics.
+ */
+class ProgressTracker extends EventEmitter {
+  /**
+   * @param {any} supabase
+   * @param {{ metricsCacheMs?: number }} [options]
+   */
+  constructor(supabase, options = {}) {
+    super();
+    this.supabase = supabase;
+    this.metricsCacheMs = options.metricsCacheMs ?? 5 * 60 * 1000;
+    /** @type {Map<string, { averageMs: number|null, expiresAt: number }>} */
+    this.durations = new Map();
+    // One listener per open stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Handle a progress event of an orchestrator job.
+   * @param {JobProgress} progress
+   */
+  async record(progress) {
+    if (!progress || typeof progress !== 'object' || !progress.executionId) return;
+
+    this.emit('progress', progress);
+    const { error } = await this.supabase
+      .from('scraping_executions')
+      .update({ progress, progress_updated_at: progress.updatedAt || new Date().toISOString() })
+      .eq('id', progress.executionId);
+
+    if (error) {
+      console.error(`Error storing progress of execution ${progress.executionId}:`, error.message || error);
+    }
+  }
+
+  /**
+   * Listen to the progress of one execution or of every execution in a batch.
+   * @param {{ executionId?: string, batchId?: string }} filter
+   * @param {(progress: JobProgress) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(filter, listener) {
+    const handler = (progress) => {
+      if (filter.executionId && progress.executionId !== filter.executionId) return;
+      if (filter.batchId && progress.batchId !== filter.batchId) return;
+      listener(progress);
+    };
+    this.on('progress', handler);
+    return () => this.off('progress', handler);
+  }
+
+  /**
+   * Average duration of the template's successful runs, in ms; null without history.
+   * @param {string} templateId
+   */
+  async averageDuration(templateId) {
+    if (!templateId) return null;
+    const cached = this.durations.get(templateId);
+    if (cached && cached.expiresAt > Date.now()) return cached.averageMs;
+
+    const { data, error } = await this.supabase
+      .from('template_metrics')
+      .select('average_duration, successful_runs')
+      .eq('template_id', templateId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    const averageMs = data && data.successful_runs > 0 && Number(data.average_duration) > 0
+      ? Number(data.average_duration)
+      : null;
+    this.durations.set(templateId, { averageMs, expiresAt: Date.now() + this.metricsCacheMs });
+    return averageMs;
+  }
+
+  /**
+   * @param {string} templateId
+   * @param {JobProgress|null} progress - null while queued
+   * @returns {Promise<ProgressEstimate>}
+   */
+  async estimate(templateId, progress) {
+    const now = Date.now();
+    if (progress && isFinal(progress)) {
+      return { remainingMs: 0, estimatedCompletionAt: progress.updatedAt, basis: null };
+    }
+
+    const averageMs = await this.averageDuration(templateId);
+    const elapsed = progress?.startedAt ? now - Date.parse(progress.startedAt) : 0;
+
+    let remainingMs = null;
+    /** @type {ProgressEstimate['basis']} */
+    let basis = null;
+    if (averageMs !== null && elapsed < averageMs) {
+      remainingMs = averageMs - elapsed;
+      basis = 'template_metrics';
+    } else if (progress && progress.percent > 0 && elapsed > 0) {
+      remainingMs = Math.round(elapsed * (100 - progress.percent) / progress.percent);
+      basis = 'progress';
+    }
+
+    return {
+      remainingMs,
+      estimatedCompletionAt: remainingMs === null ? null : new Date(now + remainingMs).toISOString(),
+      basis
+    };
+  }
+
+  /**
+   * When `count` runs of a template should be done with `parallelism` of them at a time.
+   * @param {string} templateId
+   * @param {number} count
+   * @param {number} [parallelism]
+   * @returns {Promise<ProgressEstimate>}
+   */
+  async estimateBatch(templateId, count, parallelism = 1) {
+    const averageMs = await this.averageDuration(templateId);
+    if (averageMs === null) {
+      return { remainingMs: null, estimatedCompletionAt: null, basis: null };
+    }
+    const remainingMs = Math.ceil(count / Math.max(parallelism, 1)) * averageMs;
+    return {
+      remainingMs,
+      estimatedCompletionAt: new Date(Date.now() + remainingMs).toISOString(),
+      basis: 'template_metrics'
+    };
+  }
+
+  /**
+   * Stored progress of an execution with its estimate; null when there is no such execution.
+   * @param {string} executionId
+   */
+  async getExecutionProgress(executionId) {
+    const { data: execution, error } = await this.supabase
+      .from('scraping_executions')
+      .select('id, template_id, status, progress, execution_metadata')
+      .eq('id', executionId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!execution) return null;
+
+    const progress = execution.progress || null;
+    // Executions cancelled while queued or failed outside a worker carry no terminal event
+    const estimate = TERMINAL_STAGES.includes(execution.status)
+      ? { remainingMs: 0, estimatedCompletionAt: progress?.updatedAt || null, basis: null }
+      : await this.estimate(execution.template_id, progress);
+    return {
+      executionId: execution.id,
+      batchId: execution.execution_metadata?.batchId || null,
+      status: execution.status,
+      progress,
+      estimate
+    };
+  }
+
+  /**
+   * Stored progress of every execution in a batch.
+   * @param {string} batchId
+   */
+  async getBatchProgress(batchId) {
+    const { data: executions, error } = await this.supabase
+      .from('scraping_executions')
+      .select('id, status, progress')
+      .eq('execution_metadata->>batchId', batchId);
+
+    if (error) throw error;
+
+    const list = (executions || []).map(execution => ({
+      executionId: execution.id,
+      status: execution.status,
+      progress: execution.progress || null
+    }));
+    return {
+      batchId,
+      total: list.length,
+      finished: list.filter(execution => TERMINAL_STAGES.includes(execution.status)).length,
+      executions: list
+    };
+  }
+}
+
+module.exports = { ProgressReporter, ProgressTracker, countRecords, isFinal, STAGE_PERCENT, TERMINAL_STAGES };
@@ -0,0 +1,643 @@
+// APL AI Scraper 2.0 - Cron schedules for template batches, fired by BullMQ repeatable jobs
+const { Queue, Worker } = require('bullmq');
+const cronParser = require('cron-parser');
+
+/**
+ * @typedef {Object} BlackoutWindow
+ * A recurring window (`start`/`end` as HH:MM in the schedule's timezone, optionally limited
+ * to `days`, 0 = Sunday; `end` before `start` spans midnight) or a one-off `from`/`to` range.
+ * @property {string} [start]
+ * @property {string} [end]
+ * @property {number[]} [days] - days the window starts on
+ * @property {string} [from] - ISO timestamp
+ * @property {string} [to] - ISO timestamp
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {'skip'|'run_once'|'run_all'} MissedRunPolicy
+ * What to do with occurrences that fell while no scheduler was running:
+ * drop them, run a single catch-up batch, or run one batch per missed occurrence
+ * (catch-up batches still count against max_concurrency).
+ */
+
+/**
+ * @typedef {Object} Schedule
+ * @property {string} id
+ * @property {string} project_id
+ * @property {string} template_id
+ * @property {string} [name]
+ * @property {string[]} urls
+ * @property {Object} [options] - JobOptions forwarded to DistributedOrchestrator.scheduleJob
+ * @property {string} cron_expression
+ * @property {string} timezone - IANA name, e.g. Europe/Berlin
+ * @property {number} jitter_seconds - each run starts after a random delay up to this
+ * @property {BlackoutWindow[]} blackout_windows
+ * @property {number|null} max_concurrency - runs of this schedule allowed in flight; null for no limit
+ * @property {MissedRunPolicy} missed_run_policy
+ * @property {boolean} enabled
+ * @property {string|null} [last_fire_at] - occurrence the last run (or skip) was for
+ */
+
+/**
+ * @typedef {Object} PlannedRun
+ * @property {string} scheduled_for - cron occurrence
+ * @property {string} latest_start - scheduled_for plus the maximum jitter
+ * @property {string|null} skipped - 'blackout' when the occurrence falls in a blackout window
+ */
+
+const SCHEDULE_QUEUE = 'schedules';
+const MISSED_RUN_POLICIES = ['skip', 'run_once', 'run_all'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// A fire this late is treated as missed rather than merely slow
+const MISSED_RUN_GRACE_MS = 60 * 1000;
+const MAX_CATCH_UP_RUNS = 24;
+const MAX_PREVIEW_RUNS = 100;
+const MAX_PREVIEW_SCAN = 1000;
+const FINISHED_JOB_STATES = ['completed', 'failed', 'missing'];
+
+function parseTimeOfDay(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Weekday and minute of the day of an instant, as seen in a timezone.
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {{ day: number, minutes: number }}
+ */
+function zonedTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parts.find(entry => entry.type === type).value;
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+/**
+ * @param {Date} date
+ * @param {BlackoutWindow[]} windows
+ * @param {string} [timezone]
+ * @returns {BlackoutWindow|null} the first window covering the instant
+ */
+function findBlackout(date, windows = [], timezone = 'UTC') {
+  for (const window of windows) {
+    if (window.from || window.to) {
+      const from = window.from ? new Date(window.from).getTime() : -Infinity;
+      const to = window.to ? new Date(window.to).getTime() : Infinity;
+      if (date.getTime() >= from && date.getTime() < to) return window;
+      continue;
+    }
+
+    const start = parseTimeOfDay(window.start);
+    const end = parseTimeOfDay(window.end);
+    const { day, minutes } = zonedTime(date, timezone);
+    const onDay = candidate => !window.days || window.days.includes(candidate);
+
+    if (start <= end) {
+      if (minutes >= start && minutes < end && onDay(day)) return window;
+    } else if ((minutes >= start && onDay(day)) || (minutes < end && onDay((day + 6) % 7))) {
+      return window;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} cronExpression
+ * @param {string} timezone
+ * @param {Date} currentDate - occurrences strictly after this instant
+ */
+function occurrences(cronExpression, timezone, currentDate) {
+  return cronParser.parseExpression(cronExpression, { tz: timezone, currentDate });
+}
+
+/**
+ * Check a schedule definition (a full row or the fields being updated).
+ * @param {Partial<Schedule>} schedule
+ */
+function validateSchedule(schedule) {
+  if (schedule.urls !== undefined && (!Array.isArray(schedule.urls) || schedule.urls.length === 0)) {
+    throw new Error('Schedule urls must be a non-empty array');
+  }
+  const timezone = schedule.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+  if (schedule.cron_expression !== undefined) {
+    try {
+      occurrences(schedule.cron_expression, timezone, new Date());
+    } catch (error) {
+      throw new Error(`Invalid cron expression: ${error.message}`);
+    }
+  }
+  if (schedule.jitter_seconds !== undefined && !(Number.isInteger(schedule.jitter_seconds) && schedule.jitter_seconds >= 0)) {
+    throw new Error('jitter_seconds must be a non-negative integer');
+  }
+  if (schedule.max_concurrency !== undefined && schedule.max_concurrency !== null &&
+      !(Number.isInteger(schedule.max_concurrency) && schedule.max_concurrency >= 1)) {
+    throw new Error('max_concurrency must be a positive integer or null');
+  }
+  if (schedule.missed_run_policy !== undefined && !MISSED_RUN_POLICIES.includes(schedule.missed_run_policy)) {
+    throw new Error(`Unknown missed run policy: ${schedule.missed_run_policy}`);
+  }
+  if (schedule.blackout_windows !== undefined) {
+    if (!Array.isArray(schedule.blackout_windows)) throw new Error('blackout_windows must be an array');
+    for (const window of schedule.blackout_windows) {
+      if (window.from || window.to) {
+        if ((window.from && isNaN(Date.parse(window.from))) || (window.to && isNaN(Date.parse(window.to)))) {
+          throw new Error('Blackout window from/to must be ISO timestamps');
+        }
+      } else if (parseTimeOfDay(window.start) === null || parseTimeOfDay(window.end) === null) {
+        throw new Error('Blackout window requires start and end as HH:MM, or from/to');
+      } else if (window.days && !window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        throw new Error('Blackout window days must be 0 (Sunday) to 6');
+      }
+    }
+  }
+}
+
+/**
+ * Upcoming occurrences of a schedule, including the ones a blackout window would skip.
+ * @param {Partial<Schedule>} schedule - cron_expression, timezone, jitter_seconds, blackout_windows
+ * @param {number} [count] - runs that would actually fire
+ * @param {Date} [from]
+ * @returns {PlannedRun[]}
+ */
+function previewNextRuns(schedule, count = 5, from = new Date()) {
+  const timezone = schedule.timezone || 'UTC';
+  const jitterMs = (schedule.jitter_seconds || 0) * 1000;
+  const iterator = occurrences(schedule.cron_expression, timezone, from);
+  const limit = Math.min(count, MAX_PREVIEW_RUNS);
+  const runs = [];
+  let firing = 0;
+
+  for (let scanned = 0; firing < limit && scanned < MAX_PREVIEW_SCAN; scanned++) {
+    let next;
+    try {
+      next = iterator.next().toDate();
+    } catch {
+      break; // no further occurrences (e.g. a fixed date in the past)
+    }
+    const skipped = findBlackout(next, schedule.blackout_windows, timezone) ? 'blackout' : null;
+    if (!skipped) firing++;
+    runs.push({
+      scheduled_for: next.toISOString(),
+      latest_start: new Date(next.getTime() + jitterMs).toISOString(),
+      skipped
+    });
+  }
+  return runs;
+}
+
+/**
+ * Occurrences after `since` up to and including `until`.
+ * @param {Schedule} schedule
+ * @param {Date} since
+ * @param {Date} until
+ * @returns {Date[]}
+ */
+function occurrencesBetween(schedule, since, until) {
+  const iterator = occurrences(schedule.cron_expression, schedule.timezone || 'UTC', since);
+  const found = [];
+  for (;;) {
+    let next;
+    try {
+      next = iterator.next().toDate();
+    } catch {
+      break;
+    }
+    if (next > until) break;
+    found.push(next);
+  }
+  return found;
+}
+
+/**
+ * Runs template batches on cron schedules. Every enabled schedule has a BullMQ repeatable
+ * job on the `schedules` queue; when it fires, the worker applies blackout windows, the
+ * concurrency limit and jitter, then hands the URLs to DistributedOrchestrator.scheduleJob.
+ * Each fire is recorded in `schedule_runs`, with the batch's job ids so later fires can
+ * tell whether earlier runs are still in flight.
+ */
+class ScheduleManager {
+  constructor(supabase, orchestrator, scraperTemplate) {
+    this.supabase = supabase;
+    this.orchestrator = orchestrator;
+    this.scraperTemplate = scraperTemplate;
+    this.queue = null; // Created on first use so constructing the manager does not touch Redis
+    this.worker = null;
+  }
+
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue(SCHEDULE_QUEUE, { connection: this.orchestrator.redis });
+    }
+    return this.queue;
+  }
+
+  /**
+   * Catch up on occurrences missed while no scheduler was running, re-register every enabled
+   * schedule and start the worker that fires them. Call once per process.
+   */
+  async start() {
+    if (this.worker) return;
+
+    if (!this.orchestrator.isInitialized) {
+      await this.orchestrator.initialize();
+    }
+
+    const schedules = await this.listSchedules();
+    const enabledIds = new Set();
+    for (const schedule of schedules.filter(entry => entry.enabled)) {
+      enabledIds.add(schedule.id);
+      try {
+        await this.catchUp(schedule);
+        await this.register(schedule);
+      } catch (error) {
+        console.error(`Error starting schedule ${schedule.id}:`, error);
+      }
+    }
+
+    // Repeatable jobs of schedules deleted or disabled while the scheduler was down
+    for (const repeatable of await this.getQueue().getRepeatableJobs()) {
+      if (!enabledIds.has(repeatable.id)) {
+        await this.getQueue().removeRepeatableByKey(repeatable.key);
+      }
+    }
+
+    // Started after the catch-up so an overdue repeatable job sees the updated last_fire_at
+    this.worker = new Worker(SCHEDULE_QUEUE, async (job) => {
+      return await this.fire(job.data.scheduleId, new Date(job.opts.prevMillis || job.timestamp));
+    }, { connection: this.orchestrator.redis, concurrency: 1 });
+
+    this.worker.on('failed', (job, error) => {
+      console.error(`Schedule fire ${job?.id} failed:`, error.message);
+    });
+
+    console.log(`ðŸ“… Scheduler started with ${enabledIds.size} enabled schedules`);
+  }
+
+  async stop() {
+    if (this.worker) {
+      await this.worker.close();
+      this.worker = null;
+    }
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+
+  validateSchedule(schedule) {
+    validateSchedule(schedule);
+  }
+
+  /**
+   * @param {Partial<Schedule>} schedule
+   */
+  async createSchedule(schedule) {
+    if (!schedule.cron_expression) throw new Error('Schedule requires cron_expression');
+    if (!schedule.urls) throw new Error('Schedule urls must be a non-empty array');
+    validateSchedule(schedule);
+
+    const { data, error } = await this.supabase
+      .from('schedules')
+      .insert([{
+        project_id: schedule.project_id,
+        template_id: schedule.template_id,
+        name: schedule.name || null,
+        urls: schedule.urls,
+        options: schedule.options || {},
+        cron_expression: schedule.cron_expression,
+        timezone: schedule.timezone || 'UTC',
+        jitter_seconds: schedule.jitter_seconds || 0,
+        blackout_windows: schedule.blackout_windows || [],
+        max_concurrency: schedule.max_concurrency === undefined ? 1 : schedule.max_concurrency,
+        missed_run_policy: schedule.missed_run_policy || 'skip',
+        enabled: schedule.enabled !== false,
+        // Nothing before creation counts as missed
+        last_fire_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    if (data.enabled) await this.register(data);
+    return this.withNextRun(data);
+  }
+
+  async getSchedule(scheduleId) {
+    const { data, error } = await this.supabase
+      .from('schedules')
+      .select('*')
+      .eq('id', scheduleId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data ? this.withNextRun(data) : null;
+  }
+
+  async listSchedules(projectId) {
+    let query = this.supabase
+      .from('schedules')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (projectId) {
+      query = query.eq('project_id', projectId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(schedule => this.withNextRun(schedule));
+  }
+
+  /**
+   * @param {string} scheduleId
+   * @param {Partial<Schedule>} updates
+   */
+  async updateSchedule(scheduleId, updates) {
+    const existing = await this.getSchedule(scheduleId);
+    if (!existing) return null;
+
+    const allowed = ['name', 'urls', 'options', 'cron_expression', 'timezone', 'jitter_seconds',
+      'blackout_windows', 'max_concurrency', 'missed_run_policy', 'enabled'];
+    const changes = Object.fromEntries(Object.entries(updates).filter(([key]) => allowed.includes(key)));
+    validateSchedule({ ...changes, timezone: changes.timezone || existing.timezone, cron_expression: changes.cron_expression || existing.cron_expression });
+
+    // Re-enabling starts from now; the time spent disabled is not downtime
+    if (changes.enabled && !existing.enabled) {
+      changes.last_fire_at = new Date().toISOString();
+    }
+
+    const { data, error } = await this.supabase
+      .from('schedules')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', scheduleId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await this.unregister(scheduleId);
+    if (data.enabled) await this.register(data);
+    return this.withNextRun(data);
+  }
+
+  async deleteSchedule(scheduleId) {
+    await this.unregister(scheduleId);
+
+    const { error } = await this.supabase
+      .from('schedules')
+      .delete()
+      .eq('id', scheduleId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * @param {string} scheduleId
+   * @param {number} [limit]
+   */
+  async listRuns(scheduleId, limit = 50) {
+    const { data, error } = await this.supabase
+      .from('schedule_runs')
+      .select('*')
+      .eq('schedule_id', scheduleId)
+      .order('scheduled_for', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * @param {Schedule} schedule
+   */
+  withNextRun(schedule) {
+    if (!schedule.enabled) return { ...schedule, next_run_at: null };
+    const [next] = previewNextRuns(schedule, 1);
+    return { ...schedule, next_run_at: next && !next.skipped ? next.scheduled_for : null };
+  }
+
+  /**
+   * @param {Schedule} schedule
+   */
+  async register(schedule) {
+    await this.getQueue().add('fire', { scheduleId: schedule.id }, {
+      repeat: { pattern: schedule.cron_expression, tz: schedule.timezone || 'UTC' },
+      jobId: schedule.id,
+      removeOnComplete: true,
+      removeOnFail: 100
+    });
+  }
+
+  async unregister(scheduleId) {
+    const queue = this.getQueue();
+    for (const repeatable of await queue.getRepeatableJobs()) {
+      if (repeatable.id === scheduleId) {
+        await queue.removeRepeatableByKey(repeatable.key);
+      }
+    }
+  }
+
+  /**
+   * Apply the missed-run policy to occurrences between the last fire and now.
+   * @param {Schedule} schedule
+   */
+  async catchUp(schedule) {
+    if (!schedule.last_fire_at) return;
+
+    const now = new Date();
+    const missed = occurrencesBetween(schedule, new Date(schedule.last_fire_at), new Date(now.getTime() - MISSED_RUN_GRACE_MS));
+    if (missed.length === 0) return;
+
+    const latest = missed[missed.length - 1];
+    console.log(`ðŸ“… Schedule ${schedule.id} missed ${missed.length} runs (policy: ${schedule.missed_run_policy})`);
+
+    if (schedule.missed_run_policy === 'run_all') {
+      if (missed.length > MAX_CATCH_UP_RUNS) {
+        await this.recordRun(schedule, missed[missed.length - MAX_CATCH_UP_RUNS - 1], 'skipped', {
+          reason: `missed (${missed.length - MAX_CATCH_UP_RUNS} older runs beyond the catch-up limit)`
+        });
+      }
+      for (const occurrence of missed.slice(-MAX_CATCH_UP_RUNS)) {
+        await this.fire(schedule.id, occurrence, { catchUp: true });
+      }
+    } else if (schedule.missed_run_policy === 'run_once') {
+      await this.fire(schedule.id, latest, { catchUp: true });
+    } else {
+      await this.recordRun(schedule, latest, 'skipped', { reason: `missed (${missed.length} runs)` });
+      await this.markFired(schedule.id, latest);
+    }
+  }
+
+  /**
+   * Run one occurrence of a schedule.
+   * @param {string} scheduleId
+   * @param {Date} scheduledFor - the cron occurrence being run
+   * @param {{ catchUp?: boolean }} [context]
+   * @returns {Promise<{ status: 'started'|'skipped', reason?: string, batchId?: string }>}
+   */
+  async fire(scheduleId, scheduledFor, context = {}) {
+    const schedule = await this.getSchedule(scheduleId);
+    if (!schedule || !schedule.enabled) {
+      return { status: 'skipped', reason: 'disabled' };
+    }
+
+    // Already handled, e.g. by the catch-up at startup
+    if (schedule.last_fire_at && scheduledFor <= new Date(schedule.last_fire_at)) {
+      return { status: 'skipped', reason: 'duplicate' };
+    }
+
+    const skip = async (reason) => {
+      await this.recordRun(schedule, scheduledFor, 'skipped', { reason });
+      await this.markFired(schedule.id, scheduledFor);
+      return /** @type {const} */ ({ status: 'skipped', reason });
+    };
+
+    const late = Date.now() - scheduledFor.getTime() > MISSED_RUN_GRACE_MS;
+    if (late && !context.catchUp && schedule.missed_run_policy === 'skip') {
+      return skip('missed');
+    }
+
+    const blackout = findBlackout(context.catchUp ? new Date() : scheduledFor, schedule.blackout_windows, schedule.timezone);
+    if (blackout) {
+      return skip(blackout.reason ? `blackout: ${blackout.reason}` : 'blackout');
+    }
+
+    if (schedule.max_concurrency) {
+      const active = await this.countActiveRuns(schedule.id);
+      if (active >= schedule.max_concurrency) {
+        return skip(`max concurrency reached (${active} running)`);
+      }
+    }
+
+    const template = await this.scraperTemplate.getTemplate(schedule.template_id);
+    if (!template) {
+      return skip('template not found');
+    }
+
+    const options = schedule.options || {};
+    const jitter = schedule.jitter_seconds ? Math.floor(Math.random() * schedule.jitter_seconds * 1000) : 0;
+    const result = await this.orchestrator.scheduleJob(template, schedule.urls, {
+      ...options,
+      delay: (options.delay || 0) + jitter
+    });
+
+    await this.recordRun(schedule, scheduledFor, 'started', {
+      batch_id: result.batchId,
+      queue_name: result.queueName,
+      job_ids: result.jobs.map(job => job.jobId),
+      jitter_ms: jitter,
+      ...(context.catchUp && { reason: 'catch-up' })
+    });
+    await this.markFired(schedule.id, scheduledFor, result.batchId);
+
+    console.log(`ðŸ“… Schedule ${schedule.id} started batch ${result.batchId} (${result.jobs.length} URLs)`);
+    return { status: 'started', batchId: result.batchId };
+  }
+
+  /**
+   * Runs of a schedule whose jobs are not all finished. Runs found finished are closed out.
+   * @param {string} scheduleId
+   * @returns {Promise<number>}
+   */
+  async countActiveRuns(scheduleId) {
+    const { data: runs, error } = await this.supabase
+      .from('schedule_runs')
+      .select('*')
+      .eq('schedule_id', scheduleId)
+      .eq('status', 'started');
+
+    if (error) throw error;
+
+    let active = 0;
+    for (const run of runs || []) {
+      const queue = this.orchestrator.queues.get(run.queue_name);
+      const states = await Promise.all((run.job_ids || []).map(async (jobId) => {
+        const job = queue ? await queue.getJob(jobId) : null;
+        return job ? job.getState() : 'missing';
+      }));
+
+      if (states.every(state => FINISHED_JOB_STATES.includes(state))) {
+        await this.supabase
+          .from('schedule_runs')
+          .update({
+            status: 'finished',
+            finished_at: new Date().toISOString(),
+            stats: {
+              completed: states.filter(state => state === 'completed').length,
+              failed: states.filter(state => state === 'failed').length
+            }
+          })
+          .eq('id', run.id);
+      } else {
+        active++;
+      }
+    }
+    return active;
+  }
+
+  /**
+   * @param {Schedule} schedule
+   * @param {Date} scheduledFor
+   * @param {'started'|'skipped'} status
+   * @param {Object} [details]
+   */
+  async recordRun(schedule, scheduledFor, status, details = {}) {
+    const { error } = await this.supabase
+      .from('schedule_runs')
+      .insert([{
+        schedule_id: schedule.id,
+        scheduled_for: scheduledFor.toISOString(),
+        fired_at: new Date().toISOString(),
+        status,
+        ...details
+      }]);
+
+    if (error) throw error;
+    if (status === 'skipped') {
+      console.log(`ðŸ’¤ Schedule ${schedule.id} skipped run for ${scheduledFor.toISOString()}: ${details.reason}`);
+    }
+  }
+
+  async markFired(scheduleId, scheduledFor, batchId = null) {
+    const { error } = await this.supabase
+      .from('schedules')
+      .update({
+        last_fire_at: scheduledFor.toISOString(),
+        ...(batchId && { last_run_at: new Date().toISOString(), last_batch_id: batchId })
+      })
+      .eq('id', scheduleId);
+
+    if (error) throw error;
+  }
+}
+
+module.exports = {
+  ScheduleManager,
+  MISSED_RUN_POLICIES,
+  validateSchedule,
+  previewNextRuns,
+  findBlackout,
+  occurrencesBetween
+};
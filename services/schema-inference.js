@@ -0,0 +1,267 @@
+// Schema inference: proposes a draft JSON Schema for data_schemas from sample scraped_data
+// rows, detecting prices, dates, phones, emails and URLs with the DataProcessor validators
+const { DRAFT_2020_12, escapePointer } = require('./json-schema');
+
+/**
+ * @typedef {'string'|'integer'|'number'|'boolean'|'price'|'date'|'phone'|'email'|'url'|'object'|'array'} ValueKind
+ */
+
+/**
+ * @typedef {Object} InferredField
+ * @property {string} path - JSON Pointer; array items appear as /items
+ * @property {ValueKind|'mixed'|'empty'} kind
+ * @property {number} confidence - share of non-empty values of that kind
+ * @property {number} present - share of the parent objects that have the field
+ * @property {number} nulls - empty or null values seen
+ * @property {number|string} [min] - numbers, prices and dates only
+ * @property {number|string} [max]
+ * @property {Array<string>} [enum]
+ */
+
+/**
+ * @typedef {Object} InferenceOptions
+ * @property {number} [minConfidence] - share of values a kind needs to win (default 0.9)
+ * @property {number} [maxEnumValues] - more distinct strings than this is free text (default 10)
+ */
+
+const DATE_LIKE = new RegExp([
+  '^\\d{4}-\\d{2}-\\d{2}([ T]\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?)?$',
+  '^\\d{1,2}/\\d{1,2}/\\d{2,4}$',
+  '^(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.? \\d{1,2},? \\d{4}$',
+  '^\\d{1,2} (jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]* \\d{4}$'
+].join('|'), 'i');
+const CURRENCY = '(?:[$€£¥₹]|(?:USD|EUR|GBP|CAD|AUD|JPY|CHF|INR)\\b)';
+const PRICE_LIKE = new RegExp(`^${CURRENCY}\\s?\\d[\\d,.\\s]*$|^\\d[\\d,.\\s]*\\s?${CURRENCY}$`, 'i');
+// Needs a separator or a leading +; bare digit runs are integers
+const PHONE_LIKE = /^\+?[\d\s().-]{7,20}$/;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Flatten scraped_data.data values into sample records: an array holds one record per
+ * element, an object is a record itself.
+ * @param {Array<any>} rows - scraped_data.data values
+ */
+function expandSamples(rows) {
+  return rows.flatMap(data => (Array.isArray(data) ? data : [data]))
+    .filter(record => record && typeof record === 'object' && !Array.isArray(record));
+}
+
+function createStats() {
+  return {
+    count: 0,
+    nulls: 0,
+    objects: 0,
+    /** @type {Record<string, number>} */
+    kinds: {},
+    /** @type {Map<string, number>} */
+    values: new Map(),
+    min: undefined,
+    max: undefined,
+    hasTime: false,
+    /** @type {Map<string, any>|null} */
+    properties: null,
+    items: null
+  };
+}
+
+class SchemaInferrer {
+  /**
+   * @param {import('./data-processor').DataProcessor} dataProcessor - its validators and normalizers classify values
+   * @param {InferenceOptions} [options]
+   */
+  constructor(dataProcessor, options = {}) {
+    this.processor = dataProcessor;
+    this.minConfidence = options.minConfidence ?? 0.9;
+    this.maxEnumValues = options.maxEnumValues ?? 10;
+  }
+
+  validates(type, value) {
+    const validator = this.processor.validators.get(type);
+    return Boolean(validator) && validator(value, {});
+  }
+
+  /**
+   * @param {any} value - a non-empty scalar
+   * @returns {{ kind: ValueKind, comparable?: number|string }}
+   */
+  classify(value) {
+    if (typeof value === 'boolean') return { kind: 'boolean' };
+    if (typeof value === 'number') return { kind: Number.isInteger(value) ? 'integer' : 'number', comparable: value };
+
+    const text = String(value).trim();
+    if (/^(true|false)$/i.test(text)) return { kind: 'boolean' };
+    if (NUMERIC.test(text)) return { kind: text.includes('.') ? 'number' : 'integer', comparable: Number(text) };
+    if (this.validates('email', text)) return { kind: 'email' };
+    if (/^https?:\/\//i.test(text) && this.validates('url', text)) return { kind: 'url' };
+
+    if (PRICE_LIKE.test(text)) {
+      const price = this.processor.normalizePrice(text);
+      if (this.validates('price', price)) return { kind: 'price', comparable: price };
+    }
+    if (DATE_LIKE.test(text)) {
+      try {
+        const date = this.processor.normalizeDate(text);
+        if (this.validates('date', date)) return { kind: 'date', comparable: date };
+      } catch {
+        // Not a date after all
+      }
+    }
+    if (PHONE_LIKE.test(text) && /[\s().+-]/.test(text)) {
+      const digits = text.replace(/\D/g, '').length;
+      if (digits >= 7 && digits <= 15 && this.validates('phone', text)) return { kind: 'phone' };
+    }
+    return { kind: 'string' };
+  }
+
+  observe(stats, value) {
+    stats.count++;
+    if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+      stats.nulls++;
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      stats.kinds.array = (stats.kinds.array || 0) + 1;
+      stats.items = stats.items || createStats();
+      value.forEach(item => this.observe(stats.items, item));
+      return;
+    }
+    if (typeof value === 'object') {
+      stats.kinds.object = (stats.kinds.object || 0) + 1;
+      stats.objects++;
+      stats.properties = stats.properties || new Map();
+      for (const [key, child] of Object.entries(value)) {
+        if (!stats.properties.has(key)) stats.properties.set(key, createStats());
+        this.observe(stats.properties.get(key), child);
+      }
+      return;
+    }
+
+    const { kind, comparable } = this.classify(value);
+    stats.kinds[kind] = (stats.kinds[kind] || 0) + 1;
+    if (comparable !== undefined) {
+      if (stats.min === undefined || comparable < stats.min) stats.min = comparable;
+      if (stats.max === undefined || comparable > stats.max) stats.max = comparable;
+    }
+    if (kind === 'date' && /\d:\d/.test(String(value))) stats.hasTime = true;
+    // Only as many distinct strings as an enum could hold
+    if (kind === 'string' && (stats.values.size <= this.maxEnumValues || stats.values.has(String(value).trim()))) {
+      const text = String(value).trim();
+      stats.values.set(text, (stats.values.get(text) || 0) + 1);
+    }
+  }
+
+  /**
+   * @returns {{ kind: ValueKind|'mixed'|'empty', confidence: number }}
+   */
+  dominantKind(stats) {
+    const nonEmpty = stats.count - stats.nulls;
+    if (nonEmpty === 0) return { kind: 'empty', confidence: 1 };
+
+    const kinds = { ...stats.kinds };
+    // Whole and fractional numbers are one column
+    if (kinds.integer && kinds.number) {
+      kinds.number += kinds.integer;
+      delete kinds.integer;
+    }
+    const [kind, count] = Object.entries(kinds).sort((a, b) => b[1] - a[1])[0];
+    const confidence = Math.round(count / nonEmpty * 100) / 100;
+    if (confidence >= this.minConfidence) return { kind: /** @type {ValueKind} */ (kind), confidence };
+
+    // Scalars that disagree still fit a string; structures do not
+    const scalarOnly = !kinds.object && !kinds.array;
+    return { kind: scalarOnly ? 'string' : 'mixed', confidence };
+  }
+
+  /**
+   * @param {ReturnType<typeof createStats>} stats
+   * @param {string} path
+   * @param {number} parentCount - objects the field could have appeared in
+   * @param {InferredField[]} fields - report, filled in depth first
+   */
+  toSchema(stats, path, parentCount, fields) {
+    const { kind, confidence } = this.dominantKind(stats);
+    /** @type {InferredField} */
+    const field = {
+      path,
+      kind,
+      confidence,
+      present: parentCount > 0 ? Math.round(stats.count / parentCount * 100) / 100 : 0,
+      nulls: stats.nulls
+    };
+    if (path !== '') fields.push(field);
+
+    /** @type {Object} */
+    let schema;
+    switch (kind) {
+    case 'empty':
+    case 'mixed':
+      return {};
+    case 'object': {
+      const properties = {};
+      const required = [];
+      for (const [key, child] of stats.properties) {
+        properties[key] = this.toSchema(child, `${path}/${escapePointer(key)}`, stats.objects, fields);
+        if (child.count - child.nulls === stats.objects) required.push(key);
+      }
+      schema = { type: 'object', properties, ...(required.length > 0 && { required }) };
+      break;
+    }
+    case 'array':
+      schema = { type: 'array', items: stats.items ? this.toSchema(stats.items, `${path}/items`, stats.items.count, fields) : {} };
+      break;
+    case 'price':
+      schema = { type: 'number', 'x-normalize': 'price' };
+      break;
+    case 'date':
+      schema = { type: 'string', format: stats.hasTime ? 'date-time' : 'date' };
+      break;
+    case 'email':
+      schema = { type: 'string', format: 'email' };
+      break;
+    case 'url':
+      schema = { type: 'string', format: 'uri' };
+      break;
+    case 'phone':
+      schema = { type: 'string', 'x-normalize': 'phone' };
+      break;
+    case 'string': {
+      schema = { type: 'string' };
+      const distinct = stats.values.size;
+      // Few values, each seen more than once on average: a category rather than free text
+      if (confidence === 1 && distinct > 0 && distinct <= this.maxEnumValues && stats.count - stats.nulls >= distinct * 2) {
+        field.enum = [...stats.values.keys()].sort();
+        schema.enum = field.enum;
+      }
+      break;
+    }
+    default:
+      schema = { type: kind };
+    }
+
+    if (['integer', 'number', 'price', 'date'].includes(kind) && stats.min !== undefined) {
+      field.min = stats.min;
+      field.max = stats.max;
+    }
+    if (stats.nulls > 0 && schema.type) {
+      schema.type = [schema.type, 'null'];
+      if (schema.enum) schema.enum = [...schema.enum, null];
+    }
+    return schema;
+  }
+
+  /**
+   * @param {Array<Object>} samples - records, e.g. from expandSamples
+   * @returns {{ schema: Object, fields: InferredField[], sampleCount: number }}
+   */
+  infer(samples) {
+    const root = createStats();
+    samples.forEach(sample => this.observe(root, sample));
+
+    const fields = [];
+    const schema = root.objects > 0 ? this.toSchema(root, '', samples.length, fields) : { type: 'object' };
+    return { schema: { $schema: DRAFT_2020_12, ...schema }, fields, sampleCount: samples.length };
+  }
+}
+
+module.exports = { SchemaInferrer, expandSamples };
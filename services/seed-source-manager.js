@@ -0,0 +1,373 @@
+// APL AI Scraper 2.0 - Sitemap and RSS/Atom seed sources
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+
+/**
+ * @typedef {Object} SeedEntry
+ * @property {string} url
+ * @property {string|null} lastmod - ISO timestamp when the source provides one
+ */
+
+/**
+ * @typedef {Object} SeedFilters
+ * @property {string} [since] - only entries with lastmod at or after this date
+ * @property {string[]} [include] - regex sources; an entry URL must match one (when non-empty)
+ * @property {string[]} [exclude] - regex sources; entries matching any are dropped
+ * @property {number} [limit] - cap on entries scheduled per run
+ */
+
+/**
+ * @typedef {Object} SeedSource
+ * @property {string} id
+ * @property {string} project_id
+ * @property {string} template_id
+ * @property {'sitemap'|'feed'|'auto'} type
+ * @property {string} url
+ * @property {SeedFilters} [filters]
+ * @property {Object} [options] - JobOptions forwarded to DistributedOrchestrator.scheduleJob
+ */
+
+const SEED_SOURCE_TYPES = ['sitemap', 'feed', 'auto'];
+const MAX_SITEMAPS = 50;
+// URLs per lookup of stored entries; keeps the `in` filter well inside URL length limits
+const KNOWN_ENTRY_CHUNK = 100;
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(String(value).trim());
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Reads sitemaps (including sitemap indexes and gzipped files) and RSS/Atom feeds,
+ * and schedules the URLs they list against a template. Every scheduled URL is
+ * remembered in `seed_source_entries` with its lastmod so later runs only schedule
+ * entries that are new or whose lastmod moved forward.
+ */
+class SeedSourceManager {
+  constructor(supabase, orchestrator, scraperTemplate) {
+    this.supabase = supabase;
+    this.orchestrator = orchestrator;
+    this.scraperTemplate = scraperTemplate;
+  }
+
+  /**
+   * Download a source document, transparently gunzipping *.gz sitemaps.
+   * @param {string} url
+   * @returns {Promise<string>}
+   */
+  async fetchDocument(url) {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': 'APL-AI-Scraper/2.0 (+seed-ingestion)' },
+      signal: AbortSignal.timeout(30000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    // Gzip magic bytes; servers often send .xml.gz as application/octet-stream
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return zlib.gunzipSync(buffer).toString('utf8');
+    }
+    return buffer.toString('utf8');
+  }
+
+  /**
+   * Identify the document type from its root element.
+   * @param {string} xml
+   * @returns {'urlset'|'sitemapindex'|'rss'|'atom'|null}
+   */
+  detectDocumentType(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    if ($('urlset').length) return 'urlset';
+    if ($('sitemapindex').length) return 'sitemapindex';
+    if ($('rss').length || $('rdf\\:RDF').length) return 'rss';
+    if ($('feed').length) return 'atom';
+    return null;
+  }
+
+  /**
+   * @param {string} xml
+   * @returns {{ type: 'urlset'|'sitemapindex', entries: SeedEntry[] }}
+   */
+  parseSitemap(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const isIndex = $('sitemapindex').length > 0;
+    const entries = [];
+
+    $(isIndex ? 'sitemapindex > sitemap' : 'urlset > url').each((_, element) => {
+      const url = $(element).children('loc').first().text().trim();
+      if (url) {
+        entries.push({ url, lastmod: toIsoDate($(element).children('lastmod').first().text()) });
+      }
+    });
+
+    return { type: isIndex ? 'sitemapindex' : 'urlset', entries };
+  }
+
+  /**
+   * Parse RSS 2.0, RSS 1.0 (RDF) and Atom feeds.
+   * @param {string} xml
+   * @returns {SeedEntry[]}
+   */
+  parseFeed(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const entries = [];
+
+    $('item').each((_, element) => {
+      const item = $(element);
+      const url = item.children('link').first().text().trim() || item.attr('rdf:about');
+      const lastmod = item.children('pubDate').first().text() || item.children('dc\\:date').first().text();
+      if (url) entries.push({ url, lastmod: toIsoDate(lastmod) });
+    });
+
+    $('feed > entry').each((_, element) => {
+      const entry = $(element);
+      const links = entry.children('link');
+      const alternate = links.filter((__, link) => !$(link).attr('rel') || $(link).attr('rel') === 'alternate').first();
+      const url = (alternate.length ? alternate : links.first()).attr('href');
+      const lastmod = entry.children('updated').first().text() || entry.children('published').first().text();
+      if (url) entries.push({ url: url.trim(), lastmod: toIsoDate(lastmod) });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Fetch and parse a source URL, following sitemap indexes.
+   * @param {string} url
+   * @param {'sitemap'|'feed'|'auto'} [type]
+   * @param {SeedFilters} [filters] - `since` is also used to skip child sitemaps that have not changed
+   * @returns {Promise<SeedEntry[]>}
+   */
+  async fetchEntries(url, type = 'auto', filters = {}) {
+    const pending = [url];
+    const visited = new Set();
+    const entries = [];
+
+    while (pending.length > 0 && visited.size < MAX_SITEMAPS) {
+      const documentUrl = pending.shift();
+      if (visited.has(documentUrl)) continue;
+      visited.add(documentUrl);
+
+      const xml = await this.fetchDocument(documentUrl);
+      const documentType = this.detectDocumentType(xml);
+
+      if (documentType === 'rss' || documentType === 'atom') {
+        if (type === 'sitemap') throw new Error(`Expected a sitemap but ${documentUrl} is a feed`);
+        entries.push(...this.parseFeed(xml));
+      } else if (documentType === 'urlset' || documentType === 'sitemapindex') {
+        if (type === 'feed') throw new Error(`Expected a feed but ${documentUrl} is a sitemap`);
+        const parsed = this.parseSitemap(xml);
+        if (parsed.type === 'sitemapindex') {
+          pending.push(...parsed.entries
+            .filter(entry => !filters.since || !entry.lastmod || entry.lastmod >= toIsoDate(filters.since))
+            .map(entry => entry.url));
+        } else {
+          entries.push(...parsed.entries);
+        }
+      } else {
+        throw new Error(`Unrecognized sitemap or feed document: ${documentUrl}`);
+      }
+    }
+
+    if (pending.length > 0) {
+      console.warn(`Seed source ${url}: stopped after ${MAX_SITEMAPS} sitemaps, ${pending.length} not read`);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Apply lastmod and URL pattern filters, dropping duplicate URLs.
+   * @param {SeedEntry[]} entries
+   * @param {SeedFilters} [filters]
+   * @returns {SeedEntry[]}
+   */
+  filterEntries(entries, filters = {}) {
+    const since = toIsoDate(filters.since);
+    const include = (filters.include || []).map(pattern => new RegExp(pattern));
+    const exclude = (filters.exclude || []).map(pattern => new RegExp(pattern));
+    const seen = new Set();
+
+    return entries.filter((entry) => {
+      if (seen.has(entry.url)) return false;
+      seen.add(entry.url);
+      if (since && entry.lastmod && entry.lastmod < since) return false;
+      if (include.length > 0 && !include.some(pattern => pattern.test(entry.url))) return false;
+      return !exclude.some(pattern => pattern.test(entry.url));
+    });
+  }
+
+  /**
+   * Keep entries never scheduled before, or whose lastmod is newer than when they were scheduled.
+   * @param {SeedEntry[]} entries
+   * @param {Map<string, string|null>} known - url -> lastmod recorded at the last scheduling
+   * @returns {SeedEntry[]}
+   */
+  selectNewOrChanged(entries, known) {
+    return entries.filter((entry) => {
+      if (!known.has(entry.url)) return true;
+      const previous = known.get(entry.url);
+      // As instants: PostgREST returns timestamptz as +00:00, parsed lastmods end in .000Z
+      return Boolean(entry.lastmod && (!previous || Date.parse(entry.lastmod) > Date.parse(previous)));
+    });
+  }
+
+  /**
+   * @param {Partial<SeedSource>} source
+   */
+  async createSource(source) {
+    const type = source.type || 'auto';
+    if (!SEED_SOURCE_TYPES.includes(type)) {
+      throw new Error(`Unknown seed source type: ${type}`);
+    }
+
+    const { data, error } = await this.supabase
+      .from('seed_sources')
+      .insert([{
+        project_id: source.project_id,
+        template_id: source.template_id,
+        type,
+        url: source.url,
+        filters: source.filters || {},
+        options: source.options || {}
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getSource(sourceId) {
+    const { data, error } = await this.supabase
+      .from('seed_sources')
+      .select('*')
+      .eq('id', sourceId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async listSources(projectId) {
+    let query = this.supabase
+      .from('seed_sources')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (projectId) {
+      query = query.eq('project_id', projectId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Fetch a source without scheduling anything.
+   * @param {string} url
+   * @param {'sitemap'|'feed'|'auto'} [type]
+   * @param {SeedFilters} [filters]
+   */
+  async previewSource(url, type = 'auto', filters = {}) {
+    const entries = await this.fetchEntries(url, type, filters);
+    const matched = this.filterEntries(entries, filters);
+    return {
+      discovered: entries.length,
+      matched: matched.length,
+      entries: filters.limit ? matched.slice(0, filters.limit) : matched
+    };
+  }
+
+  /**
+   * Stored lastmods of the given URLs. Looked up in chunks rather than reading every entry
+   * of the source, which PostgREST would cut off at its row limit on large sitemaps.
+   * @param {string} sourceId
+   * @param {string[]} urls
+   * @returns {Promise<Map<string, string|null>>}
+   */
+  async getKnownEntries(sourceId, urls) {
+    const known = new Map();
+
+    for (let start = 0; start < urls.length; start += KNOWN_ENTRY_CHUNK) {
+      const { data, error } = await this.supabase
+        .from('seed_source_entries')
+        .select('url, lastmod')
+        .eq('source_id', sourceId)
+        .in('url', urls.slice(start, start + KNOWN_ENTRY_CHUNK));
+
+      if (error) throw error;
+      (data || []).forEach(row => known.set(row.url, row.lastmod));
+    }
+
+    return known;
+  }
+
+  /**
+   * Fetch the source and schedule new or changed entries against its template.
+   * @param {string} sourceId
+   */
+  async runSource(sourceId) {
+    const source = await this.getSource(sourceId);
+    if (!source) throw new Error('Seed source not found');
+
+    const template = await this.scraperTemplate.getTemplate(source.template_id);
+    if (!template) throw new Error('Template not found');
+
+    const filters = source.filters || {};
+    const entries = await this.fetchEntries(source.url, source.type, filters);
+    const matched = this.filterEntries(entries, filters);
+
+    const known = await this.getKnownEntries(source.id, matched.map(entry => entry.url));
+    let selected = this.selectNewOrChanged(matched, known);
+    if (filters.limit) {
+      selected = selected.slice(0, filters.limit);
+    }
+
+    let batchId = null;
+    if (selected.length > 0) {
+      if (!this.orchestrator.isInitialized) {
+        await this.orchestrator.initialize();
+      }
+
+      const result = await this.orchestrator.scheduleJob(template, selected.map(entry => entry.url), source.options || {});
+      batchId = result.batchId;
+
+      const scheduledAt = new Date().toISOString();
+      const { error: upsertError } = await this.supabase
+        .from('seed_source_entries')
+        .upsert(selected.map(entry => ({
+          source_id: source.id,
+          url: entry.url,
+          lastmod: entry.lastmod,
+          batch_id: batchId,
+          last_scheduled_at: scheduledAt
+        })), { onConflict: 'source_id,url' });
+
+      if (upsertError) throw upsertError;
+    }
+
+    const stats = {
+      discovered: entries.length,
+      matched: matched.length,
+      scheduled: selected.length,
+      skipped: matched.length - selected.length,
+      batchId
+    };
+
+    await this.supabase
+      .from('seed_sources')
+      .update({ last_run_at: new Date().toISOString(), last_run_stats: stats })
+      .eq('id', source.id);
+
+    console.log(`ðŸ“… Seed source ${source.id}: scheduled ${stats.scheduled} of ${stats.matched} matching entries`);
+    return stats;
+  }
+}
+
+module.exports = { SeedSourceManager, SEED_SOURCE_TYPES };
@@ -0,0 +1,314 @@
+// APL AI Scraper 2.0 - Stored login flows and encrypted session reuse
+const { compileUrlPattern } = require('../scrapers/network-capture');
+
+/**
+ * @typedef {Object} PageCheck
+ * @property {string} [selector] - an element that is visible only in this state
+ * @property {string} [urlMatches] - substring, glob or `/regex/` (see compileUrlPattern)
+ * @property {string} [textMatches] - regex source tested against the body text
+ */
+
+/**
+ * @typedef {Object} LoginFlow
+ * @property {string} url - login page
+ * @property {string|{ service: string }} credential - CredentialManager service name; always
+ *   read from the template's project owner, so a template cannot name another user's credentials
+ * @property {string} usernameSelector
+ * @property {string} passwordSelector
+ * @property {string} [submitSelector] - pressing Enter in the password field when omitted
+ * @property {PageCheck} success - how to recognise a logged-in page after submitting
+ * @property {PageCheck} [expired] - how to recognise a page served to a logged-out visitor;
+ *   landing back on the login URL always counts
+ * @property {number} [sessionTtlMinutes] - drop stored sessions older than this
+ * @property {number} [timeout]
+ */
+
+/**
+ * @typedef {Object} StorageState - Playwright BrowserContext.storageState() result
+ * @property {Object[]} cookies
+ * @property {{ origin: string, localStorage: { name: string, value: string }[] }[]} origins
+ */
+
+/**
+ * Runs template login flows and keeps the resulting storage state (cookies and
+ * localStorage) encrypted in `template_sessions`, so jobs for the same template
+ * share one session instead of logging in every time.
+ */
+class SessionManager {
+  /**
+   * @param {any} supabase
+   * @param {import('./auth/credential-manager').CredentialManager} credentialManager
+   * @param {import('./auth/encryption-service').EncryptionService} encryptionService
+   */
+  constructor(supabase, credentialManager, encryptionService) {
+    this.supabase = supabase;
+    this.credentialManager = credentialManager;
+    this.encryptionService = encryptionService;
+    // One login per template at a time; concurrent jobs wait for the running one
+    this.pendingLogins = new Map();
+  }
+
+  /**
+   * @param {LoginFlow} login
+   */
+  validateLoginFlow(login) {
+    if (!login || typeof login !== 'object') throw new Error('Login flow must be an object');
+    for (const field of ['url', 'credential', 'usernameSelector', 'passwordSelector']) {
+      if (!login[field]) throw new Error(`Login flow requires ${field}`);
+    }
+    const success = login.success || {};
+    if (!success.selector && !success.urlMatches && !success.textMatches) {
+      throw new Error('Login flow requires a success check (selector, urlMatches or textMatches)');
+    }
+  }
+
+  /**
+   * Decrypt the stored session for a template, or null when there is none or it expired.
+   * @param {string} templateId
+   * @returns {Promise<StorageState|null>}
+   */
+  async loadSession(templateId) {
+    const { data, error } = await this.supabase
+      .from('template_sessions')
+      .select('*')
+      .eq('template_id', templateId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data || !data.storage_state) return null;
+
+    if (data.expires_at && new Date(data.expires_at).getTime() <= Date.now()) {
+      await this.invalidateSession(templateId, 'ttl_expired');
+      return null;
+    }
+
+    try {
+      const state = await this.encryptionService.decryptData(data.storage_state);
+      await this.supabase
+        .from('template_sessions')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('template_id', templateId);
+      return state;
+    } catch (error) {
+      // Rotated key or corrupted row: a fresh login is cheaper than failing the job
+      console.warn(`Stored session for template ${templateId} could not be decrypted:`, error.message);
+      await this.invalidateSession(templateId, 'decrypt_failed');
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} templateId
+   * @param {StorageState} state
+   * @param {LoginFlow} login
+   */
+  async saveSession(templateId, state, login) {
+    const encrypted = await this.encryptionService.encryptData(state);
+    const now = new Date();
+    const { error } = await this.supabase
+      .from('template_sessions')
+      .upsert([{
+        template_id: templateId,
+        storage_state: encrypted,
+        logged_in_at: now.toISOString(),
+        last_used_at: now.toISOString(),
+        expires_at: login.sessionTtlMinutes
+          ? new Date(now.getTime() + login.sessionTtlMinutes * 60 * 1000).toISOString()
+          : null,
+        invalidated_reason: null
+      }], { onConflict: 'template_id' });
+
+    if (error) throw error;
+  }
+
+  /**
+   * @param {string} templateId
+   * @param {string} reason
+   */
+  async invalidateSession(templateId, reason) {
+    const { error } = await this.supabase
+      .from('template_sessions')
+      .update({ storage_state: null, invalidated_reason: reason, expires_at: null })
+      .eq('template_id', templateId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Session bookkeeping for the API; never includes the storage state itself.
+   * @param {string} templateId
+   */
+  async getSessionStatus(templateId) {
+    const { data, error } = await this.supabase
+      .from('template_sessions')
+      .select('template_id, logged_in_at, last_used_at, expires_at, invalidated_reason, storage_state')
+      .eq('template_id', templateId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data) return { template_id: templateId, active: false };
+
+    const { storage_state: storageState, ...status } = data;
+    const expired = Boolean(data.expires_at) && new Date(data.expires_at).getTime() <= Date.now();
+    return { ...status, active: Boolean(storageState) && !expired };
+  }
+
+  /**
+   * @param {string} templateId
+   * @param {LoginFlow} login
+   * @returns {Promise<{ username: string, password: string }>}
+   */
+  async resolveCredentials(templateId, login) {
+    const reference = typeof login.credential === 'string' ? { service: login.credential } : login.credential;
+    // Any userId in the template config is ignored: the author controls login.url
+    const { data: template, error } = await this.supabase
+      .from('scraper_templates')
+      .select('project_id, projects(user_id)')
+      .eq('id', templateId)
+      .single();
+    if (error) throw error;
+
+    const userId = template?.projects?.user_id;
+    if (!userId) throw new Error(`No credential owner for template ${templateId}`);
+
+    const credentials = await this.credentialManager.getCredentials(userId, reference.service);
+    if (!credentials || !credentials.username || !credentials.password) {
+      throw new Error(`No username/password credentials stored for service ${reference.service}`);
+    }
+    return credentials;
+  }
+
+  /**
+   * Put a stored session into a context that is already open (pooled contexts
+   * cannot be created with a storageState option after the fact).
+   * @param {any} context - Playwright BrowserContext
+   * @param {StorageState} state
+   */
+  async applySession(context, state) {
+    if (state.cookies && state.cookies.length > 0) {
+      await context.addCookies(state.cookies);
+    }
+    const origins = (state.origins || []).filter(origin => origin.localStorage && origin.localStorage.length > 0);
+    if (origins.length > 0) {
+      await context.addInitScript((entries) => {
+        const current = entries.find(entry => entry.origin === window.location.origin);
+        if (!current) return;
+        for (const item of current.localStorage) {
+          window.localStorage.setItem(item.name, item.value);
+        }
+      }, origins);
+    }
+  }
+
+  /**
+   * Run the login flow on `page` and store the resulting session. Concurrent callers
+   * for the same template share the first caller's login and get its state applied.
+   * @param {any} page - Playwright Page
+   * @param {string} templateId
+   * @param {LoginFlow} login
+   * @returns {Promise<StorageState>}
+   */
+  async login(page, templateId, login) {
+    const pending = this.pendingLogins.get(templateId);
+    if (pending) {
+      const state = await pending;
+      await this.applySession(page.context(), state);
+      return state;
+    }
+
+    const attempt = this.performLogin(page, templateId, login);
+    this.pendingLogins.set(templateId, attempt);
+    try {
+      return await attempt;
+    } finally {
+      this.pendingLogins.delete(templateId);
+    }
+  }
+
+  /**
+   * @param {any} page
+   * @param {string} templateId
+   * @param {LoginFlow} login
+   * @returns {Promise<StorageState>}
+   */
+  async performLogin(page, templateId, login) {
+    this.validateLoginFlow(login);
+    const timeout = login.timeout || 30000;
+    const credentials = await this.resolveCredentials(templateId, login);
+
+    console.log(`ðŸ”‘ Logging in for template ${templateId} at ${login.url}`);
+    await page.goto(login.url, { waitUntil: 'domcontentloaded', timeout });
+    await page.fill(login.usernameSelector, credentials.username, { timeout });
+    await page.fill(login.passwordSelector, credentials.password, { timeout });
+
+    if (login.submitSelector) {
+      await page.click(login.submitSelector, { timeout });
+    } else {
+      await page.press(login.passwordSelector, 'Enter');
+    }
+    await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+
+    if (!(await this.waitForCheck(page, login.success, timeout))) {
+      throw new Error(`Login failed for template ${templateId}: success check did not match`);
+    }
+
+    const state = await page.context().storageState();
+    await this.saveSession(templateId, state, login);
+    return state;
+  }
+
+  /**
+   * Whether the page shows the logged-out state described by `login.expired`.
+   * @param {any} page
+   * @param {LoginFlow} login
+   * @returns {Promise<boolean>}
+   */
+  async isSessionExpired(page, login) {
+    const currentUrl = page.url();
+    if (currentUrl && login.url && currentUrl.split(/[?#]/)[0] === login.url.split(/[?#]/)[0]) {
+      return true;
+    }
+    const expired = login.expired || {};
+    if (!expired.selector && !expired.urlMatches && !expired.textMatches) return false;
+    return this.matchesCheck(page, expired);
+  }
+
+  /**
+   * @param {any} page
+   * @param {PageCheck} check
+   * @param {number} timeout
+   */
+  async waitForCheck(page, check, timeout) {
+    if (check.selector) {
+      try {
+        await page.waitForSelector(check.selector, { state: 'visible', timeout });
+      } catch {
+        return false;
+      }
+    }
+    return this.matchesCheck(page, check);
+  }
+
+  /**
+   * Every condition given in the check must hold.
+   * @param {any} page
+   * @param {PageCheck} check
+   * @returns {Promise<boolean>}
+   */
+  async matchesCheck(page, check) {
+    if (check.urlMatches && !compileUrlPattern(check.urlMatches)(page.url())) {
+      return false;
+    }
+    if (check.selector) {
+      const element = await page.$(check.selector).catch(() => null);
+      if (!element || !(await element.isVisible())) return false;
+    }
+    if (check.textMatches) {
+      const text = await page.textContent('body').catch(() => '');
+      if (!new RegExp(check.textMatches, 'i').test(text || '')) return false;
+    }
+    return true;
+  }
+}
+
+module.exports = { SessionManager };
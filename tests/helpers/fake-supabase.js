@@ -0,0 +1,150 @@
+// In-memory stand-in for the Supabase client in unit tests. Rows live in plain arrays per
+// table and come back whole whatever columns are selected, so embedded relations such as
+// `projects(user_id)` are seeded on the row itself. As with PostgREST, `a->>b` filters read
+// JSON fields, .single() fails with PGRST116 unless exactly one row matches, and inserting
+// an id that is already stored fails with 23505. Tables listed in `failures` answer every
+// query with that error. Database functions called through .rpc() run the matching entry
+// of `functions` against the stored tables.
+
+const NOT_SINGLE = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' };
+const DUPLICATE = { code: '23505', message: 'duplicate key value violates unique constraint' };
+const NO_FUNCTION = { code: 'PGRST202', message: 'Could not find the function in the schema cache' };
+
+/**
+ * @param {any} row
+ * @param {string} key - a column, or a path into a JSON column like `metadata->>batchId`
+ */
+function field(row, key) {
+  return key.split('->>').reduce((value, part) => value?.[part], row);
+}
+
+/**
+ * @param {Object<string, Object[]>} [tables] - seed rows by table; the arrays are used in place
+ * @param {{ failures?: Object<string, any>, functions?: Object<string, Function> }} [options]
+ */
+function createFakeSupabase(tables = {}, { failures = {}, functions = {} } = {}) {
+  let nextId = 1;
+  const rowsOf = table => (tables[table] = tables[table] || []);
+
+  return {
+    tables,
+    async rpc(name, params = {}) {
+      if (!functions[name]) return { data: null, error: NO_FUNCTION };
+      return { data: functions[name](params, tables), error: null };
+    },
+    from(table) {
+      const filters = [];
+      const sorts = [];
+      let window = [0, Infinity];
+      let action = { type: 'select' };
+
+      const filter = (test) => {
+        filters.push(test);
+        return builder;
+      };
+      const matching = () => rowsOf(table).filter(row => filters.every(test => test(row)));
+      const withId = row => ({ ...(row.id === undefined && { id: `${table}-${nextId++}` }), ...row });
+
+      const execute = () => {
+        if (failures[table]) return { data: null, error: failures[table] };
+        const rows = rowsOf(table);
+        if (action.type === 'insert') {
+          if (action.rows.some(row => row.id !== undefined && rows.some(stored => stored.id === row.id))) {
+            return { data: null, error: DUPLICATE };
+          }
+          const inserted = action.rows.map(withId);
+          rows.push(...inserted);
+          return { data: inserted, error: null };
+        }
+        if (action.type === 'upsert') {
+          const data = action.rows.map((row) => {
+            const existing = rows.find(stored => action.conflict.every(key => stored[key] === row[key]));
+            if (existing) return Object.assign(existing, row);
+            const inserted = withId(row);
+            rows.push(inserted);
+            return inserted;
+          });
+          return { data, error: null };
+        }
+        if (action.type === 'update') {
+          const data = matching();
+          data.forEach(row => Object.assign(row, action.values));
+          return { data, error: null };
+        }
+        if (action.type === 'delete') {
+          const data = matching();
+          data.forEach(row => rows.splice(rows.indexOf(row), 1));
+          return { data, error: null };
+        }
+
+        const data = matching().sort((a, b) => {
+          for (const { key, ascending } of sorts) {
+            const [left, right] = [field(a, key), field(b, key)];
+            if (left !== right) return (left < right ? -1 : 1) * (ascending ? 1 : -1);
+          }
+          return 0;
+        });
+        return { data: data.slice(window[0], window[1]), error: null };
+      };
+
+      const builder = {
+        select: () => builder,
+        insert: (rows) => {
+          action = { type: 'insert', rows: [].concat(rows) };
+          return builder;
+        },
+        upsert: (rows, options = {}) => {
+          action = { type: 'upsert', rows: [].concat(rows), conflict: (options.onConflict || 'id').split(',').map(key => key.trim()) };
+          return builder;
+        },
+        update: (values) => {
+          action = { type: 'update', values };
+          return builder;
+        },
+        delete: () => {
+          action = { type: 'delete' };
+          return builder;
+        },
+
+        eq: (key, value) => filter(row => field(row, key) === value),
+        neq: (key, value) => filter(row => field(row, key) !== value),
+        gt: (key, value) => filter(row => field(row, key) > value),
+        gte: (key, value) => filter(row => field(row, key) >= value),
+        lt: (key, value) => filter(row => field(row, key) < value),
+        lte: (key, value) => filter(row => field(row, key) <= value),
+        is: (key, value) => filter(row => (field(row, key) ?? null) === value),
+        in: (key, list) => filter(row => list.includes(field(row, key))),
+        contains: (key, list) => filter(row => list.every(item => (field(row, key) || []).includes(item))),
+        overlaps: (key, list) => filter(row => (field(row, key) || []).some(item => list.includes(item))),
+
+        order: (key, { ascending = true } = {}) => {
+          sorts.push({ key, ascending });
+          return builder;
+        },
+        limit: (count) => {
+          window = [window[0], window[0] + count];
+          return builder;
+        },
+        range: (from, to) => {
+          window = [from, to + 1];
+          return builder;
+        },
+
+        single: async () => {
+          const { data, error } = execute();
+          if (error) return { data: null, error };
+          return data.length === 1 ? { data: data[0], error: null } : { data: null, error: NOT_SINGLE };
+        },
+        maybeSingle: async () => {
+          const { data, error } = execute();
+          if (error) return { data: null, error };
+          return data.length <= 1 ? { data: data[0] || null, error: null } : { data: null, error: NOT_SINGLE };
+        },
+        then: (resolve, reject) => Promise.resolve(execute()).then(resolve, reject)
+      };
+      return builder;
+    }
+  };
+}
+
+module.exports = { createFakeSupabase };
@@ -0,0 +1,128 @@
+const { EventEmitter } = require('events');
+jest.mock('ioredis');
+
+const { BrowserPool } = require('../../services/browser-pool');
+const { DistributedOrchestrator } = require('../../services/distributed-orchestrator');
+
+// Launcher producing fake browsers that track their open contexts
+function createFakeLauncher() {
+  const browsers = [];
+  return {
+    browsers,
+    launch: jest.fn(async () => {
+      const browser = new EventEmitter();
+      browser.openContexts = 0;
+      browser.closed = false;
+      browser.newContext = jest.fn(async () => {
+        browser.openContexts++;
+        return {
+          close: async () => { browser.openContexts--; },
+          browser: () => browser,
+          newPage: async () => ({ on: () => {}, close: async () => {}, evaluate: async () => null })
+        };
+      });
+      browser.close = jest.fn(async () => {
+        browser.closed = true;
+        browser.emit('disconnected');
+      });
+      browsers.push(browser);
+      return browser;
+    })
+  };
+}
+
+describe('BrowserPool', () => {
+  let launcher;
+
+  beforeEach(() => {
+    launcher = createFakeLauncher();
+  });
+
+  test('reuses warm browsers instead of launching per context', async () => {
+    const pool = new BrowserPool({ size: 2, contextsPerBrowser: 2, launcher, memoryProbe: async () => null });
+    await pool.warmUp();
+
+    for (let i = 0; i < 5; i++) {
+      const context = await pool.acquireContext();
+      await pool.releaseContext(context);
+    }
+
+    expect(launcher.launch).toHaveBeenCalledTimes(2);
+    expect(pool.getStats()).toMatchObject({ running: 2, activeContexts: 0, totals: { contextsServed: 5 } });
+    await pool.close();
+  });
+
+  test('queues acquirers when every slot is taken', async () => {
+    const pool = new BrowserPool({ size: 1, contextsPerBrowser: 1, launcher, memoryProbe: async () => null });
+    const first = await pool.acquireContext();
+
+    let secondResolved = false;
+    const secondPromise = pool.acquireContext().then((context) => { secondResolved = true; return context; });
+    await Promise.resolve();
+    expect(secondResolved).toBe(false);
+    expect(pool.getStats()).toMatchObject({ waiting: 1, utilization: 1 });
+
+    await pool.releaseContext(first);
+    const second = await secondPromise;
+    expect(secondResolved).toBe(true);
+    await pool.releaseContext(second);
+    await pool.close();
+  });
+
+  test('times out when no slot frees up', async () => {
+    const pool = new BrowserPool({ size: 1, contextsPerBrowser: 1, acquireTimeout: 10, launcher, memoryProbe: async () => null });
+    await pool.acquireContext();
+    await expect(pool.acquireContext()).rejects.toThrow(/Timed out/);
+    await pool.close();
+  });
+
+  test('recycles a browser after its page budget once contexts are released', async () => {
+    const pool = new BrowserPool({ size: 1, contextsPerBrowser: 2, maxPagesPerBrowser: 2, launcher, memoryProbe: async () => null });
+    const a = await pool.acquireContext();
+    const b = await pool.acquireContext();
+
+    await pool.releaseContext(a);
+    await pool.releaseContext(b);
+
+    expect(launcher.browsers[0].closed).toBe(true);
+    expect(pool.getStats().totals.recycled).toBe(1);
+
+    // The next acquire runs on a replacement browser
+    const c = await pool.acquireContext();
+    expect(c.browser()).not.toBe(launcher.browsers[0]);
+    await pool.releaseContext(c);
+    await pool.close();
+  });
+
+  test('recycles a browser that crosses the memory threshold', async () => {
+    const pool = new BrowserPool({
+      size: 1,
+      maxMemoryMb: 500,
+      memoryCheckInterval: 1,
+      launcher,
+      memoryProbe: async () => 800
+    });
+
+    const context = await pool.acquireContext();
+    await pool.releaseContext(context);
+
+    expect(launcher.browsers[0].closed).toBe(true);
+    await pool.close();
+  });
+
+  test('pooled templates get their own context but not the shared browser', async () => {
+    const pool = new BrowserPool({ size: 1, launcher, memoryProbe: async () => null });
+    const orchestrator = new DistributedOrchestrator();
+    orchestrator.setBrowserPool(pool);
+    const options = { overlays: { enabled: false } };
+
+    const result = await orchestrator
+      .createScraperInstance('({ browser, context: typeof context.newPage })', options)
+      .execute('https://shop.test/', options);
+
+    expect(result.data).toEqual({ browser: null, context: 'function' });
+    expect(launcher.browsers[0].openContexts).toBe(0);
+    expect(launcher.browsers[0].closed).toBe(false);
+    await pool.close();
+  });
+});
@@ -0,0 +1,148 @@
+jest.mock('ioredis');
+
+const { CancellationRegistry, CancelledError } = require('../../services/cancellation');
+const { DistributedOrchestrator } = require('../../services/distributed-orchestrator');
+const { HttpScraper } = require('../../scrapers/http-scraper');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+// Keys and pub/sub shared by every registry created on it, like processes on one Redis
+function createFakeRedis() {
+  const store = new Map();
+  const subscribers = [];
+  const redis = {
+    store,
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    set: async (key, value) => { store.set(key, value); return 'OK'; },
+    publish: async (channel, message) => {
+      subscribers.forEach(subscriber => subscriber.deliver(channel, message));
+      return subscribers.length;
+    },
+    duplicate: () => {
+      const handlers = [];
+      const subscriber = {
+        on: (event, handler) => handlers.push(handler),
+        subscribe: async () => { subscribers.push(subscriber); },
+        quit: async () => { subscribers.splice(subscribers.indexOf(subscriber), 1); },
+        deliver: (channel, message) => handlers.forEach(handler => handler(channel, message))
+      };
+      return subscriber;
+    }
+  };
+  return redis;
+}
+
+function createOrchestrator(rows, jobs = {}) {
+  const orchestrator = new DistributedOrchestrator();
+  orchestrator.supabase = createFakeSupabase({ scraping_executions: rows });
+  const queue = { getJob: async (jobId) => jobs[jobId] || null };
+  orchestrator.queues.set('scraping', /** @type {any} */ (queue));
+  const registry = new CancellationRegistry(createFakeRedis());
+  orchestrator.setCancellationRegistry(registry);
+  return { orchestrator, registry };
+}
+
+function queueJob(state) {
+  return { getState: async () => state, remove: jest.fn(async () => {}) };
+}
+
+describe('cancellation registry', () => {
+  test('a cancel published by another process aborts the tracked scrape', async () => {
+    const redis = createFakeRedis();
+    const worker = new CancellationRegistry(redis);
+    const api = new CancellationRegistry(redis);
+    await worker.subscribe();
+
+    const { signal, release } = await worker.track('execution:1');
+    const other = await worker.track('execution:2');
+    expect(signal.aborted).toBe(false);
+
+    await api.cancel('execution:1', 'Stopped from the dashboard');
+
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason).toBeInstanceOf(CancelledError);
+    expect(signal.reason.message).toBe('Stopped from the dashboard');
+    expect(other.signal.aborted).toBe(false);
+
+    release();
+    other.release();
+    expect(worker.controllers.size).toBe(0);
+    await worker.close();
+  });
+
+  test('a scrape picked up after its cancel starts out aborted', async () => {
+    const redis = createFakeRedis();
+    await new CancellationRegistry(redis).cancel('job:7');
+
+    const { signal } = await new CancellationRegistry(redis).track('job:7');
+
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.message).toBe('Cancelled by user');
+  });
+
+  test('the HTTP engine stops fetching and reports the scrape as cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort(new CancelledError('job:1', 'Cancelled by user'));
+    const scraper = new HttpScraper({ signal: controller.signal });
+
+    const result = await scraper.scrape({ url: 'http://127.0.0.1:9/never-fetched' });
+
+    expect(result).toEqual({ success: false, cancelled: true, error: 'Cancelled by user' });
+  });
+});
+
+describe('orchestrator cancellation', () => {
+  const metadata = (jobId) => ({ batchId: 'batch_1', queueName: 'scraping', jobId });
+
+  test('removes queued jobs and signals running ones for a whole batch', async () => {
+    const waiting = queueJob('delayed');
+    const running = queueJob('active');
+    const rows = [
+      { id: 'exec-1', status: 'queued', execution_metadata: metadata('job-1') },
+      { id: 'exec-2', status: 'running', execution_metadata: metadata('job-2') },
+      { id: 'exec-3', status: 'completed', execution_metadata: metadata('job-3') },
+      { id: 'exec-4', status: 'queued', execution_metadata: { ...metadata('job-4'), batchId: 'batch_2' } }
+    ];
+    const { orchestrator, registry } = createOrchestrator(rows, { 'job-1': waiting, 'job-2': running });
+    const { signal } = await registry.track('execution:exec-2');
+
+    const result = await orchestrator.cancelBatch('batch_1');
+
+    expect(result).toMatchObject({ batchId: 'batch_1', cancelled: 1, cancelling: 1 });
+    expect(waiting.remove).toHaveBeenCalled();
+    expect(running.remove).not.toHaveBeenCalled();
+    expect(signal.aborted).toBe(true);
+    expect(rows.map(row => row.status)).toEqual(['cancelled', 'running', 'completed', 'queued']);
+    expect(rows[0].execution_metadata).toMatchObject({ batchId: 'batch_1', jobId: 'job-1', cancelReason: 'Batch cancelled by user' });
+  });
+
+  test('a worker that picks up a cancelled execution stops without retrying', async () => {
+    const rows = [{ id: 'exec-1', status: 'queued', execution_metadata: metadata('job-1') }];
+    const { orchestrator, registry } = createOrchestrator(rows);
+    await registry.cancel('execution:exec-1', 'No longer needed');
+    const job = {
+      id: 'job-1',
+      name: 'scrape-url',
+      queueName: 'scraping',
+      data: { executionId: 'exec-1', batchId: 'batch_1', url: 'https://shop.test/a', options: {}, templateConfig: {} },
+      updateProgress: jest.fn(async () => {})
+    };
+
+    const result = await orchestrator.processScrapingJob(job);
+
+    expect(result).toMatchObject({ success: false, cancelled: true, error: 'No longer needed' });
+    expect(result.metadata.executionId).toBeUndefined();
+    expect(job.updateProgress).not.toHaveBeenCalled();
+    expect(rows[0]).toMatchObject({
+      status: 'cancelled',
+      execution_metadata: { batchId: 'batch_1', jobId: 'job-1', cancelReason: 'No longer needed' }
+    });
+    expect(registry.controllers.size).toBe(0);
+  });
+
+  test('reports executions that already finished and unknown ids', async () => {
+    const { orchestrator } = createOrchestrator([{ id: 'exec-1', status: 'failed', execution_metadata: metadata('job-1') }]);
+
+    expect(await orchestrator.cancelExecution('exec-1')).toEqual({ executionId: 'exec-1', status: 'failed' });
+    expect(await orchestrator.cancelExecution('missing')).toBeNull();
+  });
+});
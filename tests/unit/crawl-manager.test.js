@@ -0,0 +1,207 @@
+const { CrawlManager } = require('../../services/crawl-manager');
+const { normalizeUrl, isWithinScope } = require('../../utils/url-normalizer');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+// In-memory subset of the ioredis API used by CrawlManager
+function createFakeRedis() {
+  const store = new Map();
+  const ttls = new Map();
+  return {
+    ttls,
+    get: async (k) => (store.has(k) ? String(store.get(k)) : null),
+    set: async (k, v) => { store.set(k, v); return 'OK'; },
+    del: async (...ks) => ks.filter(k => store.delete(k)).length,
+    expire: async (k, seconds) => { ttls.set(k, seconds); return store.has(k) ? 1 : 0; },
+    incr: async (k) => { store.set(k, (Number(store.get(k)) || 0) + 1); return store.get(k); },
+    decr: async (k) => { store.set(k, (Number(store.get(k)) || 0) - 1); return store.get(k); },
+    decrby: async (k, n) => { store.set(k, (Number(store.get(k)) || 0) - n); return store.get(k); },
+    sadd: async (k, v) => {
+      const set = store.get(k) || new Set();
+      store.set(k, set);
+      if (set.has(v)) return 0;
+      set.add(v);
+      return 1;
+    },
+    scard: async (k) => (store.get(k) ? store.get(k).size : 0),
+    rpush: async (k, ...values) => { const list = store.get(k) || []; list.push(...values); store.set(k, list); return list.length; },
+    lrange: async (k) => store.get(k) || [],
+    llen: async (k) => (store.get(k) ? store.get(k).length : 0)
+  };
+}
+
+describe('url normalizer', () => {
+  test('canonicalizes equivalent URLs', () => {
+    expect(normalizeUrl('HTTPS://Example.com:443/shop/?utm_source=x&b=2&a=1#top'))
+      .toBe('https://example.com/shop?a=1&b=2');
+    expect(normalizeUrl('/about', 'https://example.com/shop/')).toBe('https://example.com/about');
+    expect(normalizeUrl('mailto:someone@example.com')).toBeNull();
+  });
+
+  test('checks scope against the seed', () => {
+    // The seed as a crawl stores it for scope checks, not a hand-written one
+    const settings = new CrawlManager(null, { connection: null }).buildSettings(['https://www.example.com/blog/?utm_source=x']);
+    const [seed] = settings.scopeSeeds;
+    expect(settings.seeds).toEqual(['https://www.example.com/blog']);
+    expect(isWithinScope('https://shop.example.com/', seed, 'domain')).toBe(true);
+    expect(isWithinScope('https://shop.example.com/', seed, 'host')).toBe(false);
+    expect(isWithinScope('https://www.example.com/blog/post-1', seed, 'path')).toBe(true);
+    expect(isWithinScope('https://www.example.com/about', seed, 'path')).toBe(false);
+    expect(isWithinScope('https://www.example.com/blogroll', seed, 'path')).toBe(false);
+    expect(isWithinScope('https://www.example.com/blog', seed, 'path')).toBe(true);
+    expect(new CrawlManager(null, { connection: null }).filterLinks(
+      ['/blog/post-2', '/docs/x', 'https://www.example.com/blog'],
+      'https://www.example.com/blog/post-1',
+      { ...settings, scope: 'path' }
+    )).toEqual(['https://www.example.com/blog/post-2', 'https://www.example.com/blog']);
+    expect(isWithinScope('https://other.org/', seed, 'domain')).toBe(false);
+  });
+});
+
+describe('CrawlManager', () => {
+  let redis;
+  let supabase;
+  let jobQueue;
+  let crawlManager;
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    supabase = createFakeSupabase();
+    jobQueue = {
+      connection: redis,
+      addBulkJobs: jest.fn().mockResolvedValue(undefined),
+      removeQueuedChildren: jest.fn().mockResolvedValue([]),
+      cancelActiveChildren: jest.fn().mockResolvedValue(0)
+    };
+    crawlManager = new CrawlManager(supabase, jobQueue);
+  });
+
+  test('startCrawl creates a parent job and enqueues seeds as child jobs', async () => {
+    const crawl = await crawlManager.startCrawl({
+      project_id: 'p1',
+      seeds: ['https://example.com/', 'https://example.com/#dup'],
+      crawl: { maxDepth: 1, maxPages: 10 }
+    });
+
+    expect(crawl.config.mode).toBe('crawl');
+    expect(jobQueue.addBulkJobs).toHaveBeenCalledWith([
+      expect.objectContaining({ parentJobId: crawl.id, depth: 0 })
+    ]);
+    const status = await crawlManager.getCrawlStatus(crawl.id);
+    expect(status.pages).toEqual({ discovered: 1, scheduled: 1, finished: 0, pending: 0 });
+  });
+
+  test('follows in-scope links, dedupes, applies patterns and the page budget', async () => {
+    const crawl = await crawlManager.startCrawl({
+      project_id: 'p1',
+      seeds: ['https://example.com/'],
+      crawl: { maxDepth: 2, maxPages: 3, exclude: ['/logout'] }
+    });
+    jobQueue.addBulkJobs.mockClear();
+
+    await crawlManager.handlePageResult(crawl.id, { url: 'https://example.com/', depth: 0 }, {
+      links: [
+        '/a', '/a#section', '/b', '/c', '/logout', 'https://elsewhere.org/x'
+      ]
+    });
+
+    // /a and /b fit in the 3-page budget; /c is dropped, /logout excluded, elsewhere.org out of scope
+    const enqueued = jobQueue.addBulkJobs.mock.calls[0][0];
+    expect(enqueued).toHaveLength(2);
+    const childUrls = supabase.tables.scraping_jobs.filter(row => row.parent_job_id === crawl.id).map(row => row.url);
+    expect(childUrls).toEqual(['https://example.com/', 'https://example.com/a', 'https://example.com/b']);
+  });
+
+  test('holds discovered links while paused and enqueues them on resume', async () => {
+    const crawl = await crawlManager.startCrawl({
+      project_id: 'p1',
+      seeds: ['https://example.com/'],
+      crawl: { maxDepth: 1 }
+    });
+    jobQueue.addBulkJobs.mockClear();
+
+    await crawlManager.pauseCrawl(crawl.id);
+    await crawlManager.handlePageResult(crawl.id, { url: 'https://example.com/', depth: 0 }, { links: ['/next'] });
+    expect(jobQueue.addBulkJobs).not.toHaveBeenCalled();
+    expect((await crawlManager.getCrawlStatus(crawl.id)).pages.pending).toBe(1);
+
+    const status = await crawlManager.resumeCrawl(crawl.id);
+    expect(jobQueue.addBulkJobs).toHaveBeenCalledTimes(1);
+    expect(status.pages.pending).toBe(0);
+    expect(status.status).toBe('running');
+  });
+
+  test('takes queued pages out of the queue while paused and puts them back on resume', async () => {
+    const crawl = await crawlManager.startCrawl({
+      project_id: 'p1',
+      seeds: ['https://example.com/', 'https://example.com/b'],
+      crawl: { maxDepth: 1 }
+    });
+    const [, second] = jobQueue.addBulkJobs.mock.calls[0][0];
+    jobQueue.removeQueuedChildren.mockResolvedValueOnce([second]);
+    jobQueue.addBulkJobs.mockClear();
+
+    await crawlManager.pauseCrawl(crawl.id);
+    expect(jobQueue.removeQueuedChildren).toHaveBeenCalledWith(crawl.id);
+
+    // The first seed was already running; finishing it must not complete the paused crawl
+    await crawlManager.handlePageResult(crawl.id, { url: 'https://example.com/', depth: 0 }, { links: [] });
+    await crawlManager.resumeCrawl(crawl.id);
+
+    expect(jobQueue.addBulkJobs).toHaveBeenCalledWith([second]);
+    const status = await crawlManager.getCrawlStatus(crawl.id);
+    expect(status.status).toBe('running');
+    expect(status.pages).toMatchObject({ scheduled: 2, finished: 1 });
+  });
+
+  test('cancelling a crawl drops queued pages, aborts running ones and stops scheduling', async () => {
+    const crawl = await crawlManager.startCrawl({
+      project_id: 'p1',
+      seeds: ['https://example.com/', 'https://example.com/b'],
+      crawl: { maxDepth: 1 }
+    });
+    const [first, second] = jobQueue.addBulkJobs.mock.calls[0][0];
+    jobQueue.removeQueuedChildren.mockResolvedValueOnce([second]);
+    jobQueue.cancelActiveChildren.mockResolvedValueOnce(1);
+    jobQueue.addBulkJobs.mockClear();
+
+    const result = await crawlManager.cancelCrawl(crawl.id, 'No longer needed');
+
+    expect(result).toEqual({ jobId: crawl.id, status: 'cancelling' });
+    expect(jobQueue.cancelActiveChildren).toHaveBeenCalledWith(crawl.id, 'No longer needed');
+    const rows = supabase.tables.scraping_jobs;
+    expect(rows.find(row => row.id === crawl.id).status).toBe('cancelled');
+    expect(rows.find(row => row.id === second.id).status).toBe('cancelled');
+    expect(rows.find(row => row.id === first.id).status).toBeUndefined();
+
+    // The aborted page reports back; its links are not followed
+    await crawlManager.handlePageResult(crawl.id, { url: 'https://example.com/', depth: 0 }, { links: ['/next'] });
+    expect(jobQueue.addBulkJobs).not.toHaveBeenCalled();
+    const status = await crawlManager.getCrawlStatus(crawl.id);
+    expect(status.status).toBe('cancelled');
+    expect(status.pages.finished).toBe(0);
+    expect(redis.ttls.get(`crawl:${crawl.id}:seen`)).toBeGreaterThan(0);
+  });
+
+  test('marks the crawl completed once every scheduled page has finished', async () => {
+    const crawl = await crawlManager.startCrawl({
+      project_id: 'p1',
+      seeds: ['https://example.com/'],
+      crawl: { maxDepth: 0 }
+    });
+
+    await crawlManager.handlePageResult(crawl.id, { url: 'https://example.com/', depth: 0 }, { links: ['/a'] });
+
+    const status = await crawlManager.getCrawlStatus(crawl.id);
+    expect(status.status).toBe('completed');
+    expect(status.pages.scheduled).toBe(1);
+    // Finished crawls leave their Redis state to expire
+    expect([...redis.ttls.keys()]).toEqual(expect.arrayContaining([
+      `crawl:${crawl.id}:settings`, `crawl:${crawl.id}:seen`, `crawl:${crawl.id}:status`
+    ]));
+  });
+
+  test('rejects crawls without a valid seed', async () => {
+    await expect(crawlManager.startCrawl({ project_id: 'p1', seeds: ['not a url'] }))
+      .rejects.toThrow(/seed URL/);
+  });
+});
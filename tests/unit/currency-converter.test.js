@@ -0,0 +1,95 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { CurrencyConverter, detectCurrency } = require('../../services/currency-converter');
+const { DataProcessor } = require('../../services/data-processor');
+const { parseLocaleNumber, resolveLocale } = require('../../utils/locale-number');
+const { DRAFT_2020_12 } = require('../../services/json-schema');
+
+const RATES = { base: 'EUR', date: '2024-05-01', rates: { USD: 1.08, GBP: 0.86, INR: 90, JPY: 168 } };
+
+describe('currency and locale-aware prices', () => {
+  let processor;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    processor = new DataProcessor();
+    processor.setCurrencyConverter(new CurrencyConverter(RATES));
+  });
+
+  test('reads group and decimal separators from the text, the locale or the domain', () => {
+    expect(parseLocaleNumber('1.234,56 €')).toBe(1234.56);
+    expect(parseLocaleNumber('₹1,23,456')).toBe(123456);
+    expect(parseLocaleNumber('CHF 1\'234.50')).toBe(1234.5);
+    expect(parseLocaleNumber('12 500 kr')).toBe(12500);
+    expect(parseLocaleNumber('1,5')).toBe(1.5);
+    expect(parseLocaleNumber('1.234')).toBe(1234);
+    expect(parseLocaleNumber('1.234', 'en-US')).toBe(1.234);
+
+    expect(resolveLocale({ locale: 'en_IN', lang: 'de' })).toBe('en-IN');
+    expect(resolveLocale({ lang: 'fr', url: 'https://shop.example.de/p' })).toBe('fr');
+    expect(resolveLocale({ url: 'https://shop.example.co.uk/p' })).toBe('en-GB');
+  });
+
+  test('detects currencies by ISO code and symbol, reading shared symbols in the region', () => {
+    expect(detectCurrency('EUR 12,00')).toBe('EUR');
+    expect(detectCurrency('NEW! 12.99 GBP')).toBe('GBP');
+    expect(detectCurrency('CA$ 19.99')).toBe('CAD');
+    expect(detectCurrency('$19.99')).toBe('USD');
+    expect(detectCurrency('$19.99', 'en-AU')).toBe('AUD');
+    expect(detectCurrency('¥1,200', 'zh')).toBe('CNY');
+    expect(detectCurrency('499 kr', 'nb-NO')).toBe('NOK');
+    expect(detectCurrency('12.99')).toBeNull();
+  });
+
+  test('converts through the base currency and rounds to the target minor units', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rates-test-'));
+    const file = path.join(dir, 'rates.json');
+    await fs.writeFile(file, JSON.stringify(RATES));
+
+    const converter = new CurrencyConverter();
+    await converter.loadFile(file);
+    await fs.rm(dir, { recursive: true, force: true });
+
+    expect(converter.convert(100, 'USD', 'GBP')).toEqual({ amount: 79.63, rate: 0.86 / 1.08, date: '2024-05-01' });
+    expect(converter.convert(10, 'EUR', 'JPY').amount).toBe(1680);
+    expect(converter.convert(10, 'EUR', 'CHF')).toBeNull();
+    expect(() => converter.setRates({ base: 'EUR', rates: { USD: -1 } })).toThrow('Rate for USD must be a positive number');
+  });
+
+  test('a money field keeps the scraped amount next to the converted one', async () => {
+    const schema = {
+      $schema: DRAFT_2020_12,
+      type: 'object',
+      properties: {
+        price: { type: 'object', 'x-normalize': { type: 'money', toCurrency: 'USD' } },
+        list_price: { type: 'number', 'x-normalize': 'price' },
+        stock: { type: 'number', 'x-normalize': 'number' },
+        shipping: { type: 'object', 'x-normalize': { type: 'money', toCurrency: 'CHF' } }
+      }
+    };
+
+    const result = await processor.processRecord(
+      { price: '1.234,56 €', list_price: '1.499', stock: '1.200', shipping: '4,90' },
+      schema,
+      { url: 'https://shop.example.de/p/1' }
+    );
+
+    expect(result.data).toMatchObject({
+      price: { amount: 1333.32, currency: 'USD', original: { amount: 1234.56, currency: 'EUR' }, rate: 1.08, rate_date: '2024-05-01' },
+      list_price: 1499,
+      stock: 1200
+    });
+    expect(result.errors).toEqual([
+      expect.objectContaining({ path: '/shipping', keyword: 'x-normalize', error: '/shipping No exchange rate from EUR to CHF' })
+    ]);
+  });
+
+  test('prices convert with inline rates, and fail when the currency is unknown', () => {
+    expect(processor.normalizePrice('$1,100')).toBe(1100);
+    expect(processor.normalizePrice('£10', { toCurrency: 'EUR', exchangeRates: { GBP_EUR: 1.17 } })).toBeCloseTo(11.7);
+    expect(processor.normalizePrice('1 299,00', { locale: 'fr-FR', toCurrency: 'USD', decimalPlaces: 2 })).toBe(1402.92);
+    expect(() => processor.normalizePrice('12.50', { toCurrency: 'USD' })).toThrow('Currency not detected; set fromCurrency to convert to USD');
+    expect(processor.normalizeMoney('12.50', { fromCurrency: 'USD' })).toEqual({ amount: 12.5, currency: 'USD' });
+  });
+});
@@ -0,0 +1,104 @@
+const { Readable } = require('stream');
+const { DataProcessor, BatchMetrics } = require('../../services/data-processor');
+const { readNdjson } = require('../../utils/ndjson');
+
+const schema = {
+  fields: { title: { type: 'text' }, sku: { type: 'text' } },
+  required: ['title'],
+  deduplicate: { key: 'sku' }
+};
+
+describe('data processor batches and streams', () => {
+  let processor;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    processor = new DataProcessor();
+    jest.spyOn(processor, 'checkForDuplicates').mockResolvedValue({ isDuplicate: false });
+  });
+
+  test('reports per-record errors and aggregates metrics without failing the batch', async () => {
+    const { results, summary } = await processor.processBatch([
+      { title: '  First ', sku: 'A1' },
+      'not a record',
+      { sku: 'B2' },
+      { title: 'Second', sku: 'A1' }
+    ], schema, { concurrency: 2 });
+
+    expect(results.map(result => result.index)).toEqual([0, 1, 2, 3]);
+    expect(results[0]).toMatchObject({ valid: true, data: { title: 'First', sku: 'A1' } });
+    expect(results[1]).toMatchObject({ valid: false, data: null, errors: [{ error: 'Record must be an object', type: 'record_error' }] });
+    expect(results[2].errors).toEqual([expect.objectContaining({ field: 'title', type: 'required_field_error' })]);
+    // In-batch duplicates are flagged like stored ones and stay valid
+    expect(results[3]).toMatchObject({ valid: true, errors: [{ field: 'sku', type: 'duplicate_error', duplicateOf: 0 }] });
+
+    expect(summary).toMatchObject({
+      total: 4,
+      valid: 2,
+      invalid: 2,
+      failed: 1,
+      duplicates: 1,
+      errorsByType: { record_error: 1, required_field_error: 1, duplicate_error: 1 },
+      errorsByField: { title: 1, sku: 1 }
+    });
+    expect(summary.quality.overall).toBeGreaterThan(0);
+    await expect(processor.processBatch(/** @type {any} */ ({}), schema)).rejects.toThrow('records must be an array');
+  });
+
+  test('streams results in input order with bounded concurrency', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const processRecord = processor.processRecord.bind(processor);
+    jest.spyOn(processor, 'processRecord').mockImplementation(async (record, ...rest) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      // Later records finish first
+      await new Promise(resolve => setTimeout(resolve, (6 - record.n) * 3));
+      active--;
+      return processRecord(record, ...rest);
+    });
+
+    async function* source() {
+      for (let n = 0; n < 6; n++) yield { title: `Item ${n}`, n };
+    }
+
+    const metrics = new BatchMetrics();
+    const indexes = [];
+    for await (const result of processor.processStream(source(), { fields: {} }, { concurrency: 3, metrics })) {
+      indexes.push(result.index);
+    }
+
+    expect(indexes).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(maxActive).toBe(3);
+    expect(metrics.summary()).toMatchObject({ total: 6, valid: 6 });
+  });
+
+  test('caps the concurrency a caller asks for', async () => {
+    let active = 0;
+    let maxActive = 0;
+    jest.spyOn(processor, 'processRecord').mockImplementation(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setImmediate(resolve));
+      active--;
+      return { data: {}, errors: [], warnings: [], valid: true };
+    });
+
+    const records = Array.from({ length: 100 }, (_, n) => ({ n }));
+    await processor.processBatch(records, { fields: {} }, { concurrency: 1e6 });
+
+    expect(maxActive).toBe(64);
+  });
+
+  test('an unparseable NDJSON line becomes an error for that record only', async () => {
+    const body = Readable.from(['{"title":"a"}\n', 'not json\n', '\n', '{"title":"b"}']);
+
+    const results = [];
+    for await (const result of processor.processStream(readNdjson(body), { fields: {} })) {
+      results.push(result);
+    }
+
+    expect(results.map(result => result.valid)).toEqual([true, false, true]);
+    expect(results[1].errors[0].error).toMatch(/^Invalid JSON on line 2/);
+  });
+});
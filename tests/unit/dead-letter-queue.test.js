@@ -0,0 +1,151 @@
+jest.mock('ioredis');
+jest.mock('bullmq');
+
+const { DeadLetterQueue, classifyError } = require('../../services/dead-letter-queue');
+const { JobQueue } = require('../../services/job-queue');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+function deadEntry(id, message, overrides = {}) {
+  const { category, signature } = classifyError(message);
+  return {
+    id,
+    job_id: `job-${id}`,
+    url: `https://shop.test/${id}`,
+    config: { waitFor: '.price' },
+    error_message: message,
+    error_category: category,
+    error_signature: signature,
+    status: 'dead',
+    replay_count: 0,
+    context: { priority: 2 },
+    created_at: '2025-06-01T10:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('dead-letter queue', () => {
+  test('classifies errors and groups messages that only differ in URLs and numbers', () => {
+    expect(classifyError('page.goto: Timeout 30000ms exceeded.').category).toBe('timeout');
+    expect(classifyError('Selector not found in static HTML: .price').category).toBe('selector_missing');
+    expect(classifyError('reCAPTCHA challenge detected').category).toBe('captcha');
+    expect(classifyError('net::ERR_PROXY_CONNECTION_FAILED at https://a.test').category).toBe('proxy');
+    expect(classifyError('HTTP 503 fetching https://a.test').category).toBe('http');
+    expect(classifyError('getaddrinfo ENOTFOUND a.test').category).toBe('network');
+    expect(classifyError('Cannot read properties of undefined').category).toBe('other');
+
+    const first = classifyError('HTTP 503 fetching https://shop.test/p/1');
+    const second = classifyError('HTTP 504 fetching https://shop.test/p/2?ref=x');
+    expect(first.signature).toBe(second.signature);
+    expect(first.normalized).toBe('HTTP <n> fetching <url>');
+    expect(classifyError('HTTP 503 fetching https://shop.test').signature)
+      .not.toBe(classifyError('HTTP 503 while paginating https://shop.test').signature);
+  });
+
+  test('groups dead jobs by signature, largest first', async () => {
+    const supabase = createFakeSupabase({
+      dead_letter_jobs: [
+        deadEntry('a', 'page.goto: Timeout 30000ms exceeded.', { created_at: '2025-06-01T10:00:00.000Z' }),
+        deadEntry('b', 'page.goto: Timeout 45000ms exceeded.', { created_at: '2025-06-02T10:00:00.000Z' }),
+        deadEntry('c', 'reCAPTCHA challenge detected'),
+        deadEntry('d', 'reCAPTCHA challenge detected', { status: 'replayed' })
+      ]
+    });
+    const queue = new DeadLetterQueue(supabase, /** @type {any} */ ({}));
+
+    const groups = await queue.groups();
+
+    expect(groups).toEqual([
+      {
+        signature: classifyError('page.goto: Timeout 1ms exceeded.').signature,
+        category: 'timeout',
+        count: 2,
+        sample_error: 'page.goto: Timeout 45000ms exceeded.',
+        first_seen: '2025-06-01T10:00:00.000Z',
+        last_seen: '2025-06-02T10:00:00.000Z'
+      },
+      expect.objectContaining({ category: 'captcha', count: 1 })
+    ]);
+  });
+
+  test('groups every dead job, not just the first page of rows', async () => {
+    const timeouts = Array.from({ length: 1001 }, (_, i) => deadEntry(`t${i}`, `page.goto: Timeout ${i}ms exceeded.`));
+    const supabase = createFakeSupabase({ dead_letter_jobs: [...timeouts, deadEntry('c', 'reCAPTCHA challenge detected')] });
+    const queue = new DeadLetterQueue(supabase, /** @type {any} */ ({}));
+
+    const groups = await queue.groups();
+
+    expect(groups.map(group => [group.category, group.count])).toEqual([['timeout', 1001], ['captcha', 1]]);
+  });
+
+  test('replays a group with edited config and a fresh set of attempts', async () => {
+    const timeout = deadEntry('a', 'page.goto: Timeout 30000ms exceeded.');
+    const supabase = createFakeSupabase({
+      dead_letter_jobs: [timeout, deadEntry('b', 'page.goto: Timeout 45000ms exceeded.'), deadEntry('c', 'reCAPTCHA challenge detected')],
+      scrape_jobs: [{ id: 'job-a', status: 'failed', payload: { config: { waitFor: '.price' } } }, { id: 'job-b', status: 'failed', payload: {} }]
+    });
+    const jobQueue = { requeueJob: jest.fn(async () => {}) };
+    const queue = new DeadLetterQueue(supabase, /** @type {any} */ (jobQueue));
+
+    await queue.updateConfig('a', { waitFor: '.price', timeout: 90000 });
+    const result = await queue.replayGroup(timeout.error_signature);
+
+    expect(result).toEqual({ signature: timeout.error_signature, replayed: 2, failed: [] });
+    expect(jobQueue.requeueJob.mock.calls).toEqual([['job-a', 2], ['job-b', 2]]);
+    expect(supabase.tables.scrape_jobs[0]).toMatchObject({
+      status: 'pending',
+      attempt_count: 0,
+      payload: { config: { waitFor: '.price', timeout: 90000 } }
+    });
+    expect(supabase.tables.dead_letter_jobs.map(row => row.status)).toEqual(['replayed', 'replayed', 'dead']);
+    expect(await queue.replay('a')).toBeNull();
+  });
+
+  test('retrying failed jobs replays dead-lettered ones through their entry', async () => {
+    const supabase = createFakeSupabase({
+      dead_letter_jobs: [deadEntry('a', 'reCAPTCHA challenge detected')],
+      scrape_jobs: [{ id: 'job-a', status: 'failed', payload: {} }]
+    });
+    const jobQueue = new JobQueue(supabase);
+    jobQueue.setDeadLetterQueue(new DeadLetterQueue(supabase, jobQueue));
+    const requeueJob = jest.spyOn(jobQueue, 'requeueJob').mockResolvedValue(undefined);
+    const dead = { data: { jobId: 'job-a' }, retry: jest.fn(async () => {}) };
+    const other = { data: { jobId: 'job-b' }, retry: jest.fn(async () => {}) };
+    jobQueue.scrapingQueue.getFailed = jest.fn(async () => [dead, other]);
+
+    expect(await jobQueue.retryFailedJobs()).toBe(2);
+
+    expect(dead.retry).not.toHaveBeenCalled();
+    expect(requeueJob).toHaveBeenCalledWith('job-a', 2);
+    expect(other.retry).toHaveBeenCalled();
+    expect(supabase.tables.dead_letter_jobs[0].status).toBe('replayed');
+  });
+
+  test('the job queue dead-letters a job on its last attempt only', async () => {
+    // Loading the job record is what keeps failing
+    const supabase = createFakeSupabase({}, { failures: { scrape_jobs: new Error('Timeout waiting for database') } });
+    const jobQueue = new JobQueue(supabase);
+    const deadLetters = { record: jest.fn(async () => ({})) };
+    jobQueue.setDeadLetterQueue(/** @type {any} */ (deadLetters));
+    const job = (attemptsMade) => ({
+      id: 'job-42',
+      data: { jobId: 42 },
+      opts: { attempts: 3, priority: 1 },
+      attemptsMade,
+      stacktrace: ['Error: Timeout waiting for database']
+    });
+
+    await expect(jobQueue.processJob(job(1))).rejects.toThrow('Timeout waiting for database');
+    expect(deadLetters.record).not.toHaveBeenCalled();
+
+    await expect(jobQueue.processJob(job(2))).rejects.toThrow('Timeout waiting for database');
+    expect(deadLetters.record).toHaveBeenCalledTimes(1);
+    expect(deadLetters.record.mock.calls[0][0]).toMatchObject({
+      jobId: 42,
+      bullJobId: 'job-42',
+      url: null,
+      attempts: 3,
+      history: ['Error: Timeout waiting for database'],
+      context: { engine: null, priority: 1 }
+    });
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('ioredis');
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { DebugRecorder } = require('../../scrapers/debug-artifacts');
+const { ArtifactStore } = require('../../services/artifact-store');
+const { DistributedOrchestrator } = require('../../services/distributed-orchestrator');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+// Writes what Playwright would: the trace on tracing.stop({ path }), the HAR on close
+function fakeBrowser(recorder) {
+  const context = {
+    tracing: {
+      start: async () => {},
+      stop: async (options) => {
+        if (options.path) await fs.writeFile(options.path, 'zip');
+      }
+    },
+    close: async () => fs.writeFile(recorder.contextOptions().recordHar.path, '{"log":{}}')
+  };
+  const page = {
+    screenshot: async (options) => fs.writeFile(options.path, 'png'),
+    content: async () => '<html><body>broken</body></html>'
+  };
+  return { context, page };
+}
+
+describe('debug artifacts', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'artifact-store-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('records trace, HAR, DOM and screenshot for a failed scrape', async () => {
+    const recorder = new DebugRecorder();
+    await recorder.prepare();
+    const { context, page } = fakeBrowser(recorder);
+    await recorder.start(context);
+
+    await recorder.capture(page, context, true);
+    await context.close();
+    const artifacts = await recorder.collect(true);
+
+    expect(artifacts.map(artifact => artifact.type).sort()).toEqual(['dom', 'har', 'screenshot', 'trace']);
+    const dom = artifacts.find(artifact => artifact.type === 'dom');
+    expect(await fs.readFile(dom.path, 'utf8')).toContain('broken');
+    await recorder.discard();
+  });
+
+  test('discards everything after a success in on-failure mode', async () => {
+    const recorder = new DebugRecorder('on-failure');
+    await recorder.prepare();
+    const { context, page } = fakeBrowser(recorder);
+    const dir = recorder.dir;
+    await recorder.start(context);
+
+    await recorder.capture(page, context, false);
+    await context.close();
+
+    expect(await recorder.collect(false)).toEqual([]);
+    await expect(fs.stat(dir)).rejects.toThrow();
+  });
+
+  test('records nothing in never mode and rejects unknown modes', async () => {
+    const recorder = new DebugRecorder('never');
+    await recorder.prepare();
+    expect(recorder.contextOptions()).toEqual({});
+    expect(await recorder.collect(true)).toEqual([]);
+    expect(() => new DebugRecorder(/** @type {any} */ ('sometimes'))).toThrow('Unknown debug artifact mode');
+  });
+
+  test('moves artifacts under the execution and indexes them', async () => {
+    const recorder = new DebugRecorder();
+    await recorder.prepare();
+    const { context, page } = fakeBrowser(recorder);
+    await recorder.capture(page, context, true);
+    const recorded = await recorder.collect(true);
+
+    const supabase = createFakeSupabase();
+    const store = new ArtifactStore(supabase, { root });
+    const executionId = await store.createExecution({
+      jobId: 'job-1', url: 'https://shop.test/', status: 'failed', startedAt: Date.now() - 50, error: 'Timeout'
+    });
+    const rows = await store.saveArtifacts(executionId, recorded);
+
+    expect(supabase.tables.scraping_executions[0]).toMatchObject({
+      job_id: 'job-1', status: 'failed', execution_metadata: { errorMessage: 'Timeout' }
+    });
+    expect(rows.map(row => row.storage_path).sort()).toEqual([
+      path.join(executionId, 'dom.html'),
+      path.join(executionId, 'screenshot.png')
+    ]);
+    expect(await fs.readFile(path.join(root, executionId, 'dom.html'), 'utf8')).toContain('broken');
+    await expect(fs.stat(recorder.dir)).rejects.toThrow();
+  });
+
+  test('orchestrator workers attach the artifacts of a failed template run to its execution', async () => {
+    const supabase = createFakeSupabase({ scraping_executions: [{ id: 'exec-1', status: 'queued' }] });
+    const orchestrator = new DistributedOrchestrator();
+    orchestrator.supabase = supabase;
+    orchestrator.setArtifactStore(new ArtifactStore(supabase, { root }));
+    // Stands in for the browser run: the template fails and the context is closed before collection
+    orchestrator.createScraperInstance = () => ({
+      execute: async (url, options, progress, signal, recorder) => {
+        await recorder.prepare();
+        const { context, page } = fakeBrowser(recorder);
+        await recorder.start(context);
+        await recorder.capture(page, context, true);
+        await context.close();
+        throw new Error('Selector .price not found');
+      }
+    });
+    const job = {
+      id: 'job-1',
+      name: 'scrape-url',
+      queueName: 'scraping',
+      data: { executionId: 'exec-1', url: 'https://shop.test/a', options: {}, templateConfig: {} },
+      updateProgress: jest.fn(async () => {})
+    };
+
+    await expect(orchestrator.processScrapingJob(job)).rejects.toThrow('Selector .price not found');
+
+    const rows = supabase.tables.execution_artifacts;
+    expect(rows.map(row => row.type).sort()).toEqual(['dom', 'har', 'screenshot', 'trace']);
+    expect(rows.every(row => row.execution_id === 'exec-1')).toBe(true);
+    expect(supabase.tables.scraping_executions[0].status).toBe('failed');
+  });
+});
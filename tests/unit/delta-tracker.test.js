@@ -0,0 +1,87 @@
+const {
+  DeltaTracker,
+  normalizeDeltaConfig,
+  normalizeData,
+  hashData,
+  diffData,
+  configKey
+} = require('../../services/delta-tracker');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+describe('delta tracker', () => {
+  test('fingerprints ignore key order, whitespace, the page URL and ignored fields', () => {
+    const a = normalizeData({ title: ' Widget  Pro ', price: 10, url: 'https://a.test/?x=1', fetchedAt: 1 }, ['fetchedAt']);
+    const b = normalizeData({ price: 10, title: 'Widget Pro', url: 'https://a.test/', fetchedAt: 2 }, ['fetchedAt']);
+
+    expect(hashData(a)).toBe(hashData(b));
+    expect(hashData(a)).not.toBe(hashData(normalizeData({ title: 'Widget Pro', price: 11 })));
+  });
+
+  test('diffs nested fields and array items', () => {
+    const before = { title: 'Widget', specs: { color: 'red' }, items: [{ price: 1 }, { price: 2 }] };
+    const after = { title: 'Widget', specs: { color: 'blue', size: 'L' }, items: [{ price: 1 }] };
+
+    expect(diffData(before, after)).toEqual([
+      { path: 'items[1]', type: 'removed', before: { price: 2 } },
+      { path: 'specs.color', type: 'changed', before: 'red', after: 'blue' },
+      { path: 'specs.size', type: 'added', after: 'L' }
+    ]);
+  });
+
+  test('classifies runs as new, unchanged or changed against the stored version', async () => {
+    const tracker = new DeltaTracker(createFakeSupabase());
+    const run = await tracker.begin({ url: 'https://shop.test/p/1?utm_source=x', delta: true });
+    expect(run.url).toBe('https://shop.test/p/1');
+
+    const first = tracker.compare(run, { price: '10' });
+    expect(first).toMatchObject({ status: 'new', version: 1 });
+
+    const stored = { content_hash: first.contentHash, data: first.data, version: 1 };
+    expect(tracker.compare({ ...run, previous: stored }, { price: '10 ' }).status).toBe('unchanged');
+    expect(tracker.compare({ ...run, previous: stored }, { price: '12' })).toMatchObject({
+      status: 'changed',
+      version: 2,
+      diff: [{ path: 'price', type: 'changed', before: '10', after: '12' }]
+    });
+  });
+
+  test('skips the scrape when the conditional request returns 304', async () => {
+    const fetchPage = jest.fn(async () => ({ url: 'https://shop.test/feed', status: 304, html: '' }));
+    const jobConfig = { url: 'https://shop.test/feed', engine: 'http', delta: { ignoreFields: ['now'] } };
+    const supabase = createFakeSupabase({
+      url_fingerprints: [{ url: 'https://shop.test/feed', fingerprint_key: configKey(jobConfig), content_hash: 'abc', version: 3, etag: '"v3"', last_modified: null }]
+    });
+    const tracker = new DeltaTracker(supabase, /** @type {any} */ ({ fetchPage }));
+
+    const run = await tracker.begin(jobConfig);
+
+    expect(run.notModified).toBe(true);
+    expect(fetchPage.mock.calls[0][1].headers).toEqual({ 'If-None-Match': '"v3"' });
+  });
+
+  test('keeps a separate baseline per project for the same URL and config', async () => {
+    const supabase = createFakeSupabase();
+    const tracker = new DeltaTracker(supabase);
+    const jobConfig = { url: 'https://shop.test/p/1', delta: true };
+
+    const first = await tracker.begin(jobConfig, 'project-a');
+    await tracker.recordVersion(first, tracker.compare(first, { price: '10' }));
+    const other = await tracker.begin(jobConfig, 'project-b');
+    await tracker.recordVersion(other, tracker.compare(other, { price: '12' }));
+
+    expect(other.previous).toBeNull();
+    const again = await tracker.begin(jobConfig, 'project-a');
+    expect(tracker.compare(again, { price: '10' }).status).toBe('unchanged');
+    await tracker.recordUnchanged(again);
+
+    expect(supabase.tables.url_fingerprints.map(row => [row.project_id, row.version, row.unchanged_runs]))
+      .toEqual([['project-a', 1, 1], ['project-b', 1, 0]]);
+  });
+
+  test('only sends conditional requests for the http engine unless asked to', () => {
+    expect(normalizeDeltaConfig(true, { engine: 'http' }).conditional).toBe(true);
+    expect(normalizeDeltaConfig(true, { engine: 'browser' }).conditional).toBe(false);
+    expect(normalizeDeltaConfig({ conditional: true }, {}).conditional).toBe(true);
+    expect(() => normalizeDeltaConfig({ mode: 'sometimes' })).toThrow('Unknown delta mode');
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('ioredis');
+jest.mock('bullmq');
+
+const { DelayedError } = require('bullmq');
+const { DomainScheduler } = require('../../services/domain-scheduler');
+const { JobQueue } = require('../../services/job-queue');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+// Hashes, strings and sorted sets plus a JS port of the acquire script
+function createFakeRedis() {
+  const values = new Map();
+  const zsets = new Map();
+  const zset = (key) => {
+    if (!zsets.has(key)) zsets.set(key, new Map());
+    return zsets.get(key);
+  };
+  return {
+    values,
+    hgetall: async (key) => values.get(key) || {},
+    hset: async (key, fields) => { values.set(key, { ...(values.get(key) || {}), ...fields }); },
+    del: async (key) => { values.delete(key); },
+    get: async (key) => (values.has(key) ? String(values.get(key)) : null),
+    zrem: async (key, member) => { zset(key).delete(member); },
+    zcount: async (key, min) => [...zset(key).values()].filter(score => score > min).length,
+    eval: async (script, numKeys, activeKey, nextKey, now, holder, max, minDelay, leaseMs, reservedAt) => {
+      const leases = zset(activeKey);
+      for (const [member, expiresAt] of leases) {
+        if (expiresAt <= now) leases.delete(member);
+      }
+      if (leases.size >= max) return [-1, 0];
+      const nextStart = Number(values.get(nextKey) || 0);
+      if (reservedAt === 0 && nextStart > now) {
+        values.set(nextKey, nextStart + minDelay);
+        return [1, nextStart];
+      }
+      leases.set(holder, now + leaseMs);
+      values.set(nextKey, Math.max(nextStart, now + minDelay));
+      return [0, now];
+    }
+  };
+}
+
+function bullJob(id, data = {}) {
+  return {
+    id,
+    queueName: 'scraping-queue',
+    attemptsMade: 0,
+    data: { ...data },
+    updateData: jest.fn(async function (update) { this.data = update; }),
+    moveToDelayed: jest.fn(async () => {})
+  };
+}
+
+describe('domain scheduler', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  test('spaces out starts on one domain by reserving consecutive slots', async () => {
+    const scheduler = new DomainScheduler(createFakeRedis(), null, { maxConcurrency: 5, minDelayMs: 1000 });
+
+    expect(await scheduler.acquire('https://www.shop.test/a', 'a')).toEqual({ granted: true, domain: 'shop.test' });
+    expect(await scheduler.acquire('https://shop.test/b', 'b'))
+      .toEqual({ granted: false, domain: 'shop.test', reason: 'delay', delayMs: 1000, reservedAt: now + 1000 });
+    expect(await scheduler.acquire('https://shop.test/c', 'c'))
+      .toMatchObject({ reason: 'delay', delayMs: 2000, reservedAt: now + 2000 });
+    expect(await scheduler.acquire('https://other.test/x', 'x')).toEqual({ granted: true, domain: 'other.test' });
+
+    now += 1000;
+    expect(await scheduler.acquire('https://shop.test/b', 'b', now)).toMatchObject({ granted: true });
+  });
+
+  test('caps running scrapes per domain and frees the slot on release', async () => {
+    const scheduler = new DomainScheduler(createFakeRedis(), null, { maxConcurrency: 1, minDelayMs: 0, busyRetryMs: 2000 });
+
+    await scheduler.acquire('https://shop.test/a', 'a');
+    expect(await scheduler.acquire('https://shop.test/b', 'b')).toMatchObject({ granted: false, reason: 'concurrency', delayMs: 2000 });
+    expect(await scheduler.status('shop.test')).toMatchObject({ running: 1 });
+
+    await scheduler.release('shop.test', 'a');
+    expect(await scheduler.acquire('https://shop.test/b', 'b')).toMatchObject({ granted: true });
+  });
+
+  test('per-domain policy and the robots.txt Crawl-delay raise the gap', async () => {
+    const compliance = { checkCompliance: jest.fn(async () => ({ allowed: true, crawlDelay: 5 })) };
+    const scheduler = new DomainScheduler(createFakeRedis(), compliance, { maxConcurrency: 2, minDelayMs: 1000 });
+
+    await scheduler.acquire('https://slow.test/a', 'a');
+    expect(await scheduler.acquire('https://slow.test/b', 'b')).toMatchObject({ delayMs: 5000 });
+    expect(compliance.checkCompliance).toHaveBeenCalledTimes(1);
+
+    await scheduler.setPolicy('slow.test', { minDelayMs: 8000, respectRobots: false });
+    expect(await scheduler.getPolicy('slow.test')).toEqual({ maxConcurrency: 2, minDelayMs: 8000, respectRobots: false });
+    await expect(scheduler.setPolicy('slow.test', { maxConcurrency: 0 })).rejects.toThrow('maxConcurrency must be a positive integer');
+
+    expect(await scheduler.clearPolicy('slow.test')).toEqual({ maxConcurrency: 2, minDelayMs: 1000, respectRobots: true });
+  });
+
+  test('admit parks a waiting job in the delayed set and honours its reservation', async () => {
+    const scheduler = new DomainScheduler(createFakeRedis(), null, { maxConcurrency: 5, minDelayMs: 1000 });
+    await scheduler.admit(bullJob('first'), 'token-1', 'https://shop.test/a');
+    const job = bullJob('second');
+
+    await expect(scheduler.admit(job, 'token-2', 'https://shop.test/b')).rejects.toBeInstanceOf(DelayedError);
+    expect(job.moveToDelayed).toHaveBeenCalledWith(now + 1000, 'token-2');
+    expect(job.data.domainSlot).toEqual({ at: now + 1000, attempt: 0 });
+
+    now += 1000;
+    const release = await scheduler.admit(job, 'token-3', 'https://shop.test/b');
+    expect(await scheduler.status('shop.test')).toMatchObject({ running: 2 });
+    await release();
+    expect(await scheduler.status('shop.test')).toMatchObject({ running: 1 });
+  });
+
+  test('the job queue hands a delayed job back to BullMQ without failing it', async () => {
+    const supabase = createFakeSupabase({ scrape_jobs: [{ id: 7, apartment_url: 'https://shop.test/p', payload: {} }] });
+    const jobQueue = new JobQueue(supabase);
+    const domainScheduler = { admit: jest.fn(async () => { throw new DelayedError(); }) };
+    const deadLetters = { record: jest.fn() };
+    jobQueue.setDomainScheduler(/** @type {any} */ (domainScheduler));
+    jobQueue.setDeadLetterQueue(/** @type {any} */ (deadLetters));
+    const updateJobStatus = jest.spyOn(jobQueue, 'updateJobStatus');
+    const job = { ...bullJob('job-7', { jobId: 7 }), opts: { attempts: 1 } };
+
+    await expect(jobQueue.processJob(job, 'token')).rejects.toBeInstanceOf(DelayedError);
+
+    expect(domainScheduler.admit).toHaveBeenCalledWith(job, 'token', 'https://shop.test/p');
+    expect(updateJobStatus).not.toHaveBeenCalled();
+    expect(deadLetters.record).not.toHaveBeenCalled();
+  });
+});
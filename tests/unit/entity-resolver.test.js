@@ -0,0 +1,158 @@
+const { EntityResolver, validateEntityConfig, similarity } = require('../../services/entity-resolver');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+// What entity_candidates (migration 018) returns: entities sharing the most tokens first
+function entityCandidates({ p_project_id, p_entity_type, p_tokens, p_limit }, tables) {
+  const shared = entity => (entity.blocking_keys || []).filter(key => p_tokens.includes(key)).length;
+  return (tables.entities || [])
+    .filter(entity => entity.project_id === p_project_id && entity.entity_type === p_entity_type && shared(entity) > 0)
+    .sort((a, b) => shared(b) - shared(a))
+    .slice(0, p_limit);
+}
+
+const fakeSupabase = () => createFakeSupabase({}, { functions: { entity_candidates: entityCandidates } });
+
+const config = {
+  type: 'product',
+  keys: [['sku'], ['brand', 'model']],
+  fuzzy: { fields: { title: { weight: 2 }, price: { match: 'number' } }, threshold: 0.85 },
+  merge: { strategy: 'latest', fields: { price: 'min', images: 'union', title: 'longest' } }
+};
+
+describe('entity resolution', () => {
+  let supabase;
+  let resolver;
+  const context = { projectId: 'p1', config };
+
+  beforeEach(() => {
+    supabase = fakeSupabase();
+    resolver = new EntityResolver(supabase);
+  });
+
+  test('composite keys, canonical URLs and fuzzy titles collapse into one entity', async () => {
+    const { results, summary } = await resolver.resolveBatch([
+      { data: { sku: 'AB-1', brand: 'Acme', model: 'X1', title: 'Acme X1 Drill', price: 99, images: ['a.jpg'] }, url: 'https://shop.example.com/p/1?utm_source=feed', observed_at: '2024-01-01T00:00:00Z' },
+      { data: { brand: 'ACME', model: 'x1', title: 'Drill', price: 89, images: ['a.jpg', 'b.jpg'] }, url: 'https://other.example.com/x1', observed_at: '2024-01-02T00:00:00Z' },
+      { data: { title: 'Drill X1', price: 120 }, url: 'https://shop.example.com/p/1', observed_at: '2024-01-03T00:00:00Z' },
+      { data: { title: 'acme x1 drill!!', price: 97 }, url: 'https://third.example.com/item', observed_at: '2024-01-04T00:00:00Z' },
+      { data: { title: 'Garden hose 20m', price: 25 }, url: 'https://third.example.com/hose' }
+    ], context);
+
+    expect(results.map(result => result.rule)).toEqual(['new', 'key:brand+model', 'url', 'fuzzy', 'new']);
+    expect(summary).toEqual({ total: 5, created: 2, merged: 3, failed: 0, entities: 2 });
+
+    const entity = await resolver.getEntity(results[0].entityId);
+    expect(entity.data).toEqual({
+      sku: 'AB-1',
+      brand: 'ACME',
+      model: 'x1',
+      title: 'acme x1 drill!!',
+      price: 89,
+      images: ['a.jpg', 'b.jpg']
+    });
+    expect(entity.source_count).toBe(4);
+    expect(entity.field_sources.price).toEqual({ url: 'https://other.example.com/x1', scraped_data_id: null, observed_at: '2024-01-02T00:00:00Z' });
+    expect(entity.sources).toHaveLength(4);
+    expect(entity.last_seen_at).toBe('2024-01-04T00:00:00Z');
+  });
+
+  test('an exact key match is found however many entities share the title words', async () => {
+    const first = await resolver.resolve({ data: { sku: 'AB-1', title: 'Acme drill' } }, context);
+    // Older entities sharing a title token come back ahead of it in any token query
+    supabase.tables.entities.unshift(...Array.from({ length: 60 }, (_, i) => ({
+      id: `other-${i}`,
+      project_id: 'p1',
+      entity_type: 'product',
+      data: { sku: `OTHER-${i}`, title: `Acme sander ${i}` },
+      blocking_keys: [`key:sku=other ${i}`, 'tok:title:acme', 'tok:title:sander']
+    })));
+    const again = await resolver.resolve({ data: { sku: 'ab-1', title: 'Acme drill' } }, context);
+
+    expect(again).toMatchObject({ entityId: first.entityId, rule: 'key:sku', created: false });
+    expect(supabase.tables.entities).toHaveLength(61);
+  });
+
+  test('a fuzzy match is found however many entities share a common word in the title', async () => {
+    const fuzzyOnly = { projectId: 'p1', config: { keys: [['sku']], fuzzy: { fields: { title: {} }, threshold: 0.8 } } };
+    const first = await resolver.resolve({ data: { sku: 'AB-1', title: 'Bosch cordless drill with case' } }, fuzzyOnly);
+    supabase.tables.entities.unshift(...Array.from({ length: 60 }, (_, i) => ({
+      id: `other-${i}`,
+      project_id: 'p1',
+      entity_type: 'product',
+      data: { sku: `OTHER-${i}`, title: `Cordless sander ${i}` },
+      blocking_keys: [`key:sku=other ${i}`, 'tok:title:cordless', 'tok:title:sander']
+    })));
+
+    const again = await resolver.resolve({ data: { title: 'Bosch cordless drill with a case' } }, fuzzyOnly);
+
+    expect(again).toMatchObject({ entityId: first.entityId, rule: 'fuzzy', created: false });
+    expect(supabase.tables.entities.find(entity => entity.id === first.entityId).blocking_keys)
+      .not.toContain('tok:title:with');
+  });
+
+  test('the entity id is stable across runs and key formatting, and scoped to the project', async () => {
+    const record = { data: { sku: 'ab-1', title: 'Drill' }, url: 'https://a.example.com/1' };
+    const first = await resolver.resolve(record, context);
+
+    const again = await new EntityResolver(fakeSupabase())
+      .resolve({ data: { sku: 'AB 1!', title: 'Other' }, url: 'https://b.example.com/2' }, context);
+    const otherProject = await new EntityResolver(fakeSupabase()).resolve(record, { ...context, projectId: 'p2' });
+
+    expect(again).toMatchObject({ entityId: first.entityId, created: true });
+    expect(otherProject.entityId).not.toBe(first.entityId);
+  });
+
+  test('an out-of-order older observation does not overwrite newer values under latest', async () => {
+    const latest = { keys: [['sku']], merge: { strategy: 'latest' } };
+    await resolver.resolve({ data: { sku: '1', stock: 'in stock' }, observed_at: '2024-02-01T00:00:00Z' }, { projectId: 'p1', config: latest });
+    const { entityId } = await resolver.resolve({ data: { sku: '1', stock: 'sold out', color: 'red' }, observed_at: '2024-01-01T00:00:00Z' }, { projectId: 'p1', config: latest });
+
+    expect((await resolver.getEntity(entityId)).data).toEqual({ sku: '1', stock: 'in stock', color: 'red' });
+  });
+
+  test('a merge racing another worker is redone against the entity that worker stored', async () => {
+    const keyed = { projectId: 'p1', config: { keys: [['sku']], merge: { fields: { images: 'union' } } } };
+    const { entityId } = await resolver.resolve({ data: { sku: '1', images: ['a.jpg'] } }, keyed);
+    const findMatch = resolver.findMatch.bind(resolver);
+    // Another worker merges b.jpg between this worker's read and its write
+    jest.spyOn(resolver, 'findMatch').mockImplementationOnce(async (...args) => {
+      const match = await findMatch(...args);
+      supabase.tables.entities[0] = { ...match.entity, data: { sku: '1', images: ['a.jpg', 'b.jpg'] }, source_count: 2, version: 2 };
+      return match;
+    });
+
+    const result = await resolver.resolve({ data: { sku: '1', images: ['c.jpg'] } }, keyed);
+
+    expect(result).toMatchObject({ entityId, created: false });
+    expect(resolver.findMatch).toHaveBeenCalledTimes(2);
+    expect(await resolver.getEntity(entityId)).toMatchObject({
+      data: { sku: '1', images: ['a.jpg', 'b.jpg', 'c.jpg'] },
+      source_count: 3,
+      version: 3
+    });
+  });
+
+  test('most_complete keeps the fuller record and fills gaps from the other', async () => {
+    const complete = { keys: [['sku']], merge: { strategy: 'most_complete' } };
+    const context2 = { projectId: 'p1', config: complete };
+    await resolver.resolve({ data: { sku: '1', title: 'Short' } }, context2);
+    await resolver.resolve({ data: { sku: '1', title: 'Full title', brand: 'Acme', weight: '2kg' } }, context2);
+    const { entityId } = await resolver.resolve({ data: { sku: '1', title: 'Later', color: 'red' } }, context2);
+
+    expect((await resolver.getEntity(entityId)).data).toEqual({ sku: '1', title: 'Full title', brand: 'Acme', weight: '2kg', color: 'red' });
+  });
+
+  test('similarity ignores case, accents, punctuation and word order', () => {
+    expect(similarity('Café Table – Oak, Large', 'large oak cafe table')).toBe(1);
+    expect(similarity('Oak table', 'Oak tables')).toBeCloseTo(0.9);
+    expect(similarity('https://Example.com/a?utm_source=x', 'https://example.com/a', 'url')).toBe(1);
+    expect(similarity(100, 90, 'number')).toBeCloseTo(0.9);
+  });
+
+  test('rejects configs it cannot apply', () => {
+    expect(() => validateEntityConfig({ keys: ['sku'] })).toThrow('keys must be an array of non-empty field name arrays');
+    expect(() => validateEntityConfig({ keys: [['sku']], merge: { fields: { price: 'average' } } })).toThrow('merge.fields.price must be one of');
+    expect(() => validateEntityConfig({ fuzzy: { fields: { title: {} }, threshold: 2 } })).toThrow('fuzzy.threshold');
+    expect(validateEntityConfig(config)).toBe(config);
+  });
+});
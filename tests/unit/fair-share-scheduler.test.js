@@ -0,0 +1,181 @@
+jest.mock('bullmq');
+
+const { DelayedError } = require('bullmq');
+const { FairShareScheduler } = require('../../services/fair-share-scheduler');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+// Hashes, strings and sorted sets, with JS ports of the three scripts (told apart by key count)
+function createFakeRedis() {
+  const values = new Map();
+  const zsets = new Map();
+  const zset = (key) => {
+    if (!zsets.has(key)) zsets.set(key, new Map());
+    return zsets.get(key);
+  };
+  const sorted = (key) => [...zset(key).entries()].sort((a, b) => a[1] - b[1]);
+  const inRange = (score, min, max) => {
+    const low = min === '-inf' ? -Infinity : String(min).startsWith('(') ? Number(String(min).slice(1)) + 1e-9 : Number(min);
+    const high = max === '+inf' ? Infinity : String(max).startsWith('(') ? Number(String(max).slice(1)) - 1e-9 : Number(max);
+    return score >= low && score <= high;
+  };
+  const hash = (key) => {
+    if (!values.has(key)) values.set(key, {});
+    return values.get(key);
+  };
+
+  const scripts = {
+    4: ([lanePending, tenantPending, passes, clock], [tenant, jobId, stride]) => {
+      if (zset(lanePending).size === 0) {
+        values.delete(passes);
+        values.set(clock, 0);
+      }
+      const pass = Math.max(Number(values.get(clock) || 0), Number(hash(passes)[tenant] || 0)) + Number(stride);
+      hash(passes)[tenant] = pass;
+      zset(lanePending).set(jobId, pass);
+      zset(tenantPending).set(jobId, pass);
+      return pass;
+    },
+    3: ([lanePending, tenantPending, clock], [jobId, advance]) => {
+      const pass = zset(lanePending).get(jobId);
+      zset(lanePending).delete(jobId);
+      zset(tenantPending).delete(jobId);
+      if (pass !== undefined && String(advance) === '1' && pass > Number(values.get(clock) || 0)) values.set(clock, pass);
+      return pass ?? null;
+    },
+    1: ([active], [now, holder, max, leaseMs]) => {
+      const leases = zset(active);
+      for (const [member, expiresAt] of leases) {
+        if (expiresAt <= now) leases.delete(member);
+      }
+      if (!leases.has(holder) && leases.size >= max) return 0;
+      leases.set(holder, now + leaseMs);
+      return 1;
+    }
+  };
+
+  return {
+    zsets,
+    hgetall: async (key) => ({ ...(values.get(key) || {}) }),
+    hset: async (key, fields) => { Object.assign(hash(key), fields); },
+    hdel: async (key, ...fields) => { fields.forEach(field => delete hash(key)[field]); },
+    zadd: async (key, score, member) => { zset(key).set(member, score); },
+    zrem: async (key, member) => { zset(key).delete(member); },
+    zcard: async (key) => zset(key).size,
+    zcount: async (key, min, max) => sorted(key).filter(([, score]) => inRange(score, min, max)).length,
+    zrange: async (key, start, stop) => sorted(key).slice(start, stop + 1).flatMap(([member, score]) => [member, String(score)]),
+    zrangebyscore: async (key, min, max) => sorted(key).filter(([, score]) => inRange(score, min, max)).slice(0, 1)
+      .flatMap(([member, score]) => [member, String(score)]),
+    zremrangebyscore: async (key, min, max) => {
+      sorted(key).filter(([, score]) => inRange(score, min, max)).forEach(([member]) => zset(key).delete(member));
+    },
+    eval: async (script, numKeys, ...args) => scripts[numKeys](args.slice(0, numKeys), args.slice(numKeys))
+  };
+}
+
+function bullJob(id, tenant, queueName = 'scraping') {
+  return { id, queueName, data: { tenant }, moveToDelayed: jest.fn(async () => {}) };
+}
+
+const free = { key: 'project:big', tier: 'free' };
+const premium = { key: 'project:small', tier: 'premium' };
+
+describe('fair-share scheduler', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  test('interleaves a small batch with a large one queued before it, by tier weight', async () => {
+    const scheduler = new FairShareScheduler(createFakeRedis(), null);
+    const queued = [];
+    for (let i = 0; i < 50; i++) {
+      queued.push({ id: `big-${i}`, priority: await scheduler.enqueue('scraping', free, `big-${i}`) });
+    }
+    for (let i = 0; i < 4; i++) {
+      queued.push({ id: `small-${i}`, priority: await scheduler.enqueue('scraping', premium, `small-${i}`) });
+    }
+
+    const order = queued.sort((a, b) => a.priority - b.priority).map(job => job.id);
+
+    // Weight 4 against weight 1: four premium jobs per free job; equal passes keep queue order
+    expect(order.slice(0, 6)).toEqual(['small-0', 'small-1', 'small-2', 'big-0', 'small-3', 'big-1']);
+    expect(await scheduler.enqueue('scraping', free, 'low', 'low')).toBe(50 * 12 + 24);
+  });
+
+  test('newcomers start from the lane clock and a drained lane starts over', async () => {
+    const scheduler = new FairShareScheduler(createFakeRedis(), null);
+    await scheduler.enqueue('scraping', free, 'a-1');
+    await scheduler.enqueue('scraping', free, 'a-2');
+    await scheduler.enqueue('scraping', free, 'a-3');
+
+    await scheduler.started(bullJob('a-1', free));
+    await scheduler.started(bullJob('a-2', free));
+    expect(await scheduler.enqueue('scraping', { key: 'project:late', tier: 'free' }, 'late-1')).toBe(24 + 12);
+
+    await scheduler.forget(bullJob('a-3', free));
+    await scheduler.started(bullJob('late-1', { key: 'project:late', tier: 'free' }));
+    expect(await scheduler.enqueue('scraping', free, 'a-4')).toBe(12);
+  });
+
+  test('holds a project at its concurrency quota in the delayed set', async () => {
+    const scheduler = new FairShareScheduler(createFakeRedis(), null, { quotaRetryMs: 5000 });
+    const releases = [
+      await scheduler.admit(bullJob('1', free), 'token'),
+      await scheduler.admit(bullJob('2', free), 'token')
+    ];
+    const third = bullJob('3', free);
+
+    await expect(scheduler.admit(third, 'token')).rejects.toBeInstanceOf(DelayedError);
+    expect(third.moveToDelayed).toHaveBeenCalledWith(now + 5000, 'token');
+    expect(await scheduler.admit(bullJob('other', premium), 'token')).toEqual(expect.any(Function));
+
+    await releases[0]();
+    expect(await scheduler.admit(third, 'token')).toEqual(expect.any(Function));
+    expect(await scheduler.admit({ id: 'x', queueName: 'scraping', data: {} }, 'token')).toBeNull();
+  });
+
+  test('reports queue position and an expected start from recent throughput', async () => {
+    const scheduler = new FairShareScheduler(createFakeRedis(), null);
+    for (let i = 0; i < 3; i++) await scheduler.enqueue('priority-scraping', premium, `urgent-${i}`);
+    for (let i = 0; i < 5; i++) await scheduler.enqueue('scraping', premium, `p-${i}`);
+    for (let i = 0; i < 2; i++) await scheduler.enqueue('scraping', free, `f-${i}`);
+    // Six starts, the first 100 seconds ago
+    for (let i = 0; i < 6; i++) {
+      now += 20 * 1000;
+      await scheduler.started(bullJob(`done-${i}`, null));
+    }
+
+    const status = await scheduler.status('project:big');
+
+    // Three urgent jobs, then the three premium jobs with a pass below 12
+    expect(status).toMatchObject({
+      tenant: 'project:big',
+      policy: { tier: 'free', weight: 1, maxConcurrent: 2, overridden: false },
+      running: 0,
+      queued: 2,
+      lanes: [{ lane: 'priority-scraping', queued: 0 }, { lane: 'scraping', queued: 2 }],
+      nextJob: { lane: 'scraping', jobId: 'f-0', position: 7 }
+    });
+    expect(status.expectedStartAt).toBe(new Date(now + 100 * 1000).toISOString());
+  });
+
+  test('charges templates to their project at the owner tier, overridable per project', async () => {
+    const scheduler = new FairShareScheduler(createFakeRedis(), createFakeSupabase({
+      // projects joined with their owner's subscription tier
+      projects: [{ id: 'p1', users: { subscription_tier: 'basic' } }]
+    }));
+
+    expect(await scheduler.resolveTenant({ project_id: 'p1' })).toEqual({ key: 'project:p1', tier: 'basic' });
+    expect(await scheduler.resolveTenant({}, { apiKeyId: 'k1' })).toEqual({ key: 'apikey:k1', tier: 'free' });
+
+    await scheduler.enqueue('scraping', { key: 'project:p1', tier: 'basic' }, 'j-1');
+    expect(await scheduler.setPolicy('project:p1', { maxConcurrent: 8 }))
+      .toEqual({ weight: 2, maxConcurrent: 8, tier: 'basic', overridden: true });
+    await expect(scheduler.setPolicy('project:p1', { weight: 0 })).rejects.toThrow('weight must be a number between 0 and 12');
+    expect(await scheduler.clearPolicy('project:p1'))
+      .toEqual({ weight: 2, maxConcurrent: 5, tier: 'basic', overridden: false });
+  });
+});
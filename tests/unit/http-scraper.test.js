@@ -0,0 +1,175 @@
+const { HttpScraper } = require('../../scrapers/http-scraper');
+const { selectEngine } = require('../../scrapers/engine-selector');
+
+const LISTING_HTML = `<!doctype html>
+<html><head><title>Shop</title></head>
+<body>
+  <h1> Catalog </h1>
+  <a class="next" href="/shop?page=2">Next</a>
+  <div class="card" data-sku="A1">
+    <span class="title">Widget</span><span class="price">$10</span>
+    <a href="/p/widget">View</a><img src="/img/widget.png">
+  </div>
+  <div class="card" data-sku="B2">
+    <span class="title">Gadget</span>
+    <a href="/p/gadget">View</a>
+  </div>
+</body></html>`;
+
+const APP_SHELL_HTML = '<html><head><title>App</title></head><body><div id="root"></div><script src="/app.js"></script></body></html>';
+
+function mockFetch(pages) {
+  global.fetch = jest.fn(async (url) => {
+    if (!(url in pages)) return { ok: false, status: 404, url, headers: new Map(), text: async () => '' };
+    return {
+      ok: true,
+      status: 200,
+      url,
+      headers: new Map([['content-type', 'text/html; charset=utf-8']]),
+      text: async () => pages[url]
+    };
+  });
+}
+
+describe('HttpScraper', () => {
+  const originalFetch = global.fetch;
+  const scraper = new HttpScraper();
+  const scope = scraper.loadDocument({ url: 'https://shop.example.com/shop', status: 200, contentType: 'text/html', html: LISTING_HTML });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('supports the extractor types with browser-equivalent results', () => {
+    expect(scraper.extractData(scope, { type: 'text', selector: 'h1' })).toBe('Catalog');
+    expect(scraper.extractData(scope, { type: 'text', selector: '.title', multiple: true })).toEqual(['Widget', 'Gadget']);
+    expect(scraper.extractData(scope, { type: 'attribute', selector: '.card', attribute: 'data-sku', multiple: true })).toEqual(['A1', 'B2']);
+    expect(scraper.extractData(scope, { type: 'href', selector: '.card a' })).toBe('https://shop.example.com/p/widget');
+    expect(scraper.extractData(scope, { type: 'src', selector: 'img', multiple: true })).toEqual(['https://shop.example.com/img/widget.png']);
+    expect(scraper.extractData(scope, { type: 'count', selector: '.card' })).toBe(2);
+    expect(scraper.extractData(scope, { type: 'exists', selector: '.sold-out' })).toBe(false);
+    expect(scraper.extractData(scope, { type: 'text', selector: '.price', transform: 'number' })).toBe(0);
+    expect(scraper.extractData(scope, { type: 'text', selector: '.missing' })).toBeNull();
+  });
+
+  test('extracts lists with per-container records', () => {
+    const result = scraper.extractData(scope, {
+      type: 'list',
+      selector: '.card',
+      fields: { title: { type: 'text', selector: '.title' }, price: { type: 'text', selector: '.price' } }
+    });
+    expect(result).toEqual([
+      { title: 'Widget', price: '$10' },
+      { title: 'Gadget', price: null }
+    ]);
+  });
+
+  test('follows next links when paginating', async () => {
+    mockFetch({
+      'https://shop.example.com/shop': LISTING_HTML,
+      'https://shop.example.com/shop?page=2': '<html><body><div class="card"><span class="title">Doohickey</span></div></body></html>'
+    });
+
+    const result = await scraper.scrape({
+      url: 'https://shop.example.com/shop',
+      extractors: [{ name: 'titles', type: 'text', selector: '.title', multiple: true }],
+      pagination: { type: 'nextButton', selector: 'a.next', waitAfter: 0 }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.titles).toEqual(['Widget', 'Gadget', 'Doohickey']);
+    expect(result.pagination).toMatchObject({ pagesScraped: 2, stopReason: 'no_next_page' });
+  });
+
+  test('stops when a page past the end repeats the last one under a new counter', async () => {
+    const page = n => `<html><body><h2>Page ${n}</h2><div class="card"><span class="title">${n === 1 ? 'Widget' : 'Gadget'}</span></div></body></html>`;
+    mockFetch({
+      'https://shop.example.com/list?page=1': page(1),
+      'https://shop.example.com/list?page=2': page(2),
+      'https://shop.example.com/list?page=3': page(3)
+    });
+
+    const result = await scraper.scrape({
+      url: 'https://shop.example.com/list?page=1',
+      extractors: [
+        { name: 'heading', type: 'text', selector: 'h2' },
+        { name: 'titles', type: 'text', selector: '.title', multiple: true }
+      ],
+      pagination: { type: 'urlPattern', urlPattern: 'https://shop.example.com/list?page={page}', waitAfter: 0 }
+    });
+
+    expect(result.data.titles).toEqual(['Widget', 'Gadget']);
+    expect(result.pagination).toMatchObject({ pagesScraped: 2, stopReason: 'no_new_items' });
+  });
+
+  test('a cancelled job aborts its request and each request detaches from the job signal', async () => {
+    const cancellation = new AbortController();
+    const removeListener = jest.spyOn(cancellation.signal, 'removeEventListener');
+    const cancellable = new HttpScraper({ signal: cancellation.signal });
+
+    mockFetch({ 'https://shop.example.com/shop': LISTING_HTML });
+    await cancellable.fetchPage('https://shop.example.com/shop');
+    expect(removeListener).toHaveBeenCalledTimes(1);
+
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    const pending = cancellable.fetchPage('https://shop.example.com/shop');
+    cancellation.abort(new Error('Cancelled by user'));
+    await expect(pending).rejects.toThrow('Cancelled by user');
+  });
+
+  test('refuses page actions', async () => {
+    const result = await scraper.scrape({ url: 'https://shop.example.com/shop', actions: [{ type: 'click', selector: 'a' }] });
+    expect(result).toEqual({ success: false, error: 'Page actions require the browser engine' });
+  });
+
+  test('refuses json extractors, which read captured network responses', async () => {
+    const result = await scraper.scrape({ url: 'https://shop.example.com/shop', extractors: [{ name: 'stock', type: 'json', urlPattern: '/api/stock' }] });
+    expect(result).toEqual({ success: false, error: 'JSON extractors read captured network responses and require the browser engine' });
+  });
+});
+
+describe('selectEngine', () => {
+  const originalFetch = global.fetch;
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('honours an explicit engine and rejects unknown ones', async () => {
+    await expect(selectEngine({ url: 'https://x.test/', engine: 'http' })).resolves.toEqual({ engine: 'http', reason: 'configured' });
+    await expect(selectEngine({ url: 'https://x.test/' })).resolves.toMatchObject({ engine: 'browser' });
+    await expect(selectEngine({ url: 'https://x.test/', engine: 'curl' })).rejects.toThrow(/Unknown scrape engine/);
+  });
+
+  test('auto picks http when the extractors match the initial HTML', async () => {
+    mockFetch({ 'https://shop.example.com/shop': LISTING_HTML });
+    const selection = await selectEngine({
+      url: 'https://shop.example.com/shop',
+      engine: 'auto',
+      extractors: [{ name: 'title', type: 'text', selector: '.title' }]
+    });
+    expect(selection.engine).toBe('http');
+    expect(selection.page.html).toBe(LISTING_HTML);
+  });
+
+  test('auto falls back to the browser for app shells, missing selectors and actions', async () => {
+    mockFetch({ 'https://app.example.com/': APP_SHELL_HTML, 'https://shop.example.com/shop': LISTING_HTML });
+
+    await expect(selectEngine({ url: 'https://app.example.com/', engine: 'auto' }))
+      .resolves.toMatchObject({ engine: 'browser', reason: 'probe_app_shell' });
+    await expect(selectEngine({
+      url: 'https://shop.example.com/shop',
+      engine: 'auto',
+      extractors: [{ name: 'reviews', type: 'text', selector: '.review' }]
+    })).resolves.toMatchObject({ engine: 'browser', reason: 'probe_missing: .review' });
+    await expect(selectEngine({ url: 'https://shop.example.com/shop', engine: 'auto', actions: [{ type: 'click' }] }))
+      .resolves.toMatchObject({ engine: 'browser', reason: 'requires_browser: actions' });
+    await expect(selectEngine({
+      url: 'https://shop.example.com/shop',
+      engine: 'auto',
+      extractors: [{ type: 'list', selector: '.product', fields: { stock: { type: 'json', urlPattern: '/api/stock' } } }]
+    })).resolves.toMatchObject({ engine: 'browser', reason: 'requires_browser: extractor:json' });
+  });
+});
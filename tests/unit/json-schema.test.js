@@ -0,0 +1,147 @@
+const { DataProcessor } = require('../../services/data-processor');
+const { isJsonSchema, validateSchemaDefinition, DRAFT_2020_12 } = require('../../services/json-schema');
+
+const listingSchema = {
+  $schema: DRAFT_2020_12,
+  type: 'object',
+  required: ['title', 'price'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    price: { $ref: '#/$defs/money' },
+    listed: { type: 'string', format: 'date' },
+    bedrooms: { type: 'integer', minimum: 0 },
+    agent: {
+      type: 'object',
+      required: ['email'],
+      properties: {
+        email: { type: 'string', format: 'email' },
+        phone: { type: 'string', 'x-normalize': 'phone' }
+      }
+    },
+    units: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['rent'],
+        properties: { 'size/sqft': { type: 'number' }, rent: { $ref: '#/$defs/money' } }
+      }
+    }
+  },
+  $defs: { money: { type: 'number', 'x-normalize': 'price', minimum: 0 } }
+};
+
+describe('JSON Schema data schemas', () => {
+  let processor;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    processor = new DataProcessor();
+  });
+
+  test('normalizes nested objects and arrays and reports errors by JSON Pointer', async () => {
+    const result = await processor.processScrapedData({
+      title: '  Sunny   loft ',
+      price: '$1299',
+      listed: '2024-03-05',
+      bedrooms: '2',
+      agent: { email: 'Jane@Example.COM', phone: '(555) 123-4567' },
+      units: [{ 'size/sqft': '650', rent: '$1100' }, { 'size/sqft': 'big', rent: '' }]
+    }, listingSchema);
+
+    expect(result.data).toEqual({
+      title: 'Sunny loft',
+      price: 1299,
+      listed: '2024-03-05',
+      bedrooms: 2,
+      agent: { email: 'jane@example.com', phone: '+5551234567' },
+      units: [{ 'size/sqft': 650, rent: 1100 }, { 'size/sqft': 'big' }]
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { path: '/units/1/size~1sqft', field: 'units', keyword: 'type', error: '/units/1/size~1sqft must be number', type: 'validation_error' },
+      { path: '/units/1/rent', field: 'units', keyword: 'required', error: '/units/1/rent is required', type: 'required_field_error' }
+    ]);
+    expect(result.qualityMetrics.fieldCounts).toMatchObject({ total: 6, errors: 1 });
+  });
+
+  test('oneOf takes the single matching branch and explains a miss', async () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        contact: {
+          oneOf: [
+            { type: 'string', format: 'email' },
+            { type: 'object', required: ['phone'], properties: { phone: { type: 'string', 'x-normalize': 'phone' } } }
+          ]
+        },
+        count: { oneOf: [{ type: 'number' }, { type: 'integer' }] }
+      }
+    };
+
+    const phone = await processor.processRecord({ contact: { phone: '555 123 4567' } }, schema);
+    expect(phone).toMatchObject({ valid: true, data: { contact: { phone: '+5551234567' } } });
+
+    const invalid = await processor.processRecord({ contact: 'not an email', count: 3 }, schema);
+    expect(invalid.errors.map(error => [error.path, error.keyword])).toEqual([
+      ['/contact', 'oneOf'],
+      ['/contact', 'format'],
+      ['/count', 'oneOf']
+    ]);
+    expect(invalid.errors[2].error).toBe('/count matches 2 schemas in oneOf, expected exactly one');
+  });
+
+  test('strict mode, additionalProperties and x-deduplicate', async () => {
+    const checkForDuplicates = jest.spyOn(processor, 'checkForDuplicates').mockResolvedValue({ isDuplicate: true, duplicateValue: 'A1', existingId: 9 });
+    const schema = {
+      type: 'object',
+      'x-deduplicate': { key: 'sku' },
+      properties: { sku: { type: 'string' }, specs: { type: 'object', additionalProperties: false, properties: { color: { type: 'string' } } } }
+    };
+
+    const result = await processor.processRecord({ sku: 'A1', extra: 1, specs: { color: 'red', size: 'L' } }, schema, { strictMode: true });
+
+    expect(result.data).toEqual({ sku: 'A1', specs: { color: 'red' } });
+    expect(result.warnings).toEqual([expect.objectContaining({ path: '/extra' })]);
+    expect(result.errors.map(error => error.path || error.field)).toEqual(['/specs/size', 'sku']);
+    expect(checkForDuplicates).toHaveBeenCalledWith(result.data, { key: 'sku' });
+  });
+
+  test('keys with % report errors, and refs that loop without reading data fail instead of recursing', async () => {
+    const percent = await processor.processRecord({ 'off%': 'lots' }, { type: 'object', properties: { 'off%': { type: 'number' } } });
+    expect(percent.errors).toEqual([expect.objectContaining({ path: '/off%', field: 'off%', keyword: 'type' })]);
+
+    const looping = { $defs: { a: { allOf: [{ $ref: '#/$defs/a' }] } }, properties: { x: { $ref: '#/$defs/a' } } };
+    const result = await processor.processRecord({ x: 1 }, looping);
+    expect(result.errors).toEqual([expect.objectContaining({ path: '/x', keyword: '$ref' })]);
+
+    expect(validateSchemaDefinition({ $ref: '#' }, [])).toEqual(['/$ref: # refers back to itself without reading any data']);
+    expect(validateSchemaDefinition(looping, [])).toEqual([
+      '/$defs/a/allOf/0/$ref: #/$defs/a refers back to itself without reading any data'
+    ]);
+    // Recursion through properties or items reads data on the way, so it terminates
+    expect(validateSchemaDefinition({ type: 'object', properties: { children: { type: 'array', items: { $ref: '#' } } } }, [])).toEqual([]);
+  });
+
+  test('checks a schema definition before it is stored', () => {
+    expect(isJsonSchema(listingSchema)).toBe(true);
+    expect(isJsonSchema({ fields: { title: { type: 'string' } } })).toBe(false);
+    expect(validateSchemaDefinition(listingSchema, ['price', 'phone'])).toEqual([]);
+
+    expect(validateSchemaDefinition({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: {
+        a: { $ref: '#/$defs/missing' },
+        b: { type: 'text' },
+        c: { type: 'string', pattern: '(' },
+        d: { 'x-normalize': 'currency' }
+      }
+    }, ['price'])).toEqual([
+      `/$schema: only ${DRAFT_2020_12} is supported`,
+      '/properties/a/$ref: Unresolvable $ref: #/$defs/missing',
+      '/properties/b/type: unknown type "text"',
+      expect.stringMatching(/^\/properties\/c\/pattern: Invalid regular expression/),
+      '/properties/d/x-normalize: unknown normalizer "currency"'
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+const { EventEmitter } = require('events');
+const { NetworkCapture, queryJsonPath, compileUrlPattern } = require('../../scrapers/network-capture');
+const { PlaywrightScraper } = require('../../scrapers/playwright-scraper');
+
+function fakeResponse({ url, body, contentType = 'application/json', resourceType = 'xhr', status = 200 }) {
+  return {
+    url: () => url,
+    status: () => status,
+    headers: () => ({ 'content-type': contentType }),
+    request: () => ({ resourceType: () => resourceType, method: () => 'GET' }),
+    body: async () => Buffer.from(typeof body === 'string' ? body : JSON.stringify(body))
+  };
+}
+
+const CATALOG = {
+  data: {
+    items: [
+      { id: 1, title: 'Widget', price: { amount: 10 } },
+      { id: 2, title: 'Gadget', price: { amount: 25 } }
+    ],
+    'page-info': { total: 2 }
+  }
+};
+
+describe('queryJsonPath', () => {
+  test('supports child, index, wildcard, bracket and recursive descent steps', () => {
+    expect(queryJsonPath(CATALOG, '$.data.items[*].title')).toEqual(['Widget', 'Gadget']);
+    expect(queryJsonPath(CATALOG, '$.data.items[-1].id')).toEqual([2]);
+    expect(queryJsonPath(CATALOG, '$.data[\'page-info\'].total')).toEqual([2]);
+    expect(queryJsonPath(CATALOG, '$..amount')).toEqual([10, 25]);
+    expect(queryJsonPath(CATALOG, 'data.items[0].title')).toEqual(['Widget']);
+    expect(queryJsonPath(CATALOG, '$.data.missing[*]')).toEqual([]);
+    expect(() => queryJsonPath(CATALOG, '$.data[')).toThrow(/Invalid JSON path/);
+  });
+});
+
+describe('compileUrlPattern', () => {
+  test('handles substrings, globs and regexes', () => {
+    expect(compileUrlPattern('/api/')('https://shop.test/api/items')).toBe(true);
+    expect(compileUrlPattern('https://shop.test/*/items')('https://shop.test/api/items')).toBe(true);
+    expect(compileUrlPattern('https://shop.test/*/items')('https://shop.test/a/b/items')).toBe(false);
+    expect(compileUrlPattern('**/graphql')('https://shop.test/a/b/graphql')).toBe(true);
+    expect(compileUrlPattern('/items\\?page=\\d+/')('https://shop.test/items?page=2')).toBe(true);
+  });
+});
+
+describe('NetworkCapture', () => {
+  test('records matching JSON responses and skips the rest', async () => {
+    const page = new EventEmitter();
+    const capture = new NetworkCapture({ urlPatterns: ['/api/'], maxResponses: 2 });
+    capture.attach(page);
+
+    page.emit('response', fakeResponse({ url: 'https://shop.test/api/catalog', body: CATALOG }));
+    page.emit('response', fakeResponse({ url: 'https://shop.test/app.js', body: 'x', contentType: 'application/javascript', resourceType: 'script' }));
+    page.emit('response', fakeResponse({ url: 'https://tracker.test/collect', body: {} }));
+    page.emit('response', fakeResponse({ url: 'https://shop.test/api/user', body: { name: 'a' } }));
+    page.emit('response', fakeResponse({ url: 'https://shop.test/api/extra', body: {} }));
+    await capture.settle();
+    capture.detach();
+
+    expect(capture.responses.map(r => r.url)).toEqual(['https://shop.test/api/catalog', 'https://shop.test/api/user']);
+    expect(capture.dropped).toBe(1);
+    expect(capture.query({ path: '$.data.items[*].id', source: '/catalog' })).toEqual([1, 2]);
+  });
+
+  test('feeds json extractors on the Playwright scraper', async () => {
+    const scraper = new PlaywrightScraper();
+    scraper.networkCapture = new NetworkCapture(true);
+    scraper.networkCapture.responses.push({
+      url: 'https://shop.test/api/catalog', method: 'GET', status: 200, contentType: 'application/json',
+      resourceType: 'fetch', size: 0, body: CATALOG, page: 0
+    });
+
+    const data = await scraper.extractPage({}, [
+      { name: 'titles', type: 'json', path: '$.data.items[*].title', multiple: true },
+      { name: 'firstPrice', type: 'json', path: '$..amount', transform: 'number' },
+      { name: 'missing', type: 'json', path: '$.nope' }
+    ]);
+
+    expect(data).toEqual({ titles: ['Widget', 'Gadget'], firstPrice: 10, missing: null });
+  });
+});
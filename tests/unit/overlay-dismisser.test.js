@@ -0,0 +1,109 @@
+const { OverlayDismisser, mergeOverlayConfig, rulesForUrl } = require('../../scrapers/overlay-dismisser');
+
+// Clicked elements disappear, like a dismissed banner
+function fakeElement() {
+  return {
+    clicks: 0,
+    isVisible: async function () { return this.clicks === 0; },
+    click: async function () { this.clicks++; }
+  };
+}
+
+function fakeFrame(url, elements) {
+  return {
+    url: () => url,
+    $: async selector => elements[selector]
+      || (selector.includes(':text-matches') ? elements.generic : null)
+      || (selector.startsWith('[role="dialog"]') ? elements.overlay : null)
+      || null
+  };
+}
+
+function fakePage(url, elements, iframes = []) {
+  const main = fakeFrame(url, elements);
+  return {
+    url: () => url,
+    mainFrame: () => main,
+    frames: () => [main, ...iframes],
+    waitForTimeout: async () => {},
+    $: main.$,
+    $$eval: async (selector) => (elements[selector] ? 1 : 0)
+  };
+}
+
+describe('overlay dismisser', () => {
+  test('clicks the accept button of a detected consent manager', async () => {
+    const accept = fakeElement();
+    const page = fakePage('https://news.test/', {
+      '#onetrust-banner-sdk, #onetrust-consent-sdk': fakeElement(),
+      '#onetrust-accept-btn-handler': accept
+    });
+
+    const records = await new OverlayDismisser().dismiss(page);
+
+    expect(accept.clicks).toBe(1);
+    expect(records[0]).toEqual({ kind: 'consent', provider: 'onetrust', selector: '#onetrust-accept-btn-handler' });
+  });
+
+  test('finds consent dialogs inside iframes and records the frame', async () => {
+    const iframe = fakeFrame('https://cmp.test/message', {
+      '[id^="sp_message_container"], .sp_choice_type_11': fakeElement(),
+      'button[title="Accept all"]': fakeElement()
+    });
+    const page = fakePage('https://news.test/', {}, [iframe]);
+
+    const records = await new OverlayDismisser({ maxRounds: 1 }).dismiss(page);
+
+    expect(records).toEqual([{
+      kind: 'consent',
+      provider: 'sourcepoint',
+      selector: 'button[title="Accept all"]',
+      frameUrl: 'https://cmp.test/message'
+    }]);
+  });
+
+  test('applies per-domain overrides on subdomains only', async () => {
+    const config = mergeOverlayConfig(
+      { domains: { 'shop.test': { accept: ['#agree'], remove: ['.paywall'] } } },
+      { skip: ['generic'], domains: { 'shop.test': { skip: ['onetrust'] } } }
+    );
+
+    expect(rulesForUrl(config, 'https://www.shop.test/p/1')).toEqual({
+      accept: ['#agree'],
+      close: [],
+      remove: ['.paywall'],
+      skip: ['generic', 'onetrust']
+    });
+    expect(rulesForUrl(config, 'https://othershop.test/').accept).toEqual([]);
+
+    const generic = fakeElement();
+    const page = fakePage('https://www.shop.test/p/1', { '#agree': fakeElement(), '.paywall': true, generic });
+    const records = await new OverlayDismisser(config).dismiss(page);
+
+    expect(records.map(record => `${record.kind}:${record.provider}`)).toEqual(['consent:custom', 'removed:custom']);
+    expect(generic.clicks).toBe(0);
+  });
+
+  test('only matches accept labels while a consent banner or dialog is showing', async () => {
+    const gotIt = fakeElement();
+    const records = await new OverlayDismisser({ maxRounds: 1 }).dismiss(fakePage('https://blog.test/', { generic: gotIt }));
+
+    expect(records).toEqual([]);
+    expect(gotIt.clicks).toBe(0);
+
+    const page = fakePage('https://blog.test/', { overlay: { isVisible: async () => true }, generic: gotIt });
+    expect(await new OverlayDismisser({ maxRounds: 1 }).dismiss(page)).toEqual([
+      { kind: 'consent', provider: 'generic', selector: 'accept-text' }
+    ]);
+    expect(gotIt.clicks).toBe(1);
+  });
+
+  test('does nothing when disabled', async () => {
+    const accept = fakeElement();
+    const page = fakePage('https://news.test/', { generic: accept });
+
+    expect(await new OverlayDismisser(false).dismiss(page)).toEqual([]);
+    expect(mergeOverlayConfig({ enabled: true }, false).enabled).toBe(false);
+    expect(accept.clicks).toBe(0);
+  });
+});
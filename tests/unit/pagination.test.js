@@ -0,0 +1,57 @@
+const {
+  normalizePaginationConfig,
+  buildPageUrl,
+  fingerprintPageData,
+  repeatsSeenItems,
+  isEmptyPageData,
+  mergePageResults
+} = require('../../scrapers/pagination');
+
+describe('pagination helpers', () => {
+  test('normalizePaginationConfig applies defaults and validates', () => {
+    const config = normalizePaginationConfig({ type: 'nextButton', selector: 'a.next' });
+    expect(config.maxPages).toBe(10);
+    expect(config.stopOnDuplicatePage).toBe(true);
+
+    expect(() => normalizePaginationConfig({ type: 'nextButton' })).toThrow(/requires a selector/);
+    expect(() => normalizePaginationConfig({ type: 'urlPattern' })).toThrow(/requires a urlPattern/);
+    expect(() => normalizePaginationConfig({ type: 'bogus' })).toThrow(/Unknown pagination type/);
+  });
+
+  test('buildPageUrl fills page and offset placeholders', () => {
+    expect(buildPageUrl('https://example.com/list?page={page}', 3)).toBe('https://example.com/list?page=3');
+    expect(buildPageUrl('https://example.com/list?start={offset}', 3, { startPage: 1, pageSize: 20 }))
+      .toBe('https://example.com/list?start=40');
+  });
+
+  test('fingerprintPageData ignores the page url', () => {
+    const a = fingerprintPageData({ url: 'https://example.com/?page=2', titles: ['x', 'y'] });
+    const b = fingerprintPageData({ url: 'https://example.com/?page=3', titles: ['x', 'y'] });
+    const c = fingerprintPageData({ url: 'https://example.com/?page=3', titles: ['z'] });
+    expect(a).toBe(b);
+    expect(a).not.toBe(c);
+  });
+
+  test('repeatsSeenItems spots a page that only lists items seen before', () => {
+    const seen = new Set();
+    expect(repeatsSeenItems({ titles: ['a', 'b'], prices: [1, 2], heading: 'Page 1' }, seen)).toBe(false);
+    expect(repeatsSeenItems({ titles: ['b', 'c'], prices: [2, 2], heading: 'Page 2' }, seen)).toBe(false);
+    expect(repeatsSeenItems({ titles: ['b', 'c'], prices: [2, 2], heading: 'Page 3' }, seen)).toBe(true);
+    expect(repeatsSeenItems({ titles: ['a'], prices: [2] }, seen)).toBe(false);
+    expect(repeatsSeenItems({ heading: 'Page 4' }, seen)).toBe(false);
+  });
+
+  test('isEmptyPageData detects pages without extracted values', () => {
+    expect(isEmptyPageData({ titles: [], price: null, name: '' })).toBe(true);
+    expect(isEmptyPageData({ titles: ['x'] })).toBe(false);
+  });
+
+  test('mergePageResults concatenates arrays and collects scalars', () => {
+    const merged = mergePageResults([
+      { titles: ['a', 'b'], heading: 'Page 1' },
+      { titles: ['c'], heading: 'Page 2' },
+      { titles: [], heading: null }
+    ]);
+    expect(merged).toEqual({ titles: ['a', 'b', 'c'], heading: ['Page 1', 'Page 2'] });
+  });
+});
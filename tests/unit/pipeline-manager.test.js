@@ -0,0 +1,151 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  PipelineManager,
+  validatePipeline,
+  extractUrls
+} = require('../../services/pipeline-manager');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+function createManager(exportRoot) {
+  const supabase = createFakeSupabase({ pipelines: [], pipeline_runs: [], pipeline_stage_runs: [] });
+  const orchestrator = {
+    isInitialized: true,
+    queueNameFor: () => 'scraping',
+    prepareJob: jest.fn(async (template, url, batch, options, overrides) => ({
+      name: 'scrape-url', queueName: batch.queueName, data: { url, batchId: batch.batchId }, opts: { jobId: `job-${url}`, ...overrides }
+    }))
+  };
+  const dataProcessor = {
+    processScrapedData: jest.fn(async data => ({ data: { ...data, title: data.title.trim() }, valid: Boolean(data.title.trim()), errors: [] }))
+  };
+  const templates = { getTemplate: async id => ({ id, code: 'return {}' }) };
+  const manager = new PipelineManager(supabase, orchestrator, templates, dataProcessor, { exportRoot });
+  const flows = [];
+  manager.flowProducer = /** @type {any} */ ({ add: async (flow) => flows.push(flow) });
+  return { manager, supabase, orchestrator, flows };
+}
+
+// Stand-in for the stage job BullMQ hands to the worker once a flow's children are done
+function stageJob(flow, childValues = []) {
+  return {
+    data: flow.data,
+    opts: flow.opts,
+    attemptsMade: 0,
+    getChildrenValues: async () => Object.fromEntries(childValues.map((value, index) => [`bull:scraping:${index}`, value]))
+  };
+}
+
+const STAGES = [
+  { id: 'listing', type: 'scrape', template_id: 'list-template' },
+  {
+    id: 'details',
+    type: 'scrape',
+    template_id: 'detail-template',
+    dependsOn: ['listing'],
+    input: { field: 'products.href' },
+    retry: { attempts: 5, backoff: { type: 'exponential', delay: 1000 } }
+  },
+  { id: 'clean', type: 'process', dependsOn: ['details'], schema: { fields: {} }, dropInvalid: true },
+  { id: 'export', type: 'export', dependsOn: ['clean', 'listing'], format: 'json' }
+];
+
+describe('pipeline manager', () => {
+  let exportRoot;
+
+  beforeEach(async () => {
+    exportRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-export-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(exportRoot, { recursive: true, force: true });
+  });
+
+  test('validates stage references and rejects cycles', () => {
+    expect(validatePipeline(STAGES)).toEqual(['listing', 'details', 'clean', 'export']);
+    expect(() => validatePipeline([
+      { id: 'a', type: 'process', dependsOn: ['b'], schema: {} },
+      { id: 'b', type: 'process', dependsOn: ['a'], schema: {} }
+    ])).toThrow('dependency cycle between a, b');
+    expect(() => validatePipeline([STAGES[0], { ...STAGES[1], input: undefined }])).toThrow('requires input.field');
+    expect(() => validatePipeline([{ id: 'x', type: 'export', dependsOn: ['y'] }])).toThrow('unknown stage y');
+    expect(() => validatePipeline([{ ...STAGES[0], id: '../../etc/cron.d/x' }])).toThrow('may only contain letters, digits, _ and -');
+    expect(() => validatePipeline([STAGES[0], { id: 'dedupe', type: 'dedupe', dependsOn: ['listing'], entity: { keys: 'sku' } }]))
+      .toThrow('Dedupe stage dedupe: keys must be an array');
+  });
+
+  test('extracts, resolves and de-duplicates URLs from upstream records', () => {
+    const records = [
+      { url: 'https://shop.test/list?page=1', data: { products: [{ href: '/p/1' }, { href: '/p/2' }] } },
+      { url: 'https://shop.test/list?page=2', data: { products: [{ href: 'https://shop.test/p/2' }, { name: 'no link' }] } }
+    ];
+    expect(extractUrls(records, 'products.href')).toEqual(['https://shop.test/p/1', 'https://shop.test/p/2']);
+  });
+
+  test('runs scrape -> scrape -> process -> export with fan-out and fan-in', async () => {
+    const { manager, supabase, orchestrator, flows } = createManager(exportRoot);
+    supabase.tables.pipelines.push({ id: 'pipeline-1', stages: STAGES });
+
+    const started = await manager.startRun('pipeline-1', { urls: ['https://shop.test/list'] });
+    expect(started.stages.map(stage => stage.status)).toEqual(['running', 'pending', 'pending', 'pending']);
+    expect(flows[0].children).toHaveLength(1);
+
+    // Listing page finished: its links fan out into one child per product
+    await manager.processStageJob(stageJob(flows[0], [
+      { success: true, data: { products: [{ href: '/p/1' }, { href: '/p/2' }] }, metadata: { url: 'https://shop.test/list' } }
+    ]));
+    expect(flows[1].data.stageId).toBe('details');
+    expect(flows[1].children.map(child => child.data.url)).toEqual(['https://shop.test/p/1', 'https://shop.test/p/2']);
+    expect(orchestrator.prepareJob.mock.calls[1][4]).toEqual({
+      attempts: 5, backoff: { type: 'exponential', delay: 1000 }, removeDependencyOnFailure: true
+    });
+
+    // One product page failed for good, so only one value comes back
+    await manager.processStageJob(stageJob(flows[1], [
+      { success: true, data: { title: ' Widget ' }, metadata: { url: 'https://shop.test/p/1' } }
+    ]));
+    let run = await manager.getRun(started.id);
+    expect(run.stages[1]).toMatchObject({ status: 'completed', total_items: 2, completed_items: 1, failed_items: 1, progress: 100 });
+
+    await manager.processStageJob(stageJob(flows[2]));
+    expect(flows[3].data.stageId).toBe('export');
+    await manager.processStageJob(stageJob(flows[3]));
+
+    run = await manager.getRun(started.id);
+    expect(run.status).toBe('completed');
+    expect(run.progress).toBe(100);
+
+    const exported = await manager.getExport(started.id, 'export');
+    const rows = JSON.parse(await fs.readFile(exported.filePath, 'utf8'));
+    expect(rows).toEqual([
+      { url: 'https://shop.test/p/1', title: 'Widget' },
+      { url: 'https://shop.test/list', products: [{ href: '/p/1' }, { href: '/p/2' }] }
+    ]);
+  });
+
+  test('a failed stage fails the run and skips everything downstream', async () => {
+    const { manager, supabase, flows } = createManager(exportRoot);
+    supabase.tables.pipelines.push({ id: 'pipeline-1', stages: STAGES });
+    const started = await manager.startRun('pipeline-1', { urls: ['https://shop.test/list'] });
+
+    await manager.handleStageFailure(flows[0].opts.jobId, 'child failed');
+
+    const run = await manager.getRun(started.id);
+    expect(run.status).toBe('failed');
+    expect(run.error).toBe('Stage listing failed: child failed');
+    expect(run.stages.map(stage => stage.status)).toEqual(['failed', 'skipped', 'skipped', 'skipped']);
+  });
+
+  test('launches a fan-in stage only once when its dependencies finish together', async () => {
+    const { manager, supabase, flows } = createManager(exportRoot);
+    supabase.tables.pipelines.push({ id: 'pipeline-1', stages: STAGES });
+    await manager.startRun('pipeline-1', { urls: ['https://shop.test/list'] });
+    const run = supabase.tables.pipeline_runs[0];
+    const exportStage = STAGES[3];
+
+    await Promise.all([manager.launchStage(run, exportStage), manager.launchStage(run, exportStage)]);
+
+    expect(flows.filter(flow => flow.data.stageId === 'export')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,175 @@
+const { PlaywrightScraper } = require('../../scrapers/playwright-scraper');
+
+// Minimal stand-in for a Playwright ElementHandle: children are looked up by
+// selector in a plain object tree, and $eval/$$eval run the callback on fake elements.
+function fakeElement(node) {
+  const find = (selector) => (selector === ':scope' ? [node] : (node.children?.[selector] || []));
+  return {
+    $: async (selector) => (find(selector)[0] ? fakeElement(find(selector)[0]) : null),
+    $$: async (selector) => find(selector).map(fakeElement),
+    $eval: async (selector, fn, arg) => {
+      const match = find(selector)[0];
+      if (!match) throw new Error(`No element for ${selector}`);
+      return fn(match, arg);
+    },
+    $$eval: async (selector, fn, arg) => fn(find(selector), arg),
+    dispose: async () => {}
+  };
+}
+
+describe('PlaywrightScraper list extractor', () => {
+  const scraper = new PlaywrightScraper();
+
+  const page = fakeElement({
+    children: {
+      '.card': [
+        {
+          children: {
+            '.title': [{ textContent: ' Widget ' }],
+            '.price': [{ textContent: '$10' }],
+            '.tag': [{ textContent: 'new' }, { textContent: 'sale' }]
+          }
+        },
+        {
+          // second card has no price: its record should get null, not the next card's price
+          children: {
+            '.title': [{ textContent: 'Gadget' }],
+            '.tag': [{ textContent: 'used' }]
+          }
+        }
+      ]
+    }
+  });
+
+  test('produces one aligned record per container', async () => {
+    const result = await scraper.extractData(page, {
+      type: 'list',
+      selector: '.card',
+      fields: {
+        title: { type: 'text', selector: '.title' },
+        price: { type: 'text', selector: '.price' }
+      }
+    });
+
+    expect(result).toEqual([
+      { title: 'Widget', price: '$10' },
+      { title: 'Gadget', price: null }
+    ]);
+  });
+
+  test('supports nested lists and array-style fields', async () => {
+    const result = await scraper.extractData(page, {
+      type: 'list',
+      selector: '.card',
+      limit: 1,
+      fields: [
+        { name: 'title', type: 'text', selector: '.title' },
+        { name: 'tags', type: 'list', selector: '.tag', fields: { label: { type: 'text' } } }
+      ]
+    });
+
+    expect(result).toEqual([
+      { title: 'Widget', tags: [{ label: 'new' }, { label: 'sale' }] }
+    ]);
+  });
+
+  test('returns an empty array when the list config is incomplete', async () => {
+    const result = await scraper.extractData(page, { type: 'list', selector: '.card' });
+    expect(result).toEqual([]);
+  });
+});
+
+describe('PlaywrightScraper action DSL', () => {
+  // Page double: `present` lists selectors that currently match; clicks are recorded
+  function fakePage({ present = {}, url = 'https://shop.test/' } = {}) {
+    const clicks = [];
+    const page = {
+      clicks,
+      present,
+      url: () => url,
+      $: async selector => (present[selector] ? {
+        isVisible: async () => true,
+        textContent: async () => present[selector].text || ''
+      } : null),
+      $$: async selector => Array.from({ length: present[selector]?.count || 0 }),
+      waitForSelector: async (selector) => {
+        if (!present[selector]) throw new Error(`Timeout waiting for ${selector}`);
+      },
+      click: async (selector) => {
+        clicks.push(selector);
+        if (page.onClick) page.onClick(selector);
+      },
+      waitForTimeout: async () => {}
+    };
+    return page;
+  }
+
+  const scraper = new PlaywrightScraper();
+  const state = (sequences = {}) => scraper.createActionState({ sequences });
+
+  test('if runs the matching branch', async () => {
+    const page = fakePage({ present: { '#banner': { text: 'We use cookies' } } });
+    await scraper.runActions(page, [
+      {
+        type: 'if',
+        condition: { textMatches: { selector: '#banner', pattern: 'cookies' } },
+        then: [{ type: 'click', selector: '#banner' }],
+        else: [{ type: 'click', selector: '#other' }]
+      },
+      { type: 'if', condition: { exists: '#missing' }, then: [{ type: 'click', selector: '#missing' }] }
+    ], state());
+
+    expect(page.clicks).toEqual(['#banner']);
+  });
+
+  test('repeat runs N times or until a selector disappears', async () => {
+    const page = fakePage({ present: { '.more': {} } });
+    let remaining = 3;
+    page.onClick = () => { if (--remaining === 0) delete page.present['.more']; };
+
+    await scraper.runActions(page, [
+      { type: 'repeat', until: { notExists: '.more' }, actions: [{ type: 'click', selector: '.more' }] }
+    ], state());
+    expect(page.clicks).toHaveLength(3);
+
+    page.present['.more'] = {};
+    await scraper.runActions(page, [{ type: 'repeat', times: 2, actions: [{ type: 'click', selector: '.more' }] }], state());
+    expect(page.clicks).toHaveLength(5);
+  });
+
+  test('forEach scopes :item selectors to each matched element', async () => {
+    const page = fakePage({
+      present: {
+        '.row': { count: 2 },
+        '.row >> nth=0 >> .open': {},
+        '.row >> nth=1 >> .open': {}
+      }
+    });
+
+    await scraper.runActions(page, [
+      { type: 'forEach', selector: '.row', actions: [{ type: 'click', selector: ':item .open' }] }
+    ], state());
+
+    expect(page.clicks).toEqual(['.row >> nth=0 >> .open', '.row >> nth=1 >> .open']);
+  });
+
+  test('named sequences run via run steps and optional failures are skipped', async () => {
+    const page = fakePage({ present: { '#accept': {} } });
+    const actionState = state({ dismiss: [{ type: 'click', selector: '#accept' }] });
+
+    await scraper.runActions(page, [
+      { type: 'click', selector: '#cookie-banner', optional: true },
+      { type: 'run', sequence: 'dismiss' }
+    ], actionState);
+
+    expect(page.clicks).toEqual(['#accept']);
+    expect(actionState.skipped).toEqual([
+      { type: 'click', selector: '#cookie-banner', error: 'Timeout waiting for #cookie-banner' }
+    ]);
+
+    await expect(scraper.runActions(page, [{ type: 'run', sequence: 'nope' }], actionState))
+      .rejects.toThrow(/Unknown action sequence/);
+    await expect(scraper.runActions(page, [{ type: 'run', sequence: 'loop' }], state({ loop: [{ type: 'run', sequence: 'loop' }] })))
+      .rejects.toThrow(/nested deeper/);
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('ioredis');
+
+const { ProgressReporter, ProgressTracker, countRecords, isFinal } = require('../../services/progress-tracker');
+const { DistributedOrchestrator } = require('../../services/distributed-orchestrator');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+describe('progress tracking', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  test('stages go out at once while counter bumps are throttled', async () => {
+    const job = { id: 'job-1', updateProgress: jest.fn(async () => {}) };
+    const progress = new ProgressReporter(job, { executionId: 'e1' }, { minIntervalMs: 1000 });
+
+    await progress.stage('starting');
+    await progress.add('navigations');
+    await progress.add('pagesCrawled', 3);
+    expect(job.updateProgress).toHaveBeenCalledTimes(1);
+
+    now += 1000;
+    await progress.add('actionsExecuted');
+    expect(job.updateProgress).toHaveBeenCalledTimes(2);
+    expect(job.updateProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+      executionId: 'e1',
+      stage: 'starting',
+      percent: 5,
+      navigations: 1,
+      actionsExecuted: 1,
+      pagesCrawled: 3
+    }));
+
+    // Percent never goes back within an attempt
+    await progress.stage('saving');
+    await progress.stage('extracting');
+    expect(job.updateProgress.mock.calls[3][0]).toMatchObject({ stage: 'extracting', percent: 90 });
+    progress.close();
+  });
+
+  test('a job that cannot store progress keeps running', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const progress = new ProgressReporter({ id: 'job-2' });
+
+    await expect(progress.stage('starting')).resolves.toBeUndefined();
+    expect(progress.started).toBe(true);
+  });
+
+  test('counts records in arrays and objects', () => {
+    expect(countRecords([1, 2, 3])).toBe(3);
+    expect(countRecords({ listings: [1, 2], images: [1, 2, 3, 4] })).toBe(4);
+    expect(countRecords({ title: 'x' })).toBe(1);
+    expect(countRecords({})).toBe(0);
+    expect(countRecords(null)).toBe(0);
+  });
+
+  test('stores events on the execution and fans them out to subscribers', async () => {
+    const supabase = createFakeSupabase({ scraping_executions: [{ id: 'e1' }] });
+    const tracker = new ProgressTracker(supabase);
+    const single = jest.fn();
+    const batch = jest.fn();
+    tracker.subscribe({ executionId: 'e1' }, single);
+    const unsubscribe = tracker.subscribe({ batchId: 'b1' }, batch);
+
+    const event = { executionId: 'e1', batchId: 'b1', stage: 'navigating', percent: 15, updatedAt: 't1' };
+    await tracker.record(/** @type {any} */ (event));
+    await tracker.record(/** @type {any} */ ({ executionId: 'e2', batchId: 'b1', stage: 'starting', percent: 5, updatedAt: 't2' }));
+    unsubscribe();
+    await tracker.record(/** @type {any} */ ({ executionId: 'e3', batchId: 'b1', stage: 'starting', percent: 5, updatedAt: 't3' }));
+
+    expect(single).toHaveBeenCalledWith(event);
+    expect(single).toHaveBeenCalledTimes(1);
+    expect(batch).toHaveBeenCalledTimes(2);
+    expect(supabase.tables.scraping_executions[0]).toEqual({ id: 'e1', progress: event, progress_updated_at: 't1' });
+    expect(isFinal(/** @type {any} */ ({ stage: 'failed', attempt: 1, maxAttempts: 3 }))).toBe(false);
+    expect(isFinal(/** @type {any} */ ({ stage: 'failed', attempt: 3, maxAttempts: 3 }))).toBe(true);
+  });
+
+  test('estimates completion from the template average, then from the percentage', async () => {
+    const tracker = new ProgressTracker(createFakeSupabase({
+      template_metrics: [{ template_id: 't1', average_duration: 60000, successful_runs: 4 }]
+    }));
+    const startedAt = new Date(now).toISOString();
+
+    now += 20000;
+    expect(await tracker.estimate('t1', /** @type {any} */ ({ stage: 'extracting', percent: 60, startedAt })))
+      .toEqual({ remainingMs: 40000, estimatedCompletionAt: new Date(now + 40000).toISOString(), basis: 'template_metrics' });
+
+    // Already slower than average
+    now += 60000;
+    expect(await tracker.estimate('t1', /** @type {any} */ ({ stage: 'saving', percent: 80, startedAt })))
+      .toMatchObject({ remainingMs: 20000, basis: 'progress' });
+
+    expect(await tracker.estimateBatch('t1', 10, 3)).toMatchObject({ remainingMs: 4 * 60000 });
+    expect(await new ProgressTracker(createFakeSupabase()).estimateBatch('t2', 10))
+      .toEqual({ remainingMs: null, estimatedCompletionAt: null, basis: null });
+  });
+
+  test('template averages only count successful runs, even when the first run failed', async () => {
+    const orchestrator = new DistributedOrchestrator();
+    orchestrator.supabase = createFakeSupabase();
+
+    await orchestrator.updateTemplateMetrics('t1', false, 5000);
+    expect(orchestrator.supabase.tables.template_metrics[0].average_duration).toBe(0);
+    await orchestrator.updateTemplateMetrics('t1', true, 30000);
+    await orchestrator.updateTemplateMetrics('t1', false);
+    await orchestrator.updateTemplateMetrics('t1', true, 50000);
+
+    expect(orchestrator.supabase.tables.template_metrics[0]).toMatchObject({
+      total_runs: 4,
+      successful_runs: 2,
+      average_duration: 40000
+    });
+  });
+});
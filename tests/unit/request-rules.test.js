@@ -0,0 +1,97 @@
+const { RequestRuleSet, mergeRequestRules, defaultRequestRules } = require('../../scrapers/request-rules');
+
+function fakeRoute(url, resourceType, headers = {}) {
+  return {
+    outcome: null,
+    request: () => ({ url: () => url, resourceType: () => resourceType, headers: () => headers }),
+    abort: jest.fn(async function () { this.outcome = 'aborted'; }),
+    continue: jest.fn(async function (overrides) { this.outcome = overrides || 'continued'; })
+  };
+}
+
+describe('request rules', () => {
+  test('merges template and job rules, letting job allow-lists win', () => {
+    const merged = mergeRequestRules(
+      { blockResourceTypes: ['image', 'font'], headers: { 'x-template': '1' } },
+      { blockResourceTypes: ['font', 'media'], allowResourceTypes: ['image'], cookies: [{ name: 'a', value: 'b' }] }
+    );
+
+    expect(merged.blockResourceTypes).toEqual(['image', 'font', 'media']);
+    expect(merged.headers).toEqual([{ set: { 'x-template': '1' } }]);
+    expect(merged.cookies).toHaveLength(1);
+
+    const ruleSet = new RequestRuleSet(merged, 'https://shop.test/');
+    expect(ruleSet.classify('https://shop.test/a.png', 'image')).toBeNull();
+    expect(ruleSet.classify('https://shop.test/a.woff', 'font')).toEqual({ reason: 'resourceType', key: 'font' });
+  });
+
+  test('by default blocks only the two trackers, leaving presets to templates', () => {
+    const defaults = new RequestRuleSet(defaultRequestRules({ loadImages: true }), 'https://shop.test/');
+    expect(defaults.classify('https://www.google-analytics.com/collect', 'xhr')).toMatchObject({ reason: 'pattern' });
+    expect(defaults.classify('https://www.facebook.com/tr?id=1', 'image')).toMatchObject({ reason: 'pattern' });
+    expect(defaults.classify('https://www.googletagmanager.com/gtm.js', 'script')).toBeNull();
+    expect(defaults.classify('https://shop.test/a.woff', 'font')).toEqual({ reason: 'resourceType', key: 'font' });
+
+    const optedIn = new RequestRuleSet(mergeRequestRules(defaultRequestRules(), { blockPresets: ['analytics'] }));
+    expect(optedIn.classify('https://www.googletagmanager.com/gtm.js', 'script')).toEqual({ reason: 'domain', key: 'googletagmanager.com' });
+  });
+
+  test('blocks by domain, preset and pattern and counts what it blocked', async () => {
+    const ruleSet = new RequestRuleSet({
+      blockResourceTypes: ['image'],
+      blockDomains: ['Tracker.test'],
+      blockPresets: ['analytics'],
+      blockUrlPatterns: ['**/pixel.gif'],
+      allowDomains: ['cdn.shop.test']
+    });
+
+    const routes = [
+      fakeRoute('https://shop.test/', 'document'),
+      fakeRoute('https://eu.tracker.test/t.js', 'script'),
+      fakeRoute('https://www.google-analytics.com/collect', 'xhr'),
+      fakeRoute('https://shop.test/pixel.gif', 'other'),
+      fakeRoute('https://shop.test/hero.jpg', 'image'),
+      fakeRoute('https://cdn.shop.test/hero.jpg', 'image')
+    ];
+    for (const route of routes) {
+      await ruleSet.handleRoute(route);
+    }
+
+    expect(routes.map(route => route.outcome)).toEqual(['continued', 'aborted', 'aborted', 'aborted', 'aborted', 'continued']);
+    expect(ruleSet.getStats()).toMatchObject({
+      total: 6,
+      allowed: 2,
+      blocked: 4,
+      blockedByResourceType: { image: 1 },
+      blockedByDomain: { 'tracker.test': 1, 'google-analytics.com': 1 },
+      blockedByPattern: 1
+    });
+  });
+
+  test('rewrites headers on matching requests and injects cookies', async () => {
+    const ruleSet = new RequestRuleSet({
+      headers: [
+        { set: { 'X-Debug': '1' } },
+        { urlPattern: '/api/', set: { Authorization: 'Bearer t' }, remove: ['Cookie'] }
+      ],
+      cookies: [{ name: 'consent', value: 'yes' }, { name: 'region', value: 'eu', domain: '.shop.test', path: '/' }]
+    }, 'https://shop.test/start');
+
+    const context = { addCookies: jest.fn(async () => {}), route: jest.fn(async () => {}) };
+    await ruleSet.apply(context);
+    expect(context.addCookies).toHaveBeenCalledWith([
+      { name: 'consent', value: 'yes', url: 'https://shop.test/start' },
+      { name: 'region', value: 'eu', domain: '.shop.test', path: '/' }
+    ]);
+    expect(context.route).toHaveBeenCalledWith('**/*', expect.any(Function));
+
+    const route = fakeRoute('https://shop.test/api/items', 'fetch', { cookie: 'x=1', accept: '*/*' });
+    await ruleSet.handleRoute(route);
+    expect(route.continue).toHaveBeenCalledWith({ headers: { accept: '*/*', 'x-debug': '1', authorization: 'Bearer t' } });
+    expect(ruleSet.getStats()).toMatchObject({ headersRewritten: 1, cookiesInjected: 2 });
+  });
+
+  test('rejects unknown presets', () => {
+    expect(() => new RequestRuleSet({ blockPresets: ['everything'] })).toThrow(/Unknown block preset/);
+  });
+});
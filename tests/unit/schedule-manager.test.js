@@ -0,0 +1,132 @@
+const {
+  ScheduleManager,
+  validateSchedule,
+  previewNextRuns,
+  findBlackout
+} = require('../../services/schedule-manager');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+function fakeOrchestrator(jobStates = {}) {
+  const scheduleJob = jest.fn(async (template, urls) => ({
+    batchId: `batch_${scheduleJob.mock.calls.length}`,
+    queueName: 'scraping',
+    jobs: urls.map((url, index) => ({ jobId: `job_${scheduleJob.mock.calls.length}_${index}`, url }))
+  }));
+  const queue = {
+    getJob: async jobId => (jobStates[jobId] ? { getState: async () => jobStates[jobId] } : null)
+  };
+  return { scheduleJob, isInitialized: true, queues: new Map([['scraping', queue]]) };
+}
+
+function createManager(schedule, { runs = [], jobStates = {} } = {}) {
+  const supabase = createFakeSupabase({ schedules: [{ ...schedule }], schedule_runs: runs });
+  const orchestrator = fakeOrchestrator(jobStates);
+  const templates = { getTemplate: async id => ({ id, code: 'return {}' }) };
+  return { manager: new ScheduleManager(supabase, orchestrator, templates), supabase, orchestrator };
+}
+
+const baseSchedule = {
+  id: 'schedule-1',
+  template_id: 'template-1',
+  urls: ['https://shop.test/a', 'https://shop.test/b'],
+  cron_expression: '0 * * * *',
+  timezone: 'UTC',
+  jitter_seconds: 0,
+  blackout_windows: [],
+  max_concurrency: 1,
+  missed_run_policy: 'skip',
+  enabled: true,
+  last_fire_at: '2025-06-02T09:00:00.000Z'
+};
+
+describe('schedule manager', () => {
+  test('previews runs in the schedule timezone and flags blackout occurrences', () => {
+    const runs = previewNextRuns({
+      cron_expression: '0 8 * * *',
+      timezone: 'Europe/Berlin',
+      jitter_seconds: 300,
+      blackout_windows: [{ days: [0, 6], start: '00:00', end: '23:59' }]
+    }, 3, new Date('2025-06-06T12:00:00Z'));
+
+    // Fri 6 June 2025: next 08:00 Berlin (06:00 UTC) is Saturday, then Sunday, Monday, Tuesday
+    expect(runs).toEqual([
+      { scheduled_for: '2025-06-07T06:00:00.000Z', latest_start: '2025-06-07T06:05:00.000Z', skipped: 'blackout' },
+      { scheduled_for: '2025-06-08T06:00:00.000Z', latest_start: '2025-06-08T06:05:00.000Z', skipped: 'blackout' },
+      { scheduled_for: '2025-06-09T06:00:00.000Z', latest_start: '2025-06-09T06:05:00.000Z', skipped: null },
+      { scheduled_for: '2025-06-10T06:00:00.000Z', latest_start: '2025-06-10T06:05:00.000Z', skipped: null },
+      { scheduled_for: '2025-06-11T06:00:00.000Z', latest_start: '2025-06-11T06:05:00.000Z', skipped: null }
+    ]);
+  });
+
+  test('overnight blackout windows belong to the day they start on', () => {
+    const windows = [{ days: [5], start: '22:00', end: '02:00' }];
+
+    expect(findBlackout(new Date('2025-06-06T23:30:00Z'), windows)).toBe(windows[0]); // Friday night
+    expect(findBlackout(new Date('2025-06-07T01:30:00Z'), windows)).toBe(windows[0]); // early Saturday
+    expect(findBlackout(new Date('2025-06-08T01:30:00Z'), windows)).toBeNull(); // early Sunday
+    expect(findBlackout(new Date('2025-06-07T10:00:00Z'), [{ from: '2025-06-07T00:00:00Z', to: '2025-06-08T00:00:00Z' }])).not.toBeNull();
+  });
+
+  test('rejects invalid cron expressions, timezones, policies and windows', () => {
+    expect(() => validateSchedule({ cron_expression: '61 * * * *' })).toThrow('Invalid cron expression');
+    expect(() => validateSchedule({ cron_expression: '0 * * * *', timezone: 'Mars/Olympus' })).toThrow('Unknown timezone');
+    expect(() => validateSchedule({ missed_run_policy: 'sometimes' })).toThrow('Unknown missed run policy');
+    expect(() => validateSchedule({ blackout_windows: [{ start: '25:00', end: '01:00' }] })).toThrow('HH:MM');
+    expect(() => validateSchedule({ max_concurrency: 0 })).toThrow('max_concurrency');
+    expect(() => validateSchedule({ cron_expression: '*/15 * * * *', timezone: 'America/New_York', max_concurrency: null })).not.toThrow();
+  });
+
+  test('starts a batch with jitter and records the run', async () => {
+    const { manager, supabase, orchestrator } = createManager({ ...baseSchedule, jitter_seconds: 60 });
+    const scheduledFor = new Date(Date.now() - 1000);
+
+    const result = await manager.fire('schedule-1', scheduledFor);
+
+    expect(result).toEqual({ status: 'started', batchId: 'batch_1' });
+    const options = orchestrator.scheduleJob.mock.calls[0][2];
+    expect(options.delay).toBeGreaterThanOrEqual(0);
+    expect(options.delay).toBeLessThan(60000);
+    expect(supabase.tables.schedule_runs[0]).toMatchObject({
+      status: 'started', batch_id: 'batch_1', job_ids: ['job_1_0', 'job_1_1']
+    });
+    expect(supabase.tables.schedules[0].last_fire_at).toBe(scheduledFor.toISOString());
+
+    // The same occurrence delivered again does nothing
+    expect(await manager.fire('schedule-1', scheduledFor)).toEqual({ status: 'skipped', reason: 'duplicate' });
+  });
+
+  test('skips while the previous run is still in flight and closes out finished runs', async () => {
+    const previous = { id: 'run-1', schedule_id: 'schedule-1', status: 'started', queue_name: 'scraping', job_ids: ['a', 'b'] };
+    const { manager, orchestrator } = createManager(baseSchedule, {
+      runs: [previous],
+      jobStates: { a: 'completed', b: 'active' }
+    });
+
+    const result = await manager.fire('schedule-1', new Date(Date.now() - 1000));
+
+    expect(result).toEqual({ status: 'skipped', reason: 'max concurrency reached (1 running)' });
+    expect(orchestrator.scheduleJob).not.toHaveBeenCalled();
+
+    const finished = createManager(baseSchedule, { runs: [{ ...previous }], jobStates: { a: 'completed', b: 'failed' } });
+    expect((await finished.manager.fire('schedule-1', new Date(Date.now() - 1000))).status).toBe('started');
+    expect(finished.supabase.tables.schedule_runs[0]).toMatchObject({ status: 'finished', stats: { completed: 1, failed: 1 } });
+  });
+
+  test('applies the missed-run policy to occurrences during downtime', async () => {
+    const lastFire = new Date(Date.now() - 5 * 3600 * 1000).toISOString();
+
+    const once = createManager({ ...baseSchedule, missed_run_policy: 'run_once', last_fire_at: lastFire });
+    await once.manager.catchUp(once.supabase.tables.schedules[0]);
+    expect(once.orchestrator.scheduleJob).toHaveBeenCalledTimes(1);
+    expect(once.supabase.tables.schedule_runs[0]).toMatchObject({ status: 'started', reason: 'catch-up' });
+
+    const skip = createManager({ ...baseSchedule, last_fire_at: lastFire });
+    await skip.manager.catchUp(skip.supabase.tables.schedules[0]);
+    expect(skip.orchestrator.scheduleJob).not.toHaveBeenCalled();
+    expect(skip.supabase.tables.schedule_runs[0].reason).toMatch(/^missed \([45] runs\)$/);
+
+    // A late fire of a skip schedule (worker was down) is dropped too
+    const late = createManager(baseSchedule);
+    expect(await late.manager.fire('schedule-1', new Date(Date.now() - 3600 * 1000))).toEqual({ status: 'skipped', reason: 'missed' });
+  });
+});
@@ -0,0 +1,74 @@
+const { DataProcessor } = require('../../services/data-processor');
+const { SchemaInferrer, expandSamples } = require('../../services/schema-inference');
+const { DRAFT_2020_12 } = require('../../services/json-schema');
+
+const listing = (n, overrides = {}) => ({
+  title: `Apartment ${n}`,
+  price: `$${1000 + n * 100}`,
+  listed: `2024-03-0${n}`,
+  contact: { email: `agent${n}@example.com`, phone: `(555) 123-000${n}` },
+  url: `https://example.com/listings/${n}`,
+  bedrooms: String(n),
+  status: n % 2 ? 'available' : 'leased',
+  photos: [`https://cdn.example.com/${n}.jpg`],
+  ...overrides
+});
+
+describe('schema inference', () => {
+  let processor;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    processor = new DataProcessor();
+  });
+
+  test('detects prices, dates, phones, emails, URLs, enums and nullability', () => {
+    const rows = [[listing(1), listing(2)], listing(3), listing(4, { bedrooms: '' }), 'not a record'];
+
+    const { schema, fields, sampleCount } = new SchemaInferrer(processor).infer(expandSamples(rows));
+
+    expect(sampleCount).toBe(4);
+    expect(schema).toEqual({
+      $schema: DRAFT_2020_12,
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        price: { type: 'number', 'x-normalize': 'price' },
+        listed: { type: 'string', format: 'date' },
+        contact: {
+          type: 'object',
+          properties: { email: { type: 'string', format: 'email' }, phone: { type: 'string', 'x-normalize': 'phone' } },
+          required: ['email', 'phone']
+        },
+        url: { type: 'string', format: 'uri' },
+        bedrooms: { type: ['integer', 'null'] },
+        status: { type: 'string', enum: ['available', 'leased'] },
+        photos: { type: 'array', items: { type: 'string', format: 'uri' } }
+      },
+      required: ['title', 'price', 'listed', 'contact', 'url', 'status', 'photos']
+    });
+    expect(fields.find(field => field.path === '/price')).toMatchObject({ kind: 'price', min: 1100, max: 1400, confidence: 1 });
+    expect(fields.find(field => field.path === '/bedrooms')).toMatchObject({ kind: 'integer', nulls: 1, present: 1, min: 1, max: 3 });
+    expect(fields.map(field => field.path)).toContain('/photos/items');
+  });
+
+  test('disagreeing values fall back to a string and report the confidence', () => {
+    const samples = Array.from({ length: 8 }, (_, n) => ({ price: n < 6 ? `€${n + 1}0` : 'Call for price', extra: n === 0 ? 'x' : undefined }));
+
+    const { schema, fields } = new SchemaInferrer(processor).infer(samples);
+
+    expect(schema.properties.price).toEqual({ type: 'string' });
+    expect(fields.find(field => field.path === '/price')).toMatchObject({ kind: 'string', confidence: 0.75 });
+    expect(schema.required).toEqual(['price']);
+  });
+
+  test('the draft schema processes the data it was inferred from', async () => {
+    const samples = [listing(1), listing(2), listing(3)];
+    const { schema } = new SchemaInferrer(processor).infer(samples);
+
+    const result = await processor.processRecord(samples[1], schema);
+
+    expect(result.valid).toBe(true);
+    expect(result.data).toMatchObject({ price: 1200, listed: '2024-03-02', bedrooms: 2, contact: { phone: '+5551230002' } });
+  });
+});
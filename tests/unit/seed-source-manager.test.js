@@ -0,0 +1,123 @@
+const zlib = require('zlib');
+const { SeedSourceManager } = require('../../services/seed-source-manager');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+const SITEMAP_INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/sitemap-products.xml.gz</loc><lastmod>2025-06-01</lastmod></sitemap>
+  <sitemap><loc>https://example.com/sitemap-archive.xml</loc><lastmod>2020-01-01</lastmod></sitemap>
+</sitemapindex>`;
+
+const PRODUCTS_SITEMAP = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/p/1</loc><lastmod>2025-06-01T10:00:00Z</lastmod></url>
+  <url><loc>https://example.com/p/2</loc><lastmod>2025-05-01</lastmod></url>
+  <url><loc>https://example.com/about</loc></url>
+</urlset>`;
+
+const RSS_FEED = `<?xml version="1.0"?>
+<rss version="2.0"><channel>
+  <item><title>One</title><link>https://blog.example.com/one</link><pubDate>Mon, 02 Jun 2025 08:00:00 GMT</pubDate></item>
+</channel></rss>`;
+
+const ATOM_FEED = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <entry>
+    <link rel="self" href="https://blog.example.com/api/two"/>
+    <link rel="alternate" href="https://blog.example.com/two"/>
+    <updated>2025-06-03T00:00:00Z</updated>
+  </entry>
+</feed>`;
+
+function mockDocuments(documents) {
+  global.fetch = jest.fn(async (url) => {
+    if (!(url in documents)) throw new Error(`Unexpected fetch ${url}`);
+    const body = documents[url];
+    return { ok: true, status: 200, arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.length) };
+  });
+}
+
+describe('SeedSourceManager', () => {
+  const originalFetch = global.fetch;
+  let manager;
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  beforeEach(() => {
+    manager = new SeedSourceManager(null, null, null);
+  });
+
+  test('follows sitemap indexes, gunzips children and skips stale child sitemaps', async () => {
+    mockDocuments({
+      'https://example.com/sitemap.xml': Buffer.from(SITEMAP_INDEX),
+      'https://example.com/sitemap-products.xml.gz': zlib.gzipSync(PRODUCTS_SITEMAP)
+    });
+
+    const entries = await manager.fetchEntries('https://example.com/sitemap.xml', 'sitemap', { since: '2025-01-01' });
+
+    expect(entries).toEqual([
+      { url: 'https://example.com/p/1', lastmod: '2025-06-01T10:00:00.000Z' },
+      { url: 'https://example.com/p/2', lastmod: '2025-05-01T00:00:00.000Z' },
+      { url: 'https://example.com/about', lastmod: null }
+    ]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('parses RSS items and Atom alternate links', () => {
+    expect(manager.parseFeed(RSS_FEED)).toEqual([
+      { url: 'https://blog.example.com/one', lastmod: '2025-06-02T08:00:00.000Z' }
+    ]);
+    expect(manager.parseFeed(ATOM_FEED)).toEqual([
+      { url: 'https://blog.example.com/two', lastmod: '2025-06-03T00:00:00.000Z' }
+    ]);
+  });
+
+  test('rejects a feed when a sitemap was requested', async () => {
+    mockDocuments({ 'https://blog.example.com/feed': Buffer.from(RSS_FEED) });
+    await expect(manager.fetchEntries('https://blog.example.com/feed', 'sitemap'))
+      .rejects.toThrow(/Expected a sitemap/);
+  });
+
+  test('filters by lastmod and URL patterns', () => {
+    const entries = manager.parseSitemap(PRODUCTS_SITEMAP).entries;
+
+    expect(manager.filterEntries(entries, { since: '2025-05-15' }).map(e => e.url))
+      .toEqual(['https://example.com/p/1', 'https://example.com/about']);
+    expect(manager.filterEntries(entries, { include: ['/p/'], exclude: ['/p/2$'] }).map(e => e.url))
+      .toEqual(['https://example.com/p/1']);
+  });
+
+  test('only selects entries that are new or whose lastmod moved forward', () => {
+    const entries = manager.parseSitemap(PRODUCTS_SITEMAP).entries;
+    const known = new Map([
+      // Stored lastmods come back from PostgREST in its timestamptz format
+      ['https://example.com/p/1', '2025-06-01T10:00:00+00:00'],
+      ['https://example.com/p/2', '2025-04-01T00:00:00.000Z'],
+      ['https://example.com/about', null]
+    ]);
+
+    expect(manager.selectNewOrChanged(entries, known).map(e => e.url)).toEqual(['https://example.com/p/2']);
+    expect(manager.selectNewOrChanged(entries, new Map())).toHaveLength(3);
+  });
+
+  test('looks stored entries up in chunks of the fetched URLs only', async () => {
+    const urls = Array.from({ length: 250 }, (_, i) => `https://example.com/p/${i}`);
+    const supabase = createFakeSupabase({
+      seed_source_entries: [
+        { source_id: 's1', url: urls[5], lastmod: '2025-01-01T00:00:00+00:00' },
+        { source_id: 's1', url: urls[240], lastmod: null },
+        { source_id: 's2', url: urls[7], lastmod: null },
+        { source_id: 's1', url: 'https://example.com/removed', lastmod: null }
+      ]
+    });
+    const from = jest.spyOn(supabase, 'from');
+    manager = new SeedSourceManager(supabase, null, null);
+
+    const known = await manager.getKnownEntries('s1', urls);
+
+    expect(known).toEqual(new Map([[urls[5], '2025-01-01T00:00:00+00:00'], [urls[240], null]]));
+    expect(from).toHaveBeenCalledTimes(3);
+  });
+});
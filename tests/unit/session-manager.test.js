@@ -0,0 +1,171 @@
+jest.mock('ioredis');
+
+const { SessionManager } = require('../../services/session-manager');
+const { DistributedOrchestrator } = require('../../services/distributed-orchestrator');
+const { createFakeSupabase } = require('../helpers/fake-supabase');
+
+// Every template belongs to p1, owned by owner-1; template_sessions starts with the given rows
+function fakeSupabase(sessions = []) {
+  return createFakeSupabase({
+    scraper_templates: ['t1', 't2', 't3', 't4'].map(id => ({ id, project_id: 'p1', projects: { user_id: 'owner-1' } })),
+    template_sessions: sessions
+  });
+}
+
+const sessionRow = (supabase, templateId) => supabase.tables.template_sessions.find(row => row.template_id === templateId);
+
+const encryptionService = {
+  encryptData: async data => ({ encryptedData: Buffer.from(JSON.stringify(data)).toString('base64') }),
+  decryptData: async envelope => JSON.parse(Buffer.from(envelope.encryptedData, 'base64').toString())
+};
+
+// jest.config resets mocks between tests, so each test builds its own
+function fakeCredentialManager() {
+  return {
+    getCredentials: jest.fn(async () => ({ type: 'basic_auth', username: 'alice', password: 'secret' }))
+  };
+}
+
+const loginFlow = {
+  url: 'https://portal.test/login',
+  credential: 'portal',
+  usernameSelector: '#email',
+  passwordSelector: '#password',
+  submitSelector: 'button[type=submit]',
+  success: { urlMatches: '/dashboard' },
+  expired: { selector: '.session-expired' }
+};
+
+function fakePage(state) {
+  let currentUrl = 'about:blank';
+  const visible = new Set();
+  const context = {
+    storageState: jest.fn(async () => state),
+    addCookies: jest.fn(async () => {}),
+    addInitScript: jest.fn(async () => {})
+  };
+  return {
+    visible,
+    filled: {},
+    context: () => context,
+    url: () => currentUrl,
+    setUrl: (url) => { currentUrl = url; },
+    goto: async (url) => { currentUrl = url; },
+    fill: async function (selector, value) { this.filled[selector] = value; },
+    click: async () => { currentUrl = 'https://portal.test/dashboard'; },
+    press: async () => {},
+    waitForLoadState: async () => {},
+    waitForSelector: async () => {},
+    $: async selector => (visible.has(selector) ? { isVisible: async () => true } : null),
+    textContent: async () => ''
+  };
+}
+
+describe('session manager', () => {
+  const state = { cookies: [{ name: 'sid', value: 'abc', domain: 'portal.test', path: '/' }], origins: [] };
+
+  test('logs in once, stores the state encrypted and shares it with concurrent jobs', async () => {
+    const supabase = fakeSupabase();
+    const credentialManager = fakeCredentialManager();
+    const sessions = new SessionManager(supabase, credentialManager, encryptionService);
+    const first = fakePage(state);
+    const second = fakePage(state);
+
+    const [stateA, stateB] = await Promise.all([
+      sessions.login(first, 't1', loginFlow),
+      sessions.login(second, 't1', loginFlow)
+    ]);
+
+    expect(stateA).toEqual(state);
+    expect(stateB).toEqual(state);
+    expect(first.filled).toEqual({ '#email': 'alice', '#password': 'secret' });
+    expect(second.filled).toEqual({});
+    expect(second.context().addCookies).toHaveBeenCalledWith(state.cookies);
+    expect(credentialManager.getCredentials).toHaveBeenCalledWith('owner-1', 'portal');
+
+    expect(JSON.stringify(sessionRow(supabase, 't1').storage_state)).not.toContain('abc');
+    expect(await sessions.loadSession('t1')).toEqual(state);
+  });
+
+  test('always types the project owner\'s credentials, whatever userId the template names', async () => {
+    const credentialManager = fakeCredentialManager();
+    const sessions = new SessionManager(fakeSupabase(), credentialManager, encryptionService);
+
+    await sessions.resolveCredentials('t1', { ...loginFlow, credential: { service: 'portal', userId: 'someone-else' } });
+
+    expect(credentialManager.getCredentials).toHaveBeenCalledWith('owner-1', 'portal');
+  });
+
+  test('fails the login when the success check does not match', async () => {
+    const sessions = new SessionManager(fakeSupabase(), fakeCredentialManager(), encryptionService);
+    const page = fakePage(state);
+    page.click = async () => { page.setUrl('https://portal.test/login?error=1'); };
+
+    await expect(sessions.login(page, 't2', loginFlow)).rejects.toThrow('success check did not match');
+  });
+
+  test('drops sessions past their TTL', async () => {
+    const supabase = fakeSupabase([
+      { template_id: 't3', storage_state: await encryptionService.encryptData(state), expires_at: '2000-01-01T00:00:00Z' }
+    ]);
+    const sessions = new SessionManager(supabase, fakeCredentialManager(), encryptionService);
+
+    expect(await sessions.loadSession('t3')).toBeNull();
+    expect(sessionRow(supabase, 't3')).toMatchObject({ storage_state: null, invalidated_reason: 'ttl_expired' });
+    expect(await sessions.getSessionStatus('t3')).toMatchObject({ active: false, invalidated_reason: 'ttl_expired' });
+  });
+
+  test('detects logged-out pages', async () => {
+    const sessions = new SessionManager(fakeSupabase(), fakeCredentialManager(), encryptionService);
+    const page = fakePage(state);
+
+    page.setUrl('https://portal.test/orders');
+    expect(await sessions.isSessionExpired(page, loginFlow)).toBe(false);
+
+    page.visible.add('.session-expired');
+    expect(await sessions.isSessionExpired(page, loginFlow)).toBe(true);
+
+    page.visible.clear();
+    page.setUrl('https://portal.test/login?next=/orders');
+    expect(await sessions.isSessionExpired(page, loginFlow)).toBe(true);
+  });
+
+  test('rejects login flows without a success check', () => {
+    const sessions = new SessionManager(fakeSupabase(), fakeCredentialManager(), encryptionService);
+    expect(() => sessions.validateLoginFlow({ ...loginFlow, success: {} })).toThrow('success check');
+  });
+
+  test('logs in again when a template fails on a stored session the site dropped', async () => {
+    const supabase = fakeSupabase();
+    const sessions = new SessionManager(supabase, fakeCredentialManager(), encryptionService);
+    await sessions.saveSession('t4', state, loginFlow);
+
+    // The site sends every page to the login form until the form is submitted
+    const page = fakePage(state);
+    let loggedIn = false;
+    Object.assign(page, {
+      goto: async (url) => { page.setUrl(loggedIn || url === loginFlow.url ? url : `${loginFlow.url}?next=/orders`); },
+      click: async () => { loggedIn = true; page.setUrl('https://portal.test/dashboard'); },
+      on: () => {},
+      close: async () => {},
+      evaluate: async () => null
+    });
+    const orchestrator = new DistributedOrchestrator();
+    orchestrator.setSessionManager(sessions);
+    orchestrator.setBrowserPool(/** @type {any} */ ({
+      acquireContext: async () => ({ browser: () => ({}), newPage: async () => page }),
+      releaseContext: async () => {}
+    }));
+    const template = `(async () => {
+      await page.goto('https://portal.test/orders');
+      if (page.url() !== 'https://portal.test/orders') throw new Error('No orders table');
+      return { orders: 3 };
+    })()`;
+    const options = { templateId: 't4', login: loginFlow, overlays: { enabled: false } };
+
+    const result = await orchestrator.createScraperInstance(template, options).execute('https://portal.test/orders', options);
+
+    expect(result.data).toEqual({ orders: 3 });
+    expect(result.metadata.session).toEqual({ reused: true, logins: 1, relogged: true });
+  });
+});
@@ -119,6 +119,7 @@ declare module 'node-fetch' {
 
 declare module 'uuid' {
   export const v4: any;
+  export const v5: any;
   export const v1: any;
   const uuid: any;
   export default uuid;
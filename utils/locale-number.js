@@ -0,0 +1,107 @@
+// Locale-aware number parsing. Separators follow the field's locale, the page's lang or
+// its country domain, and are told apart by the digits when none of those is known.
+
+/**
+ * @typedef {Object} LocaleHints
+ * @property {string} [locale] - BCP 47 tag set on the field or the request
+ * @property {string} [lang] - the page's <html lang>
+ * @property {string} [url] - the page URL; its country-code TLD implies a locale
+ */
+
+// Country-code TLDs and the locale their sites mostly write numbers in
+const TLD_LOCALES = {
+  at: 'de-AT', au: 'en-AU', be: 'fr-BE', br: 'pt-BR', ca: 'en-CA', ch: 'de-CH', cn: 'zh-CN',
+  cz: 'cs-CZ', de: 'de-DE', dk: 'da-DK', es: 'es-ES', fi: 'fi-FI', fr: 'fr-FR', gr: 'el-GR',
+  hk: 'zh-HK', ie: 'en-IE', in: 'en-IN', it: 'it-IT', jp: 'ja-JP', kr: 'ko-KR', mx: 'es-MX',
+  nl: 'nl-NL', no: 'nb-NO', nz: 'en-NZ', pl: 'pl-PL', pt: 'pt-PT', ru: 'ru-RU', se: 'sv-SE',
+  sg: 'en-SG', tr: 'tr-TR', ua: 'uk-UA', uk: 'en-GB', us: 'en-US', za: 'en-ZA'
+};
+
+// Digits with separators; a space only groups when three digits follow ("12 500")
+const NUMBER_PATTERN = /[-−]?\d(?:[\d.,'’]|[ \u00a0\u202f](?=\d{3}(?!\d)))*/;
+
+/** @type {Map<string, { group: string, decimal: string }>} */
+const separatorCache = new Map();
+
+/**
+ * @param {any} tag
+ * @returns {string|null}
+ */
+function canonicalLocale(tag) {
+  if (!tag || typeof tag !== 'string') return null;
+  try {
+    return Intl.getCanonicalLocales(tag.trim().replace(/_/g, '-'))[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The locale to read numbers in: an explicit locale, then the page's lang, then its domain.
+ * @param {LocaleHints} [hints]
+ * @returns {string|null}
+ */
+function resolveLocale(hints = {}) {
+  const explicit = canonicalLocale(hints.locale) || canonicalLocale(hints.lang);
+  if (explicit) return explicit;
+  if (!hints.url) return null;
+  try {
+    return TLD_LOCALES[new URL(hints.url).hostname.split('.').pop()] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} locale
+ */
+function separatorsFor(locale) {
+  if (!separatorCache.has(locale)) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+    separatorCache.set(locale, {
+      group: parts.find(part => part.type === 'group')?.value || ',',
+      decimal: parts.find(part => part.type === 'decimal')?.value || '.'
+    });
+  }
+  return separatorCache.get(locale);
+}
+
+/**
+ * First number in the text. When both "." and "," appear the last one is the decimal
+ * separator; a separator seen several times groups ("₹1,23,456"); a single one followed
+ * by other than three digits is decimal. Only "1.234" or "1,234" needs the locale, and
+ * without one reads as a thousands group.
+ * @param {string} text
+ * @param {string|null} [locale]
+ * @returns {number|null}
+ */
+function parseLocaleNumber(text, locale = null) {
+  const match = String(text).match(NUMBER_PATTERN);
+  if (!match) return null;
+
+  const negative = /^[-−]/.test(match[0]);
+  // Spaces and apostrophes only ever group; trailing punctuation is the sentence's
+  const body = match[0].replace(/^[-−]/, '').replace(/[ \u00a0\u202f'’]/g, '').replace(/[.,]+$/, '');
+
+  let decimal = null;
+  const lastDot = body.lastIndexOf('.');
+  const lastComma = body.lastIndexOf(',');
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const parts = body.split(separator);
+    if (parts.length === 2 && parts[1].length !== 3) {
+      decimal = separator;
+    } else if (parts.length === 2) {
+      decimal = locale ? (separatorsFor(locale).decimal === separator ? separator : null) : (parts[0] === '0' ? separator : null);
+    }
+  }
+
+  const [integer, fraction = ''] = decimal ? [body.slice(0, body.lastIndexOf(decimal)), body.slice(body.lastIndexOf(decimal) + 1)] : [body];
+  const value = Number(`${integer.replace(/[.,]/g, '')}.${fraction || '0'}`);
+  if (!Number.isFinite(value)) return null;
+  return negative ? -value : value;
+}
+
+module.exports = { resolveLocale, parseLocaleNumber, separatorsFor, canonicalLocale, TLD_LOCALES };
@@ -0,0 +1,31 @@
+/**
+ * Newline-delimited JSON for the streaming record endpoints.
+ */
+const readline = require('readline');
+
+/**
+ * Parse NDJSON from a readable stream, one value per line. Blank lines are skipped; an
+ * unparseable line yields an Error in its place so the caller can report it against
+ * that record and carry on.
+ * @param {NodeJS.ReadableStream} stream
+ * @returns {AsyncGenerator<any>}
+ */
+async function* readNdjson(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      value = new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+    }
+    yield value;
+  }
+}
+
+module.exports = { readNdjson };
@@ -0,0 +1,104 @@
+/**
+ * URL canonicalization shared by the crawler frontier and record deduplication.
+ */
+
+// Query parameters that only carry tracking/session state and never change page content
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^fbclid$/i,
+  /^gclid$/i,
+  /^msclkid$/i,
+  /^mc_(cid|eid)$/i,
+  /^ref$/i,
+  /^(php)?sessid$/i,
+  /^jsessionid$/i
+];
+
+/**
+ * Canonicalize a URL so equivalent forms compare equal: lowercases scheme and host,
+ * drops the fragment, default ports, tracking parameters and a trailing slash, and
+ * sorts the remaining query parameters. Returns null for unparseable or non-http URLs.
+ * @param {string} url
+ * @param {string} [base] - base URL for resolving relative links
+ * @returns {string|null}
+ */
+function normalizeUrl(url, base) {
+  if (!url || typeof url !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = base ? new URL(url.trim(), base) : new URL(url.trim());
+  } catch {
+    return null;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  if ((parsed.protocol === 'http:' && parsed.port === '80') || (parsed.protocol === 'https:' && parsed.port === '443')) {
+    parsed.port = '';
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Registrable domain heuristic (same approach as ComplianceManager.extractDomain):
+ * keeps the last two labels, or three when the TLD looks like a ccTLD second level (example.co.uk).
+ * @param {string} hostname
+ * @returns {string}
+ */
+function getRegistrableDomain(hostname) {
+  const parts = hostname.toLowerCase().replace(/^www\./, '').split('.');
+  if (parts.length >= 3 && parts[parts.length - 1].length === 2 && parts[parts.length - 2].length <= 3) {
+    return parts.slice(-3).join('.');
+  }
+  return parts.slice(-2).join('.');
+}
+
+/**
+ * Check whether a URL stays within the scope of a seed URL.
+ * - 'host': exact same hostname
+ * - 'domain': same registrable domain, any subdomain (default)
+ * - 'path': same hostname and under the seed's path prefix
+ * - 'any': no restriction
+ * @param {string} url
+ * @param {string} seedUrl
+ * @param {'host'|'domain'|'path'|'any'} [scope]
+ * @returns {boolean}
+ */
+function isWithinScope(url, seedUrl, scope = 'domain') {
+  if (scope === 'any') return true;
+
+  try {
+    const target = new URL(url);
+    const seed = new URL(seedUrl);
+
+    switch (scope) {
+    case 'host':
+      return target.hostname === seed.hostname;
+    case 'path': {
+      const prefix = seed.pathname.endsWith('/') ? seed.pathname : seed.pathname.replace(/[^/]*$/, '');
+      // The directory itself comes back normalized without its slash (/docs for /docs/)
+      return target.hostname === seed.hostname && `${target.pathname.replace(/\/$/, '')}/`.startsWith(prefix);
+    }
+    case 'domain':
+    default:
+      return getRegistrableDomain(target.hostname) === getRegistrableDomain(seed.hostname);
+    }
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { normalizeUrl, getRegistrableDomain, isWithinScope, TRACKING_PARAMS };